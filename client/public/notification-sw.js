@@ -0,0 +1,25 @@
+// Service worker that shows CampusSpot push notifications while the app is closed
+
+self.addEventListener("push", (event) => {
+  const { title, body } = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(title || "CampusSpot", {
+      body,
+      icon: "/vite.svg",
+    }),
+  );
+});
+
+// Focus an open tab, or open the app, when the notification is clicked
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window" })
+      .then((windows) =>
+        windows.length > 0 ? windows[0].focus() : self.clients.openWindow("/"),
+      ),
+  );
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect } from "react";
 import apiClient from "./api/apiClient.js";
 import { useUser } from "./hooks/useUser.js";
 import { useLiveUpdates } from "./hooks/useLiveUpdates.js";
@@ -7,35 +7,43 @@ import { PolicyModal } from "./components/PolicyModal.jsx";
 import { OnboardingFlow } from "./components/OnboardingFlow.jsx";
 import { BookingList } from "./components/BookingList.jsx";
 import { ScheduleModal } from "./components/ScheduleModal.jsx";
+import { ApprovalQueue } from "./components/ApprovalQueue.jsx";
+import { AdminPanel } from "./components/AdminPanel.jsx";
+import { NotificationBell } from "./components/NotificationBell.jsx";
+import { KioskDisplay } from "./components/KioskDisplay.jsx";
+import { ClubDashboard } from "./components/ClubDashboard.jsx";
+import { AnalyticsPanel } from "./components/AnalyticsPanel.jsx";
+import { SlotSearch } from "./components/SlotSearch.jsx";
 
 export default function App() {
-  const { userName, userType, clearIdentity } = useUser();
+  const { userName, userType, role, isAuthenticated, clearIdentity } =
+    useUser();
   const [activeTab, setActiveTab] = useState("explore");
-  const [facilities, setFacilities] = useState([]);
   const [selectedFacility, setSelectedFacility] = useState(null);
   const [scheduleFacility, setScheduleFacility] = useState(null);
-  const [isSyncing, setIsSyncing] = useState(true);
-
-  const refreshCampusState = useCallback(async () => {
-    try {
-      const { data } = await apiClient.get(
-        `/assets?userName=${userName}&userType=${userType}`,
-      );
-      setFacilities(data);
-    } catch (err) {
-      console.error("Failed to refresh facilities:", err);
-    } finally {
-      setIsSyncing(false);
-    }
-  }, [userName, userType]);
+  const [myClubs, setMyClubs] = useState([]);
+  const {
+    facilities,
+    isSyncing,
+    refresh: refreshCampusState,
+    myBookingsVersion,
+    liveStatus,
+    latestNotification,
+  } = useLiveUpdates(isAuthenticated);
 
+  // The Club tab appears for anyone on a club's roster
   useEffect(() => {
-    if (userName) refreshCampusState();
-  }, [refreshCampusState, userName]);
+    if (!isAuthenticated) return;
+    apiClient
+      .get("/clubs/mine")
+      .then(({ data }) => setMyClubs(data))
+      .catch((err) => console.error("Failed to load your clubs:", err));
+  }, [isAuthenticated, userName]);
 
-  useLiveUpdates(refreshCampusState);
+  if (!isAuthenticated) return <OnboardingFlow />;
 
-  if (!userName) return <OnboardingFlow />;
+  // Kiosk accounts only ever drive the check-in display
+  const currentTab = role === "kiosk" ? "kiosk" : activeTab;
 
   return (
     <div className="min-h-screen bg-slate-50">
@@ -52,22 +60,67 @@ export default function App() {
             </div>
 
             <div className="flex bg-slate-100 p-1 rounded-xl">
-              <button
-                onClick={() => setActiveTab("explore")}
-                className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${activeTab === "explore" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
-              >
-                Explore
-              </button>
-              <button
-                onClick={() => setActiveTab("my-bookings")}
-                className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${activeTab === "my-bookings" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
-              >
-                My Bookings
-              </button>
+              {role !== "kiosk" && (
+                <>
+                  <button
+                    onClick={() => setActiveTab("explore")}
+                    className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "explore" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                  >
+                    Explore
+                  </button>
+                  <button
+                    onClick={() => setActiveTab("my-bookings")}
+                    className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "my-bookings" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                  >
+                    My Bookings
+                  </button>
+                  {myClubs.length > 0 && (
+                    <button
+                      onClick={() => setActiveTab("club")}
+                      className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "club" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                    >
+                      Club
+                    </button>
+                  )}
+                </>
+              )}
+              {(role === "approver" || role === "admin") && (
+                <button
+                  onClick={() => setActiveTab("approvals")}
+                  className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "approvals" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                >
+                  Approvals
+                </button>
+              )}
+              {role === "admin" && (
+                <button
+                  onClick={() => setActiveTab("admin")}
+                  className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "admin" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                >
+                  Admin
+                </button>
+              )}
+              {role === "admin" && (
+                <button
+                  onClick={() => setActiveTab("analytics")}
+                  className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "analytics" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                >
+                  Analytics
+                </button>
+              )}
+              {(role === "kiosk" || role === "admin") && (
+                <button
+                  onClick={() => setActiveTab("kiosk")}
+                  className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${currentTab === "kiosk" ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+                >
+                  Check-in Display
+                </button>
+              )}
             </div>
           </div>
 
           <div className="flex items-center gap-4">
+            <NotificationBell incoming={latestNotification} />
             <div className="flex flex-col items-end leading-tight">
               <span className="text-sm font-bold text-slate-800">
                 {userName}
@@ -107,7 +160,7 @@ export default function App() {
               Hold up… syncing the vibe.
             </p>
           </div>
-        ) : activeTab === "explore" ? (
+        ) : currentTab === "explore" ? (
           <>
             <header className="mb-10">
               <h2 className="text-3xl font-bold text-slate-900">
@@ -117,17 +170,79 @@ export default function App() {
                 Real-time vibes. No outdated info.
               </p>
             </header>
+            <SlotSearch facilities={facilities} onBooked={refreshCampusState} />
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               {facilities.map((f) => (
                 <FacilityCard
                   key={f.id}
                   facility={f}
+                  liveStatus={liveStatus}
                   onReserve={setSelectedFacility}
                   onViewSchedule={setScheduleFacility}
                 />
               ))}
             </div>
           </>
+        ) : currentTab === "approvals" ? (
+          <>
+            <header className="mb-10">
+              <h2 className="text-3xl font-bold text-slate-900">
+                Approval Queue
+              </h2>
+              <p className="text-slate-500 mt-1">
+                Event-space requests waiting on your call.
+              </p>
+            </header>
+            <ApprovalQueue />
+          </>
+        ) : currentTab === "admin" ? (
+          <>
+            <header className="mb-10">
+              <h2 className="text-3xl font-bold text-slate-900">
+                Facilities & Units
+              </h2>
+              <p className="text-slate-500 mt-1">
+                Shape what the campus can book.
+              </p>
+            </header>
+            <AdminPanel />
+          </>
+        ) : currentTab === "analytics" ? (
+          <>
+            <header className="mb-10">
+              <h2 className="text-3xl font-bold text-slate-900">
+                How Campus Gets Used
+              </h2>
+              <p className="text-slate-500 mt-1">
+                Booked vs open hours, no-shows and peak times.
+              </p>
+            </header>
+            <AnalyticsPanel />
+          </>
+        ) : currentTab === "club" && myClubs.length > 0 ? (
+          <>
+            <header className="mb-10">
+              <h2 className="text-3xl font-bold text-slate-900">
+                Club Bookings
+              </h2>
+              <p className="text-slate-500 mt-1">
+                Everything booked in your club’s name.
+              </p>
+            </header>
+            <ClubDashboard clubs={myClubs} refreshKey={myBookingsVersion} />
+          </>
+        ) : currentTab === "kiosk" ? (
+          <>
+            <header className="mb-10 text-center">
+              <h2 className="text-3xl font-bold text-slate-900">
+                Check In Here
+              </h2>
+              <p className="text-slate-500 mt-1">
+                The code changes every minute. Scan it from My Bookings.
+              </p>
+            </header>
+            <KioskDisplay />
+          </>
         ) : (
           <>
             <header className="mb-10">
@@ -138,7 +253,7 @@ export default function App() {
                 Everything you’ve locked in.
               </p>
             </header>
-            <BookingList />
+            <BookingList refreshKey={myBookingsVersion} />
           </>
         )}
       </main>
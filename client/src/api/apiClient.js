@@ -7,16 +7,42 @@ const apiClient = axios.create({
   },
 });
 
+let sessionToken = null;
+let unauthorizedHandler = null;
+
+// Called by UserProvider whenever the signed-in session changes
+export function setSessionToken(token) {
+  sessionToken = token || null;
+}
+
+// Lets UserProvider drop the session when the server rejects the token
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+}
+
+apiClient.interceptors.request.use((config) => {
+  if (sessionToken) {
+    config.headers.Authorization = `Bearer ${sessionToken}`;
+  }
+  return config;
+});
+
 apiClient.interceptors.response.use(
   (response) => response,
   (error) => {
+    if (error.response?.status === 401 && sessionToken && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+
     const customError = {
       message:
         error.response?.data?.error ||
         error.response?.data?.message ||
         "Something went wrong",
       status: error.response?.status,
+      conflictType: error.response?.data?.conflictType || null,
       conflictDetails: error.response?.data?.conflictDetails || null,
+      occurrenceConflicts: error.response?.data?.occurrenceConflicts || null,
     };
     return Promise.reject(customError);
   },
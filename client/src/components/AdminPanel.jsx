@@ -0,0 +1,687 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+import { CalendarEditor } from "./CalendarEditor.jsx";
+import { StrikeLedger } from "./StrikeLedger.jsx";
+import { BookingExport } from "./BookingExport.jsx";
+import { CatalogImport } from "./CatalogImport.jsx";
+import { WebhookManager } from "./WebhookManager.jsx";
+
+const EMPTY_FORM = {
+  name: "",
+  category: "",
+  description: "",
+  totalCapacity: 1,
+  isPooled: false,
+  minDurationMinutes: 30,
+  maxDurationMinutes: 120,
+  openTime: "07:00",
+  closeTime: "23:00",
+  timezone: "Asia/Kolkata",
+  requiresApproval: false,
+  unitNames: "",
+};
+
+// Map an API facility row onto the form's camelCase fields
+const toFormState = (facility) => ({
+  name: facility.name,
+  category: facility.category,
+  description: facility.description || "",
+  totalCapacity: facility.total_capacity,
+  isPooled: facility.is_pooled,
+  minDurationMinutes: facility.min_duration_minutes,
+  maxDurationMinutes: facility.max_duration_minutes,
+  openTime: facility.open_time.slice(0, 5),
+  closeTime: facility.close_time.slice(0, 5),
+  timezone: facility.timezone,
+  requiresApproval: facility.requires_approval,
+  unitNames: "",
+});
+
+const inputClass =
+  "w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold";
+const labelClass =
+  "text-[10px] font-bold text-slate-400 uppercase tracking-widest";
+
+function FacilityForm({ facility, onCancel, onSaved }) {
+  const isNew = !facility;
+  const [form, setForm] = useState(isNew ? EMPTY_FORM : toFormState(facility));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [requestError, setRequestError] = useState(null);
+
+  const update = (field) => (e) =>
+    setForm({
+      ...form,
+      [field]: e.target.type === "checkbox" ? e.target.checked : e.target.value,
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setRequestError(null);
+
+    const payload = {
+      ...form,
+      totalCapacity: Number(form.totalCapacity),
+      minDurationMinutes: Number(form.minDurationMinutes),
+      maxDurationMinutes: Number(form.maxDurationMinutes),
+      unitNames: form.unitNames
+        .split(",")
+        .map((unitName) => unitName.trim())
+        .filter(Boolean),
+    };
+
+    try {
+      if (isNew) {
+        await apiClient.post("/admin/facilities", payload);
+      } else {
+        await apiClient.put(`/admin/facilities/${facility.id}`, payload);
+      }
+      onSaved();
+    } catch (err) {
+      setRequestError(err?.message || "Could not save this facility.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="bg-white border border-indigo-100 rounded-3xl p-6 shadow-sm space-y-4"
+    >
+      <h3 className="font-extrabold text-slate-900 text-lg">
+        {isNew ? "New Facility" : `Edit ${facility.name}`}
+      </h3>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <label className={labelClass}>Name</label>
+          <input
+            required
+            className={inputClass}
+            value={form.name}
+            onChange={update("name")}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className={labelClass}>Category</label>
+          <input
+            required
+            className={inputClass}
+            value={form.category}
+            onChange={update("category")}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <label className={labelClass}>Description</label>
+        <input
+          className={inputClass}
+          value={form.description}
+          onChange={update("description")}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <label className={labelClass}>Min Duration (min)</label>
+          <input
+            type="number"
+            step="30"
+            min="30"
+            required
+            className={inputClass}
+            value={form.minDurationMinutes}
+            onChange={update("minDurationMinutes")}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className={labelClass}>Max Duration (min)</label>
+          <input
+            type="number"
+            step="30"
+            min="30"
+            required
+            className={inputClass}
+            value={form.maxDurationMinutes}
+            onChange={update("maxDurationMinutes")}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className={labelClass}>Opens</label>
+          <input
+            type="time"
+            required
+            className={inputClass}
+            value={form.openTime}
+            onChange={update("openTime")}
+          />
+        </div>
+        <div className="space-y-2">
+          <label className={labelClass}>Closes</label>
+          <input
+            type="time"
+            required
+            className={inputClass}
+            value={form.closeTime}
+            onChange={update("closeTime")}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <label className={labelClass}>Timezone</label>
+        <input
+          required
+          className={inputClass}
+          value={form.timezone}
+          onChange={update("timezone")}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-6">
+        <label className="flex items-center gap-2 text-xs font-bold text-slate-700">
+          <input
+            type="checkbox"
+            checked={form.isPooled}
+            onChange={update("isPooled")}
+          />
+          Pooled capacity (no individual units)
+        </label>
+        <label className="flex items-center gap-2 text-xs font-bold text-slate-700">
+          <input
+            type="checkbox"
+            checked={form.requiresApproval}
+            onChange={update("requiresApproval")}
+          />
+          Bookings require approval
+        </label>
+      </div>
+
+      {form.isPooled ? (
+        <div className="space-y-2">
+          <label className={labelClass}>Capacity</label>
+          <input
+            type="number"
+            min="1"
+            required
+            className={inputClass}
+            value={form.totalCapacity}
+            onChange={update("totalCapacity")}
+          />
+        </div>
+      ) : (
+        isNew && (
+          <div className="space-y-2">
+            <label className={labelClass}>Units (comma separated)</label>
+            <input
+              className={inputClass}
+              placeholder="Court A, Court B"
+              value={form.unitNames}
+              onChange={update("unitNames")}
+            />
+          </div>
+        )
+      )}
+
+      {requestError && (
+        <div className="p-4 rounded-2xl bg-rose-50 border border-rose-200">
+          <p className="text-xs text-rose-800 font-medium">{requestError}</p>
+        </div>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 py-3 px-4 rounded-2xl text-sm font-bold text-slate-500 bg-slate-100 hover:bg-slate-200"
+        >
+          Dismiss
+        </button>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="flex-2 py-3 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isSubmitting ? "Saving..." : "Save Facility"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function MaintenanceForm({ unit, onCancel, onSaved }) {
+  const [windowTimes, setWindowTimes] = useState({ start: "", end: "" });
+  const [reason, setReason] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const { data } = await apiClient.post(
+        `/admin/units/${unit.id}/maintenance`,
+        {
+          startsAt: new Date(windowTimes.start).toISOString(),
+          endsAt: new Date(windowTimes.end).toISOString(),
+          reason,
+        },
+      );
+      alert(
+        `${unit.unit_name} is out of service. Moved ${data.relocated.length} booking(s), released ${data.released.length}.`,
+      );
+      onSaved();
+    } catch (err) {
+      alert(err.message || "Could not schedule maintenance.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-2 grid grid-cols-2 gap-2 p-3 rounded-xl bg-white border border-rose-100"
+    >
+      <input
+        type="datetime-local"
+        required
+        className="px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold"
+        value={windowTimes.start}
+        onChange={(e) =>
+          setWindowTimes({ ...windowTimes, start: e.target.value })
+        }
+      />
+      <input
+        type="datetime-local"
+        required
+        min={windowTimes.start}
+        className="px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold"
+        value={windowTimes.end}
+        onChange={(e) =>
+          setWindowTimes({ ...windowTimes, end: e.target.value })
+        }
+      />
+      <input
+        required
+        placeholder="Reason shown to students"
+        className="col-span-2 px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold"
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+      />
+      <button
+        type="button"
+        onClick={onCancel}
+        className="py-2 rounded-lg text-[10px] font-bold text-slate-500 bg-slate-100 hover:bg-slate-200"
+      >
+        Dismiss
+      </button>
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="py-2 rounded-lg text-[10px] font-bold text-white bg-rose-600 hover:bg-rose-700 disabled:opacity-50"
+      >
+        {isSubmitting ? "Applying..." : "Take Out of Service"}
+      </button>
+    </form>
+  );
+}
+
+export function AdminPanel() {
+  const [facilities, setFacilities] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [editingFacility, setEditingFacility] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newUnitNames, setNewUnitNames] = useState({});
+  const [maintenanceUnitId, setMaintenanceUnitId] = useState(null);
+  // Facility id whose calendar is open, or "campus" for campus-wide closures
+  const [calendarTarget, setCalendarTarget] = useState(null);
+  const [showStrikes, setShowStrikes] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showWebhooks, setShowWebhooks] = useState(false);
+
+  const fetchFacilities = useCallback(async () => {
+    try {
+      const { data } = await apiClient.get("/admin/facilities");
+      setFacilities(data);
+    } catch (err) {
+      console.error("Failed to fetch facilities:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFacilities();
+  }, [fetchFacilities]);
+
+  // Run an admin mutation, surface refusals (e.g. upcoming bookings) and refresh
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      await action();
+      fetchFacilities();
+    } catch (err) {
+      alert(err.message || fallbackMessage);
+    }
+  };
+
+  const handleRemoveFacility = (facility) => {
+    if (!window.confirm(`Remove ${facility.name}? Its history is kept.`))
+      return;
+    runAction(
+      () => apiClient.delete(`/admin/facilities/${facility.id}`),
+      "Could not remove this facility.",
+    );
+  };
+
+  const handleAddUnit = (facilityId) => {
+    const unitName = (newUnitNames[facilityId] || "").trim();
+    if (!unitName) return;
+    runAction(async () => {
+      await apiClient.post(`/admin/facilities/${facilityId}/units`, {
+        unitName,
+      });
+      setNewUnitNames({ ...newUnitNames, [facilityId]: "" });
+    }, "Could not add this unit.");
+  };
+
+  const handleRenameUnit = (unit) => {
+    const unitName = window.prompt("New unit name", unit.unit_name);
+    if (!unitName || unitName === unit.unit_name) return;
+    runAction(
+      () => apiClient.put(`/admin/units/${unit.id}`, { unitName }),
+      "Could not rename this unit.",
+    );
+  };
+
+  const handleToggleUnit = (unit) =>
+    runAction(
+      () =>
+        apiClient.put(`/admin/units/${unit.id}`, {
+          isOperational: !unit.is_operational,
+        }),
+      "Could not update this unit.",
+    );
+
+  const handleRemoveUnit = (unit) => {
+    if (!window.confirm(`Remove ${unit.unit_name}?`)) return;
+    runAction(
+      () => apiClient.delete(`/admin/units/${unit.id}`),
+      "Could not remove this unit.",
+    );
+  };
+
+  const handleEndMaintenance = (downtime) =>
+    runAction(
+      () => apiClient.delete(`/admin/maintenance/${downtime.id}`),
+      "Could not end this maintenance window.",
+    );
+
+  const formatWindow = (downtime) => {
+    const format = (isoStr) =>
+      new Date(isoStr).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+    return `${format(downtime.starts_at)} → ${format(downtime.ends_at)}`;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-20 space-y-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        <p className="text-slate-400 font-medium text-sm">
+          Loading facilities…
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 max-w-3xl mx-auto">
+      {isCreating ? (
+        <FacilityForm
+          onCancel={() => setIsCreating(false)}
+          onSaved={() => {
+            setIsCreating(false);
+            fetchFacilities();
+          }}
+        />
+      ) : (
+        <button
+          onClick={() => setIsCreating(true)}
+          className="w-full py-4 border-2 border-dashed border-indigo-200 rounded-3xl text-sm font-bold text-indigo-600 hover:bg-indigo-50 transition-all"
+        >
+          + New Facility
+        </button>
+      )}
+
+      {calendarTarget === "campus" ? (
+        <CalendarEditor onClose={() => setCalendarTarget(null)} />
+      ) : (
+        <button
+          onClick={() => setCalendarTarget("campus")}
+          className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+        >
+          Campus Holidays &amp; Closures
+        </button>
+      )}
+
+      {showStrikes ? (
+        <StrikeLedger onClose={() => setShowStrikes(false)} />
+      ) : (
+        <button
+          onClick={() => setShowStrikes(true)}
+          className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+        >
+          No-show Strikes
+        </button>
+      )}
+
+      {showExport ? (
+        <BookingExport
+          facilities={facilities}
+          onClose={() => setShowExport(false)}
+        />
+      ) : (
+        <button
+          onClick={() => setShowExport(true)}
+          className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+        >
+          Export Bookings
+        </button>
+      )}
+
+      {showImport ? (
+        <CatalogImport
+          onClose={() => setShowImport(false)}
+          onImported={fetchFacilities}
+        />
+      ) : (
+        <button
+          onClick={() => setShowImport(true)}
+          className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+        >
+          Import Facilities &amp; Bookings
+        </button>
+      )}
+
+      {showWebhooks ? (
+        <WebhookManager onClose={() => setShowWebhooks(false)} />
+      ) : (
+        <button
+          onClick={() => setShowWebhooks(true)}
+          className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+        >
+          Booking Webhooks
+        </button>
+      )}
+
+      {facilities.map((facility) =>
+        editingFacility?.id === facility.id ? (
+          <FacilityForm
+            key={facility.id}
+            facility={facility}
+            onCancel={() => setEditingFacility(null)}
+            onSaved={() => {
+              setEditingFacility(null);
+              fetchFacilities();
+            }}
+          />
+        ) : (
+          <div
+            key={facility.id}
+            className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm"
+          >
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h4 className="font-extrabold text-slate-900 text-lg">
+                  {facility.name}
+                </h4>
+                <p className="text-xs text-slate-500 mt-1">
+                  {facility.category} ·{" "}
+                  {facility.is_pooled
+                    ? `Pooled, capacity ${facility.total_capacity}`
+                    : `${facility.units.length} unit(s)`}{" "}
+                  · {facility.open_time.slice(0, 5)}–
+                  {facility.close_time.slice(0, 5)} ({facility.timezone}) ·{" "}
+                  {facility.min_duration_minutes}–
+                  {facility.max_duration_minutes} min
+                  {facility.requires_approval && " · Approval required"}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => setEditingFacility(facility)}
+                  className="px-4 py-2 bg-white border border-indigo-100 text-indigo-600 rounded-xl text-[10px] font-bold hover:bg-indigo-50"
+                >
+                  Edit
+                </button>
+                <button
+                  onClick={() =>
+                    setCalendarTarget(
+                      calendarTarget === facility.id ? null : facility.id,
+                    )
+                  }
+                  className="px-4 py-2 bg-white border border-indigo-100 text-indigo-600 rounded-xl text-[10px] font-bold hover:bg-indigo-50"
+                >
+                  Calendar
+                </button>
+                <button
+                  onClick={() => handleRemoveFacility(facility)}
+                  className="px-4 py-2 bg-slate-200 text-slate-700 rounded-xl text-[10px] font-bold hover:bg-rose-600 hover:text-white"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+
+            {calendarTarget === facility.id && (
+              <CalendarEditor
+                facility={facility}
+                onClose={() => setCalendarTarget(null)}
+              />
+            )}
+
+            {!facility.is_pooled && (
+              <div className="mt-4 space-y-2">
+                {facility.units.map((unit) => (
+                  <div
+                    key={unit.id}
+                    className="px-4 py-2 rounded-xl bg-slate-50"
+                  >
+                    <div className="flex items-center justify-between">
+                      <span
+                        className={`text-xs font-bold ${unit.is_operational ? "text-slate-800" : "text-slate-400 line-through"}`}
+                      >
+                        {unit.unit_name}
+                      </span>
+                      <div className="flex gap-3 text-[10px] font-bold">
+                        <button
+                          onClick={() => handleRenameUnit(unit)}
+                          className="text-indigo-600 hover:text-indigo-800"
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => handleToggleUnit(unit)}
+                          className="text-amber-600 hover:text-amber-800"
+                        >
+                          {unit.is_operational ? "Disable" : "Enable"}
+                        </button>
+                        <button
+                          onClick={() => setMaintenanceUnitId(unit.id)}
+                          className="text-rose-600 hover:text-rose-800"
+                        >
+                          Maintenance
+                        </button>
+                        <button
+                          onClick={() => handleRemoveUnit(unit)}
+                          className="text-rose-600 hover:text-rose-800"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+
+                    {unit.maintenance.map((downtime) => (
+                      <div
+                        key={downtime.id}
+                        className="mt-1 flex items-center justify-between text-[10px] text-rose-700"
+                      >
+                        <span>
+                          🔧 {formatWindow(downtime)} · {downtime.reason}
+                        </span>
+                        <button
+                          onClick={() => handleEndMaintenance(downtime)}
+                          className="font-bold hover:text-rose-900"
+                        >
+                          End
+                        </button>
+                      </div>
+                    ))}
+
+                    {maintenanceUnitId === unit.id && (
+                      <MaintenanceForm
+                        unit={unit}
+                        onCancel={() => setMaintenanceUnitId(null)}
+                        onSaved={() => {
+                          setMaintenanceUnitId(null);
+                          fetchFacilities();
+                        }}
+                      />
+                    )}
+                  </div>
+                ))}
+
+                <div className="flex gap-2 pt-1">
+                  <input
+                    placeholder="New unit name"
+                    className="flex-1 px-4 py-2 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-xs font-semibold"
+                    value={newUnitNames[facility.id] || ""}
+                    onChange={(e) =>
+                      setNewUnitNames({
+                        ...newUnitNames,
+                        [facility.id]: e.target.value,
+                      })
+                    }
+                  />
+                  <button
+                    onClick={() => handleAddUnit(facility.id)}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-[10px] font-bold hover:bg-indigo-700"
+                  >
+                    Add Unit
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ),
+      )}
+    </div>
+  );
+}
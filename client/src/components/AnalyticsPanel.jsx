@@ -0,0 +1,263 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// Blank dates let the server pick its default range
+const toParams = (from, to) => ({
+  ...(from && { from }),
+  ...(to && { to }),
+});
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? "—" : `${Math.round(value * 100)}%`;
+
+// Horizontal bar for a 0–1 share
+function ShareBar({ value, colorClass = "bg-indigo-500" }) {
+  return (
+    <div className="h-2 w-full bg-slate-100 rounded-full overflow-hidden">
+      <div
+        className={`h-full rounded-full ${colorClass}`}
+        style={{ width: `${Math.min(100, (value || 0) * 100)}%` }}
+      />
+    </div>
+  );
+}
+
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="bg-slate-50 rounded-2xl p-4">
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+        {label}
+      </p>
+      <p className="text-2xl font-extrabold text-slate-900 mt-1">{value}</p>
+      {hint && <p className="text-[10px] text-slate-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+// Weekday x hour grid; darker cells mean more of the capacity was booked
+function Heatmap({ cells }) {
+  if (cells.length === 0) {
+    return <p className="text-xs text-slate-400">No bookings in this range.</p>;
+  }
+
+  const hours = cells.map((cell) => cell.hour);
+  const firstHour = Math.min(...hours);
+  const lastHour = Math.max(...hours);
+  const hourRange = Array.from(
+    { length: lastHour - firstHour + 1 },
+    (_, index) => firstHour + index,
+  );
+  const lookup = new Map(
+    cells.map((cell) => [`${cell.weekday}:${cell.hour}`, cell]),
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-[10px] border-separate border-spacing-1">
+        <thead>
+          <tr>
+            <th />
+            {hourRange.map((hour) => (
+              <th key={hour} className="font-bold text-slate-400 w-8">
+                {String(hour).padStart(2, "0")}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {WEEKDAYS.map((day, index) => (
+            <tr key={day}>
+              <td className="font-bold text-slate-500 pr-2">{day}</td>
+              {hourRange.map((hour) => {
+                const cell = lookup.get(`${index + 1}:${hour}`);
+                return (
+                  <td
+                    key={hour}
+                    title={
+                      cell
+                        ? `${day} ${hour}:00 · ${cell.bookedHours}h booked · ${formatPercent(cell.occupancy)} of capacity`
+                        : `${day} ${hour}:00 · nothing booked`
+                    }
+                    className="w-8 h-6 rounded bg-indigo-600"
+                    style={{
+                      opacity: cell
+                        ? 0.15 + Math.min(1, cell.occupancy) * 0.85
+                        : 0.05,
+                    }}
+                  />
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function FacilityReport({ report }) {
+  const { totals, sessions, share } = report;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <StatTile
+          label="Utilization"
+          value={formatPercent(totals.utilization)}
+          hint={`${totals.bookedHours}h of ${totals.capacityHours}h open`}
+        />
+        <StatTile
+          label="Checked in"
+          value={formatPercent(totals.checkInRate)}
+          hint={`${totals.checkedIn} used · ${totals.noShows} no-shows`}
+        />
+        <StatTile
+          label="Avg session"
+          value={
+            sessions.averageMinutes === null
+              ? "—"
+              : `${Math.round(sessions.averageMinutes)}m`
+          }
+          hint={`${formatPercent(sessions.shareOfMax)} of the ${sessions.maxDurationMinutes}m maximum`}
+        />
+        <StatTile
+          label="Club share"
+          value={formatPercent(share.clubShare)}
+          hint={`${share.clubHours}h club · ${share.individualHours}h individual`}
+        />
+      </div>
+
+      {report.units.length > 0 && (
+        <div>
+          <h4 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-3">
+            By unit
+          </h4>
+          <div className="space-y-3">
+            {report.units.map((unit) => (
+              <div
+                key={unit.unitId}
+                className="grid grid-cols-[8rem_1fr_auto] items-center gap-4 text-xs"
+              >
+                <span className="font-bold text-slate-700 truncate">
+                  {unit.unitName}
+                </span>
+                <ShareBar value={unit.utilization} />
+                <span className="text-slate-500 w-48 text-right">
+                  {formatPercent(unit.utilization)} · {unit.bookedHours}h ·{" "}
+                  {formatPercent(unit.noShowRate)} no-show
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-xs font-bold text-slate-500 uppercase tracking-widest mb-3">
+          Peak hours ({report.facility.timezone})
+        </h4>
+        <Heatmap cells={report.heatmap} />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Admin reports on how facilities are used over a date range: booked vs open
+ * hours, no-shows, peak hours, session length and club share.
+ */
+export function AnalyticsPanel() {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [summary, setSummary] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [report, setReport] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+
+  const { from, to } = range;
+
+  useEffect(() => {
+    apiClient
+      .get("/admin/analytics/utilization", { params: toParams(from, to) })
+      .then(({ data }) => {
+        setSummary(data);
+        setRequestError(null);
+      })
+      .catch((err) => setRequestError(err.message));
+  }, [from, to]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    apiClient
+      .get(`/admin/analytics/facilities/${selectedId}`, {
+        params: toParams(from, to),
+      })
+      .then(({ data }) => setReport(data))
+      .catch((err) => setRequestError(err.message));
+  }, [selectedId, from, to]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-4">
+        {["from", "to"].map((field) => (
+          <label key={field} className="space-y-1">
+            <span className="block text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+              {field}
+            </span>
+            <input
+              type="date"
+              value={range[field]}
+              onChange={(e) => setRange({ ...range, [field]: e.target.value })}
+              className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-xs font-bold text-slate-700"
+            />
+          </label>
+        ))}
+        {summary?.[0] && (
+          <p className="text-xs text-slate-400 pb-2">
+            Showing {summary[0].from} to {summary[0].to}
+          </p>
+        )}
+      </div>
+
+      {requestError && (
+        <p className="text-xs font-medium text-rose-600">{requestError}</p>
+      )}
+
+      {summary && (
+        <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+          <div className="grid grid-cols-[1fr_2fr_auto] gap-x-6 gap-y-4 items-center text-xs">
+            {summary.map((facility) => (
+              <button
+                key={facility.facilityId}
+                onClick={() => setSelectedId(facility.facilityId)}
+                className="contents text-left group"
+              >
+                <span
+                  className={`font-bold truncate ${selectedId === facility.facilityId ? "text-indigo-600" : "text-slate-800 group-hover:text-indigo-600"}`}
+                >
+                  {facility.name}
+                </span>
+                <ShareBar value={facility.utilization} />
+                <span className="text-slate-500 w-56 text-right">
+                  {formatPercent(facility.utilization)} used ·{" "}
+                  {formatPercent(facility.noShowRate)} no-show ·{" "}
+                  {facility.cancelled} cancelled
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report && report.facility.id === selectedId && (
+        <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+          <h3 className="font-extrabold text-slate-900 text-lg mb-4">
+            {report.facility.name}
+          </h3>
+          <FacilityReport report={report} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+
+export function ApprovalQueue() {
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [rejectingId, setRejectingId] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState("");
+
+  const fetchQueue = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const { data } = await apiClient.get("/approvals");
+      setRequests(data);
+    } catch (err) {
+      console.error("Failed to fetch approval queue:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleApprove = async (bookingId) => {
+    try {
+      await apiClient.post("/approvals/approve", { bookingId });
+      fetchQueue();
+    } catch (err) {
+      alert(err.message || "Approval failed.");
+    }
+  };
+
+  const handleReject = async (e) => {
+    if (e) e.preventDefault();
+    try {
+      await apiClient.post("/approvals/reject", {
+        bookingId: rejectingId,
+        reason: rejectionReason,
+      });
+      setRejectingId(null);
+      setRejectionReason("");
+      fetchQueue();
+    } catch (err) {
+      alert(err.message || "Rejection failed.");
+    }
+  };
+
+  // Requests are shown on the facility's clock
+  const formatRange = (startIso, endIso, timeZone) => {
+    const start = new Date(startIso);
+    const end = new Date(endIso);
+    const day = start.toLocaleDateString("en-IN", {
+      day: "numeric",
+      month: "short",
+      timeZone,
+    });
+    const time = (date) =>
+      date.toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone,
+      });
+    return `${day} · ${time(start)} → ${time(end)}`;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex flex-col items-center justify-center py-20 space-y-4">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        <p className="text-slate-400 font-medium text-sm">
+          Loading pending requests…
+        </p>
+      </div>
+    );
+  }
+
+  if (requests.length === 0) {
+    return (
+      <div className="bg-white border-2 border-dashed border-slate-200 rounded-3xl p-16 text-center max-w-3xl mx-auto">
+        <div className="text-5xl mb-6">✅</div>
+        <h3 className="text-slate-900 font-bold text-xl">All caught up.</h3>
+        <p className="text-slate-500 mt-2">
+          No event-space requests are waiting for a decision.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 max-w-3xl mx-auto">
+      {requests.map((request) => (
+        <div
+          key={request.id}
+          className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm"
+        >
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+            <div>
+              <h4 className="font-extrabold text-slate-900 text-lg">
+                {request.facility_name}
+                {request.unit_name && (
+                  <span className="text-slate-400 font-bold">
+                    {" "}
+                    · {request.unit_name}
+                  </span>
+                )}
+              </h4>
+              <p className="text-xs font-bold text-slate-700 mt-1">
+                {formatRange(
+                  request.starts_at,
+                  request.ends_at,
+                  request.timezone,
+                )}
+              </p>
+              <p className="text-xs text-slate-500 mt-1">
+                Requested by{" "}
+                <span className="font-bold text-slate-700">
+                  {request.club_name || request.booked_by}
+                </span>
+                {request.club_name && ` (${request.booked_by})`}
+              </p>
+            </div>
+
+            {rejectingId !== request.id && (
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleApprove(request.id)}
+                  className="px-6 py-3 bg-emerald-600 text-white rounded-2xl text-xs font-bold hover:bg-emerald-700 shadow-lg shadow-emerald-100 transition-all active:scale-95"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => {
+                    setRejectingId(request.id);
+                    setRejectionReason("");
+                  }}
+                  className="px-6 py-3 bg-slate-200 text-slate-700 rounded-2xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all active:scale-95"
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+          </div>
+
+          {rejectingId === request.id && (
+            <form onSubmit={handleReject} className="mt-4 flex gap-3">
+              <input
+                type="text"
+                required
+                autoFocus
+                placeholder="Reason shared with the requester"
+                className="flex-1 px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-rose-500 outline-none text-sm font-semibold"
+                value={rejectionReason}
+                onChange={(e) => setRejectionReason(e.target.value)}
+              />
+              <button
+                type="submit"
+                className="px-6 py-3 bg-rose-600 text-white rounded-2xl text-xs font-bold hover:bg-rose-700 transition-all active:scale-95"
+              >
+                Confirm
+              </button>
+              <button
+                type="button"
+                onClick={() => setRejectingId(null)}
+                className="px-4 py-3 text-slate-400 rounded-2xl text-xs font-bold hover:text-slate-600"
+              >
+                Back
+              </button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import apiClient from "../api/apiClient.js";
+
+const STATUSES = [
+  "pending_approval",
+  "rejected",
+  "scheduled",
+  "checked_in",
+  "completed",
+  "released",
+];
+
+const EMPTY_FILTERS = {
+  from: "",
+  to: "",
+  facilityId: "",
+  userName: "",
+  clubName: "",
+};
+
+/**
+ * Admin download of bookings as CSV (for spreadsheets) or NDJSON, narrowed by
+ * date range, facility, status, booker or club. Blank filters match everything.
+ */
+export function BookingExport({ facilities, onClose }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [statuses, setStatuses] = useState([]);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const toggleStatus = (status) =>
+    setStatuses(
+      statuses.includes(status)
+        ? statuses.filter((item) => item !== status)
+        : [...statuses, status],
+    );
+
+  const handleExport = async (format) => {
+    const params = Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => value.trim()),
+    );
+    if (statuses.length) params.status = statuses.join(",");
+
+    setIsExporting(true);
+    try {
+      const { data } = await apiClient.get("/admin/exports/bookings", {
+        params: { ...params, format },
+        responseType: "blob",
+      });
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `bookings.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || "Export failed.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs text-slate-700";
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-extrabold text-slate-900 text-lg">
+          Export Bookings
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-xs font-bold text-slate-400 hover:text-slate-600"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          className={inputClass}
+        />
+        <select
+          value={filters.facilityId}
+          onChange={(e) =>
+            setFilters({ ...filters, facilityId: e.target.value })
+          }
+          className={inputClass}
+        >
+          <option value="">All facilities</option>
+          {facilities.map((facility) => (
+            <option key={facility.id} value={facility.id}>
+              {facility.name}
+            </option>
+          ))}
+        </select>
+        <input
+          placeholder="Booked by (user name)"
+          value={filters.userName}
+          onChange={(e) => setFilters({ ...filters, userName: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          placeholder="Club name"
+          value={filters.clubName}
+          onChange={(e) => setFilters({ ...filters, clubName: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUSES.map((status) => (
+          <button
+            key={status}
+            onClick={() => toggleStatus(status)}
+            className={`px-3 py-1 rounded-lg text-[10px] font-bold uppercase tracking-widest border transition-all ${statuses.includes(status) ? "bg-indigo-600 text-white border-indigo-600" : "bg-white text-slate-500 border-slate-200 hover:border-indigo-200"}`}
+          >
+            {status.replace("_", " ")}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          disabled={isExporting}
+          onClick={() => handleExport("csv")}
+          className="px-6 py-3 bg-indigo-600 text-white rounded-2xl text-xs font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+        >
+          Download CSV
+        </button>
+        <button
+          disabled={isExporting}
+          onClick={() => handleExport("ndjson")}
+          className="px-6 py-3 bg-white border border-indigo-100 text-indigo-600 rounded-2xl text-xs font-bold hover:bg-indigo-50 disabled:opacity-50 transition-all"
+        >
+          Download NDJSON
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+
+const EVENT_LABELS = {
+  created: "Booked",
+  approved: "Approved",
+  rejected: "Not approved",
+  cancelled: "Cancelled",
+  checked_in: "Checked in",
+  checked_out: "Checked out",
+  completed: "Completed",
+  no_show: "Marked as no-show",
+  extended: "Extended",
+  rescheduled: "Rescheduled",
+  relocated: "Moved to another unit",
+  released: "Released by the system",
+};
+
+// Dots follow the outcome: green confirms, red ends the booking, indigo changes it
+const EVENT_COLORS = {
+  approved: "bg-emerald-500",
+  checked_in: "bg-emerald-500",
+  completed: "bg-emerald-500",
+  checked_out: "bg-emerald-500",
+  rejected: "bg-rose-500",
+  cancelled: "bg-rose-500",
+  no_show: "bg-rose-500",
+  released: "bg-rose-500",
+};
+
+/**
+ * Side drawer with a booking's audit timeline: every change, who made it, and
+ * why. Times are shown on the facility's clock.
+ */
+export function BookingHistory({ booking, onClose }) {
+  const [history, setHistory] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+
+  useEffect(() => {
+    apiClient
+      .get(`/bookings/${booking.id}/history`)
+      .then(({ data }) => setHistory(data))
+      .catch((err) => setRequestError(err.message));
+  }, [booking.id]);
+
+  const formatStamp = (isoStr) =>
+    new Date(isoStr).toLocaleString("en-IN", {
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: booking.timezone,
+    });
+
+  // Before → after for changes that moved the booking in time or space
+  const describeDetails = (details) => {
+    if (!details) return [];
+
+    const lines = [];
+    if (details.previousStartsAt && details.startsAt) {
+      lines.push(
+        `${formatStamp(details.previousStartsAt)} → ${formatStamp(details.startsAt)}`,
+      );
+    }
+    if (details.previousEndsAt && details.endsAt) {
+      lines.push(
+        `Ends ${formatStamp(details.previousEndsAt)} → ${formatStamp(details.endsAt)}`,
+      );
+    }
+    if (details.previousUnit || details.unit) {
+      lines.push(`${details.previousUnit || "—"} → ${details.unit || "—"}`);
+    }
+    return lines;
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex justify-end"
+      onClick={onClose}
+    >
+      <aside
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white h-full w-full max-w-md shadow-2xl overflow-y-auto p-8 space-y-6"
+      >
+        <header className="flex items-start justify-between gap-4">
+          <div>
+            <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+              Booking #{booking.id}
+            </p>
+            <h2 className="text-xl font-extrabold text-slate-900 mt-1">
+              {booking.facility_name}
+            </h2>
+            {booking.unit_name && (
+              <p className="text-xs font-medium text-slate-500">
+                {booking.unit_name}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="text-xs font-bold text-slate-400 hover:text-slate-600"
+          >
+            Close
+          </button>
+        </header>
+
+        {requestError && (
+          <p className="text-xs font-medium text-rose-600">{requestError}</p>
+        )}
+
+        {history && history.events.length === 0 && (
+          <p className="text-xs text-slate-400">
+            No changes have been recorded for this booking.
+          </p>
+        )}
+
+        {history && (
+          <ol className="relative border-l-2 border-slate-100 ml-2 space-y-6">
+            {history.events.map((event) => (
+              <li key={event.id} className="pl-6 relative">
+                <span
+                  className={`absolute -left-[7px] top-1 w-3 h-3 rounded-full ring-4 ring-white ${EVENT_COLORS[event.event_type] || "bg-indigo-500"}`}
+                />
+                <div className="flex items-baseline justify-between gap-3">
+                  <h4 className="text-sm font-bold text-slate-900">
+                    {EVENT_LABELS[event.event_type] || event.event_type}
+                  </h4>
+                  <span className="text-[10px] font-bold text-slate-400 whitespace-nowrap">
+                    {formatStamp(event.created_at)}
+                  </span>
+                </div>
+                <p className="text-xs text-slate-500 mt-0.5">
+                  {event.actor ? `by ${event.actor}` : "by the system"}
+                  {event.previous_status &&
+                    ` · ${event.previous_status.replace("_", " ")} → ${event.new_status.replace("_", " ")}`}
+                </p>
+                {describeDetails(event.details).map((line) => (
+                  <p key={line} className="text-xs text-slate-600 mt-1">
+                    {line}
+                  </p>
+                ))}
+                {event.reason && (
+                  <p className="text-xs text-slate-600 italic mt-1">
+                    {event.reason}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -1,28 +1,44 @@
 import React, { useState, useEffect, useCallback } from "react";
 import apiClient from "../api/apiClient.js";
 import { useUser } from "../hooks/useUser.js";
+import { RescheduleModal } from "./RescheduleModal.jsx";
+import { CheckInScanner } from "./CheckInScanner.jsx";
+import { BookingStanding } from "./BookingStanding.jsx";
+import { CalendarFeeds } from "./CalendarFeeds.jsx";
+import { BookingHistory } from "./BookingHistory.jsx";
 
-export function BookingList() {
-  const { userName } = useUser();
+export function BookingList({ refreshKey }) {
+  const { isAuthenticated } = useUser();
   const [bookings, setBookings] = useState([]);
+  const [waitlist, setWaitlist] = useState([]);
+  const [standing, setStanding] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [seriesCancelId, setSeriesCancelId] = useState(null);
+  const [reschedulingBooking, setReschedulingBooking] = useState(null);
+  const [checkingInBooking, setCheckingInBooking] = useState(null);
+  const [historyBooking, setHistoryBooking] = useState(null);
 
   const fetchMyBookings = useCallback(async () => {
-    if (!userName) return;
-    setIsLoading(true);
+    if (!isAuthenticated) return;
     try {
-      const { data } = await apiClient.get(`/bookings/user/${userName}`);
-      setBookings(data);
+      const [bookingRes, waitlistRes, standingRes] = await Promise.all([
+        apiClient.get("/bookings/me"),
+        apiClient.get("/waitlist/me"),
+        apiClient.get("/bookings/me/standing"),
+      ]);
+      setBookings(bookingRes.data);
+      setWaitlist(waitlistRes.data);
+      setStanding(standingRes.data);
     } catch (err) {
       console.error("Failed to fetch bookings:", err);
     } finally {
       setIsLoading(false);
     }
-  }, [userName]);
+  }, [isAuthenticated]);
 
   const handleSessionAction = async (endpoint, bookingId) => {
     try {
-      await apiClient.post(endpoint, { bookingId, userName });
+      await apiClient.post(endpoint, { bookingId });
       // Authoritative refresh after status change
       fetchMyBookings();
     } catch (err) {
@@ -30,18 +46,63 @@ export function BookingList() {
     }
   };
 
-  const handleCancel = async (bookingId) => {
+  // Confirmed bookings cancelled close to the start earn a strike
+  const isLateCancellation = (booking) =>
+    booking.status === "scheduled" &&
+    standing &&
+    new Date(booking.starts_at) - Date.now() <
+      standing.lateCancellationMinutes * 60 * 1000;
+
+  const handleCancel = async (bookingId, scope = "single") => {
+    const booking = bookings.find((item) => item.id === bookingId);
+    if (
+      isLateCancellation(booking) &&
+      !window.confirm(
+        `This booking starts within ${standing.lateCancellationMinutes} minutes. Cancelling now counts as a strike. Cancel anyway?`,
+      )
+    )
+      return;
+
+    setSeriesCancelId(null);
     try {
-      await apiClient.post("/cancel", { bookingId, userName });
+      await apiClient.post("/cancel", { bookingId, scope });
       fetchMyBookings(); // Refresh list
     } catch (err) {
       alert(err.message || "Cancellation failed.");
     }
   };
 
+  // Downloads the booking as an .ics file the user's calendar app can open
+  const handleAddToCalendar = async (bookingId) => {
+    try {
+      const { data } = await apiClient.get(
+        `/calendar/bookings/${bookingId}.ics`,
+        { responseType: "blob" },
+      );
+      const url = URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `booking-${bookingId}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      alert(err.message || "Could not create the calendar file.");
+    }
+  };
+
+  const handleLeaveWaitlist = async (entryId) => {
+    try {
+      await apiClient.post("/waitlist/leave", { entryId });
+      fetchMyBookings();
+    } catch (err) {
+      alert(err.message || "Could not leave the waitlist.");
+    }
+  };
+
+  // refreshKey changes whenever a live event touches one of our bookings
   useEffect(() => {
     fetchMyBookings();
-  }, [fetchMyBookings]);
+  }, [fetchMyBookings, refreshKey]);
 
   const getResourceIcon = (facilityName, category) => {
     const name = facilityName.toLowerCase();
@@ -57,16 +118,19 @@ export function BookingList() {
     return "📍";
   };
 
-  const formatTime = (isoStr) => {
+  // Shown on the facility's clock
+  const formatTime = (isoStr, timeZone) => {
     return new Date(isoStr).toLocaleTimeString([], {
       hour: "2-digit",
       minute: "2-digit",
+      timeZone,
     });
   };
-  const formatDate = (isoStr) => {
+  const formatDate = (isoStr, timeZone) => {
     return new Date(isoStr).toLocaleDateString("en-IN", {
       day: "numeric",
       month: "short",
+      timeZone,
     });
   };
 
@@ -83,7 +147,10 @@ export function BookingList() {
 
   return (
     <div className="space-y-4 max-w-3xl mx-auto">
-      {bookings.length === 0 ? (
+      {standing && <BookingStanding standing={standing} />}
+      <CalendarFeeds />
+
+      {bookings.length === 0 && waitlist.length === 0 ? (
         <div className="bg-white border-2 border-dashed border-slate-200 rounded-3xl p-16 text-center animate-in fade-in duration-500">
           <div className="text-5xl mb-6">📭</div>
           <h3 className="text-slate-900 font-bold text-xl">
@@ -116,19 +183,24 @@ export function BookingList() {
                       Club: {booking.club_name}
                     </span>
                   )}
+                  {booking.series_id && (
+                    <span className="text-[10px] font-bold text-amber-600 uppercase tracking-widest bg-amber-50 px-2 py-0.5 rounded border border-amber-100">
+                      Repeats
+                    </span>
+                  )}
                 </div>
                 <div className="mt-3 space-y-1">
                   <div className="text-xs font-bold text-slate-700">
-                    {formatDate(booking.starts_at)}
+                    {formatDate(booking.starts_at, booking.timezone)}
                   </div>
 
                   <div className="flex items-center gap-2 text-slate-500">
                     <span className="text-xs font-bold text-slate-900">
-                      {formatTime(booking.starts_at)}
+                      {formatTime(booking.starts_at, booking.timezone)}
                     </span>
                     <span className="text-xs text-slate-300">→</span>
                     <span className="text-xs font-bold text-slate-900">
-                      {formatTime(booking.ends_at)}
+                      {formatTime(booking.ends_at, booking.timezone)}
                     </span>
 
                     <span className="text-[10px] ml-2 bg-slate-100 px-1.5 py-0.5 rounded font-bold uppercase tracking-tighter">
@@ -137,41 +209,146 @@ export function BookingList() {
                         : "Timed"}
                     </span>
                   </div>
+
+                  <div className="flex items-center gap-4">
+                    {(booking.status === "scheduled" ||
+                      booking.status === "pending_approval" ||
+                      booking.status === "checked_in") && (
+                      <button
+                        onClick={() => handleAddToCalendar(booking.id)}
+                        className="text-[10px] font-bold text-indigo-600 uppercase tracking-widest hover:underline"
+                      >
+                        + Add to calendar
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setHistoryBooking(booking)}
+                      className="text-[10px] font-bold text-slate-500 uppercase tracking-widest hover:underline"
+                    >
+                      History
+                    </button>
+                  </div>
+
+                  {booking.status_note && (
+                    <p
+                      className={`text-xs font-medium ${booking.status === "released" ? "text-rose-700" : "text-amber-700"}`}
+                    >
+                      {booking.status_note}
+                    </p>
+                  )}
+
+                  {booking.status === "rejected" && booking.decision_reason && (
+                    <p className="text-xs text-rose-700 font-medium">
+                      Not approved: {booking.decision_reason}
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
 
             <div className="flex items-center gap-4 w-full sm:w-auto justify-end border-t sm:border-t-0 pt-4 sm:pt-0">
-              {booking.status === "scheduled" && (
-                <div className="flex gap-3">
+              {(booking.status === "scheduled" ||
+                booking.status === "pending_approval") &&
+                seriesCancelId === booking.id && (
+                  <div className="flex flex-wrap gap-2 justify-end">
+                    <button
+                      onClick={() => handleCancel(booking.id, "single")}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-xl text-[10px] font-bold hover:bg-rose-600 hover:text-white transition-all"
+                    >
+                      This one
+                    </button>
+                    <button
+                      onClick={() => handleCancel(booking.id, "following")}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-xl text-[10px] font-bold hover:bg-rose-600 hover:text-white transition-all"
+                    >
+                      This & following
+                    </button>
+                    <button
+                      onClick={() => handleCancel(booking.id, "series")}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-xl text-[10px] font-bold hover:bg-rose-600 hover:text-white transition-all"
+                    >
+                      Entire series
+                    </button>
+                    <button
+                      onClick={() => setSeriesCancelId(null)}
+                      className="px-4 py-2 text-slate-400 rounded-xl text-[10px] font-bold hover:text-slate-600"
+                    >
+                      Keep
+                    </button>
+                  </div>
+                )}
+              {booking.status === "scheduled" &&
+                seriesCancelId !== booking.id && (
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => setCheckingInBooking(booking)}
+                      className="px-6 py-3 bg-emerald-600 text-white rounded-2xl text-xs font-bold hover:bg-emerald-700 shadow-lg shadow-emerald-100 transition-all active:scale-95"
+                    >
+                      Check In
+                    </button>
+
+                    <button
+                      onClick={() => setReschedulingBooking(booking)}
+                      className="px-6 py-3 bg-white border border-indigo-100 text-indigo-600 rounded-2xl text-xs font-bold hover:bg-indigo-50 transition-all active:scale-95"
+                    >
+                      Reschedule
+                    </button>
+
+                    <button
+                      onClick={() =>
+                        booking.series_id
+                          ? setSeriesCancelId(booking.id)
+                          : handleCancel(booking.id)
+                      }
+                      className="px-6 py-3 bg-slate-200 text-slate-700 rounded-2xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all active:scale-95"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              {booking.status === "pending_approval" &&
+                seriesCancelId !== booking.id && (
                   <button
-                    onClick={() => handleSessionAction("/check-in", booking.id)}
-                    className="px-6 py-3 bg-emerald-600 text-white rounded-2xl text-xs font-bold hover:bg-emerald-700 shadow-lg shadow-emerald-100 transition-all active:scale-95"
+                    onClick={() =>
+                      booking.series_id
+                        ? setSeriesCancelId(booking.id)
+                        : handleCancel(booking.id)
+                    }
+                    className="px-6 py-3 bg-slate-200 text-slate-700 rounded-2xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all active:scale-95"
                   >
-                    Check In
+                    Withdraw
                   </button>
-
+                )}
+              {booking.status === "checked_in" && (
+                <div className="flex gap-3">
+                  {booking.booking_type !== "full_day" && (
+                    <button
+                      onClick={() => handleSessionAction("/extend", booking.id)}
+                      className="px-6 py-3 bg-indigo-600 text-white rounded-2xl text-xs font-bold hover:bg-indigo-700 shadow-lg shadow-indigo-100 transition-all active:scale-95"
+                    >
+                      Extend +30m
+                    </button>
+                  )}
                   <button
-                    onClick={() => handleCancel(booking.id)}
-                    className="px-6 py-3 bg-slate-200 text-slate-700 rounded-2xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all active:scale-95"
+                    onClick={() =>
+                      handleSessionAction("/check-out", booking.id)
+                    }
+                    className="px-8 py-3 bg-rose-600 text-white rounded-2xl text-xs font-bold hover:bg-rose-700 shadow-lg shadow-rose-100 transition-all active:scale-95"
                   >
-                    Cancel
+                    Check Out
                   </button>
                 </div>
               )}
-              {booking.status === "checked_in" && (
-                <button
-                  onClick={() => handleSessionAction("/check-out", booking.id)}
-                  className="px-8 py-3 bg-rose-600 text-white rounded-2xl text-xs font-bold hover:bg-rose-700 shadow-lg shadow-rose-100 transition-all active:scale-95"
-                >
-                  Check Out
-                </button>
-              )}
               <div
                 className={`px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest border ${
                   booking.status === "checked_in"
                     ? "bg-emerald-50 text-emerald-700 border-emerald-100"
-                    : "bg-indigo-50 text-indigo-700 border-indigo-100"
+                    : booking.status === "pending_approval"
+                      ? "bg-amber-50 text-amber-700 border-amber-100"
+                      : booking.status === "rejected" ||
+                          booking.status === "released"
+                        ? "bg-rose-50 text-rose-700 border-rose-100"
+                        : "bg-indigo-50 text-indigo-700 border-indigo-100"
                 }`}
               >
                 ● {booking.status.replace("_", " ")}
@@ -180,6 +357,84 @@ export function BookingList() {
           </div>
         ))
       )}
+
+      {waitlist.map((entry) => (
+        <div
+          key={`waitlist-${entry.id}`}
+          className="bg-white border border-dashed border-amber-200 rounded-3xl p-6 flex flex-col sm:flex-row items-center justify-between gap-6"
+        >
+          <div className="flex items-center gap-6 w-full sm:w-auto">
+            <div className="w-16 h-16 bg-amber-50 text-amber-600 rounded-2xl flex items-center justify-center text-3xl shrink-0">
+              ⏳
+            </div>
+            <div className="overflow-hidden">
+              <h4 className="font-extrabold text-slate-900 text-lg truncate">
+                {entry.facility_name}
+              </h4>
+              <div className="mt-1 flex items-center gap-2">
+                <span className="text-[10px] font-bold text-indigo-600 uppercase tracking-widest bg-indigo-50 px-2 py-0.5 rounded border border-indigo-100">
+                  {entry.unit_name || "General Access Space"}
+                </span>
+              </div>
+              <div className="mt-3 space-y-1">
+                <div className="text-xs font-bold text-slate-700">
+                  {formatDate(entry.starts_at, entry.timezone)}
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-bold text-slate-900">
+                    {formatTime(entry.starts_at, entry.timezone)}
+                  </span>
+                  <span className="text-xs text-slate-300">→</span>
+                  <span className="text-xs font-bold text-slate-900">
+                    {formatTime(entry.ends_at, entry.timezone)}
+                  </span>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex items-center gap-4 w-full sm:w-auto justify-end border-t sm:border-t-0 pt-4 sm:pt-0">
+            <button
+              onClick={() => handleLeaveWaitlist(entry.id)}
+              className="px-6 py-3 bg-slate-200 text-slate-700 rounded-2xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all active:scale-95"
+            >
+              Leave
+            </button>
+            <div className="px-4 py-2 rounded-xl text-[10px] font-black uppercase tracking-widest border bg-amber-50 text-amber-700 border-amber-100">
+              ● Waitlisted
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {reschedulingBooking && (
+        <RescheduleModal
+          booking={reschedulingBooking}
+          onClose={() => setReschedulingBooking(null)}
+          onSuccess={() => {
+            setReschedulingBooking(null);
+            fetchMyBookings();
+          }}
+        />
+      )}
+
+      {historyBooking && (
+        <BookingHistory
+          booking={historyBooking}
+          onClose={() => setHistoryBooking(null)}
+        />
+      )}
+
+      {checkingInBooking && (
+        <CheckInScanner
+          booking={checkingInBooking}
+          onClose={() => setCheckingInBooking(null)}
+          onSuccess={() => {
+            setCheckingInBooking(null);
+            fetchMyBookings();
+          }}
+        />
+      )}
     </div>
   );
 }
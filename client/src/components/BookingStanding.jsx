@@ -0,0 +1,91 @@
+import { useState } from "react";
+
+const STRIKE_LABELS = {
+  no_show: "No-show",
+  late_cancellation: "Late cancellation",
+};
+
+const STATUS_STYLES = {
+  good: "bg-emerald-50 border-emerald-100 text-emerald-700",
+  restricted: "bg-amber-50 border-amber-100 text-amber-700",
+  suspended: "bg-rose-50 border-rose-100 text-rose-700",
+};
+
+const formatDay = (isoStr, timeZone) =>
+  new Date(isoStr).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+    timeZone,
+  });
+
+// One-line summary of what the current standing allows
+const describeStanding = (standing) => {
+  if (standing.status === "suspended") {
+    return `Booking is suspended until ${formatDay(standing.suspendedUntil)}.`;
+  }
+  if (standing.status === "restricted") {
+    return `You can book up to ${standing.horizonDays} days ahead and hold ${standing.maxUpcomingBookings} upcoming bookings at a time.`;
+  }
+  return "No penalties. Check in on time to keep it that way.";
+};
+
+/**
+ * Booking standing from no-shows and late cancellations, with the strike
+ * history behind it.
+ */
+export function BookingStanding({ standing }) {
+  const [showHistory, setShowHistory] = useState(false);
+
+  return (
+    <div
+      className={`border rounded-3xl px-6 py-4 ${STATUS_STYLES[standing.status]}`}
+    >
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <p className="text-xs font-bold uppercase tracking-widest">
+            {standing.status === "good"
+              ? "Good standing"
+              : standing.status === "restricted"
+                ? "Restricted"
+                : "Suspended"}
+            <span className="ml-2 font-semibold normal-case tracking-normal">
+              {standing.strikeCount} strike
+              {standing.strikeCount === 1 ? "" : "s"} in the last{" "}
+              {standing.windowDays} days
+            </span>
+          </p>
+          <p className="text-xs font-medium mt-1">
+            {describeStanding(standing)}
+          </p>
+        </div>
+        {standing.strikes.length > 0 && (
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="text-[10px] font-bold uppercase tracking-widest shrink-0 hover:underline"
+          >
+            {showHistory ? "Hide history" : "History"}
+          </button>
+        )}
+      </div>
+
+      {showHistory && (
+        <ul className="mt-3 pt-3 border-t border-slate-200/60 space-y-1">
+          {standing.strikes.map((strike) => (
+            <li
+              key={strike.id}
+              className={`text-xs ${strike.forgiven_at || !strike.in_window ? "opacity-50" : ""}`}
+            >
+              <span className="font-bold">{STRIKE_LABELS[strike.reason]}</span>{" "}
+              · {strike.facility_name}
+              {strike.unit_name && ` (${strike.unit_name})`},{" "}
+              {formatDay(strike.starts_at, strike.timezone)}
+              {strike.forgiven_at
+                ? ` · Forgiven: ${strike.forgive_reason}`
+                : !strike.in_window && " · Expired"}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const EMPTY_CLOSURE = {
+  startsOn: "",
+  endsOn: "",
+  openTime: "",
+  closeTime: "",
+  reason: "",
+};
+
+const fieldClass =
+  "px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold";
+
+// Build one editable row per weekday; weekdays without a saved row use the defaults
+const toWeekRows = (savedDays, facility) =>
+  WEEKDAYS.map((_, weekday) => {
+    const saved = savedDays.find((day) => day.weekday === weekday);
+    return {
+      weekday,
+      mode: !saved ? "default" : saved.is_closed ? "closed" : "custom",
+      openTime: (saved?.open_time || facility.open_time).slice(0, 5),
+      closeTime: (saved?.close_time || facility.close_time).slice(0, 5),
+    };
+  });
+
+/**
+ * Weekly hours and closures for one facility, or campus-wide closures when
+ * no facility is given.
+ */
+export function CalendarEditor({ facility, onClose }) {
+  const [weekRows, setWeekRows] = useState([]);
+  const [closures, setClosures] = useState([]);
+  const [closureForm, setClosureForm] = useState(EMPTY_CLOSURE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchCalendar = useCallback(async () => {
+    try {
+      const { data } = await apiClient.get(
+        facility
+          ? `/admin/closures?facilityId=${facility.id}`
+          : "/admin/closures",
+      );
+      setClosures(
+        facility ? data : data.filter((closure) => !closure.facility_id),
+      );
+
+      if (facility) {
+        const { data: days } = await apiClient.get(
+          `/admin/facilities/${facility.id}/hours`,
+        );
+        setWeekRows(toWeekRows(days, facility));
+      }
+    } catch (err) {
+      console.error("Failed to fetch calendar:", err);
+    }
+  }, [facility]);
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [fetchCalendar]);
+
+  const updateRow = (weekday, field, value) =>
+    setWeekRows(
+      weekRows.map((row) =>
+        row.weekday === weekday ? { ...row, [field]: value } : row,
+      ),
+    );
+
+  const handleSaveHours = async () => {
+    setIsSaving(true);
+    try {
+      const days = weekRows
+        .filter((row) => row.mode !== "default")
+        .map((row) => ({
+          weekday: row.weekday,
+          isClosed: row.mode === "closed",
+          openTime: row.openTime,
+          closeTime: row.closeTime,
+        }));
+      await apiClient.put(`/admin/facilities/${facility.id}/hours`, { days });
+      fetchCalendar();
+    } catch (err) {
+      alert(err.message || "Could not save operating hours.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddClosure = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await apiClient.post("/admin/closures", {
+        ...closureForm,
+        facilityId: facility?.id || null,
+      });
+      setClosureForm(EMPTY_CLOSURE);
+      fetchCalendar();
+    } catch (err) {
+      alert(err.message || "Could not add this closure.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveClosure = async (closure) => {
+    try {
+      await apiClient.delete(`/admin/closures/${closure.id}`);
+      fetchCalendar();
+    } catch (err) {
+      alert(err.message || "Could not remove this closure.");
+    }
+  };
+
+  const formatClosure = (closure) => {
+    const format = (dateStr) =>
+      new Date(dateStr).toLocaleDateString([], {
+        month: "short",
+        day: "numeric",
+        timeZone: "UTC",
+      });
+    const range =
+      closure.starts_on === closure.ends_on
+        ? format(closure.starts_on)
+        : `${format(closure.starts_on)} → ${format(closure.ends_on)}`;
+    const hours = closure.open_time
+      ? `${closure.open_time.slice(0, 5)}–${closure.close_time.slice(0, 5)}`
+      : "Closed";
+    return `${range} · ${hours}`;
+  };
+
+  return (
+    <div className="mt-4 p-4 rounded-2xl bg-slate-50 border border-slate-100 space-y-4">
+      <div className="flex items-center justify-between">
+        <span className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+          {facility ? "Operating Calendar" : "Campus-wide Closures"}
+        </span>
+        <button
+          onClick={onClose}
+          className="text-[10px] font-bold text-slate-400 hover:text-rose-500"
+        >
+          Close
+        </button>
+      </div>
+
+      {facility && (
+        <div className="space-y-1">
+          {weekRows.map((row) => (
+            <div key={row.weekday} className="flex items-center gap-2">
+              <span className="w-24 text-xs font-bold text-slate-700">
+                {WEEKDAYS[row.weekday]}
+              </span>
+              <select
+                className={fieldClass}
+                value={row.mode}
+                onChange={(e) => updateRow(row.weekday, "mode", e.target.value)}
+              >
+                <option value="default">Default hours</option>
+                <option value="custom">Custom hours</option>
+                <option value="closed">Closed</option>
+              </select>
+              {row.mode === "custom" && (
+                <>
+                  <input
+                    type="time"
+                    step="1800"
+                    className={fieldClass}
+                    value={row.openTime}
+                    onChange={(e) =>
+                      updateRow(row.weekday, "openTime", e.target.value)
+                    }
+                  />
+                  <input
+                    type="time"
+                    step="1800"
+                    className={fieldClass}
+                    value={row.closeTime}
+                    onChange={(e) =>
+                      updateRow(row.weekday, "closeTime", e.target.value)
+                    }
+                  />
+                </>
+              )}
+            </div>
+          ))}
+          <button
+            onClick={handleSaveHours}
+            disabled={isSaving}
+            className="mt-2 px-4 py-2 bg-indigo-600 text-white rounded-xl text-[10px] font-bold hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Save Weekly Hours
+          </button>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {closures.length === 0 && (
+          <p className="text-[10px] text-slate-400">No upcoming closures.</p>
+        )}
+        {closures.map((closure) => (
+          <div
+            key={closure.id}
+            className="flex items-center justify-between text-[10px] text-rose-700"
+          >
+            <span>
+              📅 {formatClosure(closure)} · {closure.reason}
+              {facility && !closure.facility_id && " (campus-wide)"}
+            </span>
+            {(!facility || closure.facility_id) && (
+              <button
+                onClick={() => handleRemoveClosure(closure)}
+                className="font-bold hover:text-rose-900"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleAddClosure} className="grid grid-cols-2 gap-2">
+        <input
+          type="date"
+          required
+          className={fieldClass}
+          value={closureForm.startsOn}
+          onChange={(e) =>
+            setClosureForm({ ...closureForm, startsOn: e.target.value })
+          }
+        />
+        <input
+          type="date"
+          min={closureForm.startsOn}
+          className={fieldClass}
+          value={closureForm.endsOn}
+          onChange={(e) =>
+            setClosureForm({ ...closureForm, endsOn: e.target.value })
+          }
+        />
+        <input
+          type="time"
+          step="1800"
+          title="Special opening time (leave empty to close all day)"
+          className={fieldClass}
+          value={closureForm.openTime}
+          onChange={(e) =>
+            setClosureForm({ ...closureForm, openTime: e.target.value })
+          }
+        />
+        <input
+          type="time"
+          step="1800"
+          title="Special closing time (leave empty to close all day)"
+          className={fieldClass}
+          value={closureForm.closeTime}
+          onChange={(e) =>
+            setClosureForm({ ...closureForm, closeTime: e.target.value })
+          }
+        />
+        <input
+          required
+          placeholder="Reason shown to students (e.g. Diwali holiday)"
+          className={`col-span-2 ${fieldClass}`}
+          value={closureForm.reason}
+          onChange={(e) =>
+            setClosureForm({ ...closureForm, reason: e.target.value })
+          }
+        />
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="col-span-2 py-2 rounded-lg text-[10px] font-bold text-white bg-rose-600 hover:bg-rose-700 disabled:opacity-50"
+        >
+          Add Closure
+        </button>
+      </form>
+    </div>
+  );
+}
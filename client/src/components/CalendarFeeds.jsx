@@ -0,0 +1,139 @@
+import { useState } from "react";
+import apiClient from "../api/apiClient.js";
+
+// Feed paths come back relative to the API root
+const toFeedUrl = (path) => `${apiClient.defaults.baseURL}${path}`;
+
+/**
+ * Subscription links for Google, Outlook or Apple Calendar. Anyone holding a
+ * link can read the feed, so resetting issues new links and retires the old ones.
+ */
+export function CalendarFeeds() {
+  const [feeds, setFeeds] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [facilityId, setFacilityId] = useState("");
+  const [copiedUrl, setCopiedUrl] = useState(null);
+
+  const handleToggle = () => {
+    setIsOpen(!isOpen);
+    if (feeds || isOpen) return;
+
+    apiClient
+      .get("/calendar/feeds")
+      .then(({ data }) => {
+        setFeeds(data);
+        setFacilityId(String(data.facilities[0]?.id || ""));
+      })
+      .catch((err) => alert(err.message || "Could not load calendar feeds."));
+  };
+
+  const handleReset = async () => {
+    if (
+      !window.confirm(
+        "Calendars subscribed with your current links will stop updating. Create new links?",
+      )
+    )
+      return;
+
+    try {
+      const { data } = await apiClient.post("/calendar/feeds/reset");
+      setFeeds(data);
+    } catch (err) {
+      alert(err.message || "Could not reset your calendar links.");
+    }
+  };
+
+  const handleCopy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedUrl(url);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  };
+
+  const facilityFeed = feeds?.facilities.find(
+    (facility) => String(facility.id) === facilityId,
+  );
+
+  const renderLink = (label, url) => (
+    <div className="space-y-1">
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+        {label}
+      </p>
+      <div className="flex gap-2">
+        <input
+          readOnly
+          value={url}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs text-slate-600"
+        />
+        <button
+          onClick={() => handleCopy(url)}
+          className="px-4 py-2 bg-slate-100 text-slate-700 rounded-xl text-xs font-bold hover:bg-indigo-600 hover:text-white transition-all"
+        >
+          {copiedUrl === url ? "Copied" : "Copy"}
+        </button>
+        <a
+          href={url.replace(/^https?:/, "webcal:")}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-xs font-bold hover:bg-indigo-700 transition-all"
+        >
+          Subscribe
+        </a>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-3xl px-6 py-4">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs font-bold text-slate-700 uppercase tracking-widest">
+          Calendar feeds
+          <span className="ml-2 font-semibold normal-case tracking-normal text-slate-400">
+            Keep your bookings in Google or Outlook
+          </span>
+        </p>
+        <button
+          onClick={handleToggle}
+          className="text-[10px] font-bold text-indigo-600 uppercase tracking-widest shrink-0 hover:underline"
+        >
+          {isOpen ? "Hide" : "Show links"}
+        </button>
+      </div>
+
+      {isOpen && feeds && (
+        <div className="mt-4 space-y-4">
+          {renderLink("My bookings", toFeedUrl(feeds.bookings))}
+
+          {feeds.facilities.length > 0 && (
+            <div className="space-y-2">
+              <select
+                value={facilityId}
+                onChange={(e) => setFacilityId(e.target.value)}
+                className="px-3 py-2 bg-white border border-slate-200 rounded-xl text-xs font-bold text-slate-700"
+              >
+                {feeds.facilities.map((facility) => (
+                  <option key={facility.id} value={facility.id}>
+                    {facility.name}
+                  </option>
+                ))}
+              </select>
+              {facilityFeed &&
+                renderLink(
+                  `${facilityFeed.name} schedule`,
+                  toFeedUrl(facilityFeed.path),
+                )}
+            </div>
+          )}
+
+          <button
+            onClick={handleReset}
+            className="text-[10px] font-bold text-rose-600 uppercase tracking-widest hover:underline"
+          >
+            Reset links
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
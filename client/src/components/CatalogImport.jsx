@@ -0,0 +1,174 @@
+import { useState } from "react";
+import apiClient from "../api/apiClient.js";
+
+const TEMPLATE_COLUMNS =
+  "type,facility,unit,category,capacity,pooled,min_duration_minutes,max_duration_minutes,open_time,close_time,timezone,requires_approval,starts_at,ends_at,booked_by,club_name";
+
+const postCsv = (csv, dryRun) =>
+  apiClient.post("/admin/imports", csv, {
+    params: dryRun ? { dryRun: true } : {},
+    headers: { "Content-Type": "text/csv" },
+  });
+
+/**
+ * Admin bulk import of facilities, units and fixed bookings from a CSV file.
+ * Every file is previewed first; the import itself is all-or-nothing.
+ */
+export function CatalogImport({ onClose, onImported }) {
+  const [csv, setCsv] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [requestError, setRequestError] = useState(null);
+  const [importedSummary, setImportedSummary] = useState(null);
+
+  const runPreview = async (text) => {
+    setIsWorking(true);
+    setRequestError(null);
+    try {
+      const { data } = await postCsv(text, true);
+      setPreview(data);
+    } catch (err) {
+      setPreview(null);
+      setRequestError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const text = await file.text();
+    setCsv(text);
+    setFileName(file.name);
+    setImportedSummary(null);
+    runPreview(text);
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    setRequestError(null);
+    try {
+      const { data } = await postCsv(csv, false);
+      setImportedSummary(data.summary);
+      setPreview(null);
+      setCsv(null);
+      onImported();
+    } catch (err) {
+      // Something changed since the preview; it has to be checked again
+      setPreview(null);
+      setRequestError(`${err.message} Preview the file again.`);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-extrabold text-slate-900 text-lg">Import CSV</h3>
+        <button
+          onClick={onClose}
+          className="text-xs font-bold text-slate-400 hover:text-slate-600"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-500">
+        One row per facility, unit or booking, in that order. Booking times are
+        read on the facility&apos;s clock (e.g. 2026-11-02 18:00). Columns:
+      </p>
+      <code className="block text-[10px] text-slate-500 bg-slate-50 rounded-xl p-3 break-all">
+        {TEMPLATE_COLUMNS}
+      </code>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="px-6 py-3 bg-white border border-indigo-100 text-indigo-600 rounded-2xl text-xs font-bold hover:bg-indigo-50 cursor-pointer transition-all">
+          Choose file
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+        {fileName && (
+          <span className="text-xs font-medium text-slate-500">{fileName}</span>
+        )}
+        {csv && !preview && !isWorking && (
+          <button
+            onClick={() => runPreview(csv)}
+            className="text-xs font-bold text-indigo-600 hover:text-indigo-700"
+          >
+            Preview again
+          </button>
+        )}
+      </div>
+
+      {requestError && (
+        <p className="text-xs font-medium text-rose-600">{requestError}</p>
+      )}
+
+      {importedSummary && (
+        <p className="text-xs font-medium text-emerald-600">
+          Imported {importedSummary.facilities} facilities,{" "}
+          {importedSummary.units} units and {importedSummary.bookings} bookings.
+        </p>
+      )}
+
+      {preview && (
+        <div className="space-y-3">
+          <p className="text-xs text-slate-600">
+            {preview.summary.facilities} facilities · {preview.summary.units}{" "}
+            units · {preview.summary.bookings} bookings ·{" "}
+            <span
+              className={
+                preview.summary.failed
+                  ? "font-bold text-rose-600"
+                  : "text-slate-600"
+              }
+            >
+              {preview.summary.failed} failed
+            </span>
+          </p>
+
+          <div className="max-h-72 overflow-y-auto border border-slate-100 rounded-2xl">
+            <table className="w-full text-xs">
+              <tbody>
+                {preview.rows.map((row) => (
+                  <tr key={row.line} className="border-b border-slate-50">
+                    <td className="px-3 py-2 text-slate-400 w-12">
+                      {row.line}
+                    </td>
+                    <td className="px-3 py-2 text-[10px] font-bold uppercase tracking-widest text-slate-500 w-20">
+                      {row.type}
+                    </td>
+                    <td className="px-3 py-2 text-slate-700">{row.label}</td>
+                    <td
+                      className={`px-3 py-2 ${row.ok ? "text-emerald-600" : "text-rose-600"}`}
+                    >
+                      {row.ok
+                        ? row.status?.replace("_", " ") || "ok"
+                        : row.error}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            disabled={isWorking || preview.summary.failed > 0}
+            onClick={handleImport}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-2xl text-xs font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+          >
+            Import {preview.rows.length} rows
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
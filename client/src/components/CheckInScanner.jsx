@@ -0,0 +1,174 @@
+import { useState, useEffect, useRef } from "react";
+import apiClient from "../api/apiClient.js";
+
+const PAYLOAD_PATTERN = /^campusspot:checkin:(\d+):(\d+):(\d+)$/;
+
+const supportsScanning = () =>
+  "BarcodeDetector" in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Check-in by scanning the QR shown at the booked unit or desk. Browsers
+ * without a barcode detector (and anyone without a camera) type the code instead.
+ */
+export function CheckInScanner({ booking, onClose, onSuccess }) {
+  const videoRef = useRef(null);
+  const [manualCode, setManualCode] = useState("");
+  const [requestError, setRequestError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isSubmittingRef = useRef(false);
+  const lastScanRef = useRef(null);
+
+  const submitCode = async (code) => {
+    if (isSubmittingRef.current) return;
+    isSubmittingRef.current = true;
+    setIsSubmitting(true);
+    setRequestError(null);
+    try {
+      await apiClient.post("/check-in", { bookingId: booking.id, code });
+      onSuccess();
+    } catch (err) {
+      setRequestError(err.message || "Check-in failed.");
+    } finally {
+      isSubmittingRef.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  // Reject a QR from another court here, so the student knows to walk over
+  const handleScan = (rawValue) => {
+    // The camera sees the same QR many times a second; act on each code once
+    if (rawValue === lastScanRef.current) return;
+    lastScanRef.current = rawValue;
+
+    const match = PAYLOAD_PATTERN.exec(rawValue);
+    if (!match) {
+      setRequestError("That is not a CampusSpot check-in code.");
+      return;
+    }
+
+    const [, facilityId, unitId, code] = match;
+    if (
+      Number(facilityId) !== booking.facility_id ||
+      Number(unitId) !== (booking.unit_id || 0)
+    ) {
+      setRequestError(
+        `This code belongs to another ${booking.is_pooled ? "facility" : "unit"}. Scan the one at ${booking.unit_name || booking.facility_name}.`,
+      );
+      return;
+    }
+
+    submitCode(code);
+  };
+
+  // The scan loop below runs once per open scanner and calls the latest handler
+  const handleScanRef = useRef(handleScan);
+  useEffect(() => {
+    handleScanRef.current = handleScan;
+  });
+
+  useEffect(() => {
+    if (!supportsScanning()) return;
+
+    let stream = null;
+    let timerId = null;
+    let isStopped = false;
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+
+    const scanFrame = async () => {
+      if (isStopped) return;
+      try {
+        const [barcode] = await detector.detect(videoRef.current);
+        if (barcode) handleScanRef.current(barcode.rawValue);
+      } catch {
+        // Frames that are not ready yet are simply skipped
+      }
+      timerId = setTimeout(scanFrame, 500);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((mediaStream) => {
+        if (isStopped) {
+          mediaStream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        scanFrame();
+      })
+      .catch(() =>
+        setRequestError("Camera unavailable. Type the code shown instead."),
+      );
+
+    return () => {
+      isStopped = true;
+      clearTimeout(timerId);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    submitCode(manualCode.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-lg overflow-hidden border border-slate-100">
+        <div className="p-8">
+          <header className="mb-6">
+            <h2 className="text-2xl font-bold text-slate-900">
+              Check in at {booking.unit_name || booking.facility_name}
+            </h2>
+            <p className="text-slate-500 mt-1 text-sm font-medium">
+              Scan the QR code on the check-in display, or type the code under
+              it.
+            </p>
+          </header>
+
+          {supportsScanning() && (
+            <video
+              ref={videoRef}
+              muted
+              playsInline
+              className="w-full aspect-square object-cover rounded-2xl bg-slate-900 mb-6"
+            />
+          )}
+
+          <form onSubmit={handleManualSubmit} className="flex gap-3">
+            <input
+              inputMode="numeric"
+              pattern="\d*"
+              required
+              placeholder="Code"
+              className="flex-1 px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold tracking-[0.3em]"
+              value={manualCode}
+              onChange={(e) => setManualCode(e.target.value)}
+            />
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="px-6 py-3 bg-emerald-600 text-white rounded-xl text-xs font-bold hover:bg-emerald-700 disabled:opacity-50"
+            >
+              Check In
+            </button>
+          </form>
+
+          {requestError && (
+            <p className="mt-4 text-xs text-rose-700 font-medium">
+              {requestError}
+            </p>
+          )}
+
+          <button
+            onClick={onClose}
+            className="mt-6 w-full py-3 text-slate-400 text-xs font-bold hover:text-slate-600"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+import { CheckInScanner } from "./CheckInScanner.jsx";
+import { WebhookManager } from "./WebhookManager.jsx";
+
+const STATUS_STYLES = {
+  scheduled: "bg-indigo-50 text-indigo-700 border-indigo-100",
+  pending_approval: "bg-amber-50 text-amber-700 border-amber-100",
+  checked_in: "bg-emerald-50 text-emerald-700 border-emerald-100",
+  completed: "bg-slate-100 text-slate-600 border-slate-200",
+  rejected: "bg-rose-50 text-rose-700 border-rose-100",
+  released: "bg-rose-50 text-rose-700 border-rose-100",
+};
+
+// Shown on the facility's clock
+const formatWhen = (booking) => {
+  const date = new Date(booking.starts_at).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: booking.timezone,
+  });
+  const time = (isoStr) =>
+    new Date(isoStr).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: booking.timezone,
+    });
+  return `${date} · ${time(booking.starts_at)} → ${time(booking.ends_at)}`;
+};
+
+/**
+ * Bookings made on behalf of the user's clubs. Presidents and coordinators can
+ * cancel or check in for the club; the same rules apply as for the booker.
+ */
+export function ClubDashboard({ clubs, refreshKey }) {
+  const [clubId, setClubId] = useState(clubs[0]?.id);
+  const [scope, setScope] = useState("upcoming");
+  const [dashboard, setDashboard] = useState(null);
+  const [checkingInBooking, setCheckingInBooking] = useState(null);
+  const [showWebhooks, setShowWebhooks] = useState(false);
+
+  const fetchBookings = useCallback(
+    () =>
+      apiClient
+        .get(`/clubs/${clubId}/bookings`, { params: { scope } })
+        .then(({ data }) => setDashboard(data))
+        .catch((err) => console.error("Failed to load club bookings:", err)),
+    [clubId, scope],
+  );
+
+  // refreshKey changes whenever a live event touches one of our bookings
+  useEffect(() => {
+    fetchBookings();
+  }, [fetchBookings, refreshKey]);
+
+  const handleCancel = async (booking) => {
+    if (
+      !window.confirm(
+        `Cancel ${booking.booked_by}'s booking of ${booking.facility_name} for ${dashboard.club.name}?`,
+      )
+    )
+      return;
+
+    try {
+      await apiClient.post("/cancel", { bookingId: booking.id });
+      fetchBookings();
+    } catch (err) {
+      alert(err.message || "Cancellation failed.");
+    }
+  };
+
+  const isCurrentClub = dashboard?.club.id === clubId;
+
+  return (
+    <div className="space-y-4 max-w-3xl mx-auto">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <select
+          value={clubId}
+          onChange={(e) => setClubId(Number(e.target.value))}
+          className="px-4 py-2 bg-white border border-slate-200 rounded-xl text-sm font-bold text-slate-800"
+        >
+          {clubs.map((club) => (
+            <option key={club.id} value={club.id}>
+              {club.name} · {club.role}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex bg-slate-100 p-1 rounded-xl">
+          {["upcoming", "past"].map((option) => (
+            <button
+              key={option}
+              onClick={() => setScope(option)}
+              className={`px-4 py-1.5 rounded-lg text-xs font-bold transition-all ${scope === option ? "bg-white text-indigo-600 shadow-sm" : "text-slate-500 hover:text-slate-700"}`}
+            >
+              {option === "upcoming" ? "Upcoming" : "Past"}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {!isCurrentClub ? (
+        <p className="text-xs text-slate-400 text-center py-10">
+          Loading club bookings…
+        </p>
+      ) : dashboard.bookings.length === 0 ? (
+        <div className="bg-white border-2 border-dashed border-slate-200 rounded-3xl p-16 text-center">
+          <h3 className="text-slate-900 font-bold text-xl">
+            {scope === "upcoming"
+              ? `Nothing booked for ${dashboard.club.name} yet.`
+              : `${dashboard.club.name} has no past bookings.`}
+          </h3>
+        </div>
+      ) : (
+        <ul className="bg-white border border-slate-200 rounded-3xl shadow-sm divide-y divide-slate-100">
+          {dashboard.bookings.map((booking) => (
+            <li
+              key={booking.id}
+              className="px-6 py-4 flex flex-col sm:flex-row sm:items-center justify-between gap-4"
+            >
+              <div>
+                <p className="text-sm font-extrabold text-slate-900">
+                  {booking.facility_name}
+                  {booking.unit_name && (
+                    <span className="ml-2 text-[10px] font-bold text-indigo-600 uppercase tracking-widest">
+                      {booking.unit_name}
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500 mt-1">
+                  {formatWhen(booking)} · booked by{" "}
+                  <span className="font-bold">{booking.booked_by}</span>
+                </p>
+                {booking.status_note && (
+                  <p className="text-xs text-slate-500 mt-1">
+                    {booking.status_note}
+                  </p>
+                )}
+              </div>
+
+              <div className="flex items-center gap-3 justify-end">
+                {dashboard.canAct && booking.status === "scheduled" && (
+                  <button
+                    onClick={() => setCheckingInBooking(booking)}
+                    className="px-4 py-2 bg-emerald-600 text-white rounded-xl text-xs font-bold hover:bg-emerald-700 transition-all"
+                  >
+                    Check In
+                  </button>
+                )}
+                {dashboard.canAct &&
+                  (booking.status === "scheduled" ||
+                    booking.status === "pending_approval") && (
+                    <button
+                      onClick={() => handleCancel(booking)}
+                      className="px-4 py-2 bg-slate-200 text-slate-700 rounded-xl text-xs font-bold hover:bg-rose-600 hover:text-white transition-all"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                <span
+                  className={`px-3 py-1.5 rounded-xl text-[10px] font-black uppercase tracking-widest border ${STATUS_STYLES[booking.status]}`}
+                >
+                  {booking.status.replace("_", " ")}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isCurrentClub &&
+        dashboard.canAct &&
+        (showWebhooks ? (
+          <WebhookManager
+            clubId={clubId}
+            onClose={() => setShowWebhooks(false)}
+          />
+        ) : (
+          <button
+            onClick={() => setShowWebhooks(true)}
+            className="w-full py-3 bg-white border border-slate-200 rounded-3xl text-xs font-bold text-slate-600 hover:bg-slate-50 transition-all"
+          >
+            Webhooks for {dashboard.club.name}
+          </button>
+        ))}
+
+      {checkingInBooking && (
+        <CheckInScanner
+          booking={checkingInBooking}
+          onClose={() => setCheckingInBooking(null)}
+          onSuccess={() => {
+            setCheckingInBooking(null);
+            fetchBookings();
+          }}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,17 @@
 import { StatusPill } from "./StatusPill.jsx";
 
-export function FacilityCard({ facility, onReserve, onViewSchedule }) {
+export function FacilityCard({
+  facility,
+  liveStatus,
+  onReserve,
+  onViewSchedule,
+}) {
   const usageCount = parseInt(facility.current_usage, 10) || 0;
   const totalSlots = parseInt(facility.total_capacity, 10) || 1;
 
   const myBooking = facility.my_active_booking;
   const occupants = facility.active_occupants || [];
+  const downUnits = facility.units_in_maintenance || [];
 
   const usagePercentage = Math.min(100, (usageCount / totalSlots) * 100);
 
@@ -18,10 +24,12 @@ export function FacilityCard({ facility, onReserve, onViewSchedule }) {
     return `${displayHours}:${m} ${ampm}`;
   };
 
+  // Times are shown on the facility's clock
   const formatTimeOnly = (isoStr) => {
     return new Date(isoStr).toLocaleTimeString([], {
       hour: "2-digit",
       minute: "2-digit",
+      timeZone: facility.timezone,
     });
   };
 
@@ -31,6 +39,7 @@ export function FacilityCard({ facility, onReserve, onViewSchedule }) {
       day: "numeric",
       hour: "2-digit",
       minute: "2-digit",
+      timeZone: facility.timezone,
     });
   };
 
@@ -65,7 +74,7 @@ export function FacilityCard({ facility, onReserve, onViewSchedule }) {
         </div>
         <StatusPill
           status={myBooking ? "reserved" : facility.current_status}
-          confidence="live"
+          confidence={liveStatus}
         />
       </div>
 
@@ -108,6 +117,23 @@ export function FacilityCard({ facility, onReserve, onViewSchedule }) {
         </div>
       )}
 
+      {downUnits.length > 0 && (
+        <div className="mb-4 space-y-1.5">
+          {downUnits.map((down) => (
+            <div
+              key={down.unit_name}
+              className="px-3 py-2 rounded-xl bg-rose-50 border border-rose-100"
+            >
+              <p className="text-[10px] font-bold text-rose-700 uppercase tracking-tight">
+                {down.unit_name} out of service until{" "}
+                {formatTimeOnly(down.ends_at)}
+              </p>
+              <p className="text-[11px] text-rose-800 mt-0.5">{down.reason}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
       {!facility.is_pooled && occupants.length > 0 && (
         <div className="mb-6 space-y-2">
           <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
@@ -0,0 +1,139 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+
+const LOCATION_KEY = "campus_spot_kiosk_location";
+
+const fieldClass =
+  "px-4 py-3 rounded-xl border border-slate-200 text-sm font-semibold bg-white";
+
+/**
+ * Full-screen check-in display for a court or desk. Shows the current code as
+ * a QR and as digits, and fetches the next one as each code expires. The chosen
+ * location is remembered on the device.
+ */
+export function KioskDisplay() {
+  const [facilities, setFacilities] = useState([]);
+  const [units, setUnits] = useState([]);
+  const [location, setLocation] = useState(() =>
+    JSON.parse(
+      localStorage.getItem(LOCATION_KEY) || '{"facilityId":"","unitId":""}',
+    ),
+  );
+  const [checkinCode, setCheckinCode] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+
+  const selectedFacility = facilities.find(
+    (facility) => String(facility.id) === String(location.facilityId),
+  );
+  const needsUnit = selectedFacility && !selectedFacility.is_pooled;
+  const isLocationComplete =
+    selectedFacility && (!needsUnit || location.unitId);
+
+  useEffect(() => {
+    apiClient
+      .get("/assets")
+      .then(({ data }) => setFacilities(data))
+      .catch((err) => console.error("Failed to load facilities:", err));
+  }, []);
+
+  useEffect(() => {
+    if (!location.facilityId) return;
+    apiClient
+      .get(`/facilities/${location.facilityId}/units`)
+      .then(({ data }) => setUnits(data))
+      .catch((err) => console.error("Failed to load units:", err));
+  }, [location.facilityId]);
+
+  // Fetch the code, then fetch again the moment it rotates
+  useEffect(() => {
+    if (!isLocationComplete) return;
+
+    let timerId = null;
+    const fetchCode = () =>
+      apiClient
+        .get(`/facilities/${location.facilityId}/checkin-code`, {
+          params: needsUnit ? { unitId: location.unitId } : {},
+        })
+        .then(({ data }) => {
+          setCheckinCode(data);
+          setRequestError(null);
+          timerId = setTimeout(
+            fetchCode,
+            Math.max(1000, new Date(data.expiresAt) - Date.now()),
+          );
+        })
+        .catch((err) => {
+          setRequestError(err.message || "Could not load the check-in code.");
+          timerId = setTimeout(fetchCode, 10000);
+        });
+
+    fetchCode();
+    return () => clearTimeout(timerId);
+  }, [isLocationComplete, needsUnit, location.facilityId, location.unitId]);
+
+  const updateLocation = (nextLocation) => {
+    localStorage.setItem(LOCATION_KEY, JSON.stringify(nextLocation));
+    setLocation(nextLocation);
+    setCheckinCode(null);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-8">
+      <div className="flex gap-3">
+        <select
+          className={fieldClass}
+          value={location.facilityId}
+          onChange={(e) =>
+            updateLocation({ facilityId: e.target.value, unitId: "" })
+          }
+        >
+          <option value="">Choose a facility</option>
+          {facilities.map((facility) => (
+            <option key={facility.id} value={facility.id}>
+              {facility.display_name}
+            </option>
+          ))}
+        </select>
+        {needsUnit && (
+          <select
+            className={fieldClass}
+            value={location.unitId}
+            onChange={(e) =>
+              updateLocation({ ...location, unitId: e.target.value })
+            }
+          >
+            <option value="">Choose a unit</option>
+            {units.map((unit) => (
+              <option key={unit.id} value={unit.id}>
+                {unit.unit_name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isLocationComplete && checkinCode && (
+        <div className="bg-white border border-slate-200 rounded-3xl p-10 shadow-sm flex flex-col items-center">
+          <h2 className="text-2xl font-bold text-slate-900">
+            {checkinCode.unitName || checkinCode.facilityName}
+          </h2>
+          <p className="text-slate-500 mt-1 text-sm font-medium">
+            Scan in My Bookings to check in.
+          </p>
+          <img
+            alt="Check-in QR code"
+            className="w-72 h-72 my-8"
+            src={`data:image/svg+xml;utf8,${encodeURIComponent(checkinCode.qrSvg)}`}
+          />
+          <span className="text-5xl font-black tracking-[0.3em] text-slate-900">
+            {checkinCode.code}
+          </span>
+        </div>
+      )}
+
+      {requestError && (
+        <p className="text-sm text-rose-700 font-medium">{requestError}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+import { NotificationSettings } from "./NotificationSettings.jsx";
+
+const formatSentAt = (isoStr) =>
+  new Date(isoStr).toLocaleString("en-IN", {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+/**
+ * Notification center in the nav bar. `incoming` is the latest notification
+ * pushed over the socket; each one triggers a reload of the inbox.
+ */
+export function NotificationBell({ incoming }) {
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const fetchNotifications = useCallback(
+    () =>
+      apiClient
+        .get("/notifications")
+        .then(({ data }) => setNotifications(data))
+        .catch((err) => console.error("Failed to fetch notifications:", err)),
+    [],
+  );
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications, incoming]);
+
+  const unreadCount = notifications.filter((item) => !item.read_at).length;
+
+  const handleRead = async (notification) => {
+    if (notification.read_at) return;
+    try {
+      await apiClient.post(`/notifications/${notification.id}/read`);
+      fetchNotifications();
+    } catch (err) {
+      console.error("Failed to mark notification as read:", err);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      await apiClient.post("/notifications/read-all");
+      fetchNotifications();
+    } catch (err) {
+      console.error("Failed to mark notifications as read:", err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 text-slate-400 hover:text-indigo-600 transition-colors"
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          className="h-5 w-5"
+          fill="none"
+          viewBox="0 0 24 24"
+          stroke="currentColor"
+        >
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-4 h-4 px-1 rounded-full bg-rose-500 text-white text-[9px] font-bold flex items-center justify-center">
+            {unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border border-slate-200 rounded-2xl shadow-lg z-30 overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-slate-100">
+            <span className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+              {showSettings ? "Notification Settings" : "Notifications"}
+            </span>
+            <div className="flex gap-3">
+              {!showSettings && unreadCount > 0 && (
+                <button
+                  onClick={handleReadAll}
+                  className="text-[10px] font-bold text-indigo-600 hover:text-indigo-800"
+                >
+                  Mark all read
+                </button>
+              )}
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="text-[10px] font-bold text-slate-400 hover:text-indigo-600"
+              >
+                {showSettings ? "Back" : "Settings"}
+              </button>
+            </div>
+          </div>
+
+          {showSettings ? (
+            <NotificationSettings onClose={() => setShowSettings(false)} />
+          ) : notifications.length === 0 ? (
+            <p className="p-6 text-center text-xs text-slate-400">
+              Nothing yet. Reminders for your bookings show up here.
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+              {notifications.map((notification) => (
+                <li
+                  key={notification.id}
+                  onClick={() => handleRead(notification)}
+                  className={`px-4 py-3 cursor-pointer hover:bg-slate-50 ${notification.read_at ? "" : "bg-indigo-50/50"}`}
+                >
+                  <p className="text-xs font-bold text-slate-800">
+                    {notification.title}
+                  </p>
+                  <p className="text-xs text-slate-500 mt-0.5">
+                    {notification.body}
+                  </p>
+                  <p className="text-[10px] text-slate-400 mt-1">
+                    {formatSentAt(notification.sent_at)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+
+const REMINDER_OPTIONS = [
+  { value: 0, label: "No reminder" },
+  { value: 10, label: "10 minutes before" },
+  { value: 15, label: "15 minutes before" },
+  { value: 30, label: "30 minutes before" },
+  { value: 60, label: "1 hour before" },
+  { value: 120, label: "2 hours before" },
+];
+
+const SERVICE_WORKER_URL = "/notification-sw.js";
+
+const supportsPush = () =>
+  "serviceWorker" in navigator && "PushManager" in window;
+
+// VAPID keys are base64url; the Push API wants raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+// Subscribes this browser and registers it with the server
+const enablePush = async (publicKey) => {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    throw new Error("Notifications are blocked in this browser.");
+  }
+
+  const registration =
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    }));
+
+  await apiClient.post(
+    "/notifications/push-subscriptions",
+    subscription.toJSON(),
+  );
+};
+
+const disablePush = async () => {
+  const registration =
+    await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = await registration?.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await apiClient.delete("/notifications/push-subscriptions", {
+    data: { endpoint: subscription.endpoint },
+  });
+  await subscription.unsubscribe();
+};
+
+/**
+ * Channel and reminder settings. Only channels the server has configured are offered.
+ */
+export function NotificationSettings({ onClose }) {
+  const [preferences, setPreferences] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    apiClient
+      .get("/notifications/preferences")
+      .then(({ data }) => setPreferences(data))
+      .catch((err) =>
+        console.error("Failed to load notification settings:", err),
+      );
+  }, []);
+
+  if (!preferences) {
+    return <p className="p-4 text-[10px] text-slate-400">Loading settings…</p>;
+  }
+
+  const offers = (channel) => preferences.availableChannels.includes(channel);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      if (offers("push") && supportsPush()) {
+        if (preferences.pushEnabled) {
+          await enablePush(preferences.pushPublicKey);
+        } else {
+          await disablePush();
+        }
+      }
+
+      const { data } = await apiClient.put("/notifications/preferences", {
+        inAppEnabled: preferences.inAppEnabled,
+        emailEnabled: preferences.emailEnabled,
+        emailAddress: preferences.emailAddress,
+        pushEnabled: preferences.pushEnabled,
+        reminderMinutes: preferences.reminderMinutes,
+      });
+      setPreferences(data);
+      onClose();
+    } catch (err) {
+      alert(err.message || "Could not save notification settings.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSave} className="p-4 space-y-3">
+      <label className="flex flex-col gap-1 text-[10px] font-bold text-slate-500 uppercase tracking-widest">
+        Check-in reminder
+        <select
+          className="px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold normal-case tracking-normal text-slate-700"
+          value={preferences.reminderMinutes}
+          onChange={(e) =>
+            setPreferences({
+              ...preferences,
+              reminderMinutes: Number(e.target.value),
+            })
+          }
+        >
+          {REMINDER_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-700">
+        <input
+          type="checkbox"
+          checked={preferences.inAppEnabled}
+          onChange={(e) =>
+            setPreferences({ ...preferences, inAppEnabled: e.target.checked })
+          }
+        />
+        In the app
+      </label>
+
+      {offers("email") && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-xs font-semibold text-slate-700">
+            <input
+              type="checkbox"
+              checked={preferences.emailEnabled}
+              onChange={(e) =>
+                setPreferences({
+                  ...preferences,
+                  emailEnabled: e.target.checked,
+                })
+              }
+            />
+            By email
+          </label>
+          {preferences.emailEnabled && (
+            <input
+              type="email"
+              required
+              placeholder="you@campus.edu"
+              className="w-full px-3 py-2 rounded-lg border border-slate-200 text-xs font-semibold"
+              value={preferences.emailAddress || ""}
+              onChange={(e) =>
+                setPreferences({
+                  ...preferences,
+                  emailAddress: e.target.value,
+                })
+              }
+            />
+          )}
+        </div>
+      )}
+
+      {offers("push") && supportsPush() && (
+        <label className="flex items-center gap-2 text-xs font-semibold text-slate-700">
+          <input
+            type="checkbox"
+            checked={preferences.pushEnabled}
+            onChange={(e) =>
+              setPreferences({ ...preferences, pushEnabled: e.target.checked })
+            }
+          />
+          Push notifications on this device
+        </label>
+      )}
+
+      <button
+        type="submit"
+        disabled={isSaving}
+        className="w-full py-2 bg-indigo-600 text-white rounded-xl text-[10px] font-bold hover:bg-indigo-700 disabled:opacity-50"
+      >
+        Save Settings
+      </button>
+    </form>
+  );
+}
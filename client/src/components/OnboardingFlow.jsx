@@ -1,30 +1,72 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
 import { useUser } from "../hooks/useUser";
 
-const CAMPUS_CLUBS = ["Roobooru", "E-Cell", "Vision", "Tooryanad"];
-
 export function OnboardingFlow() {
-  const { updateIdentity } = useUser();
+  const { startSession } = useUser();
   const [step, setStep] = useState(1);
+  const [mode, setMode] = useState("register");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(null);
   const [localIdentity, setLocalIdentity] = useState({
     userName: "",
+    password: "",
     userType: "individual",
     clubName: "",
   });
+  const [campusClubs, setCampusClubs] = useState([]);
+
+  // The club registry lives on the server, so new clubs appear without a redeploy
+  useEffect(() => {
+    apiClient
+      .get("/clubs")
+      .then(({ data }) => setCampusClubs(data))
+      .catch((err) => console.error("Failed to load clubs:", err));
+  }, []);
 
   const selectRole = (type) => {
     setLocalIdentity((prev) => ({ ...prev, userType: type }));
+    setMode("register");
+    setFormError(null);
+    setStep(2);
+  };
+
+  const openSignIn = () => {
+    setMode("login");
+    setFormError(null);
     setStep(2);
   };
 
-  const handleFinalize = (e) => {
+  const handleFinalize = async (e) => {
     e.preventDefault();
-    if (localIdentity.userType === "club" && !localIdentity.clubName) {
+    if (
+      mode === "register" &&
+      localIdentity.userType === "club" &&
+      !localIdentity.clubName
+    ) {
       alert("Please select your club name.");
       return;
     }
 
-    updateIdentity(localIdentity);
+    setIsSubmitting(true);
+    setFormError(null);
+
+    try {
+      const payload =
+        mode === "login"
+          ? {
+              userName: localIdentity.userName,
+              password: localIdentity.password,
+            }
+          : localIdentity;
+
+      const { data } = await apiClient.post(`/auth/${mode}`, payload);
+      startSession(data);
+    } catch (err) {
+      setFormError(err.message || "Unable to sign you in.");
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -68,6 +110,13 @@ export function OnboardingFlow() {
                 </div>
               </button>
             </div>
+
+            <button
+              onClick={openSignIn}
+              className="w-full mt-6 text-sm font-bold text-indigo-600 hover:underline"
+            >
+              Already have an account? Sign in
+            </button>
           </div>
         )}
 
@@ -81,16 +130,18 @@ export function OnboardingFlow() {
               onClick={() => setStep(1)}
               className="text-indigo-600 text-sm font-bold mb-4 flex items-center gap-1 hover:underline"
             >
-              ← Change Role
+              ← {mode === "login" ? "Back" : "Change Role"}
             </button>
 
             <h2 className="text-xl font-bold text-slate-900">
-              Finalize Identity
+              {mode === "login" ? "Welcome Back" : "Create Your Account"}
             </h2>
             <p className="text-slate-500 mt-1">
-              {localIdentity.userType === "club"
-                ? "Which club are you representing?"
-                : "Tell us your name."}
+              {mode === "login"
+                ? "Sign in to pick up where you left off."
+                : localIdentity.userType === "club"
+                  ? "Which club are you representing?"
+                  : "Tell us your name."}
             </p>
 
             <div className="mt-6 space-y-4">
@@ -113,7 +164,32 @@ export function OnboardingFlow() {
                 />
               </div>
 
-              {localIdentity.userType === "club" && (
+              <div>
+                <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
+                  Password
+                </label>
+                <input
+                  type="password"
+                  required
+                  minLength={mode === "register" ? 8 : undefined}
+                  autoComplete={
+                    mode === "login" ? "current-password" : "new-password"
+                  }
+                  className="w-full mt-1 px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none transition-all"
+                  placeholder={
+                    mode === "register" ? "At least 8 characters" : ""
+                  }
+                  value={localIdentity.password}
+                  onChange={(e) =>
+                    setLocalIdentity({
+                      ...localIdentity,
+                      password: e.target.value,
+                    })
+                  }
+                />
+              </div>
+
+              {mode === "register" && localIdentity.userType === "club" && (
                 <div>
                   <label className="text-xs font-bold text-slate-400 uppercase tracking-wider">
                     Registered Club
@@ -132,17 +208,34 @@ export function OnboardingFlow() {
                     <option value="" disabled>
                       Select a club...
                     </option>
-                    {CAMPUS_CLUBS.map((club) => (
-                      <option key={club} value={club}>
-                        {club}
+                    {campusClubs.map((club) => (
+                      <option key={club.id} value={club.name}>
+                        {club.name}
                       </option>
                     ))}
                   </select>
+                  <p className="text-[10px] text-slate-400 mt-1 font-medium">
+                    A club officer adds you to the roster before you can book
+                    for the club.
+                  </p>
                 </div>
               )}
 
-              <button className="w-full mt-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded-xl shadow-lg shadow-indigo-200 transition-all active:scale-[0.98]">
-                Start Exploring
+              {formError && (
+                <p className="text-xs font-semibold text-rose-600">
+                  {formError}
+                </p>
+              )}
+
+              <button
+                disabled={isSubmitting}
+                className="w-full mt-4 bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded-xl shadow-lg shadow-indigo-200 transition-all active:scale-[0.98] disabled:opacity-50"
+              >
+                {isSubmitting
+                  ? "Signing in..."
+                  : mode === "login"
+                    ? "Sign In"
+                    : "Start Exploring"}
               </button>
             </div>
           </form>
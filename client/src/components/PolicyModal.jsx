@@ -1,29 +1,42 @@
 import { useState, useEffect } from "react";
 import apiClient from "../api/apiClient.js";
 import { useUser } from "../hooks/useUser.js";
+import { QuotaAllowance } from "./QuotaAllowance.jsx";
+import {
+  addDaysToDateKey,
+  formatFacilityTime,
+  fromFacilityInputValue,
+  getFacilityToday,
+  toFacilityInputValue,
+} from "../utils/facilityTime.js";
 
 export function PolicyModal({ facility, onClose, onSuccess }) {
-  const { userName, userType, clubName } = useUser();
+  const { userType } = useUser();
 
   const [availableUnits, setAvailableUnits] = useState([]);
   const [selectedUnitId, setSelectedUnitId] = useState("");
   const [isWholeDay, setIsWholeDay] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [requestError, setRequestError] = useState(null);
+  const [recurrence, setRecurrence] = useState({
+    frequency: "none",
+    interval: 1,
+    endMode: "count",
+    count: 4,
+    until: "",
+  });
+  const [seriesResult, setSeriesResult] = useState(null);
+  const [waitlistEntry, setWaitlistEntry] = useState(null);
 
-  const getCurrentTimeForInput = () => {
-    const date = new Date();
-    const tzOffset = date.getTimezoneOffset() * 60000;
-    return new Date(date.getTime() - tzOffset).toISOString().slice(0, 16);
-  };
+  // Input values are wall-clock times at the facility, whatever the browser's zone
+  const timeZone = facility.timezone;
+
+  const getCurrentTimeForInput = () =>
+    toFacilityInputValue(new Date(), timeZone);
 
   const getMaxAllowedDate = () => {
-    const date = new Date();
     const horizonDays = userType === "club" ? 30 : 7;
-    date.setDate(date.getDate() + horizonDays);
-    date.setHours(23, 59, 0, 0);
-    const tzOffset = date.getTimezoneOffset() * 60000;
-    return new Date(date.getTime() - tzOffset).toISOString().slice(0, 16);
+    return `${addDaysToDateKey(getFacilityToday(timeZone), horizonDays)}T23:59`;
   };
 
   const getInitialTime = (additionalMinutes = 0) => {
@@ -35,8 +48,7 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
     date.setSeconds(0);
     date.setMilliseconds(0);
 
-    const tzOffset = date.getTimezoneOffset() * 60000;
-    return new Date(date.getTime() - tzOffset).toISOString().slice(0, 16);
+    return toFacilityInputValue(date, timeZone);
   };
 
   const [bookingTimes, setBookingTimes] = useState({
@@ -61,6 +73,43 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
     return `${displayHours}:${m} ${suffix}`;
   };
 
+  const formatOccurrence = (isoStr) =>
+    formatFacilityTime(isoStr, timeZone, {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    });
+
+  const buildRecurrenceRule = () => {
+    if (recurrence.frequency === "none") return undefined;
+
+    return {
+      frequency: recurrence.frequency,
+      interval: Number(recurrence.interval) || 1,
+      ...(recurrence.endMode === "count"
+        ? { count: Number(recurrence.count) }
+        : { until: recurrence.until }),
+    };
+  };
+
+  const handleJoinWaitlist = async () => {
+    setIsSubmitting(true);
+    try {
+      const { data } = await apiClient.post(
+        "/waitlist",
+        requestError.waitlistRequest,
+      );
+      setRequestError(null);
+      setWaitlistEntry(data);
+    } catch (err) {
+      setRequestError({
+        message: err?.message || "Could not join the waitlist.",
+      });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   useEffect(() => {
     if (!facility.is_pooled) {
       apiClient
@@ -73,8 +122,11 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
   const handleRequest = async (e) => {
     if (e) e.preventDefault();
 
-    const start = new Date(bookingTimes.start);
-    const end = new Date(bookingTimes.end);
+    const startDay = bookingTimes.start.slice(0, 10);
+    const start = new Date(
+      fromFacilityInputValue(bookingTimes.start, timeZone),
+    );
+    const end = new Date(fromFacilityInputValue(bookingTimes.end, timeZone));
     const now = new Date();
 
     if (!(userType === "club" && isWholeDay)) {
@@ -106,14 +158,19 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
       }
     }
     if (!isWholeDay) {
-      const [openH, openM] = facility.open_time.split(":").map(Number);
-      const [closeH, closeM] = facility.close_time.split(":").map(Number);
-
-      const openDate = new Date(start);
-      openDate.setHours(openH, openM, 0, 0);
-
-      const closeDate = new Date(start);
-      closeDate.setHours(closeH, closeM, 0, 0);
+      const openDate = new Date(
+        fromFacilityInputValue(
+          `${startDay}T${facility.open_time.slice(0, 5)}`,
+          timeZone,
+        ),
+      );
+
+      const closeDate = new Date(
+        fromFacilityInputValue(
+          `${startDay}T${facility.close_time.slice(0, 5)}`,
+          timeZone,
+        ),
+      );
 
       if (start < openDate || end > closeDate) {
         setRequestError({
@@ -135,8 +192,9 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
     let finalStart = start;
     let finalEnd = end;
     if (isWholeDay && userType === "club") {
-      const eventDayMidnight = new Date(start);
-      eventDayMidnight.setHours(0, 0, 0, 0);
+      const eventDayMidnight = new Date(
+        fromFacilityInputValue(startDay, timeZone),
+      );
 
       if (now >= eventDayMidnight) {
         setRequestError({
@@ -146,15 +204,19 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
         return;
       }
 
-      const [openH, openM] = facility.open_time.split(":").map(Number);
-
-      const [closeH, closeM] = facility.close_time.split(":").map(Number);
-
-      finalStart = new Date(start);
-      finalStart.setHours(openH, openM, 0, 0);
-
-      finalEnd = new Date(start);
-      finalEnd.setHours(closeH, closeM, 0, 0);
+      finalStart = new Date(
+        fromFacilityInputValue(
+          `${startDay}T${facility.open_time.slice(0, 5)}`,
+          timeZone,
+        ),
+      );
+
+      finalEnd = new Date(
+        fromFacilityInputValue(
+          `${startDay}T${facility.close_time.slice(0, 5)}`,
+          timeZone,
+        ),
+      );
     } else {
       if (start < now) {
         setRequestError({ message: "You cannot book a slot in the past." });
@@ -162,48 +224,62 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
       }
     }
 
+    if (
+      recurrence.frequency !== "none" &&
+      recurrence.endMode === "until" &&
+      !recurrence.until
+    ) {
+      setRequestError({ message: "Please choose when the series should end." });
+      return;
+    }
+
     setIsSubmitting(true);
     setRequestError(null);
 
+    const slotRequest = {
+      facilityId: facility.id,
+      unitId: facility.is_pooled ? null : selectedUnitId,
+      startsAt: finalStart.toISOString(),
+      endsAt: finalEnd.toISOString(),
+    };
+
     try {
-      await apiClient.post("/reserve", {
-        facilityId: facility.id,
-        unitId: facility.is_pooled ? null : selectedUnitId,
-        userName,
-        userType,
-        clubName,
-        startsAt: finalStart.toISOString(),
-        endsAt: finalEnd.toISOString(),
+      const { data } = await apiClient.post("/reserve", {
+        ...slotRequest,
+        recurrence: buildRecurrenceRule(),
       });
+
+      // Partially booked series: show which occurrences were skipped before closing
+      if (data.conflicts?.length > 0) {
+        setSeriesResult(data);
+        return;
+      }
       onSuccess();
     } catch (err) {
       const conflict = err?.conflictDetails;
 
+      // A taken single slot can be waited out instead of rebooked by hand
+      const waitlistRequest =
+        err?.conflictType === "slot_taken" && recurrence.frequency === "none"
+          ? slotRequest
+          : null;
+
       if (conflict?.startsAt && conflict?.endsAt) {
-        const startTime = new Date(conflict.startsAt).toLocaleTimeString(
-          "en-IN",
-          {
-            hour: "numeric",
-            minute: "2-digit",
-            hour12: true,
-          },
-        );
-
-        const endTime = new Date(conflict.endsAt).toLocaleTimeString("en-IN", {
-          hour: "numeric",
-          minute: "2-digit",
-          hour12: true,
-        });
+        const startTime = formatFacilityTime(conflict.startsAt, timeZone);
+        const endTime = formatFacilityTime(conflict.endsAt, timeZone);
 
         const nameToShow =
           conflict.userType === "club" ? conflict.clubName : conflict.bookedBy;
 
         setRequestError({
           message: `${startTime} – ${endTime} is already booked by ${nameToShow}.`,
+          waitlistRequest,
         });
       } else {
         setRequestError({
           message: err?.message || "An error occurred during booking.",
+          occurrenceConflicts: err?.occurrenceConflicts || null,
+          waitlistRequest,
         });
       }
     } finally {
@@ -222,135 +298,320 @@ export function PolicyModal({ facility, onClose, onSuccess }) {
             <p className="text-slate-500 mt-1 text-sm font-medium">
               Review policies and select your resource.
             </p>
+            <p className="text-slate-400 mt-1 text-[10px] font-bold uppercase tracking-widest">
+              Times in {timeZone}
+            </p>
+            {facility.requires_approval && (
+              <p className="text-amber-700 mt-2 text-xs font-bold">
+                Requests stay pending until student affairs approves them.
+              </p>
+            )}
           </header>
 
-          <form onSubmit={handleRequest} className="space-y-6">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
-                  Starts At
-                </label>
-                <input
-                  type={
-                    userType === "club" && isWholeDay
-                      ? "date"
-                      : "datetime-local"
-                  }
-                  required
-                  min={
-                    userType === "club" && isWholeDay
-                      ? new Date().toISOString().split("T")[0]
-                      : getCurrentTimeForInput()
-                  }
-                  max={
-                    userType === "club" && isWholeDay
-                      ? getMaxAllowedDate().split("T")[0]
-                      : getMaxAllowedDate()
-                  }
-                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold"
-                  value={bookingTimes.start}
-                  onChange={(e) =>
-                    setBookingTimes({ ...bookingTimes, start: e.target.value })
-                  }
-                />
+          {waitlistEntry ? (
+            <div className="space-y-6">
+              <div className="p-4 rounded-2xl bg-emerald-50 border border-emerald-200">
+                <h4 className="text-sm font-bold text-emerald-900">
+                  You're #{waitlistEntry.position} on the waitlist
+                </h4>
+                <p className="text-xs mt-1 text-emerald-800">
+                  If this slot frees up, we'll book it for you automatically. It
+                  will show up in My Bookings.
+                </p>
               </div>
-              {!(userType === "club" && isWholeDay) && (
+              <button
+                type="button"
+                onClick={onSuccess}
+                className="w-full py-4 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700"
+              >
+                Done
+              </button>
+            </div>
+          ) : seriesResult ? (
+            <div className="space-y-6">
+              <div className="p-4 rounded-2xl bg-amber-50 border border-amber-200">
+                <h4 className="text-sm font-bold text-amber-900">
+                  Booked {seriesResult.bookings.length} of{" "}
+                  {seriesResult.bookings.length + seriesResult.conflicts.length}{" "}
+                  occurrences
+                </h4>
+                <p className="text-xs mt-1 text-amber-800">
+                  These dates could not be reserved:
+                </p>
+                <ul className="mt-2 space-y-1">
+                  {seriesResult.conflicts.map((c) => (
+                    <li key={c.startsAt} className="text-[10px] text-amber-800">
+                      {formatOccurrence(c.startsAt)} — {c.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                type="button"
+                onClick={onSuccess}
+                className="w-full py-4 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700"
+              >
+                Done
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={handleRequest} className="space-y-6">
+              <div className="grid grid-cols-2 gap-4">
                 <div className="space-y-2">
                   <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
-                    Ends At
+                    Starts At
                   </label>
                   <input
-                    type="datetime-local"
+                    type={
+                      userType === "club" && isWholeDay
+                        ? "date"
+                        : "datetime-local"
+                    }
                     required
-                    min={bookingTimes.start}
-                    max={getMaxAllowedDate()}
+                    min={
+                      userType === "club" && isWholeDay
+                        ? getFacilityToday(timeZone)
+                        : getCurrentTimeForInput()
+                    }
+                    max={
+                      userType === "club" && isWholeDay
+                        ? getMaxAllowedDate().split("T")[0]
+                        : getMaxAllowedDate()
+                    }
                     className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold"
-                    value={bookingTimes.end}
+                    value={bookingTimes.start}
                     onChange={(e) =>
-                      setBookingTimes({ ...bookingTimes, end: e.target.value })
+                      setBookingTimes({
+                        ...bookingTimes,
+                        start: e.target.value,
+                      })
                     }
                   />
                 </div>
+                {!(userType === "club" && isWholeDay) && (
+                  <div className="space-y-2">
+                    <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                      Ends At
+                    </label>
+                    <input
+                      type="datetime-local"
+                      required
+                      min={bookingTimes.start}
+                      max={getMaxAllowedDate()}
+                      className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold"
+                      value={bookingTimes.end}
+                      onChange={(e) =>
+                        setBookingTimes({
+                          ...bookingTimes,
+                          end: e.target.value,
+                        })
+                      }
+                    />
+                  </div>
+                )}
+              </div>
+
+              <QuotaAllowance
+                facilityId={facility.id}
+                date={bookingTimes.start.slice(0, 10)}
+              />
+
+              {userType === "club" && !facility.is_pooled && (
+                <div className="p-4 rounded-2xl border border-slate-100 bg-slate-50/50 flex items-center justify-between">
+                  <div>
+                    <p className="text-xs font-bold text-slate-900">
+                      Whole-Day Event
+                    </p>
+                    <p className="text-[10px] text-slate-500 mt-0.5 font-medium">
+                      Reserve the entire day (
+                      {formatTo12Hour(facility.open_time)} –{" "}
+                      {formatTo12Hour(facility.close_time)})
+                    </p>
+                  </div>
+                  <input
+                    type="checkbox"
+                    className="w-5 h-5 rounded-lg border-slate-300 text-indigo-600"
+                    checked={isWholeDay}
+                    onChange={(e) => setIsWholeDay(e.target.checked)}
+                  />
+                </div>
               )}
-            </div>
 
-            {userType === "club" && !facility.is_pooled && (
-              <div className="p-4 rounded-2xl border border-slate-100 bg-slate-50/50 flex items-center justify-between">
-                <div>
-                  <p className="text-xs font-bold text-slate-900">
-                    Whole-Day Event
-                  </p>
-                  <p className="text-[10px] text-slate-500 mt-0.5 font-medium">
-                    Reserve the entire day ({formatTo12Hour(facility.open_time)}{" "}
-                    – {formatTo12Hour(facility.close_time)})
-                  </p>
+              <div className="p-4 rounded-2xl border border-slate-100 bg-slate-50/50 space-y-3">
+                <div className="flex items-center justify-between gap-4">
+                  <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                    Repeat
+                  </label>
+                  <select
+                    className="px-3 py-2 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-xs font-semibold bg-white"
+                    value={recurrence.frequency}
+                    onChange={(e) =>
+                      setRecurrence({
+                        ...recurrence,
+                        frequency: e.target.value,
+                      })
+                    }
+                  >
+                    <option value="none">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                  </select>
                 </div>
-                <input
-                  type="checkbox"
-                  className="w-5 h-5 rounded-lg border-slate-300 text-indigo-600"
-                  checked={isWholeDay}
-                  onChange={(e) => setIsWholeDay(e.target.checked)}
-                />
+
+                {recurrence.frequency !== "none" && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                        Every
+                      </label>
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="number"
+                          min={1}
+                          className="w-16 px-3 py-2 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-xs font-semibold"
+                          value={recurrence.interval}
+                          onChange={(e) =>
+                            setRecurrence({
+                              ...recurrence,
+                              interval: e.target.value,
+                            })
+                          }
+                        />
+                        <span className="text-xs font-semibold text-slate-500">
+                          {recurrence.frequency === "weekly"
+                            ? "week(s)"
+                            : "day(s)"}
+                        </span>
+                      </div>
+                    </div>
+
+                    <div className="space-y-1">
+                      <select
+                        className="text-[10px] font-bold text-slate-400 uppercase tracking-widest bg-transparent outline-none"
+                        value={recurrence.endMode}
+                        onChange={(e) =>
+                          setRecurrence({
+                            ...recurrence,
+                            endMode: e.target.value,
+                          })
+                        }
+                      >
+                        <option value="count">Occurrences</option>
+                        <option value="until">Ends On</option>
+                      </select>
+                      {recurrence.endMode === "count" ? (
+                        <input
+                          type="number"
+                          min={1}
+                          className="w-full px-3 py-2 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-xs font-semibold"
+                          value={recurrence.count}
+                          onChange={(e) =>
+                            setRecurrence({
+                              ...recurrence,
+                              count: e.target.value,
+                            })
+                          }
+                        />
+                      ) : (
+                        <input
+                          type="date"
+                          min={bookingTimes.start.split("T")[0]}
+                          max={getMaxAllowedDate().split("T")[0]}
+                          className="w-full px-3 py-2 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-xs font-semibold"
+                          value={recurrence.until}
+                          onChange={(e) =>
+                            setRecurrence({
+                              ...recurrence,
+                              until: e.target.value,
+                            })
+                          }
+                        />
+                      )}
+                    </div>
+                  </div>
+                )}
               </div>
-            )}
 
-            {!facility.is_pooled && (
-              <div className="space-y-2">
-                <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
-                  Select Available {getUnitTerminology()}
-                </label>
-                <select
-                  required
-                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold bg-white"
-                  value={selectedUnitId}
-                  onChange={(e) => setSelectedUnitId(e.target.value)}
-                >
-                  <option value="">
-                    Choose a {getUnitTerminology().toLowerCase()}...
-                  </option>
-                  {availableUnits.map((unit) => (
-                    <option key={unit.id} value={unit.id}>
-                      {unit.unit_name}
+              {!facility.is_pooled && (
+                <div className="space-y-2">
+                  <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                    Select Available {getUnitTerminology()}
+                  </label>
+                  <select
+                    required
+                    className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold bg-white"
+                    value={selectedUnitId}
+                    onChange={(e) => setSelectedUnitId(e.target.value)}
+                  >
+                    <option value="">
+                      Choose a {getUnitTerminology().toLowerCase()}...
                     </option>
-                  ))}
-                </select>
-              </div>
-            )}
+                    {availableUnits.map((unit) => (
+                      <option key={unit.id} value={unit.id}>
+                        {unit.unit_name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
-            {requestError && (
-              <div className="p-4 rounded-2xl bg-rose-50 border border-rose-200">
-                <div className="flex gap-3">
-                  <span className="text-xl">⚠️</span>
-                  <div>
-                    <h4 className="text-sm font-bold text-rose-900">
-                      Policy Rejection
-                    </h4>
-                    <p className="text-xs mt-1 text-rose-800">
-                      {requestError.message ||
-                        "An error occurred during booking."}
-                    </p>
+              {requestError && (
+                <div className="p-4 rounded-2xl bg-rose-50 border border-rose-200">
+                  <div className="flex gap-3">
+                    <span className="text-xl">⚠️</span>
+                    <div>
+                      <h4 className="text-sm font-bold text-rose-900">
+                        Policy Rejection
+                      </h4>
+                      <p className="text-xs mt-1 text-rose-800">
+                        {requestError.message ||
+                          "An error occurred during booking."}
+                      </p>
+                      {requestError.occurrenceConflicts?.length > 0 && (
+                        <ul className="mt-2 space-y-1">
+                          {requestError.occurrenceConflicts.map((c) => (
+                            <li
+                              key={c.startsAt}
+                              className="text-[10px] text-rose-700"
+                            >
+                              {formatOccurrence(c.startsAt)} — {c.message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {requestError.waitlistRequest && (
+                        <button
+                          type="button"
+                          onClick={handleJoinWaitlist}
+                          disabled={isSubmitting}
+                          className="mt-3 px-4 py-2 rounded-xl text-[10px] font-bold uppercase tracking-widest text-rose-700 bg-white border border-rose-200 hover:bg-rose-100 disabled:opacity-50"
+                        >
+                          Join Waitlist
+                        </button>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            <div className="flex gap-3 pt-4">
-              <button
-                type="button"
-                onClick={onClose}
-                className="flex-1 py-4 px-4 rounded-2xl text-sm font-bold text-slate-500 bg-slate-100 hover:bg-slate-200"
-              >
-                Dismiss
-              </button>
-              <button
-                type="submit"
-                disabled={isSubmitting}
-                className="flex-2 py-4 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
-              >
-                {isSubmitting ? "Processing..." : "Confirm Booking"}
-              </button>
-            </div>
-          </form>
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="flex-1 py-4 px-4 rounded-2xl text-sm font-bold text-slate-500 bg-slate-100 hover:bg-slate-200"
+                >
+                  Dismiss
+                </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="flex-2 py-4 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {isSubmitting ? "Processing..." : "Confirm Booking"}
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
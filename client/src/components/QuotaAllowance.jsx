@@ -0,0 +1,65 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+
+const formatHours = (hours) => `${Math.round(hours * 10) / 10}h`;
+
+/**
+ * Fair-use allowance left for the facility's category on the chosen date.
+ * Limits without a configured value are left out.
+ */
+export function QuotaAllowance({ facilityId, date }) {
+  const [quota, setQuota] = useState(null);
+
+  useEffect(() => {
+    apiClient
+      .get("/bookings/me/quota", { params: { facilityId, date } })
+      .then(({ data }) => setQuota(data))
+      .catch((err) => console.error("Failed to load allowance:", err));
+  }, [facilityId, date]);
+
+  if (!quota) return null;
+
+  const rows = [
+    quota.dayHours.limit && {
+      label: `${quota.category} on this day`,
+      value: `${formatHours(quota.dayHours.remaining)} of ${formatHours(quota.dayHours.limit)} left`,
+      isSpent: quota.dayHours.remaining === 0,
+    },
+    quota.weekHours.limit && {
+      label: `${quota.category} this week`,
+      value: `${formatHours(quota.weekHours.remaining)} of ${formatHours(quota.weekHours.limit)} left`,
+      isSpent: quota.weekHours.remaining === 0,
+    },
+    {
+      label: `Peak bookings (${quota.peakWindow.start}–${quota.peakWindow.end}) this week`,
+      value: `${quota.weekPeakBookings.remaining} of ${quota.weekPeakBookings.limit} left`,
+      isSpent: quota.weekPeakBookings.remaining === 0,
+    },
+    {
+      label: "Upcoming bookings",
+      value: `${quota.upcomingBookings.remaining} of ${quota.upcomingBookings.limit} left`,
+      isSpent: quota.upcomingBookings.remaining === 0,
+    },
+  ].filter(Boolean);
+
+  return (
+    <div className="p-4 rounded-2xl border border-slate-100 bg-slate-50/50 space-y-1">
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-2">
+        Your allowance{quota.sharedWith && ` · shared by ${quota.sharedWith}`}
+      </p>
+      {rows.map((row) => (
+        <div
+          key={row.label}
+          className="flex items-center justify-between text-xs"
+        >
+          <span className="text-slate-500 font-medium">{row.label}</span>
+          <span
+            className={`font-bold ${row.isSpent ? "text-rose-600" : "text-slate-800"}`}
+          >
+            {row.value}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
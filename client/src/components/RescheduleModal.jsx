@@ -0,0 +1,165 @@
+import { useState, useEffect } from "react";
+import apiClient from "../api/apiClient.js";
+import {
+  fromFacilityInputValue,
+  toFacilityInputValue,
+} from "../utils/facilityTime.js";
+
+export function RescheduleModal({ booking, onClose, onSuccess }) {
+  const [availableUnits, setAvailableUnits] = useState([]);
+  const [selectedUnitId, setSelectedUnitId] = useState(
+    booking.unit_id ? String(booking.unit_id) : "",
+  );
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [requestError, setRequestError] = useState(null);
+
+  // Inputs hold wall-clock times at the facility
+  const [bookingTimes, setBookingTimes] = useState({
+    start: toFacilityInputValue(booking.starts_at, booking.timezone),
+    end: toFacilityInputValue(booking.ends_at, booking.timezone),
+  });
+
+  useEffect(() => {
+    if (!booking.is_pooled) {
+      apiClient
+        .get(`/facilities/${booking.facility_id}/units`)
+        .then(({ data }) => setAvailableUnits(data))
+        .catch((err) => console.error("Failed to load units:", err));
+    }
+  }, [booking.facility_id, booking.is_pooled]);
+
+  const handleSubmit = async (e) => {
+    if (e) e.preventDefault();
+
+    const start = new Date(
+      fromFacilityInputValue(bookingTimes.start, booking.timezone),
+    );
+    const end = new Date(
+      fromFacilityInputValue(bookingTimes.end, booking.timezone),
+    );
+
+    if (end <= start) {
+      setRequestError("End time must be after the start time.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setRequestError(null);
+
+    try {
+      await apiClient.post("/modify", {
+        bookingId: booking.id,
+        unitId: booking.is_pooled ? null : Number(selectedUnitId),
+        startsAt: start.toISOString(),
+        endsAt: end.toISOString(),
+      });
+      onSuccess();
+    } catch (err) {
+      setRequestError(err?.message || "Could not reschedule this booking.");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-lg overflow-hidden border border-slate-100">
+        <div className="p-8">
+          <header className="mb-8">
+            <h2 className="text-2xl font-bold text-slate-900">
+              Reschedule {booking.facility_name}
+            </h2>
+            <p className="text-slate-500 mt-1 text-sm font-medium">
+              Your current slot is kept until the new one is confirmed.
+            </p>
+          </header>
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                  Starts At
+                </label>
+                <input
+                  type="datetime-local"
+                  required
+                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold"
+                  value={bookingTimes.start}
+                  onChange={(e) =>
+                    setBookingTimes({ ...bookingTimes, start: e.target.value })
+                  }
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                  Ends At
+                </label>
+                <input
+                  type="datetime-local"
+                  required
+                  min={bookingTimes.start}
+                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold"
+                  value={bookingTimes.end}
+                  onChange={(e) =>
+                    setBookingTimes({ ...bookingTimes, end: e.target.value })
+                  }
+                />
+              </div>
+            </div>
+
+            {!booking.is_pooled && (
+              <div className="space-y-2">
+                <label className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+                  Unit
+                </label>
+                <select
+                  required
+                  className="w-full px-4 py-3 rounded-xl border border-slate-200 focus:ring-2 focus:ring-indigo-500 outline-none text-sm font-semibold bg-white"
+                  value={selectedUnitId}
+                  onChange={(e) => setSelectedUnitId(e.target.value)}
+                >
+                  {availableUnits.map((unit) => (
+                    <option key={unit.id} value={unit.id}>
+                      {unit.unit_name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {requestError && (
+              <div className="p-4 rounded-2xl bg-rose-50 border border-rose-200">
+                <div className="flex gap-3">
+                  <span className="text-xl">⚠️</span>
+                  <div>
+                    <h4 className="text-sm font-bold text-rose-900">
+                      Reschedule Rejected
+                    </h4>
+                    <p className="text-xs mt-1 text-rose-800">{requestError}</p>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 py-4 px-4 rounded-2xl text-sm font-bold text-slate-500 bg-slate-100 hover:bg-slate-200"
+              >
+                Dismiss
+              </button>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="flex-2 py-4 px-4 rounded-2xl text-sm font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {isSubmitting ? "Processing..." : "Confirm Changes"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,59 +1,68 @@
 import { useState, useEffect, useMemo } from "react";
 import apiClient from "../api/apiClient.js";
 import { useUser } from "../hooks/useUser.js";
+import { addDaysToDateKey, getFacilityToday } from "../utils/facilityTime.js";
 
 export function ScheduleModal({ facility, onClose }) {
   const { userName, userType } = useUser();
 
-  const todayStr = useMemo(() => new Date().toISOString().split("T")[0], []);
+  // Dates and slot times are on the facility's clock, not the browser's
+  const todayStr = useMemo(
+    () => getFacilityToday(facility.timezone),
+    [facility.timezone],
+  );
 
   const [selectedDate, setSelectedDate] = useState(todayStr);
   const [schedule, setSchedule] = useState(null);
   const [activeUnitId, setActiveUnitId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
-  const maxDate = useMemo(() => {
-    const date = new Date();
-    const horizon = userType === "club" ? 29 : 6;
-    date.setDate(date.getDate() + horizon);
-    return date.toISOString().split("T")[0];
-  }, [userType]);
+  const maxDate = useMemo(
+    () => addDaysToDateKey(todayStr, userType === "club" ? 29 : 6),
+    [todayStr, userType],
+  );
+
+  // Hours for the selected date (weekday overrides and closures applied server-side)
+  const dayHours = schedule?.hours;
+  const openTime = dayHours ? dayHours.openTime : facility.open_time;
+  const closeTime = dayHours ? dayHours.closeTime : facility.close_time;
 
-  // Generate 30-min slots within facility hours
+  // Generate 30-min slots within the day's operating hours. The cursor runs in
+  // UTC so it reads as facility wall-clock time, and each slot carries the
+  // "YYYY-MM-DDTHH:MM" stamp the schedule's local_* fields are compared against.
   const timeSlots = useMemo(() => {
-    if (!facility.open_time || !facility.close_time) return [];
+    if (!openTime || !closeTime) return [];
 
     const slots = [];
 
-    const baseDate = new Date(selectedDate);
+    const baseDate = new Date(`${selectedDate}T00:00:00Z`);
 
-    const [openH, openM] = facility.open_time.split(":").map(Number);
-    const [closeH, closeM] = facility.close_time.split(":").map(Number);
+    const [openH, openM] = openTime.split(":").map(Number);
+    const [closeH, closeM] = closeTime.split(":").map(Number);
 
     const start = new Date(baseDate);
-    start.setHours(openH, openM, 0, 0);
+    start.setUTCHours(openH, openM, 0, 0);
 
     const end = new Date(baseDate);
-    end.setHours(closeH, closeM, 0, 0);
+    end.setUTCHours(closeH, closeM, 0, 0);
 
     // If close time is midnight (00:00), treat it as next day
     if (end <= start) {
-      end.setDate(end.getDate() + 1);
+      end.setUTCDate(end.getUTCDate() + 1);
     }
 
     const cursor = new Date(start);
 
     while (cursor < end) {
-      const hours = String(cursor.getHours()).padStart(2, "0");
-      const minutes = String(cursor.getMinutes()).padStart(2, "0");
+      const stamp = cursor.toISOString().slice(0, 16);
 
-      slots.push(`${hours}:${minutes}`);
+      slots.push({ time: stamp.slice(11), stamp });
 
-      cursor.setMinutes(cursor.getMinutes() + 30);
+      cursor.setUTCMinutes(cursor.getUTCMinutes() + 30);
     }
 
     return slots;
-  }, [facility.open_time, facility.close_time, selectedDate]);
+  }, [openTime, closeTime, selectedDate]);
 
   useEffect(() => {
     const fetchSchedule = async () => {
@@ -101,18 +110,37 @@ export function ScheduleModal({ facility, onClose }) {
 
     const map = {};
 
-    for (const booking of activeUnit.bookings) {
-      const start = new Date(booking.starts_at);
-      const end = new Date(booking.ends_at);
-
-      for (const time of timeSlots) {
-        const [h, m] = time.split(":").map(Number);
-        const slotTime = new Date(selectedDate);
-        slotTime.setHours(h, m, 0, 0);
+    // Wall-clock stamps share one format, so string order is time order
+    for (const downtime of activeUnit.maintenance || []) {
+      for (const { time, stamp } of timeSlots) {
+        if (
+          stamp >= downtime.local_starts_at &&
+          stamp < downtime.local_ends_at
+        ) {
+          map[time] = {
+            type: "maintenance",
+            label: `Out of service · ${downtime.reason}`,
+          };
+        }
+      }
+    }
 
-        if (slotTime >= start && slotTime < end) {
+    for (const booking of activeUnit.bookings) {
+      for (const { time, stamp } of timeSlots) {
+        if (stamp >= booking.local_starts_at && stamp < booking.local_ends_at) {
           if (booking.booked_by === userName) {
-            map[time] = { type: "mine", label: "Your Slot" };
+            map[time] = {
+              type: "mine",
+              label:
+                booking.status === "pending_approval"
+                  ? "Your Request (Pending)"
+                  : "Your Slot",
+            };
+          } else if (booking.status === "pending_approval") {
+            map[time] = {
+              type: "pending",
+              label: `Pending · ${booking.club_name || "Request"}`,
+            };
           } else if (booking.user_type === "club") {
             map[time] = { type: "club", label: booking.club_name };
           } else {
@@ -123,7 +151,7 @@ export function ScheduleModal({ facility, onClose }) {
     }
 
     return map;
-  }, [activeUnit, selectedDate, timeSlots, userName]);
+  }, [activeUnit, timeSlots, userName]);
 
   const getResourceLabel = () => {
     const name = facility.display_name?.toLowerCase() || "";
@@ -147,6 +175,9 @@ export function ScheduleModal({ facility, onClose }) {
               <p className="text-slate-500 mt-1 text-sm font-medium">
                 Real-time vibes. Who’s got the spot?
               </p>
+              <p className="text-slate-400 mt-1 text-[10px] font-bold uppercase tracking-widest">
+                Times in {facility.timezone}
+              </p>
             </div>
             <button
               onClick={onClose}
@@ -204,6 +235,20 @@ export function ScheduleModal({ facility, onClose }) {
                 Fetching who’s outside rn
               </p>
             </div>
+          ) : dayHours?.isClosed ? (
+            <div className="flex flex-col items-center justify-center py-24 text-center space-y-4">
+              <div className="text-5xl">🔒</div>
+              <h3 className="text-xl font-bold text-slate-900">
+                Closed for the day.
+              </h3>
+              <p className="text-slate-500 text-sm font-medium max-w-md">
+                {dayHours.reason ||
+                  `${facility.display_name} is closed on this date.`}
+              </p>
+              <p className="text-xs text-slate-400 uppercase tracking-widest">
+                No slots available
+              </p>
+            </div>
           ) : !activeUnit ? (
             <div className="text-center text-slate-400 font-medium py-20">
               No schedule data available.
@@ -240,7 +285,7 @@ export function ScheduleModal({ facility, onClose }) {
             </div>
           ) : (
             <div className="grid grid-cols-1 gap-1">
-              {timeSlots.map((time) => {
+              {timeSlots.map(({ time }) => {
                 const status = slotStatusMap[time] || null;
 
                 return (
@@ -256,7 +301,11 @@ export function ScheduleModal({ facility, onClose }) {
                             ? "bg-emerald-50 border-emerald-100 text-emerald-700"
                             : status?.type === "occupied"
                               ? "bg-amber-50 border-amber-100 text-amber-700"
-                              : "bg-white border-slate-100 text-slate-300 hover:border-indigo-200"
+                              : status?.type === "maintenance"
+                                ? "bg-rose-50 border-rose-100 text-rose-700"
+                                : status?.type === "pending"
+                                  ? "bg-slate-50 border-dashed border-slate-300 text-slate-500"
+                                  : "bg-white border-slate-100 text-slate-300 hover:border-indigo-200"
                       }`}
                     >
                       <span className="text-[10px] font-black uppercase tracking-widest">
@@ -289,6 +338,18 @@ export function ScheduleModal({ facility, onClose }) {
               Occupied
             </span>
           </div>
+          <div className="flex items-center gap-2">
+            <div className="w-3 h-3 rounded border border-dashed border-slate-400"></div>
+            <span className="text-[9px] font-bold text-slate-500 uppercase">
+              Pending
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-3 h-3 rounded bg-rose-300"></div>
+            <span className="text-[9px] font-bold text-slate-500 uppercase">
+              Maintenance
+            </span>
+          </div>
         </div>
       </div>
     </div>
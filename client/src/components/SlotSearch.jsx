@@ -0,0 +1,234 @@
+import { useState } from "react";
+import apiClient from "../api/apiClient.js";
+
+const DURATION_OPTIONS = [30, 60, 90, 120, 180, 240];
+
+const formatDuration = (mins) => (mins >= 60 ? `${mins / 60}h` : `${mins} min`);
+
+/**
+ * "Find me any free slot": searches every facility in a category for the
+ * given duration and window, and books a returned slot in one click.
+ */
+export function SlotSearch({ facilities, onBooked }) {
+  const categories = [...new Set(facilities.map((f) => f.category))].sort();
+
+  const [criteria, setCriteria] = useState({
+    category: "",
+    durationMinutes: 60,
+    from: "",
+    to: "",
+    windowStart: "",
+    windowEnd: "",
+  });
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [bookingKey, setBookingKey] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const updateCriteria = (field) => (e) =>
+    setCriteria((current) => ({ ...current, [field]: e.target.value }));
+
+  const runSearch = async () => {
+    setIsSearching(true);
+    try {
+      // Blank fields fall back to the server defaults
+      const params = Object.fromEntries(
+        Object.entries(criteria).filter(([, value]) => value !== ""),
+      );
+      const { data } = await apiClient.get("/slots/search", { params });
+      setResults(data.slots);
+    } catch (err) {
+      setResults(null);
+      setRequestError(err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setNotice(null);
+    setRequestError(null);
+    runSearch();
+  };
+
+  const slotKey = (slot) =>
+    `${slot.facilityId}-${slot.unitId ?? "pool"}-${slot.startsAt}`;
+
+  const handleBook = async (slot) => {
+    setBookingKey(slotKey(slot));
+    setRequestError(null);
+    setNotice(null);
+    try {
+      const { data } = await apiClient.post("/reserve", {
+        facilityId: slot.facilityId,
+        unitId: slot.unitId,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+      });
+      setNotice(
+        data.status === "pending_approval"
+          ? `Requested ${slot.facilityName}. It needs approval before it's confirmed.`
+          : `Booked ${slot.facilityName}${slot.unitName ? ` · ${slot.unitName}` : ""}.`,
+      );
+      onBooked();
+    } catch (err) {
+      // Someone got there first; the refreshed list below drops the slot
+      setRequestError(err.message || "That slot could not be booked.");
+    } finally {
+      setBookingKey(null);
+    }
+    runSearch();
+  };
+
+  const formatSlot = (slot) => {
+    const [date, startTime] = slot.localStartsAt.split("T");
+    const endTime = slot.localEndsAt.split("T")[1];
+    const day = new Date(`${date}T00:00:00`).toLocaleDateString([], {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    });
+    return `${day} · ${startTime} – ${endTime}`;
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-medium text-slate-700 focus:outline-none focus:ring-2 focus:ring-indigo-100";
+  const labelClass =
+    "block text-[10px] font-bold text-slate-400 uppercase tracking-widest mb-1";
+
+  return (
+    <section className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm mb-10 space-y-4">
+      <form
+        onSubmit={handleSearch}
+        className="grid grid-cols-2 md:grid-cols-7 gap-3 items-end"
+      >
+        <div className="col-span-2 md:col-span-1">
+          <label className={labelClass}>Category</label>
+          <select
+            value={criteria.category}
+            onChange={updateCriteria("category")}
+            className={inputClass}
+          >
+            <option value="">Anything</option>
+            {categories.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Duration</label>
+          <select
+            value={criteria.durationMinutes}
+            onChange={updateCriteria("durationMinutes")}
+            className={inputClass}
+          >
+            {DURATION_OPTIONS.map((mins) => (
+              <option key={mins} value={mins}>
+                {formatDuration(mins)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>From</label>
+          <input
+            type="date"
+            value={criteria.from}
+            onChange={updateCriteria("from")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>To</label>
+          <input
+            type="date"
+            value={criteria.to}
+            onChange={updateCriteria("to")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>After</label>
+          <input
+            type="time"
+            step="1800"
+            value={criteria.windowStart}
+            onChange={updateCriteria("windowStart")}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Before</label>
+          <input
+            type="time"
+            step="1800"
+            value={criteria.windowEnd}
+            onChange={updateCriteria("windowEnd")}
+            className={inputClass}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={isSearching}
+          className="col-span-2 md:col-span-1 px-6 py-3 bg-indigo-600 text-white rounded-2xl text-xs font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+        >
+          {isSearching ? "Searching…" : "Find a slot"}
+        </button>
+      </form>
+
+      {requestError && (
+        <p className="text-xs font-medium text-rose-600">{requestError}</p>
+      )}
+      {notice && (
+        <p className="text-xs font-medium text-emerald-600">{notice}</p>
+      )}
+
+      {results && results.length === 0 && (
+        <p className="text-xs text-slate-400">
+          Nothing free for that search. Try a wider window or other dates.
+        </p>
+      )}
+
+      {results && results.length > 0 && (
+        <ul className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+          {results.map((slot) => (
+            <li
+              key={slotKey(slot)}
+              className="flex items-center justify-between gap-4 px-4 py-3"
+            >
+              <div>
+                <p className="text-sm font-bold text-slate-900">
+                  {slot.facilityName}
+                  {slot.unitName && (
+                    <span className="font-medium text-slate-500">
+                      {" "}
+                      · {slot.unitName}
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {formatSlot(slot)} ·{" "}
+                  {slot.isPooled
+                    ? `${slot.free} spots free`
+                    : `${slot.free} ${slot.free === 1 ? "unit" : "units"} free`}
+                  {slot.requiresApproval && " · needs approval"}
+                </p>
+              </div>
+              <button
+                onClick={() => handleBook(slot)}
+                disabled={bookingKey !== null}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-xl text-xs font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+              >
+                {bookingKey === slotKey(slot) ? "Booking…" : "Book"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -25,6 +25,8 @@ export function StatusPill({ status, confidence }) {
         return "📅 Reserved";
       case "stale":
         return "⏳ Syncing...";
+      case "reconnecting":
+        return "⚠ Reconnecting...";
       default:
         return confidence || "Verified";
     }
@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+
+const STRIKE_LABELS = {
+  no_show: "No-show",
+  late_cancellation: "Late cancellation",
+};
+
+/**
+ * Admin view of strikes still counting against users. Forgiving one removes it
+ * from the user's count right away.
+ */
+export function StrikeLedger({ onClose }) {
+  const [strikes, setStrikes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchStrikes = useCallback(
+    () =>
+      apiClient
+        .get("/admin/strikes")
+        .then(({ data }) => setStrikes(data))
+        .catch((err) => console.error("Failed to load strikes:", err))
+        .finally(() => setIsLoading(false)),
+    [],
+  );
+
+  useEffect(() => {
+    fetchStrikes();
+  }, [fetchStrikes]);
+
+  const handleForgive = async (strike) => {
+    const reason = window.prompt(
+      `Why forgive ${strike.user_name}'s ${STRIKE_LABELS[strike.reason].toLowerCase()}?`,
+    );
+    if (!reason) return;
+
+    try {
+      await apiClient.post(`/admin/strikes/${strike.id}/forgive`, { reason });
+      fetchStrikes();
+    } catch (err) {
+      alert(err.message || "Could not forgive this strike.");
+    }
+  };
+
+  const formatStart = (strike) =>
+    new Date(strike.starts_at).toLocaleString("en-IN", {
+      day: "numeric",
+      month: "short",
+      hour: "numeric",
+      minute: "2-digit",
+      timeZone: strike.timezone,
+    });
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-extrabold text-slate-900 text-lg">
+          No-show &amp; Late-cancel Strikes
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-xs font-bold text-slate-400 hover:text-slate-600"
+        >
+          Close
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-xs text-slate-400">Loading strikes…</p>
+      ) : strikes.length === 0 ? (
+        <p className="text-xs text-slate-400">
+          Nobody has a strike in the current window.
+        </p>
+      ) : (
+        <ul className="divide-y divide-slate-100">
+          {strikes.map((strike) => (
+            <li
+              key={strike.id}
+              className="py-3 flex items-center justify-between gap-4"
+            >
+              <div>
+                <p className="text-sm font-bold text-slate-800">
+                  {strike.user_name}
+                  <span className="ml-2 text-[10px] font-bold text-rose-600 uppercase tracking-widest">
+                    {STRIKE_LABELS[strike.reason]}
+                  </span>
+                </p>
+                <p className="text-xs text-slate-500">
+                  {strike.facility_name}
+                  {strike.unit_name && ` (${strike.unit_name})`} ·{" "}
+                  {formatStart(strike)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleForgive(strike)}
+                className="px-4 py-2 bg-slate-100 text-slate-700 rounded-xl text-xs font-bold hover:bg-emerald-600 hover:text-white transition-all"
+              >
+                Forgive
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
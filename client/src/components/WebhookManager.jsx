@@ -0,0 +1,375 @@
+import { useState, useEffect, useCallback } from "react";
+import apiClient from "../api/apiClient.js";
+
+const EVENT_TYPES = [
+  { value: "booking.created", label: "Created" },
+  { value: "booking.approved", label: "Approved" },
+  { value: "booking.rejected", label: "Rejected" },
+  { value: "booking.cancelled", label: "Cancelled" },
+  { value: "booking.checked_in", label: "Checked in" },
+  { value: "booking.completed", label: "Completed" },
+  { value: "booking.released", label: "Released" },
+];
+
+const DELIVERY_COLORS = {
+  delivered: "text-emerald-600",
+  failed: "text-rose-600",
+};
+
+const formatStamp = (isoStr) =>
+  isoStr
+    ? new Date(isoStr).toLocaleString([], {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      })
+    : "—";
+
+function DeliveryLog({ endpoint }) {
+  const [deliveries, setDeliveries] = useState(null);
+  const [requestError, setRequestError] = useState(null);
+
+  const fetchDeliveries = useCallback(
+    () =>
+      apiClient
+        .get(`/webhooks/${endpoint.id}/deliveries`)
+        .then(({ data }) => setDeliveries(data))
+        .catch((err) => setRequestError(err.message)),
+    [endpoint.id],
+  );
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleRetry = async (delivery) => {
+    try {
+      await apiClient.post(`/webhooks/deliveries/${delivery.id}/retry`);
+      fetchDeliveries();
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  if (requestError) {
+    return <p className="text-xs font-medium text-rose-600">{requestError}</p>;
+  }
+  if (!deliveries) {
+    return <p className="text-xs text-slate-400">Loading deliveries…</p>;
+  }
+  if (deliveries.length === 0) {
+    return (
+      <p className="text-xs text-slate-400">Nothing has been sent here yet.</p>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-slate-50 border border-slate-100 rounded-2xl">
+      {deliveries.map((delivery) => (
+        <li key={delivery.id} className="px-4 py-3 space-y-1">
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-slate-700">
+              <span className="font-bold">{delivery.event_type}</span> · booking
+              #{delivery.booking_id ?? "—"} · {formatStamp(delivery.created_at)}
+            </p>
+            <div className="flex items-center gap-3">
+              <span
+                className={`text-[10px] font-bold uppercase tracking-widest ${DELIVERY_COLORS[delivery.status] || "text-amber-600"}`}
+              >
+                {delivery.status}
+              </span>
+              {delivery.status === "failed" && (
+                <button
+                  onClick={() => handleRetry(delivery)}
+                  className="text-xs font-bold text-indigo-600 hover:text-indigo-700"
+                >
+                  Retry
+                </button>
+              )}
+            </div>
+          </div>
+          {delivery.status === "pending" && delivery.attempts > 0 && (
+            <p className="text-[10px] text-slate-400">
+              Next attempt {formatStamp(delivery.next_attempt_at)}
+            </p>
+          )}
+          {delivery.attempt_log.map((attempt) => (
+            <p key={attempt.attempt} className="text-[10px] text-slate-500">
+              #{attempt.attempt} · {formatStamp(attempt.attempted_at)} ·{" "}
+              {attempt.error || `HTTP ${attempt.response_status}`} ·{" "}
+              {attempt.duration_ms} ms
+            </p>
+          ))}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Outbound webhook endpoints with their delivery logs. With a clubId it
+ * manages that club's endpoints; without one (Admin tab) it lists every
+ * endpoint and registers campus-wide ones.
+ */
+export function WebhookManager({ clubId, onClose }) {
+  const [endpoints, setEndpoints] = useState([]);
+  const [form, setForm] = useState({
+    url: "",
+    description: "",
+    eventTypes: EVENT_TYPES.map((event) => event.value),
+  });
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [openLogId, setOpenLogId] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [requestError, setRequestError] = useState(null);
+
+  const fetchEndpoints = useCallback(
+    () =>
+      apiClient
+        .get("/webhooks", { params: clubId ? { clubId } : {} })
+        .then(({ data }) => setEndpoints(data))
+        .catch((err) => setRequestError(err.message)),
+    [clubId],
+  );
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, [fetchEndpoints]);
+
+  const toggleEventType = (value) =>
+    setForm((current) => ({
+      ...current,
+      eventTypes: current.eventTypes.includes(value)
+        ? current.eventTypes.filter((type) => type !== value)
+        : [...current.eventTypes, value],
+    }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setRequestError(null);
+    try {
+      const { data } = await apiClient.post("/webhooks", {
+        ...form,
+        clubId: clubId || null,
+      });
+      setRevealedSecret({ url: data.url, secret: data.secret });
+      setForm((current) => ({ ...current, url: "", description: "" }));
+      fetchEndpoints();
+    } catch (err) {
+      setRequestError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    setRequestError(null);
+    try {
+      await apiClient.put(`/webhooks/${endpoint.id}`, {
+        isActive: !endpoint.is_active,
+      });
+      fetchEndpoints();
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (
+      !window.confirm(
+        `Issue a new secret for ${endpoint.url}? The receiver must switch to it before the next delivery.`,
+      )
+    )
+      return;
+
+    setRequestError(null);
+    try {
+      const { data } = await apiClient.post(`/webhooks/${endpoint.id}/secret`);
+      setRevealedSecret({ url: endpoint.url, secret: data.secret });
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (
+      !window.confirm(
+        `Remove ${endpoint.url}? Queued deliveries and the delivery log go with it.`,
+      )
+    )
+      return;
+
+    setRequestError(null);
+    try {
+      await apiClient.delete(`/webhooks/${endpoint.id}`);
+      fetchEndpoints();
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-extrabold text-slate-900 text-lg">Webhooks</h3>
+        <button
+          onClick={onClose}
+          className="text-xs font-bold text-slate-400 hover:text-slate-600"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="text-xs text-slate-500">
+        {clubId
+          ? "Signed JSON POSTs whenever one of the club's bookings changes."
+          : "Signed JSON POSTs for every booking on campus."}{" "}
+        Check the <code>X-CampusSpot-Signature</code> header: an HMAC-SHA256 of{" "}
+        <code>t.body</code> with the endpoint&apos;s secret. Failed deliveries
+        are retried with growing delays.
+      </p>
+
+      {revealedSecret && (
+        <div className="bg-amber-50 border border-amber-100 rounded-2xl p-4 space-y-1">
+          <p className="text-xs font-bold text-amber-700">
+            Signing secret for {revealedSecret.url}. Copy it now; it won&apos;t
+            be shown again.
+          </p>
+          <code className="block text-[10px] text-amber-800 break-all">
+            {revealedSecret.secret}
+          </code>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            type="url"
+            required
+            placeholder="https://example.org/hooks/campusspot"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-medium text-slate-700"
+          />
+          <input
+            type="text"
+            maxLength={200}
+            placeholder="Description (optional)"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            className="px-3 py-2 bg-slate-50 border border-slate-200 rounded-xl text-xs font-medium text-slate-700"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          {EVENT_TYPES.map((event) => (
+            <label
+              key={event.value}
+              className="flex items-center gap-2 text-xs font-medium text-slate-600"
+            >
+              <input
+                type="checkbox"
+                checked={form.eventTypes.includes(event.value)}
+                onChange={() => toggleEventType(event.value)}
+              />
+              {event.label}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving || form.eventTypes.length === 0}
+          className="px-6 py-3 bg-indigo-600 text-white rounded-2xl text-xs font-bold hover:bg-indigo-700 disabled:opacity-50 transition-all"
+        >
+          Add Endpoint
+        </button>
+      </form>
+
+      {requestError && (
+        <p className="text-xs font-medium text-rose-600">{requestError}</p>
+      )}
+
+      {endpoints.length === 0 ? (
+        <p className="text-xs text-slate-400">No endpoints registered.</p>
+      ) : (
+        <ul className="space-y-3">
+          {endpoints.map((endpoint) => (
+            <li
+              key={endpoint.id}
+              className="border border-slate-100 rounded-2xl p-4 space-y-3"
+            >
+              <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-[10px] font-bold uppercase tracking-widest text-indigo-600">
+                      {endpoint.club_name || "Campus-wide"}
+                    </span>
+                    {!endpoint.is_active && (
+                      <span className="text-[10px] font-bold uppercase tracking-widest text-amber-600">
+                        Paused
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm font-bold text-slate-900 break-all">
+                    {endpoint.url}
+                  </p>
+                  {endpoint.description && (
+                    <p className="text-xs text-slate-500">
+                      {endpoint.description}
+                    </p>
+                  )}
+                  <p className="text-[10px] text-slate-400 mt-1">
+                    {endpoint.event_types.join(", ")} · last delivered{" "}
+                    {formatStamp(endpoint.last_delivered_at)} ·{" "}
+                    {endpoint.queued_count} queued ·{" "}
+                    <span
+                      className={
+                        endpoint.failed_count > 0
+                          ? "font-bold text-rose-600"
+                          : ""
+                      }
+                    >
+                      {endpoint.failed_count} failed
+                    </span>
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-3 shrink-0">
+                  <button
+                    onClick={() =>
+                      setOpenLogId(
+                        openLogId === endpoint.id ? null : endpoint.id,
+                      )
+                    }
+                    className="text-xs font-bold text-indigo-600 hover:text-indigo-700"
+                  >
+                    {openLogId === endpoint.id ? "Hide log" : "Deliveries"}
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(endpoint)}
+                    className="text-xs font-bold text-slate-500 hover:text-slate-700"
+                  >
+                    {endpoint.is_active ? "Pause" : "Resume"}
+                  </button>
+                  <button
+                    onClick={() => handleRotate(endpoint)}
+                    className="text-xs font-bold text-slate-500 hover:text-slate-700"
+                  >
+                    New secret
+                  </button>
+                  <button
+                    onClick={() => handleDelete(endpoint)}
+                    className="text-xs font-bold text-rose-500 hover:text-rose-600"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+              {openLogId === endpoint.id && <DeliveryLog endpoint={endpoint} />}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -1,47 +1,64 @@
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import { UserContext } from "./UserContext.js";
+import { setSessionToken, setUnauthorizedHandler } from "../api/apiClient.js";
+
+const STORAGE_KEY = "campus_spot_session";
+
+const EMPTY_SESSION = {
+  token: null,
+  userName: "",
+  userType: "individual",
+  clubName: null,
+  role: "member",
+};
 
 export function UserProvider({ children }) {
-  const [identity, setIdentity] = useState(() => {
-    const saved = localStorage.getItem("campus_spot_identity");
-    return saved
-      ? JSON.parse(saved)
-      : {
-          userName: "",
-          userType: "individual",
-          clubName: null,
-        };
+  const [session, setSession] = useState(() => {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const restored = saved ? JSON.parse(saved) : EMPTY_SESSION;
+    // Token must be attached before the first request fires
+    setSessionToken(restored.token);
+    return restored;
   });
 
   useEffect(() => {
-    if (identity.userName) {
-      localStorage.setItem("campus_spot_identity", JSON.stringify(identity));
+    setSessionToken(session.token);
+    if (session.token) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
     }
-  }, [identity]);
-
-  const updateIdentity = (details) => {
-    setIdentity((prev) => ({
-      ...prev,
-      ...details,
-    }));
-  };
-
-  const clearIdentity = () => {
-    localStorage.removeItem("campus_spot_identity");
-    setIdentity({
-      userName: "",
-      userType: "individual",
-      clubName: null,
+  }, [session]);
+
+  // Store the token and account returned by /auth/login or /auth/register
+  const startSession = useCallback(({ token, user }) => {
+    setSessionToken(token);
+    setSession({
+      token,
+      userName: user.userName,
+      userType: user.userType,
+      clubName: user.clubName,
+      role: user.role,
     });
-  };
+  }, []);
+
+  const clearIdentity = useCallback(() => {
+    localStorage.removeItem(STORAGE_KEY);
+    setSessionToken(null);
+    setSession(EMPTY_SESSION);
+  }, []);
+
+  useEffect(() => {
+    setUnauthorizedHandler(clearIdentity);
+    return () => setUnauthorizedHandler(null);
+  }, [clearIdentity]);
 
   const contextValue = useMemo(
     () => ({
-      ...identity,
-      updateIdentity,
+      ...session,
+      isAuthenticated: Boolean(session.token),
+      startSession,
       clearIdentity,
     }),
-    [identity],
+    [session, startSession, clearIdentity],
   );
 
   return (
@@ -1,35 +1,196 @@
-import { useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import { io } from "socket.io-client";
+import apiClient from "../api/apiClient.js";
+import { useUser } from "./useUser.js";
 
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || "http://localhost:5000";
 
-export function useLiveUpdates(onStateChange) {
+// Mirrors LIVE_EVENTS on the server
+const LIVE_EVENT_TYPES = [
+  "booking.created",
+  "booking.updated",
+  "booking.checked_in",
+  "booking.released",
+  "booking.completed",
+  "unit.status_changed",
+  "facility.updated",
+];
+
+/**
+ * Live facility store. Loads /assets once, then applies the facility state
+ * carried by each socket event. When a facility's version skips ahead (a missed
+ * event), an unknown facility shows up or the socket reconnects, it asks the
+ * server for just the facilities that changed since the versions it holds.
+ * liveStatus is "live" while in sync, "reconnecting" while the socket is down
+ * and "stale" while a catch-up is in flight.
+ */
+export function useLiveUpdates(isAuthenticated) {
+  const { token } = useUser();
+  const [facilities, setFacilities] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(true);
+  const [liveStatus, setLiveStatus] = useState("stale");
+  // Bumped on every event about the signed-in user's own bookings
+  const [myBookingsVersion, setMyBookingsVersion] = useState(0);
+  const [latestNotification, setLatestNotification] = useState(null);
+  const versionsRef = useRef(new Map());
   const socketRef = useRef(null);
 
-  useEffect(() => {
-    if (!socketRef.current) {
-      socketRef.current = io(SOCKET_URL, {
-        transports: ["websocket"],
-      });
-
-      socketRef.current.on("connect", () => {
-        console.log("Socket connected");
-      });
+  const refresh = useCallback(async () => {
+    try {
+      const { data } = await apiClient.get("/assets");
+      versionsRef.current = new Map(
+        data.map((facility) => [facility.id, facility.live_version]),
+      );
+      setFacilities(data);
+    } catch (err) {
+      console.error("Failed to refresh facilities:", err);
+    } finally {
+      setIsSyncing(false);
     }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) refresh();
+  }, [refresh, isAuthenticated]);
+
+  useEffect(() => {
+    if (!isAuthenticated || !token) return;
+
+    const socket = io(SOCKET_URL, {
+      transports: ["websocket"],
+      auth: { token },
+    });
+    socketRef.current = socket;
+
+    // Catch-up diff: the server replies with only what changed since our versions
+    const resync = () => {
+      setLiveStatus("stale");
+      socket.emit(
+        "facilities:sync",
+        Object.fromEntries(versionsRef.current),
+        async (reply) => {
+          if (reply.error) {
+            await refresh();
+            setLiveStatus("live");
+            return;
+          }
+
+          // Our own bookings may have changed too
+          setMyBookingsVersion((version) => version + 1);
+
+          // A facility we have never seen needs its place in the server's ordering
+          if (
+            reply.facilities.some(
+              (facility) => !versionsRef.current.has(facility.id),
+            )
+          ) {
+            await refresh();
+            setLiveStatus("live");
+            return;
+          }
+
+          // Skip rows an event applied while the reply was in flight
+          const changed = new Map(
+            reply.facilities
+              .filter(
+                (facility) =>
+                  facility.live_version > versionsRef.current.get(facility.id),
+              )
+              .map((facility) => [facility.id, facility]),
+          );
+          for (const facility of changed.values()) {
+            versionsRef.current.set(facility.id, facility.live_version);
+          }
+          for (const facilityId of reply.removed) {
+            versionsRef.current.delete(facilityId);
+          }
+
+          setFacilities((current) =>
+            current
+              .filter((facility) => !reply.removed.includes(facility.id))
+              .map((facility) => changed.get(facility.id) || facility),
+          );
+          setLiveStatus("live");
+        },
+      );
+    };
+
+    // Events sent while we were disconnected are gone, so always catch up
+    socket.on("connect", () => {
+      console.log("Socket connected");
+      resync();
+    });
+
+    socket.on("disconnect", () => setLiveStatus("reconnecting"));
 
-    const socket = socketRef.current;
+    socket.on("connect_error", (err) => {
+      console.error("Socket connection failed:", err.message);
+      setLiveStatus("reconnecting");
+    });
 
-    const handleUpdate = () => {
-      console.log("Assets updated event received");
-      if (onStateChange) {
-        onStateChange();
+    const handleEvent = (event) => {
+      if (event.personal) setMyBookingsVersion((version) => version + 1);
+
+      const knownVersion = versionsRef.current.get(event.facilityId);
+      if (knownVersion === undefined) {
+        if (event.facility) resync();
+        return;
+      }
+      if (event.version <= knownVersion) return;
+      if (event.version > knownVersion + 1) {
+        resync();
+        return;
       }
+
+      versionsRef.current.set(event.facilityId, event.version);
+      if (!event.facility) versionsRef.current.delete(event.facilityId);
+
+      setFacilities((current) =>
+        current.flatMap((facility) => {
+          if (facility.id !== event.facilityId) return [facility];
+          // Archived, or no longer visible to this user
+          if (!event.facility) return [];
+          // Public payloads carry no per-user fields, so keep ours
+          return [
+            event.personal
+              ? { ...event.facility, live_version: event.version }
+              : {
+                  ...event.facility,
+                  my_active_booking: facility.my_active_booking,
+                  live_version: event.version,
+                },
+          ];
+        }),
+      );
     };
 
-    socket.on("assets:updated", handleUpdate);
+    for (const type of LIVE_EVENT_TYPES) socket.on(type, handleEvent);
+
+    socket.on("notification", setLatestNotification);
 
     return () => {
-      socket.off("assets:updated", handleUpdate);
+      socket.disconnect();
+      socketRef.current = null;
     };
-  }, [onStateChange]);
+  }, [isAuthenticated, token, refresh]);
+
+  // Follow exactly the facilities on screen
+  const facilityIds = facilities.map((facility) => facility.id).join(",");
+  useEffect(() => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(
+        "facilities:subscribe",
+        facilityIds ? facilityIds.split(",").map(Number) : [],
+      );
+    }
+  }, [facilityIds]);
+
+  return {
+    facilities,
+    isSyncing,
+    refresh,
+    myBookingsVersion,
+    liveStatus,
+    latestNotification,
+  };
 }
@@ -0,0 +1,86 @@
+// Wall-clock helpers for facility timezones. Booking times are entered and shown
+// on the facility's clock, whatever zone the browser is in.
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const getParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone || "UTC").formatToParts(
+    new Date(date),
+  )) {
+    parts[type] = value;
+  }
+  return parts;
+};
+
+// "YYYY-MM-DDTHH:MM" on the facility's clock (the datetime-local input format)
+export const toFacilityInputValue = (date, timeZone) => {
+  const parts = getParts(date, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+// Today's date (YYYY-MM-DD) at the facility
+export const getFacilityToday = (timeZone) =>
+  toFacilityInputValue(new Date(), timeZone).slice(0, 10);
+
+export const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .split("T")[0];
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const getOffset = (date, timeZone) => {
+  const parts = getParts(date, timeZone);
+  const wallAsUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return wallAsUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+// ISO instant for a facility wall-clock "YYYY-MM-DDTHH:MM" (or a date plus "HH:MM")
+export const fromFacilityInputValue = (value, timeZone) => {
+  const [datePart, timePart = "00:00"] = value.split("T");
+  const [year, month, day] = datePart.split("-").map(Number);
+  const [hours, minutes] = timePart.split(":").map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Second pass corrects the guess when it lands across a DST change
+  const guess = wallAsUtc - getOffset(wallAsUtc, timeZone);
+  return new Date(wallAsUtc - getOffset(guess, timeZone)).toISOString();
+};
+
+// Localized time (or date and time, via options) on the facility's clock
+export const formatFacilityTime = (isoStr, timeZone, options = {}) =>
+  new Date(isoStr).toLocaleString("en-IN", {
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+    ...options,
+    timeZone: timeZone || "UTC",
+  });
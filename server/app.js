@@ -6,13 +6,23 @@ import cors from "cors";
 import cron from "node-cron";
 import dotenv from "dotenv";
 
+import authRoutes from "./routes/authRoutes.js";
 import assetRoutes from "./routes/assetRoutes.js";
 import bookingRoutes from "./routes/bookingRoutes.js";
 import systemRoutes from "./routes/systemRoutes.js";
 import facilityRoutes from "./routes/facilityRoutes.js";
+import waitlistRoutes from "./routes/waitlistRoutes.js";
+import approvalRoutes from "./routes/approvalRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import clubRoutes from "./routes/clubRoutes.js";
+import calendarRoutes from "./routes/calendarRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
 
 import { initializeSocket } from "./sockets/socket.js";
 import { cleanupService } from "./services/cleanupService.js";
+import { notificationService } from "./services/notificationService.js";
+import { webhookService } from "./services/webhookService.js";
 import { systemController } from "./controllers/systemController.js";
 import { SCHEDULER_CONFIG } from "./config/appConfig.js";
 
@@ -51,15 +61,36 @@ serverApp.use(express.json());
 
 initializeSocket(socketHub);
 
+serverApp.use("/api/auth", authRoutes);
 serverApp.use("/api", assetRoutes);
 serverApp.use("/api", bookingRoutes);
 serverApp.use("/api/system", systemRoutes);
 serverApp.use("/api", facilityRoutes);
+serverApp.use("/api", waitlistRoutes);
+serverApp.use("/api", approvalRoutes);
+serverApp.use("/api/admin", adminRoutes);
+serverApp.use("/api/notifications", notificationRoutes);
+serverApp.use("/api/clubs", clubRoutes);
+serverApp.use("/api/calendar", calendarRoutes);
+serverApp.use("/api/webhooks", webhookRoutes);
 
-// Runs periodic cleanup tasks (no-shows, expired sessions) and broadcasts updates if state changes
+// Runs periodic cleanup tasks (no-shows, expired sessions) and broadcasts updates if state changes,
+// then sends due notifications and webhooks, including ones queued by this cycle
 const runMaintenanceCycle = async () => {
   await cleanupService.runCleanupCycle();
   systemController.setLastCleanupTimestamp(new Date().toISOString());
+
+  try {
+    await notificationService.dispatchDueNotifications();
+  } catch (err) {
+    console.error("Notification Dispatch Failure", err);
+  }
+
+  try {
+    await webhookService.dispatchDueDeliveries();
+  } catch (err) {
+    console.error("Webhook Dispatch Failure", err);
+  }
 };
 
 // Schedule background cleanup based on configured cron interval
@@ -13,6 +13,23 @@ export const BOOKING_POLICY = {
 
   // Minimum booking duration
   MIN_SESSION_MINUTES: 30,
+
+  // Upper bound on occurrences generated by a single recurrence rule
+  MAX_RECURRENCE_OCCURRENCES: 26,
+
+  // Past bookings shown on a club's dashboard
+  CLUB_HISTORY_LIMIT: 50,
+};
+
+export const RECURRENCE_FREQUENCY = {
+  DAILY: "daily",
+  WEEKLY: "weekly",
+};
+
+export const CANCEL_SCOPE = {
+  SINGLE: "single", // Only the selected occurrence
+  FOLLOWING: "following", // Selected occurrence and all later ones in the series
+  SERIES: "series", // Every remaining occurrence in the series
 };
 
 export const FACILITY_STATUS = {
@@ -21,12 +38,55 @@ export const FACILITY_STATUS = {
 };
 
 export const BOOKING_STATUS = {
+  PENDING_APPROVAL: "pending_approval", // Awaiting an approver decision (tentative claim)
+  REJECTED: "rejected", // Declined by an approver or expired undecided
   SCHEDULED: "scheduled", // Awaiting check-in
   CHECKED_IN: "checked_in", // Currently active
   COMPLETED: "completed", // Finished session or early check-out
   RELEASED: "released", // Cancelled or no-show
 };
 
+// Entries in a booking's audit timeline (booking_events)
+export const BOOKING_EVENT = {
+  CREATED: "created",
+  APPROVED: "approved",
+  REJECTED: "rejected", // By an approver, or expired undecided
+  CANCELLED: "cancelled", // By the booker or a club officer
+  CHECKED_IN: "checked_in",
+  CHECKED_OUT: "checked_out", // Ended early by the booker
+  COMPLETED: "completed", // Ran to its end time
+  NO_SHOW: "no_show",
+  EXTENDED: "extended",
+  RESCHEDULED: "rescheduled",
+  RELOCATED: "relocated", // Moved to another unit by maintenance
+  RELEASED: "released", // Cancelled by the system, e.g. maintenance with no free unit
+};
+
+// Statuses that hold a claim on a slot and block competing bookings
+export const ACTIVE_BOOKING_STATUSES = [
+  BOOKING_STATUS.PENDING_APPROVAL,
+  BOOKING_STATUS.SCHEDULED,
+  BOOKING_STATUS.CHECKED_IN,
+];
+
+export const WAITLIST_STATUS = {
+  WAITING: "waiting", // Queued for the slot
+  FULFILLED: "fulfilled", // Auto-booked when the slot was released
+  EXPIRED: "expired", // Slot start passed before anything was released
+  CANCELLED: "cancelled", // Left the waitlist voluntarily
+};
+
+// Typed socket events; each carries the changed booking and a fresh facility snapshot
+export const LIVE_EVENTS = {
+  BOOKING_CREATED: "booking.created",
+  BOOKING_UPDATED: "booking.updated", // Rescheduled, extended, approved or relocated
+  BOOKING_CHECKED_IN: "booking.checked_in",
+  BOOKING_RELEASED: "booking.released", // Cancelled, rejected or no-show
+  BOOKING_COMPLETED: "booking.completed",
+  UNIT_STATUS_CHANGED: "unit.status_changed", // Added, renamed, disabled, archived or maintenance
+  FACILITY_UPDATED: "facility.updated", // Settings changed, created, archived or sessions started
+};
+
 export const SCHEDULER_CONFIG = {
   // Cleanup job frequency
 
@@ -41,4 +101,216 @@ export const USER_TYPES = {
   CLUB: "club",
 };
 
-export const VALID_CLUBS = ["Roobooru", "E-Cell", "Vision", "Tooryanad"];
+export const USER_ROLES = {
+  MEMBER: "member",
+  APPROVER: "approver", // Student affairs staff deciding event-space requests
+  ADMIN: "admin", // Manages facilities and units
+  KIOSK: "kiosk", // Shared display at a facility showing its check-in code
+};
+
+export const CLUB_ROLES = {
+  PRESIDENT: "president", // Full control of the roster, including officer roles
+  COORDINATOR: "coordinator", // Adds and removes members
+  MEMBER: "member",
+};
+
+// Roles allowed to manage the club's roster and act for the club
+export const CLUB_OFFICER_ROLES = [
+  CLUB_ROLES.PRESIDENT,
+  CLUB_ROLES.COORDINATOR,
+];
+
+export const AUTH_CONFIG = {
+  // Lifetime of a signed session token
+  SESSION_TTL_HOURS: 72,
+
+  // Minimum accepted password length at registration
+  MIN_PASSWORD_LENGTH: 8,
+};
+
+export const NOTIFICATION_KIND = {
+  CHECKIN_REMINDER: "checkin_reminder", // Ahead of the start, per the user's preference
+  CHECKIN_DUE: "checkin_due", // At the start: check in before the grace period ends
+  RELEASED: "released", // Released as a no-show
+  MAINTENANCE_MOVED: "maintenance_moved", // Moved to another unit by maintenance
+  MAINTENANCE_RELEASED: "maintenance_released", // Cancelled by maintenance, no unit was free
+};
+
+export const NOTIFICATION_STATUS = {
+  PENDING: "pending", // Waiting for send_at
+  SENDING: "sending", // Claimed by a dispatcher
+  SENT: "sent", // Delivered on every enabled channel
+  SKIPPED: "skipped", // No longer relevant when it came due (cancelled, checked in, rescheduled)
+  FAILED: "failed", // Gave up after MAX_ATTEMPTS
+};
+
+export const NOTIFICATION_CONFIG = {
+  // Reminder lead time for users who never set one
+  DEFAULT_REMINDER_MINUTES: 30,
+
+  // Delivery attempts before a notification is marked failed
+  MAX_ATTEMPTS: 3,
+
+  // Wait between delivery attempts
+  RETRY_DELAY_MINUTES: 5,
+
+  // A claim older than this is assumed to belong to a crashed dispatcher
+  CLAIM_TIMEOUT_MINUTES: 5,
+
+  // Notifications sent per dispatch cycle
+  DISPATCH_BATCH_SIZE: 50,
+
+  // Notification center length
+  INBOX_LIMIT: 30,
+};
+
+export const CHECKIN_CODE_CONFIG = {
+  // How long each code shown on a kiosk stays current
+  ROTATION_SECONDS: 60,
+
+  // Earlier codes still accepted, so a scan just before the rotation goes through
+  ACCEPTED_PAST_WINDOWS: 1,
+
+  // Length of the numeric code students can type instead of scanning
+  CODE_DIGITS: 6,
+
+  // Wrong codes allowed per booking before check-in is locked for LOCKOUT_MINUTES
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCKOUT_MINUTES: 5,
+};
+
+export const ANALYTICS_CONFIG = {
+  // Range used when a report is requested without dates
+  DEFAULT_RANGE_DAYS: 30,
+
+  // Longest range one report may cover (open hours are resolved day by day)
+  MAX_RANGE_DAYS: 92,
+};
+
+export const EXPORT_CONFIG = {
+  // Rows fetched from the export cursor per round trip
+  BATCH_SIZE: 500,
+};
+
+export const SLOT_SEARCH_CONFIG = {
+  // Days searched when no end date is given, counting the start date
+  DEFAULT_RANGE_DAYS: 3,
+  MAX_RANGE_DAYS: 7,
+  MAX_RESULTS: 20,
+};
+
+export const WEBHOOK_EVENT = {
+  BOOKING_CREATED: "booking.created", // Includes requests waiting for approval
+  BOOKING_APPROVED: "booking.approved", // A pending request was confirmed
+  BOOKING_REJECTED: "booking.rejected", // Declined by an approver, or expired undecided
+  BOOKING_CANCELLED: "booking.cancelled", // By the booker or a club officer
+  BOOKING_CHECKED_IN: "booking.checked_in",
+  BOOKING_COMPLETED: "booking.completed", // Checked out early or ran to its end
+  BOOKING_RELEASED: "booking.released", // No-show, or released by maintenance
+};
+
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: "pending", // Waiting for next_attempt_at
+  SENDING: "sending", // Claimed by a dispatcher
+  DELIVERED: "delivered", // The endpoint answered 2xx
+  FAILED: "failed", // Gave up after MAX_ATTEMPTS
+};
+
+export const WEBHOOK_CONFIG = {
+  // Delivery attempts before a delivery is marked failed
+  MAX_ATTEMPTS: 8,
+
+  // Wait before the first retry; doubles after every failed attempt
+  RETRY_BASE_SECONDS: 60,
+
+  // Longest wait between two attempts
+  RETRY_MAX_SECONDS: 6 * 60 * 60,
+
+  // An endpoint that has not answered by then counts as failed
+  REQUEST_TIMEOUT_MS: 10000,
+
+  // A claim older than this is assumed to belong to a crashed dispatcher
+  CLAIM_TIMEOUT_MINUTES: 5,
+
+  // Deliveries sent per dispatch cycle
+  DISPATCH_BATCH_SIZE: 50,
+
+  // Deliveries shown in an endpoint's log
+  DELIVERY_LOG_LIMIT: 50,
+};
+
+export const IMPORT_CONFIG = {
+  // Largest CSV body the import endpoint accepts
+  MAX_BODY_SIZE: "1mb",
+  // Data rows per import, excluding the header
+  MAX_ROWS: 2000,
+};
+
+export const CALENDAR_FEED_CONFIG = {
+  // How far back a personal feed keeps bookings, so past events stay in the calendar
+  PAST_DAYS: 30,
+
+  // PRODID and UID suffix written into every feed
+  PRODUCT_ID: "-//CampusSpot//Bookings//EN",
+  UID_DOMAIN: "campusspot",
+
+  // How often subscribed calendars are asked to refresh
+  REFRESH_MINUTES: 30,
+};
+
+export const STRIKE_REASON = {
+  NO_SHOW: "no_show", // Released after missing the check-in window
+  LATE_CANCELLATION: "late_cancellation", // Cancelled inside LATE_CANCELLATION_MINUTES of the start
+};
+
+export const STANDING_STATUS = {
+  GOOD: "good",
+  RESTRICTED: "restricted", // Shorter horizon and fewer upcoming bookings
+  SUSPENDED: "suspended", // No new bookings until the suspension ends
+};
+
+export const STRIKE_POLICY = {
+  // Strikes older than this no longer count
+  ROLLING_WINDOW_DAYS: 30,
+
+  // Cancelling a scheduled booking this close to its start earns a strike
+  LATE_CANCELLATION_MINUTES: 60,
+
+  // Penalties by strike count, mildest first; the highest tier reached applies.
+  // A suspension runs from the strike that reached its tier.
+  PENALTY_TIERS: [
+    { minStrikes: 2, horizonDays: 3, maxUpcomingBookings: 3 },
+    {
+      minStrikes: 3,
+      suspensionDays: 7,
+      horizonDays: 2,
+      maxUpcomingBookings: 1,
+    },
+  ],
+};
+
+export const QUOTA_POLICY = {
+  // Wall-clock window (facility time) in which bookings count as peak-hour
+  PEAK_START: "17:00",
+  PEAK_END: "21:00",
+
+  // Two-key advisory lock namespace serialising quota checks per individual or club
+  LOCK_NAMESPACE: 1002,
+
+  // Club quotas are shared by every account of the club. Hours are counted per
+  // facility category; categories without an entry have no hour limit.
+  LIMITS: {
+    [USER_TYPES.INDIVIDUAL]: {
+      maxUpcomingBookings: 6,
+      maxHoursPerDay: { Sports: 2, "Study Space": 8 },
+      maxHoursPerWeek: { Sports: 6, "Study Space": 30 },
+      maxPeakBookingsPerWeek: 3,
+    },
+    [USER_TYPES.CLUB]: {
+      maxUpcomingBookings: 20,
+      maxHoursPerDay: { Sports: 6, "Event Space": 14 },
+      maxHoursPerWeek: { Sports: 20, "Event Space": 40 },
+      maxPeakBookingsPerWeek: 10,
+    },
+  },
+};
@@ -0,0 +1,429 @@
+import { adminService } from "../services/adminService.js";
+import { maintenanceService } from "../services/maintenanceService.js";
+import { facilityCalendarService } from "../services/facilityCalendarService.js";
+import { strikeService } from "../services/strikeService.js";
+import { analyticsService } from "../services/analyticsService.js";
+import { exportService } from "../services/exportService.js";
+import { importService } from "../services/importService.js";
+import {
+  publishBookingEvents,
+  publishFacilityEvent,
+} from "../sockets/socket.js";
+import { LIVE_EVENTS } from "../config/appConfig.js";
+
+// Shared error shape for admin mutations (409s carry conflict details)
+const sendAdminError = (res, error, fallbackMessage) => {
+  if (!error.status) console.error("Admin Operation Error:", error);
+
+  return res.status(error.status || 500).json({
+    error: error.message || fallbackMessage,
+    conflictDetails: error.conflictDetails || null,
+  });
+};
+
+// Resolves once the response can take more data, or the client has gone away
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+export const adminController = {
+  /**
+   * GET /api/admin/facilities
+   * Lists active facilities with their units.
+   */
+  async listFacilities(req, res) {
+    try {
+      const facilities = await adminService.listFacilities();
+      return res.status(200).json(facilities);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to load facilities.");
+    }
+  },
+
+  /**
+   * POST /api/admin/facilities
+   * Creates a facility (and optionally its units).
+   */
+  async createFacility(req, res) {
+    try {
+      const facility = await adminService.createFacility(req.body);
+      publishFacilityEvent(LIVE_EVENTS.FACILITY_UPDATED, facility.id, {
+        version: facility.live_version,
+      });
+      return res.status(201).json(facility);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to create the facility.");
+    }
+  },
+
+  /**
+   * PUT /api/admin/facilities/:facilityId
+   * Updates facility settings.
+   */
+  async updateFacility(req, res) {
+    try {
+      const facility = await adminService.updateFacility(
+        req.params.facilityId,
+        req.body,
+      );
+      publishFacilityEvent(LIVE_EVENTS.FACILITY_UPDATED, facility.id, {
+        version: facility.live_version,
+      });
+      return res.status(200).json(facility);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to update the facility.");
+    }
+  },
+
+  /**
+   * DELETE /api/admin/facilities/:facilityId
+   * Archives a facility with no upcoming bookings.
+   */
+  async deleteFacility(req, res) {
+    try {
+      const facility = await adminService.archiveFacility(
+        req.params.facilityId,
+      );
+      publishFacilityEvent(LIVE_EVENTS.FACILITY_UPDATED, facility.id, {
+        version: facility.live_version,
+      });
+      return res.status(200).json(facility);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to remove the facility.");
+    }
+  },
+
+  /**
+   * POST /api/admin/facilities/:facilityId/units
+   * Adds a unit to a unit-based facility.
+   */
+  async createUnit(req, res) {
+    try {
+      const unit = await adminService.createUnit(
+        req.params.facilityId,
+        req.body,
+      );
+      publishFacilityEvent(LIVE_EVENTS.UNIT_STATUS_CHANGED, unit.facility_id, {
+        unit,
+        version: unit.facility_live_version,
+      });
+      return res.status(201).json(unit);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to add the unit.");
+    }
+  },
+
+  /**
+   * PUT /api/admin/units/:unitId
+   * Renames a unit or toggles its operational flag.
+   */
+  async updateUnit(req, res) {
+    try {
+      const unit = await adminService.updateUnit(req.params.unitId, req.body);
+      publishFacilityEvent(LIVE_EVENTS.UNIT_STATUS_CHANGED, unit.facility_id, {
+        unit,
+        version: unit.facility_live_version,
+      });
+      return res.status(200).json(unit);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to update the unit.");
+    }
+  },
+
+  /**
+   * DELETE /api/admin/units/:unitId
+   * Archives a unit with no upcoming bookings.
+   */
+  async deleteUnit(req, res) {
+    try {
+      const unit = await adminService.archiveUnit(req.params.unitId);
+      publishFacilityEvent(LIVE_EVENTS.UNIT_STATUS_CHANGED, unit.facility_id, {
+        unit,
+        version: unit.facility_live_version,
+      });
+      return res.status(200).json(unit);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to remove the unit.");
+    }
+  },
+
+  /**
+   * POST /api/admin/units/:unitId/maintenance
+   * Takes a unit out of service for a time range and relocates or releases its bookings.
+   */
+  async scheduleMaintenance(req, res) {
+    try {
+      const { startsAt, endsAt, reason } = req.body;
+
+      if (!startsAt || !endsAt) {
+        return res
+          .status(400)
+          .json({ error: "startsAt and endsAt are required." });
+      }
+
+      const outcome = await maintenanceService.scheduleMaintenance({
+        unitId: req.params.unitId,
+        startsAt,
+        endsAt,
+        reason,
+        createdBy: req.user.userName,
+      });
+      // Bookings first: the window's version was taken after them
+      publishBookingEvents(LIVE_EVENTS.BOOKING_UPDATED, outcome.relocated)
+        .then(() =>
+          publishBookingEvents(LIVE_EVENTS.BOOKING_RELEASED, outcome.released),
+        )
+        .then(() =>
+          publishFacilityEvent(
+            LIVE_EVENTS.UNIT_STATUS_CHANGED,
+            outcome.maintenance.facility_id,
+            {
+              maintenance: outcome.maintenance,
+              version: outcome.maintenance.facility_live_version,
+            },
+          ),
+        );
+      return res.status(201).json(outcome);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to schedule maintenance.");
+    }
+  },
+
+  /**
+   * DELETE /api/admin/maintenance/:maintenanceId
+   * Ends a maintenance window early, or drops it if it has not started.
+   */
+  async endMaintenance(req, res) {
+    try {
+      const maintenance = await maintenanceService.endMaintenance(
+        req.params.maintenanceId,
+      );
+      publishFacilityEvent(
+        LIVE_EVENTS.UNIT_STATUS_CHANGED,
+        maintenance.facility_id,
+        { maintenance, version: maintenance.facility_live_version },
+      );
+      return res.status(200).json(maintenance);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to end maintenance.");
+    }
+  },
+
+  /**
+   * GET /api/admin/facilities/:facilityId/hours
+   * Returns the per-weekday hours configured for a facility.
+   */
+  async getWeeklyHours(req, res) {
+    try {
+      const days = await facilityCalendarService.getWeeklyHours(
+        req.params.facilityId,
+      );
+      return res.status(200).json(days);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to load operating hours.");
+    }
+  },
+
+  /**
+   * PUT /api/admin/facilities/:facilityId/hours
+   * Replaces the per-weekday hours for a facility.
+   */
+  async setWeeklyHours(req, res) {
+    try {
+      const days = await facilityCalendarService.setWeeklyHours(
+        req.params.facilityId,
+        req.body.days,
+      );
+      return res.status(200).json(days);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to save operating hours.");
+    }
+  },
+
+  /**
+   * GET /api/admin/closures
+   * Lists upcoming closures, optionally narrowed to one facility (?facilityId=).
+   */
+  async listClosures(req, res) {
+    try {
+      const closures = await facilityCalendarService.listClosures(
+        req.query.facilityId || null,
+      );
+      return res.status(200).json(closures);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to load closures.");
+    }
+  },
+
+  /**
+   * POST /api/admin/closures
+   * Adds a holiday, closure or special-hours range for a facility or the whole campus.
+   */
+  async addClosure(req, res) {
+    try {
+      const { facilityId, startsOn, endsOn, openTime, closeTime, reason } =
+        req.body;
+
+      const closure = await facilityCalendarService.addClosure({
+        facilityId,
+        startsOn,
+        endsOn,
+        openTime,
+        closeTime,
+        reason,
+        createdBy: req.user.userName,
+      });
+      return res.status(201).json(closure);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to add the closure.");
+    }
+  },
+
+  /**
+   * DELETE /api/admin/closures/:closureId
+   * Removes a closure so the regular hours apply again.
+   */
+  async removeClosure(req, res) {
+    try {
+      const closure = await facilityCalendarService.removeClosure(
+        req.params.closureId,
+      );
+      return res.status(200).json(closure);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to remove the closure.");
+    }
+  },
+
+  /**
+   * GET /api/admin/strikes
+   * Lists strikes that still count against a user.
+   */
+  async listStrikes(req, res) {
+    try {
+      const strikes = await strikeService.listActiveStrikes();
+      return res.status(200).json(strikes);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to load strikes.");
+    }
+  },
+
+  /**
+   * GET /api/admin/analytics/utilization?from=&to=
+   * Utilization, no-show and cancellation totals for every active facility.
+   */
+  async getUtilization(req, res) {
+    try {
+      const report = await analyticsService.getUtilizationSummary(req.query);
+      return res.status(200).json(report);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to build the report.");
+    }
+  },
+
+  /**
+   * GET /api/admin/analytics/facilities/:facilityId?from=&to=
+   * Per-unit figures, peak-hour heatmap, session lengths and club share for one facility.
+   */
+  async getFacilityAnalytics(req, res) {
+    try {
+      const report = await analyticsService.getFacilityReport(
+        req.params.facilityId,
+        req.query,
+      );
+      return res.status(200).json(report);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to build the report.");
+    }
+  },
+
+  /**
+   * GET /api/admin/exports/bookings?format=csv|ndjson&from=&to=&facilityId=&status=&userName=&clubName=
+   * Streams matching bookings as a CSV or NDJSON download.
+   */
+  async exportBookings(req, res) {
+    let bookingExport;
+    try {
+      bookingExport = exportService.prepareBookingExport(req.query);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to start the export.");
+    }
+
+    res.set("Content-Type", bookingExport.contentType);
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="${bookingExport.fileName}"`,
+    );
+
+    try {
+      for await (const chunk of exportService.streamBookings(bookingExport)) {
+        if (res.destroyed) break;
+        if (!res.write(chunk)) await waitForDrain(res);
+      }
+      res.end();
+    } catch (error) {
+      // Headers are already sent; cutting the connection marks the file as incomplete
+      console.error("Booking Export Error:", error);
+      res.destroy(error);
+    }
+  },
+
+  /**
+   * POST /api/admin/imports?dryRun=true
+   * Imports facilities, units and bookings from a text/csv body, or previews
+   * the import with dryRun. Either way the response reports on every row.
+   */
+  async importCatalog(req, res) {
+    try {
+      const result = await importService.importCatalog(
+        typeof req.body === "string" ? req.body : "",
+        {
+          dryRun: req.query.dryRun === "true",
+          importedBy: req.user.userName,
+        },
+      );
+
+      // Bookings first: each facility's final version was taken after them
+      publishBookingEvents(LIVE_EVENTS.BOOKING_CREATED, result.bookings).then(
+        () => {
+          for (const { facilityId, version } of result.liveVersions) {
+            publishFacilityEvent(LIVE_EVENTS.FACILITY_UPDATED, facilityId, {
+              version,
+            });
+          }
+        },
+      );
+
+      return res.status(result.committed ? 201 : 200).json(result);
+    } catch (error) {
+      if (error.importReport) {
+        return res
+          .status(error.status)
+          .json({ error: error.message, rows: error.importReport });
+      }
+      return sendAdminError(res, error, "Failed to import the CSV.");
+    }
+  },
+
+  /**
+   * POST /api/admin/strikes/:strikeId/forgive
+   * Forgives a strike so it no longer counts toward penalties.
+   */
+  async forgiveStrike(req, res) {
+    try {
+      const strike = await strikeService.forgiveStrike(req.params.strikeId, {
+        forgivenBy: req.user.userName,
+        reason: req.body.reason,
+      });
+      return res.status(200).json(strike);
+    } catch (error) {
+      return sendAdminError(res, error, "Failed to forgive the strike.");
+    }
+  },
+};
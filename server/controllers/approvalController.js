@@ -0,0 +1,80 @@
+import { approvalService } from "../services/approvalService.js";
+import {
+  publishBookingEvent,
+  publishWithPromotions,
+} from "../sockets/socket.js";
+import { LIVE_EVENTS } from "../config/appConfig.js";
+
+export const approvalController = {
+  /**
+   * GET /api/approvals
+   * Returns upcoming requests awaiting an approver decision.
+   */
+  async getQueue(req, res) {
+    try {
+      const queue = await approvalService.getPendingQueue();
+      return res.status(200).json(queue);
+    } catch (error) {
+      console.error("Fetch Approval Queue Error:", error);
+      return res.status(500).json({
+        error: "Failed to retrieve the approval queue. Please try again later.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/approvals/approve
+   * Confirms a pending request, optionally with a note for the requester.
+   */
+  async approve(req, res) {
+    try {
+      const { bookingId, reason } = req.body;
+
+      if (!bookingId) {
+        return res.status(400).json({ error: "bookingId is required." });
+      }
+
+      const booking = await approvalService.approveBooking({
+        bookingId,
+        approverName: req.user.userName,
+        reason,
+      });
+
+      publishBookingEvent(LIVE_EVENTS.BOOKING_UPDATED, booking);
+
+      return res.status(200).json(booking);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to approve the request.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/approvals/reject
+   * Declines a pending request with a reason and frees its slot.
+   */
+  async reject(req, res) {
+    try {
+      const { bookingId, reason } = req.body;
+
+      if (!bookingId) {
+        return res.status(400).json({ error: "bookingId is required." });
+      }
+
+      const { booking, promoted } = await approvalService.rejectBooking({
+        bookingId,
+        approverName: req.user.userName,
+        reason,
+      });
+
+      publishWithPromotions(LIVE_EVENTS.BOOKING_RELEASED, [booking], promoted);
+
+      return res.status(200).json(booking);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to reject the request.",
+      });
+    }
+  },
+};
@@ -3,10 +3,11 @@ import { assetService } from "../services/assetService.js";
 export const assetController = {
   /**
    * GET /api/assets
-   * Returns all facilities with live availability data.
+   * Returns all facilities with live availability data for the signed-in user.
+   * Each row carries the live_version of the last event it already reflects.
    */
   async getAssets(req, res) {
-    const { userName, userType } = req.query;
+    const { userName, userType } = req.user;
 
     try {
       const assets = await assetService.getAllAssets(userName, userType);
@@ -0,0 +1,69 @@
+import { authService } from "../services/authService.js";
+
+export const authController = {
+  /**
+   * POST /api/auth/register
+   * Creates an account and returns a session token.
+   */
+  async register(req, res) {
+    try {
+      const { userName, password, userType, clubName } = req.body;
+
+      if (!userName || !password) {
+        return res
+          .status(400)
+          .json({ error: "userName and password are required." });
+      }
+
+      if (userType === "club" && !clubName) {
+        return res.status(400).json({
+          error: "Club name is mandatory for club accounts.",
+        });
+      }
+
+      const session = await authService.register({
+        userName,
+        password,
+        userType,
+        clubName,
+      });
+
+      return res.status(201).json(session);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Registration failed.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/auth/login
+   * Verifies credentials and returns a session token.
+   */
+  async login(req, res) {
+    try {
+      const { userName, password } = req.body;
+
+      if (!userName || !password) {
+        return res
+          .status(400)
+          .json({ error: "userName and password are required." });
+      }
+
+      const session = await authService.login({ userName, password });
+      return res.status(200).json(session);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Sign-in failed.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/auth/me
+   * Returns the identity behind the current session token.
+   */
+  async getCurrentUser(req, res) {
+    return res.status(200).json(req.user);
+  },
+};
@@ -1,34 +1,29 @@
 import { bookingService } from "../services/bookingService.js";
-import { broadcastAssetsUpdate } from "../sockets/socket.js";
+import { strikeService } from "../services/strikeService.js";
+import { quotaService } from "../services/quotaService.js";
+import { bookingEventService } from "../services/bookingEventService.js";
+import {
+  publishBookingEvent,
+  publishBookingEvents,
+  publishWithPromotions,
+} from "../sockets/socket.js";
+import { LIVE_EVENTS } from "../config/appConfig.js";
 
 export const bookingController = {
   /**
    * POST /api/reserve
-   * Creates a booking.
+   * Creates a booking, or a recurring series when a recurrence rule is supplied.
    */
 
   async reserveAsset(req, res) {
     try {
-      const {
-        facilityId,
-        unitId,
-        userName,
-        userType,
-        clubName,
-        startsAt,
-        endsAt,
-      } = req.body;
+      const { facilityId, unitId, startsAt, endsAt, recurrence } = req.body;
+      const { userName, userType, clubName } = req.user;
 
-      if (!facilityId || !userName || !startsAt || !endsAt) {
+      if (!facilityId || !startsAt || !endsAt) {
         return res.status(400).json({
           error:
-            "Incomplete reservation data. facilityId, userName, startsAt, and endsAt are required.",
-        });
-      }
-
-      if (userType === "club" && !clubName) {
-        return res.status(400).json({
-          error: "Club name is mandatory for club-type reservations.",
+            "Incomplete reservation data. facilityId, startsAt, and endsAt are required.",
         });
       }
 
@@ -40,17 +35,23 @@ export const bookingController = {
         clubName,
         startsAt,
         endsAt,
+        recurrence,
       });
 
-      // Notify clients to refresh availability
-      broadcastAssetsUpdate();
+      // Push the new booking(s) to the facility and the booker
+      publishBookingEvents(
+        LIVE_EVENTS.BOOKING_CREATED,
+        reservation.bookings || [reservation],
+      );
 
       return res.status(201).json(reservation);
     } catch (error) {
       if (error.status === 409) {
         return res.status(409).json({
           message: error.message,
+          conflictType: error.conflictType || null,
           conflictDetails: error.conflictDetails || null,
+          occurrenceConflicts: error.occurrenceConflicts || null,
         });
       }
 
@@ -62,19 +63,13 @@ export const bookingController = {
   },
 
   /**
-   * GET /api/bookings/user/:userName
-   * Returns upcoming bookings for a user.
+   * GET /api/bookings/me
+   * Returns upcoming bookings for the signed-in user.
    */
   async getUserBookings(req, res) {
-    const { userName } = req.params;
+    const { userName } = req.user;
 
     try {
-      if (!userName) {
-        return res
-          .status(400)
-          .json({ error: "userName parameter is required." });
-      }
-
       const bookings = await bookingService.getBookingsByUser(userName);
       return res.status(200).json(bookings);
     } catch (error) {
@@ -85,25 +80,89 @@ export const bookingController = {
     }
   },
 
+  /**
+   * GET /api/bookings/me/standing
+   * Returns the signed-in user's booking standing and strike history.
+   */
+  async getStanding(req, res) {
+    try {
+      const standing = await strikeService.getStandingForUser(
+        req.user.userName,
+      );
+      return res.status(200).json(standing);
+    } catch (error) {
+      console.error("Fetch Standing Error:", error);
+      return res.status(500).json({
+        error: "Failed to load your booking standing.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/bookings/me/quota?facilityId=&date=
+   * Returns the fair-use allowance used and left for a facility's category on a date.
+   */
+  async getQuota(req, res) {
+    try {
+      const { facilityId, date } = req.query;
+
+      if (!facilityId) {
+        return res.status(400).json({ error: "facilityId is required." });
+      }
+
+      const quota = await quotaService.getQuotaSummary(
+        req.user,
+        facilityId,
+        date,
+      );
+      return res.status(200).json(quota);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load your booking allowance.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/bookings/:bookingId/history
+   * Returns the booking's audit timeline, oldest change first.
+   */
+  async getHistory(req, res) {
+    try {
+      const history = await bookingEventService.getTimeline(
+        req.params.bookingId,
+        req.user,
+      );
+      return res.status(200).json(history);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load the booking history.",
+      });
+    }
+  },
+
   /**
    * POST /api/check-in
-   * Marks a booking as checked in.
+   * Marks a booking as checked in with the code shown at the facility.
    */
   async checkIn(req, res) {
     try {
-      const { bookingId, userName } = req.body;
+      const { bookingId, code } = req.body;
+      const { userName } = req.user;
 
-      if (!bookingId || !userName) {
-        return res
-          .status(400)
-          .json({ error: "bookingId and userName are required." });
+      if (!bookingId || !code) {
+        return res.status(400).json({
+          error:
+            "bookingId and code are required. Scan the check-in code at the facility.",
+        });
       }
 
       const updatedReservation = await bookingService.checkIn({
         bookingId,
         userName,
+        code: String(code),
       });
-      broadcastAssetsUpdate();
+      publishBookingEvent(LIVE_EVENTS.BOOKING_CHECKED_IN, updatedReservation);
       return res.status(200).json(updatedReservation);
     } catch (error) {
       return res.status(error.status || 500).json({
@@ -118,19 +177,18 @@ export const bookingController = {
    */
   async checkOut(req, res) {
     try {
-      const { bookingId, userName } = req.body;
+      const { bookingId } = req.body;
+      const { userName } = req.user;
 
-      if (!bookingId || !userName) {
-        return res
-          .status(400)
-          .json({ error: "bookingId and userName are required." });
+      if (!bookingId) {
+        return res.status(400).json({ error: "bookingId is required." });
       }
 
       const updatedReservation = await bookingService.checkOut({
         bookingId,
         userName,
       });
-      broadcastAssetsUpdate();
+      publishBookingEvent(LIVE_EVENTS.BOOKING_COMPLETED, updatedReservation);
       return res.status(200).json(updatedReservation);
     } catch (error) {
       return res.status(error.status || 500).json({
@@ -141,30 +199,98 @@ export const bookingController = {
 
   /**
    * POST /api/cancel
-   * Cancels a scheduled booking.
+   * Cancels a scheduled booking, or part of its recurring series.
    */
   async cancel(req, res) {
     try {
-      const { bookingId, userName } = req.body;
+      const { bookingId, scope } = req.body;
+      const { userName } = req.user;
 
-      if (!bookingId || !userName) {
-        return res.status(400).json({
-          error: "bookingId and userName are required.",
-        });
+      if (!bookingId) {
+        return res.status(400).json({ error: "bookingId is required." });
       }
 
-      const updated = await bookingService.cancelBooking({
+      const { promoted, ...updated } = await bookingService.cancelBooking({
         bookingId,
         userName,
+        scope,
       });
 
-      broadcastAssetsUpdate();
+      // Single cancellations return the booking, series scopes a list of them
+      publishWithPromotions(
+        LIVE_EVENTS.BOOKING_RELEASED,
+        updated.bookings || [updated.booking],
+        promoted,
+      );
 
-      return res.status(200).json(updated);
+      return res.status(200).json(updated.booking || updated);
     } catch (error) {
       return res.status(error.status || 500).json({
         error: error.message || "Cancellation failed.",
       });
     }
   },
+  /**
+   * POST /api/extend
+   * Extends a checked-in session in place.
+   */
+  async extend(req, res) {
+    try {
+      const { bookingId, minutes } = req.body;
+      const { userName } = req.user;
+
+      if (!bookingId) {
+        return res.status(400).json({ error: "bookingId is required." });
+      }
+
+      const updatedReservation = await bookingService.extendBooking({
+        bookingId,
+        userName,
+        extraMinutes: minutes,
+      });
+      publishBookingEvent(LIVE_EVENTS.BOOKING_UPDATED, updatedReservation);
+      return res.status(200).json(updatedReservation);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Extension failed.",
+      });
+    }
+  },
+  /**
+   * POST /api/modify
+   * Moves a scheduled booking to new times and/or a different unit.
+   */
+  async modify(req, res) {
+    try {
+      const { bookingId, unitId, startsAt, endsAt } = req.body;
+      const { userName } = req.user;
+
+      if (!bookingId || !startsAt || !endsAt) {
+        return res.status(400).json({
+          error: "bookingId, startsAt, and endsAt are required.",
+        });
+      }
+
+      const { booking, promoted } = await bookingService.modifyBooking({
+        bookingId,
+        userName,
+        unitId,
+        startsAt,
+        endsAt,
+      });
+      publishWithPromotions(LIVE_EVENTS.BOOKING_UPDATED, [booking], promoted);
+      return res.status(200).json(booking);
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({
+          message: error.message,
+          conflictDetails: error.conflictDetails || null,
+        });
+      }
+
+      return res.status(error.status || 500).json({
+        error: error.message || "Reschedule failed.",
+      });
+    }
+  },
 };
@@ -0,0 +1,92 @@
+import { calendarFeedService } from "../services/calendarFeedService.js";
+
+const sendCalendar = (res, body, fileName) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (fileName) {
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+  }
+  return res.status(200).send(body);
+};
+
+export const calendarController = {
+  /**
+   * GET /api/calendar/feeds
+   * Returns the signed-in user's feed paths, creating their token on first use.
+   */
+  async getFeeds(req, res) {
+    try {
+      const feeds = await calendarFeedService.getFeedLinks(req.user.userName);
+      return res.status(200).json(feeds);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load your calendar feeds.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/calendar/feeds/reset
+   * Issues a new feed token. Calendars subscribed with the old links stop updating.
+   */
+  async resetFeeds(req, res) {
+    try {
+      const feeds = await calendarFeedService.resetToken(req.user.userName);
+      return res.status(200).json(feeds);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to reset your calendar feeds.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/calendar/bookings/:bookingId.ics
+   * Downloads one of the user's bookings as a calendar file.
+   */
+  async downloadBooking(req, res) {
+    try {
+      const body = await calendarFeedService.getBookingFile(
+        req.params.bookingId,
+        req.user.userName,
+      );
+      return sendCalendar(res, body, `booking-${req.params.bookingId}.ics`);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to build the calendar file.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/calendar/:token/bookings.ics
+   * Personal feed. Public: calendar apps fetch it with the token alone.
+   */
+  async userFeed(req, res) {
+    try {
+      const body = await calendarFeedService.getUserFeed(req.params.token);
+      return sendCalendar(res, body);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to build the calendar feed.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/calendar/:token/facilities/:facilityId.ics
+   * Facility schedule feed for the booking horizon. Public, like the personal feed.
+   */
+  async facilityFeed(req, res) {
+    try {
+      const body = await calendarFeedService.getFacilityFeed(
+        req.params.token,
+        req.params.facilityId,
+      );
+      return sendCalendar(res, body);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to build the calendar feed.",
+      });
+    }
+  },
+};
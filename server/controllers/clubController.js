@@ -0,0 +1,174 @@
+import { clubService } from "../services/clubService.js";
+import { bookingService } from "../services/bookingService.js";
+
+export const clubController = {
+  /**
+   * GET /api/clubs
+   * Lists active clubs. Public, so registration can offer them.
+   */
+  async listClubs(req, res) {
+    try {
+      const clubs = await clubService.listClubs();
+      return res.status(200).json(clubs);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load clubs.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/clubs/mine
+   * Lists the clubs the signed-in user belongs to, with their role.
+   */
+  async listMyClubs(req, res) {
+    try {
+      const clubs = await clubService.listClubsForUser(req.user.userName);
+      return res.status(200).json(clubs);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load your clubs.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/clubs/:clubId/bookings?scope=upcoming|past
+   * Lists bookings made on behalf of the club (members and admins). `canAct`
+   * tells the client whether the user may cancel or check in for the club.
+   */
+  async listBookings(req, res) {
+    try {
+      const access = await clubService.getClubAccess(
+        req.params.clubId,
+        req.user,
+      );
+      const bookings = await bookingService.getBookingsByClub(
+        access.club.name,
+        req.query.scope,
+      );
+      return res.status(200).json({
+        club: access.club,
+        role: access.role,
+        canAct: access.isOfficer,
+        bookings,
+      });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load the club's bookings.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/clubs
+   * Registers a new club (admin role).
+   */
+  async createClub(req, res) {
+    try {
+      const club = await clubService.createClub(req.body);
+      return res.status(201).json(club);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to register the club.",
+      });
+    }
+  },
+
+  /**
+   * PUT /api/clubs/:clubId
+   * Updates a club's description or active flag (admin role).
+   */
+  async updateClub(req, res) {
+    try {
+      const club = await clubService.updateClub(req.params.clubId, req.body);
+      return res.status(200).json(club);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to update the club.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/clubs/:clubId/members
+   * Returns the club's roster to its members and to admins.
+   */
+  async listMembers(req, res) {
+    try {
+      const members = await clubService.listMembers(
+        req.params.clubId,
+        req.user,
+      );
+      return res.status(200).json(members);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load the club's members.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/clubs/:clubId/members
+   * Adds an account to the club (club officers or admins).
+   */
+  async addMember(req, res) {
+    try {
+      const { userName, role } = req.body;
+
+      if (!userName) {
+        return res.status(400).json({ error: "userName is required." });
+      }
+
+      const member = await clubService.addMember(
+        req.params.clubId,
+        { userName, role },
+        req.user,
+      );
+      return res.status(201).json(member);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to add the member.",
+      });
+    }
+  },
+
+  /**
+   * PUT /api/clubs/:clubId/members/:userName
+   * Changes a member's role.
+   */
+  async updateMember(req, res) {
+    try {
+      const member = await clubService.updateMemberRole(
+        req.params.clubId,
+        req.params.userName,
+        req.body.role,
+        req.user,
+      );
+      return res.status(200).json(member);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to update the member.",
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/clubs/:clubId/members/:userName
+   * Removes a member, or lets a member leave.
+   */
+  async removeMember(req, res) {
+    try {
+      const member = await clubService.removeMember(
+        req.params.clubId,
+        req.params.userName,
+        req.user,
+      );
+      return res.status(200).json(member);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to remove the member.",
+      });
+    }
+  },
+};
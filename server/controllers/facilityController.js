@@ -1,6 +1,7 @@
 import { assetService } from "../services/assetService.js";
 import { facilityScheduleService } from "../services/facilityScheduleService.js";
-import { BOOKING_POLICY } from "../config/appConfig.js";
+import { checkinCodeService } from "../services/checkinCodeService.js";
+import { slotSearchService } from "../services/slotSearchService.js";
 
 export const facilityController = {
   async getFacilityUnits(req, res) {
@@ -34,31 +35,63 @@ export const facilityController = {
         });
       }
 
-      const requestedDate = new Date(date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      const maxDate = new Date(today);
-      maxDate.setDate(
-        today.getDate() + (BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS - 1),
-      );
-
-      if (requestedDate < today || requestedDate > maxDate) {
-        return res.status(403).json({
-          error: `Date must be within the next ${BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS} days.`,
+      // A calendar date on the facility's clock; the service checks the booking window
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({
+          error: "date must use the YYYY-MM-DD format.",
         });
       }
 
       const schedule = await facilityScheduleService.getScheduleForDate(
         facilityId,
-        requestedDate,
+        date,
       );
 
       return res.status(200).json(schedule);
     } catch (error) {
       console.error("Fetch Schedule Error:", error);
-      return res.status(500).json({
-        error: "Failed to load facility schedule.",
+      return res.status(error.status || 500).json({
+        error: error.status
+          ? error.message
+          : "Failed to load facility schedule.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/slots/search?category=&durationMinutes=&from=&to=&windowStart=&windowEnd=
+   * Ranked free slots across every facility in a category.
+   */
+  async searchSlots(req, res) {
+    try {
+      const results = await slotSearchService.findFreeSlots(
+        req.user,
+        req.query,
+      );
+      return res.status(200).json(results);
+    } catch (error) {
+      if (!error.status) console.error("Slot Search Error:", error);
+      return res.status(error.status || 500).json({
+        error: error.status ? error.message : "Failed to search for slots.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/facilities/:facilityId/checkin-code
+   * Returns the current check-in code and its QR for a kiosk display.
+   * Unit-based facilities need ?unitId=.
+   */
+  async getCheckinCode(req, res) {
+    try {
+      const checkinCode = await checkinCodeService.getDisplayCode(
+        req.params.facilityId,
+        req.query.unitId || null,
+      );
+      return res.status(200).json(checkinCode);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to generate the check-in code.",
       });
     }
   },
@@ -0,0 +1,128 @@
+import { notificationService } from "../services/notificationService.js";
+
+export const notificationController = {
+  /**
+   * GET /api/notifications
+   * Returns the signed-in user's notification center, newest first.
+   */
+  async list(req, res) {
+    try {
+      const notifications = await notificationService.listForUser(
+        req.user.userName,
+      );
+      return res.status(200).json(notifications);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load notifications.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/notifications/:notificationId/read
+   * Marks one notification as read.
+   */
+  async markRead(req, res) {
+    try {
+      const notification = await notificationService.markRead(
+        req.user.userName,
+        req.params.notificationId,
+      );
+      return res.status(200).json(notification);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to update the notification.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/notifications/read-all
+   * Marks every notification of the signed-in user as read.
+   */
+  async markAllRead(req, res) {
+    try {
+      await notificationService.markAllRead(req.user.userName);
+      return res.status(200).json({ read: true });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to update notifications.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/notifications/preferences
+   * Returns the user's channel and reminder settings and the channels the server offers.
+   */
+  async getPreferences(req, res) {
+    try {
+      const preferences = await notificationService.getPreferences(
+        req.user.userName,
+      );
+      return res.status(200).json(preferences);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load notification settings.",
+      });
+    }
+  },
+
+  /**
+   * PUT /api/notifications/preferences
+   * Updates channel and reminder settings; fields left out keep their value.
+   */
+  async updatePreferences(req, res) {
+    try {
+      const preferences = await notificationService.updatePreferences(
+        req.user.userName,
+        req.body,
+      );
+      return res.status(200).json(preferences);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to save notification settings.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/notifications/push-subscriptions
+   * Registers this browser's push subscription.
+   */
+  async subscribePush(req, res) {
+    try {
+      await notificationService.savePushSubscription(
+        req.user.userName,
+        req.body,
+      );
+      return res.status(201).json({ subscribed: true });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to register for push notifications.",
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/notifications/push-subscriptions
+   * Removes this browser's push subscription.
+   */
+  async unsubscribePush(req, res) {
+    try {
+      if (!req.body?.endpoint) {
+        return res.status(400).json({ error: "endpoint is required." });
+      }
+
+      await notificationService.removePushSubscription(
+        req.user.userName,
+        req.body.endpoint,
+      );
+      return res.status(200).json({ subscribed: false });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to remove the push subscription.",
+      });
+    }
+  },
+};
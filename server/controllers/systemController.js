@@ -36,7 +36,7 @@ export const systemController = {
 
   /**
    * POST /api/system/seed
-   * Resets and seeds demo data.
+   * Resets and seeds demo data (admin role).
    */
   async resetDemoData(req, res) {
     try {
@@ -0,0 +1,78 @@
+import { waitlistService } from "../services/waitlistService.js";
+
+export const waitlistController = {
+  /**
+   * POST /api/waitlist
+   * Joins the waitlist for a slot that is currently taken.
+   */
+  async join(req, res) {
+    try {
+      const { facilityId, unitId, startsAt, endsAt } = req.body;
+      const { userName, userType, clubName } = req.user;
+
+      if (!facilityId || !startsAt || !endsAt) {
+        return res.status(400).json({
+          error: "facilityId, startsAt, and endsAt are required.",
+        });
+      }
+
+      const entry = await waitlistService.joinWaitlist({
+        facilityId,
+        unitId,
+        userName,
+        userType: userType || "individual",
+        clubName,
+        startsAt,
+        endsAt,
+      });
+
+      return res.status(201).json(entry);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to join the waitlist.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/waitlist/me
+   * Returns the signed-in user's active waitlist entries.
+   */
+  async getMyEntries(req, res) {
+    try {
+      const entries = await waitlistService.getWaitlistByUser(
+        req.user.userName,
+      );
+      return res.status(200).json(entries);
+    } catch (error) {
+      console.error("Fetch Waitlist Error:", error);
+      return res.status(500).json({
+        error: "Failed to retrieve your waitlist. Please try again later.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/waitlist/leave
+   * Removes the user from a waitlist entry.
+   */
+  async leave(req, res) {
+    try {
+      const { entryId } = req.body;
+
+      if (!entryId) {
+        return res.status(400).json({ error: "entryId is required." });
+      }
+
+      const entry = await waitlistService.leaveWaitlist({
+        entryId,
+        userName: req.user.userName,
+      });
+      return res.status(200).json(entry);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to leave the waitlist.",
+      });
+    }
+  },
+};
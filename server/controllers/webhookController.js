@@ -0,0 +1,132 @@
+import { webhookService } from "../services/webhookService.js";
+
+export const webhookController = {
+  /**
+   * GET /api/webhooks?clubId=
+   * Lists the endpoints the user manages: every endpoint for admins, their
+   * clubs' for club officers.
+   */
+  async listEndpoints(req, res) {
+    try {
+      const endpoints = await webhookService.listEndpoints(req.user, {
+        clubId: req.query.clubId,
+      });
+      return res.status(200).json(endpoints);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load webhooks.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/webhooks
+   * Registers an endpoint for a club, or campus-wide when clubId is empty
+   * (admin role). Returns the signing secret once.
+   */
+  async createEndpoint(req, res) {
+    try {
+      const { url, clubId, eventTypes, description } = req.body;
+      const endpoint = await webhookService.createEndpoint(req.user, {
+        url,
+        clubId,
+        eventTypes,
+        description,
+      });
+      return res.status(201).json(endpoint);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to register the webhook.",
+      });
+    }
+  },
+
+  /**
+   * PUT /api/webhooks/:endpointId
+   * Updates the URL, description or events, or pauses and resumes delivery.
+   */
+  async updateEndpoint(req, res) {
+    try {
+      const { url, description, eventTypes, isActive } = req.body;
+      const endpoint = await webhookService.updateEndpoint(
+        req.user,
+        req.params.endpointId,
+        { url, description, eventTypes, isActive },
+      );
+      return res.status(200).json(endpoint);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to update the webhook.",
+      });
+    }
+  },
+
+  /**
+   * DELETE /api/webhooks/:endpointId
+   * Removes the endpoint, its queued deliveries and its delivery log.
+   */
+  async deleteEndpoint(req, res) {
+    try {
+      await webhookService.deleteEndpoint(req.user, req.params.endpointId);
+      return res.status(200).json({ deleted: true });
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to remove the webhook.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/webhooks/:endpointId/secret
+   * Replaces the signing secret and returns the new one.
+   */
+  async rotateSecret(req, res) {
+    try {
+      const endpoint = await webhookService.rotateSecret(
+        req.user,
+        req.params.endpointId,
+      );
+      return res.status(200).json(endpoint);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to rotate the secret.",
+      });
+    }
+  },
+
+  /**
+   * GET /api/webhooks/:endpointId/deliveries
+   * Delivery log: recent deliveries with every attempt and its response.
+   */
+  async listDeliveries(req, res) {
+    try {
+      const deliveries = await webhookService.listDeliveries(
+        req.user,
+        req.params.endpointId,
+      );
+      return res.status(200).json(deliveries);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to load deliveries.",
+      });
+    }
+  },
+
+  /**
+   * POST /api/webhooks/deliveries/:deliveryId/retry
+   * Queues a failed delivery for another attempt.
+   */
+  async retryDelivery(req, res) {
+    try {
+      const delivery = await webhookService.retryDelivery(
+        req.user,
+        req.params.deliveryId,
+      );
+      return res.status(200).json(delivery);
+    } catch (error) {
+      return res.status(error.status || 500).json({
+        error: error.message || "Failed to retry the delivery.",
+      });
+    }
+  },
+};
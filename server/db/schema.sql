@@ -1,6 +1,65 @@
+DROP TABLE IF EXISTS webhook_delivery_attempts;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_endpoints;
+DROP TABLE IF EXISTS booking_events;
+DROP TABLE IF EXISTS calendar_feed_tokens;
+DROP TABLE IF EXISTS user_strikes;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS push_subscriptions;
+DROP TABLE IF EXISTS notification_preferences;
+DROP TABLE IF EXISTS facility_closures;
+DROP TABLE IF EXISTS facility_hours;
+DROP TABLE IF EXISTS unit_maintenance;
+DROP TABLE IF EXISTS waitlist_entries;
 DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS booking_series;
 DROP TABLE IF EXISTS facility_units;
 DROP TABLE IF EXISTS facilities;
+DROP TABLE IF EXISTS club_members;
+DROP TABLE IF EXISTS clubs;
+DROP TABLE IF EXISTS users;
+
+-- Users (authenticated identities that own bookings)
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    user_name VARCHAR(100) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    
+    user_type VARCHAR(20) CHECK (user_type IN ('individual', 'club')) DEFAULT 'individual',
+    club_name VARCHAR(100),
+    
+    role VARCHAR(20) CHECK (role IN ('member', 'approver', 'admin', 'kiosk')) DEFAULT 'member',
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Campus clubs that can book on their own behalf
+CREATE TABLE clubs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    
+    -- Inactive clubs are hidden from registration and cannot book
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Club membership; officers (president, coordinator) manage the roster
+CREATE TABLE club_members (
+    club_id INTEGER NOT NULL REFERENCES clubs(id) ON DELETE CASCADE,
+    user_name VARCHAR(100) NOT NULL REFERENCES users(user_name) ON DELETE CASCADE,
+    
+    role VARCHAR(20) NOT NULL DEFAULT 'member'
+        CHECK (role IN ('president', 'coordinator', 'member')),
+    
+    added_by VARCHAR(100),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    PRIMARY KEY (club_id, user_name)
+);
+
+INSERT INTO clubs (name) VALUES ('Roobooru'), ('E-Cell'), ('Vision'), ('Tooryanad');
 
 -- Facilities
 CREATE TABLE facilities (
@@ -22,6 +81,15 @@ CREATE TABLE facilities (
     -- Used for operating hour validation
     timezone VARCHAR(50) DEFAULT 'UTC',
     
+    -- New bookings wait in the approver queue instead of being scheduled
+    requires_approval BOOLEAN DEFAULT FALSE,
+    
+    -- Bumped on every live event about the facility; clients detect missed events from gaps
+    live_version INTEGER NOT NULL DEFAULT 0,
+    
+    -- Set instead of deleting so booking history keeps its facility
+    archived_at TIMESTAMP WITH TIME ZONE,
+    
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -31,6 +99,22 @@ CREATE TABLE facility_units (
     facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE,
     unit_name VARCHAR(50) NOT NULL,
     is_operational BOOLEAN DEFAULT TRUE,
+    archived_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Recurring booking series (one row per recurrence rule)
+CREATE TABLE booking_series (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER REFERENCES facilities(id) NOT NULL,
+    unit_id INTEGER REFERENCES facility_units(id),
+    booked_by VARCHAR(100) NOT NULL,
+    
+    frequency VARCHAR(20) CHECK (frequency IN ('daily', 'weekly')) NOT NULL,
+    interval_count INTEGER NOT NULL DEFAULT 1,
+    until_date TIMESTAMP WITH TIME ZONE,
+    occurrence_count INTEGER,
+    
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -50,23 +134,276 @@ CREATE TABLE bookings (
     ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
     
     status VARCHAR(20) DEFAULT 'scheduled' 
-        CHECK (status IN ('scheduled', 'checked_in', 'completed', 'released')),
+        CHECK (status IN ('pending_approval', 'rejected', 'scheduled', 'checked_in', 'completed', 'released')),
     
     idempotency_key VARCHAR(255) NOT NULL,
+    
+    -- Set when the booking is one occurrence of a recurring series
+    series_id INTEGER REFERENCES booking_series(id),
+    
+    -- Approval decision for facilities that require one
+    decided_by VARCHAR(100),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_reason TEXT,
+    
+    -- Explains system-initiated changes (maintenance relocation or release)
+    status_note TEXT,
+    
+    -- Wrong check-in codes since the last lockout; reaching the limit locks check-in for a while
+    checkin_failures INTEGER NOT NULL DEFAULT 0,
+    checkin_locked_until TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Waitlist for fully booked slots (promoted FIFO when a matching slot is released)
+CREATE TABLE waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER REFERENCES facilities(id) NOT NULL,
+    unit_id INTEGER REFERENCES facility_units(id),
+    
+    user_name VARCHAR(100) NOT NULL,
+    user_type VARCHAR(20) CHECK (user_type IN ('individual', 'club')) DEFAULT 'individual',
+    club_name VARCHAR(100),
+    
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    status VARCHAR(20) DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'fulfilled', 'expired', 'cancelled')),
+    
+    -- Booking created when the entry was promoted
+    booking_id INTEGER REFERENCES bookings(id),
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Maintenance windows during which a unit cannot be booked
+CREATE TABLE unit_maintenance (
+    id SERIAL PRIMARY KEY,
+    unit_id INTEGER REFERENCES facility_units(id) NOT NULL,
+    facility_id INTEGER REFERENCES facilities(id) NOT NULL,
+    
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reason TEXT NOT NULL,
+    
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CHECK (ends_at > starts_at)
+);
+
+-- Per-weekday operating hours (weekdays without a row use the facility defaults)
+CREATE TABLE facility_hours (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE NOT NULL,
+    
+    -- 0 = Sunday ... 6 = Saturday
+    weekday INTEGER NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    open_time TIME,
+    close_time TIME,
+    is_closed BOOLEAN DEFAULT FALSE,
+    
+    UNIQUE (facility_id, weekday),
+    CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL AND close_time > open_time))
+);
+
+-- Holidays and one-off closures (facility_id NULL = whole campus)
+CREATE TABLE facility_closures (
+    id SERIAL PRIMARY KEY,
+    facility_id INTEGER REFERENCES facilities(id) ON DELETE CASCADE,
+    
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    
+    -- Both NULL = closed all day; both set = special hours for those dates
+    open_time TIME,
+    close_time TIME,
+    reason TEXT NOT NULL,
+    
+    created_by VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CHECK (ends_on >= starts_on),
+    CHECK ((open_time IS NULL) = (close_time IS NULL))
+);
+
+-- Per-user notification settings (users without a row get the defaults)
+CREATE TABLE notification_preferences (
+    user_name VARCHAR(100) PRIMARY KEY REFERENCES users(user_name) ON DELETE CASCADE,
+    
+    in_app_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    email_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    email_address VARCHAR(255),
+    push_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    
+    -- How long before the start the check-in reminder goes out (0 = no reminder)
+    reminder_minutes INTEGER NOT NULL DEFAULT 30 CHECK (reminder_minutes BETWEEN 0 AND 1440),
+    
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CHECK (NOT email_enabled OR email_address IS NOT NULL)
+);
+
+-- Browser push endpoints registered by each user
+CREATE TABLE push_subscriptions (
+    id SERIAL PRIMARY KEY,
+    user_name VARCHAR(100) NOT NULL REFERENCES users(user_name) ON DELETE CASCADE,
+    
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Scheduled and sent notifications; pending rows survive restarts
+CREATE TABLE notifications (
+    id SERIAL PRIMARY KEY,
+    user_name VARCHAR(100) NOT NULL,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE CASCADE,
+    
+    kind VARCHAR(30) NOT NULL
+        CHECK (kind IN ('checkin_reminder', 'checkin_due', 'released', 'maintenance_moved', 'maintenance_released')),
+    
+    -- Booking start the notice was planned for; a rescheduled booking makes it stale
+    booking_starts_at TIMESTAMP WITH TIME ZONE,
+    send_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'sent', 'skipped', 'failed')),
+    
+    -- Filled in when the notification is sent
+    title VARCHAR(200),
+    body TEXT,
+    
+    delivered_channels TEXT[] NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Strike ledger for no-shows and late cancellations (penalties are derived from it)
+CREATE TABLE user_strikes (
+    id SERIAL PRIMARY KEY,
+    user_name VARCHAR(100) NOT NULL,
+    
+    -- One strike per booking
+    booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL
+        CHECK (reason IN ('no_show', 'late_cancellation')),
+    
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Set when an admin forgives the strike; it then stops counting
+    forgiven_at TIMESTAMP WITH TIME ZONE,
+    forgiven_by VARCHAR(100),
+    forgive_reason TEXT
+);
+
+-- Append-only audit trail of every change to a booking; rows are never updated
+CREATE TABLE booking_events (
+    id SERIAL PRIMARY KEY,
+    booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    
+    event_type VARCHAR(30) NOT NULL
+        CHECK (event_type IN ('created', 'approved', 'rejected', 'cancelled', 'checked_in', 'checked_out', 'completed', 'no_show', 'extended', 'rescheduled', 'relocated', 'released')),
+    
+    -- Who made the change; NULL for the scheduler and other system jobs
+    actor VARCHAR(100),
+    previous_status VARCHAR(20),
+    new_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    
+    -- Times or units before and after, for changes that move the booking
+    details JSONB,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Secret token behind a user's calendar feed URLs; replacing it revokes the old links
+CREATE TABLE calendar_feed_tokens (
+    user_name VARCHAR(100) PRIMARY KEY REFERENCES users(user_name) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Outbound webhooks: club endpoints hear about the club's bookings, global ones about every booking
+CREATE TABLE webhook_endpoints (
+    id SERIAL PRIMARY KEY,
+    
+    -- NULL for admin-managed endpoints that receive every booking
+    club_id INTEGER REFERENCES clubs(id) ON DELETE CASCADE,
+    
+    url TEXT NOT NULL,
+    description VARCHAR(200),
+    
+    -- HMAC key for the signature header; rotating it signs later attempts with the new key
+    secret VARCHAR(64) NOT NULL,
+    event_types TEXT[] NOT NULL,
+    
+    -- Paused endpoints get no new events; deliveries already queued wait until they resume
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    created_by VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Outbox: one row per endpoint per event, written in the transaction that changed the booking
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+    
+    -- Shared by every endpoint's copy of the event, so receivers can deduplicate
+    event_id UUID NOT NULL,
+    event_type VARCHAR(30) NOT NULL
+        CHECK (event_type IN ('booking.created', 'booking.approved', 'booking.rejected', 'booking.cancelled', 'booking.checked_in', 'booking.completed', 'booking.released')),
+    payload JSONB NOT NULL,
+    
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    
+    last_response_status INTEGER,
+    last_error TEXT,
+    
+    claimed_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Delivery log: every attempt and what the endpoint answered
+CREATE TABLE webhook_delivery_attempts (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    
+    attempt INTEGER NOT NULL,
+    response_status INTEGER,
+    error TEXT,
+    duration_ms INTEGER NOT NULL,
+    
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes
 
 -- Speeds up overlapping booking checks per user
 CREATE INDEX idx_user_active_slots 
 ON bookings (booked_by, starts_at, ends_at) 
-WHERE status IN ('scheduled', 'checked_in');
+WHERE status IN ('pending_approval', 'scheduled', 'checked_in');
 
 -- Supports facility-level availability checks
 CREATE INDEX idx_active_bookings_facility 
 ON bookings (facility_id, starts_at, ends_at) 
-WHERE status IN ('scheduled', 'checked_in');
+WHERE status IN ('pending_approval', 'scheduled', 'checked_in');
 
 -- Used by cleanup job for expired bookings
 CREATE INDEX idx_cleanup_engine_optimized 
@@ -75,9 +412,70 @@ ON bookings (starts_at, status, ends_at);
 -- Prevents duplicate active bookings via idempotency key
 CREATE UNIQUE INDEX unique_active_idempotency
 ON bookings(idempotency_key)
-WHERE status IN ('scheduled', 'checked_in');
+WHERE status IN ('pending_approval', 'scheduled', 'checked_in');
 
 -- Supports upcoming bookings query for dashboard 
 CREATE INDEX idx_booking_ends_at_ordering 
 ON bookings (facility_id, ends_at) 
-WHERE status IN ('scheduled', 'checked_in');
\ No newline at end of file
+WHERE status IN ('scheduled', 'checked_in');
+
+-- Series-scoped cancellation ("this and following", "entire series")
+CREATE INDEX idx_bookings_series
+ON bookings (series_id, starts_at)
+WHERE series_id IS NOT NULL;
+
+-- FIFO promotion lookup for waiting entries on a facility
+CREATE INDEX idx_waitlist_promotion
+ON waitlist_entries (facility_id, created_at)
+WHERE status = 'waiting';
+
+-- Approver queue ordered by start time
+CREATE INDEX idx_pending_approvals
+ON bookings (starts_at)
+WHERE status = 'pending_approval';
+
+-- Overlap lookups for maintenance windows per unit
+CREATE INDEX idx_unit_maintenance_window
+ON unit_maintenance (unit_id, starts_at, ends_at);
+
+CREATE INDEX idx_facility_closures_dates
+ON facility_closures (starts_on, ends_on);
+
+-- Dispatcher lookup for due notifications
+CREATE INDEX idx_notifications_due
+ON notifications (send_at)
+WHERE status = 'pending';
+
+-- Notification center, newest first
+CREATE INDEX idx_notifications_user
+ON notifications (user_name, created_at DESC);
+
+-- Rolling-window strike count per user
+CREATE INDEX idx_user_strikes_active
+ON user_strikes (user_name, issued_at)
+WHERE forgiven_at IS NULL;
+
+-- Clubs a user belongs to
+CREATE INDEX idx_club_members_user
+ON club_members (user_name);
+
+-- One waiting entry per user per slot
+CREATE UNIQUE INDEX unique_waiting_entry
+ON waitlist_entries (user_name, facility_id, starts_at)
+WHERE status = 'waiting';
+
+-- A booking's timeline in order
+CREATE INDEX idx_booking_events_booking
+ON booking_events (booking_id, created_at);
+
+-- Dispatcher lookup for due webhook deliveries
+CREATE INDEX idx_webhook_deliveries_due
+ON webhook_deliveries (next_attempt_at)
+WHERE status = 'pending';
+
+-- An endpoint's delivery log, newest first
+CREATE INDEX idx_webhook_deliveries_endpoint
+ON webhook_deliveries (endpoint_id, created_at DESC);
+
+CREATE INDEX idx_webhook_delivery_attempts_delivery
+ON webhook_delivery_attempts (delivery_id, attempt);
@@ -0,0 +1,52 @@
+import { authService } from "../services/authService.js";
+
+// Extract the bearer token from the Authorization header
+const readBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Resolves the acting user from the session token and attaches it to req.user.
+ * Rejects the request with 401 when the token is missing, invalid or expired.
+ */
+export async function requireAuth(req, res, next) {
+  try {
+    const payload = authService.verifyToken(readBearerToken(req));
+
+    if (!payload) {
+      return res
+        .status(401)
+        .json({ error: "Authentication required. Please sign in again." });
+    }
+
+    const user = await authService.getUserById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({
+        error: "Your account no longer exists. Please sign in again.",
+      });
+    }
+
+    req.user = user;
+    return next();
+  } catch (error) {
+    console.error("Auth Middleware Error:", error);
+    return res.status(error.status || 500).json({
+      error: error.message || "Failed to verify your session.",
+    });
+  }
+}
+
+// Restricts a route to the given roles. Must run after requireAuth.
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ error: "You do not have permission to perform this action." });
+    }
+    return next();
+  };
+}
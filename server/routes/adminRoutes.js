@@ -0,0 +1,45 @@
+import express from "express";
+import { adminController } from "../controllers/adminController.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { USER_ROLES, IMPORT_CONFIG } from "../config/appConfig.js";
+
+const router = express.Router();
+
+// Every admin route requires a signed-in admin
+router.use(requireAuth, requireRole(USER_ROLES.ADMIN));
+
+router.get("/facilities", adminController.listFacilities);
+router.post("/facilities", adminController.createFacility);
+router.put("/facilities/:facilityId", adminController.updateFacility);
+router.delete("/facilities/:facilityId", adminController.deleteFacility);
+
+router.post("/facilities/:facilityId/units", adminController.createUnit);
+router.put("/units/:unitId", adminController.updateUnit);
+router.delete("/units/:unitId", adminController.deleteUnit);
+
+router.post("/units/:unitId/maintenance", adminController.scheduleMaintenance);
+router.delete("/maintenance/:maintenanceId", adminController.endMaintenance);
+
+router.get("/facilities/:facilityId/hours", adminController.getWeeklyHours);
+router.put("/facilities/:facilityId/hours", adminController.setWeeklyHours);
+
+router.get("/closures", adminController.listClosures);
+router.post("/closures", adminController.addClosure);
+router.delete("/closures/:closureId", adminController.removeClosure);
+
+router.get("/strikes", adminController.listStrikes);
+router.post("/strikes/:strikeId/forgive", adminController.forgiveStrike);
+
+router.get("/analytics/utilization", adminController.getUtilization);
+router.get("/exports/bookings", adminController.exportBookings);
+router.post(
+  "/imports",
+  express.text({ type: "text/csv", limit: IMPORT_CONFIG.MAX_BODY_SIZE }),
+  adminController.importCatalog,
+);
+router.get(
+  "/analytics/facilities/:facilityId",
+  adminController.getFacilityAnalytics,
+);
+
+export default router;
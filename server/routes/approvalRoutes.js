@@ -0,0 +1,29 @@
+import express from "express";
+import { approvalController } from "../controllers/approvalController.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { USER_ROLES } from "../config/appConfig.js";
+
+const router = express.Router();
+
+const requireApprover = requireRole(USER_ROLES.APPROVER, USER_ROLES.ADMIN);
+
+router.get(
+  "/approvals",
+  requireAuth,
+  requireApprover,
+  approvalController.getQueue,
+);
+router.post(
+  "/approvals/approve",
+  requireAuth,
+  requireApprover,
+  approvalController.approve,
+);
+router.post(
+  "/approvals/reject",
+  requireAuth,
+  requireApprover,
+  approvalController.reject,
+);
+
+export default router;
@@ -1,9 +1,10 @@
 import express from "express";
 import { assetController } from "../controllers/assetController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.get("/assets", assetController.getAssets);
+router.get("/assets", requireAuth, assetController.getAssets);
 
 // Fetch operational units for a facility
 // router.get("/facilities/:facilityId/units", async (req, res) => {
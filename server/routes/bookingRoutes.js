@@ -1,12 +1,22 @@
 import express from "express";
 import { bookingController } from "../controllers/bookingController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.post("/reserve", bookingController.reserveAsset);
-router.post("/check-in", bookingController.checkIn);
-router.post("/check-out", bookingController.checkOut);
-router.post("/cancel", bookingController.cancel);
-router.get("/bookings/user/:userName", bookingController.getUserBookings);
+router.post("/reserve", requireAuth, bookingController.reserveAsset);
+router.post("/check-in", requireAuth, bookingController.checkIn);
+router.post("/check-out", requireAuth, bookingController.checkOut);
+router.post("/cancel", requireAuth, bookingController.cancel);
+router.post("/extend", requireAuth, bookingController.extend);
+router.post("/modify", requireAuth, bookingController.modify);
+router.get("/bookings/me", requireAuth, bookingController.getUserBookings);
+router.get("/bookings/me/standing", requireAuth, bookingController.getStanding);
+router.get("/bookings/me/quota", requireAuth, bookingController.getQuota);
+router.get(
+  "/bookings/:bookingId/history",
+  requireAuth,
+  bookingController.getHistory,
+);
 
 export default router;
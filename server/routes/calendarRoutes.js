@@ -0,0 +1,22 @@
+import express from "express";
+import { calendarController } from "../controllers/calendarController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.get("/feeds", requireAuth, calendarController.getFeeds);
+router.post("/feeds/reset", requireAuth, calendarController.resetFeeds);
+router.get(
+  "/bookings/:bookingId.ics",
+  requireAuth,
+  calendarController.downloadBooking,
+);
+
+// Public: calendar apps subscribe with the unguessable token in the URL
+router.get("/:token/bookings.ics", calendarController.userFeed);
+router.get(
+  "/:token/facilities/:facilityId.ics",
+  calendarController.facilityFeed,
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import { clubController } from "../controllers/clubController.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { USER_ROLES } from "../config/appConfig.js";
+
+const router = express.Router();
+
+// Public: the registration form lists clubs before anyone is signed in
+router.get("/", clubController.listClubs);
+
+router.get("/mine", requireAuth, clubController.listMyClubs);
+router.post(
+  "/",
+  requireAuth,
+  requireRole(USER_ROLES.ADMIN),
+  clubController.createClub,
+);
+router.put(
+  "/:clubId",
+  requireAuth,
+  requireRole(USER_ROLES.ADMIN),
+  clubController.updateClub,
+);
+
+router.get("/:clubId/bookings", requireAuth, clubController.listBookings);
+router.get("/:clubId/members", requireAuth, clubController.listMembers);
+router.post("/:clubId/members", requireAuth, clubController.addMember);
+router.put(
+  "/:clubId/members/:userName",
+  requireAuth,
+  clubController.updateMember,
+);
+router.delete(
+  "/:clubId/members/:userName",
+  requireAuth,
+  clubController.removeMember,
+);
+
+export default router;
@@ -1,5 +1,7 @@
 import express from "express";
 import { facilityController } from "../controllers/facilityController.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { USER_ROLES } from "../config/appConfig.js";
 
 const router = express.Router();
 
@@ -13,4 +15,14 @@ router.get(
   facilityController.getFacilitySchedule,
 );
 
+router.get("/slots/search", requireAuth, facilityController.searchSlots);
+
+// Only kiosk displays and admins may read live codes, or students could check in remotely
+router.get(
+  "/facilities/:facilityId/checkin-code",
+  requireAuth,
+  requireRole(USER_ROLES.KIOSK, USER_ROLES.ADMIN),
+  facilityController.getCheckinCode,
+);
+
 export default router;
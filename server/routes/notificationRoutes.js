@@ -0,0 +1,17 @@
+import express from "express";
+import { notificationController } from "../controllers/notificationController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get("/", notificationController.list);
+router.post("/read-all", notificationController.markAllRead);
+router.post("/:notificationId/read", notificationController.markRead);
+router.get("/preferences", notificationController.getPreferences);
+router.put("/preferences", notificationController.updatePreferences);
+router.post("/push-subscriptions", notificationController.subscribePush);
+router.delete("/push-subscriptions", notificationController.unsubscribePush);
+
+export default router;
@@ -1,10 +1,18 @@
 import { Router } from "express";
 import { systemController } from "../controllers/systemController.js";
+import { requireAuth, requireRole } from "../middleware/authMiddleware.js";
+import { USER_ROLES } from "../config/appConfig.js";
 
 const router = Router();
 
 router.get("/health", systemController.getHealthStatus);
 
-router.post("/seed", systemController.resetDemoData);
+// Wipes every facility and booking before re-importing the demo catalog
+router.post(
+  "/seed",
+  requireAuth,
+  requireRole(USER_ROLES.ADMIN),
+  systemController.resetDemoData,
+);
 
 export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { waitlistController } from "../controllers/waitlistController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+router.post("/waitlist", requireAuth, waitlistController.join);
+router.get("/waitlist/me", requireAuth, waitlistController.getMyEntries);
+router.post("/waitlist/leave", requireAuth, waitlistController.leave);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import { webhookController } from "../controllers/webhookController.js";
+import { requireAuth } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Admins manage every endpoint; club officers manage their own club's (checked in the service)
+router.use(requireAuth);
+
+router.get("/", webhookController.listEndpoints);
+router.post("/", webhookController.createEndpoint);
+router.put("/:endpointId", webhookController.updateEndpoint);
+router.delete("/:endpointId", webhookController.deleteEndpoint);
+router.post("/:endpointId/secret", webhookController.rotateSecret);
+router.get("/:endpointId/deliveries", webhookController.listDeliveries);
+router.post("/deliveries/:deliveryId/retry", webhookController.retryDelivery);
+
+export default router;
@@ -0,0 +1,466 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_POLICY,
+} from "../config/appConfig.js";
+import { assetService } from "./assetService.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Merges an admin payload over the current facility row and validates the result.
+ * Returns the full column set so create and update share one INSERT/UPDATE shape.
+ */
+const buildFacilityRecord = (input, existing = {}) => {
+  const pick = (key, column, fallback) =>
+    input[key] !== undefined ? input[key] : (existing[column] ?? fallback);
+
+  const record = {
+    name: String(pick("name", "name", "")).trim(),
+    category: String(pick("category", "category", "")).trim(),
+    description: pick("description", "description", null) || null,
+    total_capacity: parseInt(pick("totalCapacity", "total_capacity", 1), 10),
+    is_pooled: Boolean(pick("isPooled", "is_pooled", false)),
+    min_duration_minutes: parseInt(
+      pick("minDurationMinutes", "min_duration_minutes", 30),
+      10,
+    ),
+    max_duration_minutes: parseInt(
+      pick("maxDurationMinutes", "max_duration_minutes", 120),
+      10,
+    ),
+    open_time: pick("openTime", "open_time", "07:00:00"),
+    close_time: pick("closeTime", "close_time", "23:00:00"),
+    timezone: pick("timezone", "timezone", "UTC"),
+    requires_approval: Boolean(
+      pick("requiresApproval", "requires_approval", false),
+    ),
+  };
+
+  if (!record.name || !record.category) {
+    throw { status: 400, message: "Facility name and category are required." };
+  }
+
+  if (
+    record.is_pooled &&
+    (!Number.isInteger(record.total_capacity) || record.total_capacity < 1)
+  ) {
+    throw {
+      status: 400,
+      message: "A pooled facility needs a capacity of at least 1.",
+    };
+  }
+
+  const slot = BOOKING_POLICY.SLOT_SIZE_MINUTES;
+  if (
+    !Number.isInteger(record.min_duration_minutes) ||
+    !Number.isInteger(record.max_duration_minutes) ||
+    record.min_duration_minutes < slot ||
+    record.min_duration_minutes % slot !== 0 ||
+    record.max_duration_minutes % slot !== 0
+  ) {
+    throw {
+      status: 400,
+      message: `Durations must be positive multiples of ${slot} minutes.`,
+    };
+  }
+
+  if (record.min_duration_minutes > record.max_duration_minutes) {
+    throw {
+      status: 400,
+      message: "Minimum duration cannot exceed the maximum duration.",
+    };
+  }
+
+  if (
+    !TIME_PATTERN.test(record.open_time) ||
+    !TIME_PATTERN.test(record.close_time)
+  ) {
+    throw { status: 400, message: "Operating hours must use HH:MM format." };
+  }
+
+  if (record.open_time >= record.close_time) {
+    throw { status: 400, message: "Opening time must be before closing time." };
+  }
+
+  if (!isValidTimezone(record.timezone)) {
+    throw { status: 400, message: `Unknown timezone: ${record.timezone}.` };
+  }
+
+  return record;
+};
+
+// Lock an active (non-archived) facility for an admin change
+const lockFacilityForAdmin = async (tx, facilityId) => {
+  const { rows } = await tx.query(
+    "SELECT * FROM facilities WHERE id = $1 AND archived_at IS NULL FOR UPDATE",
+    [facilityId],
+  );
+
+  if (!rows[0]) throw { status: 404, message: "Facility not found." };
+  return rows[0];
+};
+
+const countFutureBookings = async (tx, column, id) => {
+  const { rows } = await tx.query(
+    `SELECT COUNT(*) AS upcoming FROM bookings
+     WHERE ${column} = $1
+     AND status = ANY($2)
+     AND ends_at > NOW()`,
+    [id, ACTIVE_BOOKING_STATUSES],
+  );
+  return parseInt(rows[0].upcoming, 10);
+};
+
+// Highest number of simultaneous upcoming bookings; concurrency peaks at some booking's start
+const peakFutureConcurrency = async (tx, facilityId) => {
+  const { rows } = await tx.query(
+    `SELECT COALESCE(MAX(overlapping), 0) AS peak FROM (
+       SELECT (
+         SELECT COUNT(*) FROM bookings b2
+         WHERE b2.facility_id = $1
+         AND b2.status = ANY($2)
+         AND b2.starts_at <= GREATEST(b1.starts_at, NOW())
+         AND b2.ends_at > GREATEST(b1.starts_at, NOW())
+       ) AS overlapping
+       FROM bookings b1
+       WHERE b1.facility_id = $1
+       AND b1.status = ANY($2)
+       AND b1.ends_at > NOW()
+     ) concurrency`,
+    [facilityId, ACTIVE_BOOKING_STATUSES],
+  );
+  return parseInt(rows[0].peak, 10);
+};
+
+// Unit-based capacity always mirrors the number of operational units
+const syncUnitCapacity = async (tx, facilityId) => {
+  await tx.query(
+    `UPDATE facilities SET total_capacity = (
+       SELECT COUNT(*) FROM facility_units
+       WHERE facility_id = $1 AND is_operational = true
+     )
+     WHERE id = $1 AND is_pooled = false`,
+    [facilityId],
+  );
+};
+
+const lockUnit = async (tx, unitId) => {
+  const initialFetch = await tx.query(
+    "SELECT facility_id FROM facility_units WHERE id = $1 AND archived_at IS NULL",
+    [unitId],
+  );
+
+  if (!initialFetch.rows[0]) throw { status: 404, message: "Unit not found." };
+
+  // Facility first, then unit, matching the booking lock order
+  await lockFacilityForAdmin(tx, initialFetch.rows[0].facility_id);
+
+  const { rows } = await tx.query(
+    "SELECT * FROM facility_units WHERE id = $1 FOR UPDATE",
+    [unitId],
+  );
+  return rows[0];
+};
+
+export const adminService = {
+  // Every active facility with its (non-archived) units
+  async listFacilities() {
+    const query = `
+      SELECT
+        f.*,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'id', u.id,
+              'unit_name', u.unit_name,
+              'is_operational', u.is_operational,
+              'maintenance', (
+                SELECT COALESCE(json_agg(json_build_object(
+                  'id', m.id,
+                  'starts_at', m.starts_at,
+                  'ends_at', m.ends_at,
+                  'reason', m.reason
+                ) ORDER BY m.starts_at), '[]'::json)
+                FROM unit_maintenance m
+                WHERE m.unit_id = u.id AND m.ends_at > NOW()
+              )
+            ) ORDER BY u.unit_name
+          ) FILTER (WHERE u.id IS NOT NULL),
+          '[]'::json
+        ) AS units
+      FROM facilities f
+      LEFT JOIN facility_units u
+        ON u.facility_id = f.id AND u.archived_at IS NULL
+      WHERE f.archived_at IS NULL
+      GROUP BY f.id
+      ORDER BY f.category ASC, f.name ASC;
+    `;
+
+    const { rows } = await pool.query(query);
+    return rows;
+  },
+
+  /**
+   * Creates a facility. Unit-based facilities may pass unitNames to create their
+   * units in the same transaction; their capacity is derived from the unit count.
+   */
+  async createFacility(input) {
+    return await runInTransaction((tx) => this.insertFacility(tx, input));
+  },
+
+  // createFacility inside the caller's transaction (bulk imports)
+  async insertFacility(tx, input) {
+    const record = buildFacilityRecord(input);
+    const unitNames = (input.unitNames || [])
+      .map((unitName) => String(unitName).trim())
+      .filter(Boolean);
+
+    const { rows } = await tx.query(
+      `INSERT INTO facilities
+         (name, category, description, total_capacity, is_pooled, min_duration_minutes, max_duration_minutes, open_time, close_time, timezone, requires_approval)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+      [
+        record.name,
+        record.category,
+        record.description,
+        record.is_pooled ? record.total_capacity : 0,
+        record.is_pooled,
+        record.min_duration_minutes,
+        record.max_duration_minutes,
+        record.open_time,
+        record.close_time,
+        record.timezone,
+        record.requires_approval,
+      ],
+    );
+
+    const facility = rows[0];
+
+    if (!facility.is_pooled) {
+      for (const unitName of unitNames) {
+        await tx.query(
+          "INSERT INTO facility_units (facility_id, unit_name) VALUES ($1, $2)",
+          [facility.id, unitName],
+        );
+      }
+      await syncUnitCapacity(tx, facility.id);
+    }
+
+    // Committed with the change so live events and resyncs agree on it
+    await assetService.bumpLiveVersion(facility.id, tx);
+
+    const refreshed = await tx.query("SELECT * FROM facilities WHERE id = $1", [
+      facility.id,
+    ]);
+    return refreshed.rows[0];
+  },
+
+  /**
+   * Updates facility settings. Existing bookings keep their confirmed times;
+   * changes that would strand upcoming bookings are refused instead.
+   */
+  async updateFacility(facilityId, input) {
+    return await runInTransaction(async (tx) => {
+      const existing = await lockFacilityForAdmin(tx, facilityId);
+      const record = buildFacilityRecord(input, existing);
+
+      const upcoming = await countFutureBookings(tx, "facility_id", facilityId);
+
+      if (record.is_pooled !== existing.is_pooled && upcoming > 0) {
+        throw {
+          status: 409,
+          message: `Cannot switch between pooled and unit-based while ${upcoming} upcoming booking(s) exist.`,
+        };
+      }
+
+      if (record.is_pooled && record.total_capacity < existing.total_capacity) {
+        const peak = await peakFutureConcurrency(tx, facilityId);
+        if (peak > record.total_capacity) {
+          throw {
+            status: 409,
+            message: `Capacity cannot drop below ${peak}: that many upcoming bookings overlap. Cancel or move them first.`,
+            conflictDetails: { peakConcurrentBookings: peak },
+          };
+        }
+      }
+
+      const { rows } = await tx.query(
+        `UPDATE facilities
+         SET name = $1, category = $2, description = $3, total_capacity = $4, is_pooled = $5,
+             min_duration_minutes = $6, max_duration_minutes = $7, open_time = $8, close_time = $9,
+             timezone = $10, requires_approval = $11
+         WHERE id = $12
+         RETURNING *`,
+        [
+          record.name,
+          record.category,
+          record.description,
+          record.is_pooled ? record.total_capacity : existing.total_capacity,
+          record.is_pooled,
+          record.min_duration_minutes,
+          record.max_duration_minutes,
+          record.open_time,
+          record.close_time,
+          record.timezone,
+          record.requires_approval,
+          facilityId,
+        ],
+      );
+
+      await syncUnitCapacity(tx, facilityId);
+
+      return {
+        ...rows[0],
+        live_version: await assetService.bumpLiveVersion(facilityId, tx),
+      };
+    });
+  },
+
+  // Archives a facility; booking history keeps pointing at the archived row
+  async archiveFacility(facilityId) {
+    return await runInTransaction(async (tx) => {
+      await lockFacilityForAdmin(tx, facilityId);
+
+      const upcoming = await countFutureBookings(tx, "facility_id", facilityId);
+      if (upcoming > 0) {
+        throw {
+          status: 409,
+          message: `This facility still has ${upcoming} upcoming booking(s). Cancel them before removing it.`,
+        };
+      }
+
+      const { rows } = await tx.query(
+        "UPDATE facilities SET archived_at = NOW() WHERE id = $1 RETURNING *",
+        [facilityId],
+      );
+
+      await tx.query(
+        `UPDATE facility_units SET archived_at = NOW(), is_operational = false
+         WHERE facility_id = $1 AND archived_at IS NULL`,
+        [facilityId],
+      );
+
+      return {
+        ...rows[0],
+        live_version: await assetService.bumpLiveVersion(facilityId, tx),
+      };
+    });
+  },
+
+  async createUnit(facilityId, { unitName }) {
+    return await runInTransaction((tx) =>
+      this.insertUnit(tx, facilityId, { unitName }),
+    );
+  },
+
+  // createUnit inside the caller's transaction (bulk imports)
+  async insertUnit(tx, facilityId, { unitName }) {
+    const name = String(unitName || "").trim();
+    if (!name) throw { status: 400, message: "A unit name is required." };
+
+    const facility = await lockFacilityForAdmin(tx, facilityId);
+
+    if (facility.is_pooled) {
+      throw {
+        status: 400,
+        message:
+          "Pooled facilities do not have units. Adjust the capacity instead.",
+      };
+    }
+
+    const { rows } = await tx.query(
+      "INSERT INTO facility_units (facility_id, unit_name) VALUES ($1, $2) RETURNING *",
+      [facilityId, name],
+    );
+
+    await syncUnitCapacity(tx, facilityId);
+    return {
+      ...rows[0],
+      facility_live_version: await assetService.bumpLiveVersion(facilityId, tx),
+    };
+  },
+
+  /**
+   * Renames a unit or toggles whether it is operational.
+   * Taking a unit out of service is refused while it has upcoming bookings.
+   */
+  async updateUnit(unitId, { unitName, isOperational }) {
+    return await runInTransaction(async (tx) => {
+      const unit = await lockUnit(tx, unitId);
+
+      const name =
+        unitName !== undefined ? String(unitName).trim() : unit.unit_name;
+      if (!name) throw { status: 400, message: "A unit name is required." };
+
+      const operational =
+        isOperational !== undefined
+          ? Boolean(isOperational)
+          : unit.is_operational;
+
+      if (unit.is_operational && !operational) {
+        const upcoming = await countFutureBookings(tx, "unit_id", unitId);
+        if (upcoming > 0) {
+          throw {
+            status: 409,
+            message: `${unit.unit_name} has ${upcoming} upcoming booking(s). Cancel or move them before taking it out of service.`,
+          };
+        }
+      }
+
+      const { rows } = await tx.query(
+        "UPDATE facility_units SET unit_name = $1, is_operational = $2 WHERE id = $3 RETURNING *",
+        [name, operational, unitId],
+      );
+
+      await syncUnitCapacity(tx, unit.facility_id);
+      return {
+        ...rows[0],
+        facility_live_version: await assetService.bumpLiveVersion(
+          unit.facility_id,
+          tx,
+        ),
+      };
+    });
+  },
+
+  // Archives a unit; refused while upcoming bookings still depend on it
+  async archiveUnit(unitId) {
+    return await runInTransaction(async (tx) => {
+      const unit = await lockUnit(tx, unitId);
+
+      const upcoming = await countFutureBookings(tx, "unit_id", unitId);
+      if (upcoming > 0) {
+        throw {
+          status: 409,
+          message: `${unit.unit_name} has ${upcoming} upcoming booking(s). Cancel or move them before deleting it.`,
+        };
+      }
+
+      const { rows } = await tx.query(
+        `UPDATE facility_units SET archived_at = NOW(), is_operational = false
+         WHERE id = $1 RETURNING *`,
+        [unitId],
+      );
+
+      await syncUnitCapacity(tx, unit.facility_id);
+      return {
+        ...rows[0],
+        facility_live_version: await assetService.bumpLiveVersion(
+          unit.facility_id,
+          tx,
+        ),
+      };
+    });
+  },
+};
@@ -0,0 +1,335 @@
+import { pool } from "../db/connection.js";
+import {
+  ANALYTICS_CONFIG,
+  BOOKING_STATUS,
+  STRIKE_REASON,
+  USER_TYPES,
+} from "../config/appConfig.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Bookings that held their slot: confirmed, used, or lost to a no-show
+const HELD_STATUSES = [
+  BOOKING_STATUS.SCHEDULED,
+  BOOKING_STATUS.CHECKED_IN,
+  BOOKING_STATUS.COMPLETED,
+];
+const CHECKED_IN_STATUSES = [
+  BOOKING_STATUS.CHECKED_IN,
+  BOOKING_STATUS.COMPLETED,
+];
+
+const round = (value, places = 1) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const ratio = (part, whole) => (whole > 0 ? round(part / whole, 3) : null);
+
+const toHours = (timeKey) => {
+  const [hours, minutes] = timeKey.split(":").map(Number);
+  return hours + minutes / 60;
+};
+
+/**
+ * Inclusive YYYY-MM-DD range on the facility's clock. Defaults to the last
+ * DEFAULT_RANGE_DAYS days up to today.
+ */
+const resolveRange = (from, to, timeZone) => {
+  const { addDaysToDateKey, toDateKey, zonedTimeToUtc } =
+    facilityCalendarService;
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw { status: 400, message: "Dates must use YYYY-MM-DD format." };
+  }
+
+  const toKey = to || toDateKey(new Date(), timeZone);
+  const fromKey =
+    from || addDaysToDateKey(toKey, -(ANALYTICS_CONFIG.DEFAULT_RANGE_DAYS - 1));
+
+  if (fromKey > toKey) {
+    throw {
+      status: 400,
+      message: "The start date must not be after the end date.",
+    };
+  }
+
+  const dateKeys = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToDateKey(key, 1)) {
+    dateKeys.push(key);
+    if (dateKeys.length > ANALYTICS_CONFIG.MAX_RANGE_DAYS) {
+      throw {
+        status: 400,
+        message: `Reports cover at most ${ANALYTICS_CONFIG.MAX_RANGE_DAYS} days.`,
+      };
+    }
+  }
+
+  return {
+    from: fromKey,
+    to: toKey,
+    dateKeys,
+    startsAt: zonedTimeToUtc(fromKey, "00:00", timeZone),
+    endsAt: zonedTimeToUtc(addDaysToDateKey(toKey, 1), "00:00", timeZone),
+  };
+};
+
+// Open hours per day after closures and weekly hours, plus how often each ISO weekday occurs
+const measureOpenHours = async (facility, range) => {
+  let openHours = 0;
+  const weekdayCounts = Array(8).fill(0);
+
+  for (const dateKey of range.dateKeys) {
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay() || 7;
+    weekdayCounts[weekday] += 1;
+
+    const hours = await facilityCalendarService.getDayHours(
+      pool,
+      facility,
+      dateKey,
+    );
+    if (!hours.isClosed) {
+      openHours += toHours(hours.closeTime) - toHours(hours.openTime);
+    }
+  }
+
+  return { openHours, weekdayCounts };
+};
+
+/**
+ * Booking totals for bookings starting in the range, one row per unit plus a
+ * facility-wide row (`is_total`). No-shows are told apart from cancellations by
+ * the no-show strike the cleanup cycle records.
+ */
+const measureBookings = async (facility, range) => {
+  const { rows } = await pool.query(
+    `WITH ranged AS (
+       SELECT
+         b.unit_id,
+         b.status,
+         b.user_type,
+         EXTRACT(EPOCH FROM b.ends_at - b.starts_at) / 3600 AS hours,
+         s.id IS NOT NULL AS is_no_show
+       FROM bookings b
+       LEFT JOIN user_strikes s ON s.booking_id = b.id AND s.reason = $4
+       WHERE b.facility_id = $1
+       AND b.starts_at >= $2 AND b.starts_at < $3
+     ), held AS (
+       SELECT *, (status = ANY($5) OR is_no_show) AS is_held FROM ranged
+     )
+     SELECT
+       unit_id,
+       GROUPING(unit_id) = 1 AS is_total,
+       COUNT(*) FILTER (WHERE is_held) AS bookings,
+       COALESCE(SUM(hours) FILTER (WHERE is_held), 0) AS booked_hours,
+       COUNT(*) FILTER (WHERE status = ANY($6)) AS checked_in,
+       COUNT(*) FILTER (WHERE is_no_show) AS no_shows,
+       COUNT(*) FILTER (WHERE status = $7 AND NOT is_no_show) AS cancelled,
+       AVG(hours * 60) FILTER (WHERE status = ANY($6)) AS avg_session_minutes,
+       COALESCE(SUM(hours) FILTER (WHERE is_held AND user_type = $8), 0) AS club_hours
+     FROM held
+     GROUP BY GROUPING SETS ((unit_id), ())`,
+    [
+      facility.id,
+      range.startsAt,
+      range.endsAt,
+      STRIKE_REASON.NO_SHOW,
+      HELD_STATUSES,
+      CHECKED_IN_STATUSES,
+      BOOKING_STATUS.RELEASED,
+      USER_TYPES.CLUB,
+    ],
+  );
+
+  return rows;
+};
+
+// Booked hours by ISO weekday (1 = Monday) and hour on the facility's clock
+const measureHeatmap = async (facility, range) => {
+  const { rows } = await pool.query(
+    `WITH held AS (
+       SELECT
+         b.starts_at AT TIME ZONE $4 AS local_start,
+         b.ends_at AT TIME ZONE $4 AS local_end
+       FROM bookings b
+       LEFT JOIN user_strikes s ON s.booking_id = b.id AND s.reason = $5
+       WHERE b.facility_id = $1
+       AND b.starts_at >= $2 AND b.starts_at < $3
+       AND (b.status = ANY($6) OR s.id IS NOT NULL)
+     )
+     SELECT
+       EXTRACT(ISODOW FROM slot)::int AS weekday,
+       EXTRACT(HOUR FROM slot)::int AS hour,
+       SUM(EXTRACT(EPOCH FROM
+         LEAST(local_end, slot + INTERVAL '1 hour') - GREATEST(local_start, slot)
+       )) / 3600 AS booked_hours
+     FROM held
+     CROSS JOIN LATERAL generate_series(
+       date_trunc('hour', local_start),
+       local_end - INTERVAL '1 microsecond',
+       INTERVAL '1 hour'
+     ) AS slot
+     GROUP BY 1, 2
+     ORDER BY 1, 2`,
+    [
+      facility.id,
+      range.startsAt,
+      range.endsAt,
+      facility.timezone,
+      STRIKE_REASON.NO_SHOW,
+      HELD_STATUSES,
+    ],
+  );
+
+  return rows;
+};
+
+// Units bookable in parallel: seats for pooled facilities, units otherwise
+const getCapacity = async (facility) => {
+  if (facility.is_pooled) return facility.total_capacity;
+
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) AS units FROM facility_units
+     WHERE facility_id = $1 AND archived_at IS NULL AND is_operational`,
+    [facility.id],
+  );
+  return parseInt(rows[0].units, 10);
+};
+
+const summarize = (row, capacityHours) => {
+  const bookedHours = Number(row?.booked_hours || 0);
+  const checkedIn = parseInt(row?.checked_in || 0, 10);
+  const noShows = parseInt(row?.no_shows || 0, 10);
+
+  return {
+    bookings: parseInt(row?.bookings || 0, 10),
+    bookedHours: round(bookedHours),
+    capacityHours: round(capacityHours),
+    utilization: ratio(bookedHours, capacityHours),
+    checkedIn,
+    noShows,
+    cancelled: parseInt(row?.cancelled || 0, 10),
+    checkInRate: ratio(checkedIn, checkedIn + noShows),
+    noShowRate: ratio(noShows, checkedIn + noShows),
+  };
+};
+
+const findFacility = async (facilityId) => {
+  const { rows } = await pool.query("SELECT * FROM facilities WHERE id = $1", [
+    facilityId,
+  ]);
+  if (!rows[0]) throw { status: 404, message: "Facility not found." };
+  return rows[0];
+};
+
+export const analyticsService = {
+  /**
+   * Utilization summary for every active facility over the range (inclusive
+   * YYYY-MM-DD dates, read on each facility's clock).
+   */
+  async getUtilizationSummary({ from, to }) {
+    const { rows: facilities } = await pool.query(
+      "SELECT * FROM facilities WHERE archived_at IS NULL ORDER BY name ASC",
+    );
+
+    const report = [];
+    for (const facility of facilities) {
+      const range = resolveRange(from, to, facility.timezone);
+      const { openHours } = await measureOpenHours(facility, range);
+      const capacity = await getCapacity(facility);
+      const rows = await measureBookings(facility, range);
+
+      report.push({
+        facilityId: facility.id,
+        name: facility.name,
+        category: facility.category,
+        from: range.from,
+        to: range.to,
+        openHours: round(openHours),
+        capacity,
+        ...summarize(
+          rows.find((row) => row.is_total),
+          openHours * capacity,
+        ),
+      });
+    }
+
+    return report;
+  },
+
+  /**
+   * Full report for one facility: totals, per-unit figures, the weekday/hour
+   * heatmap, session lengths and the club vs individual split.
+   */
+  async getFacilityReport(facilityId, { from, to }) {
+    const facility = await findFacility(facilityId);
+    const range = resolveRange(from, to, facility.timezone);
+    const { openHours, weekdayCounts } = await measureOpenHours(
+      facility,
+      range,
+    );
+    const capacity = await getCapacity(facility);
+    const rows = await measureBookings(facility, range);
+    const heatmapRows = await measureHeatmap(facility, range);
+    const total = rows.find((row) => row.is_total);
+
+    const { rows: units } = facility.is_pooled
+      ? { rows: [] }
+      : await pool.query(
+          `SELECT id, unit_name FROM facility_units
+           WHERE facility_id = $1 AND archived_at IS NULL
+           ORDER BY unit_name ASC`,
+          [facility.id],
+        );
+
+    const bookedHours = Number(total?.booked_hours || 0);
+    const clubHours = Number(total?.club_hours || 0);
+    const avgSessionMinutes = total?.avg_session_minutes
+      ? Number(total.avg_session_minutes)
+      : null;
+
+    return {
+      facility: {
+        id: facility.id,
+        name: facility.name,
+        category: facility.category,
+        isPooled: facility.is_pooled,
+        timezone: facility.timezone,
+      },
+      from: range.from,
+      to: range.to,
+      openHours: round(openHours),
+      capacity,
+      totals: summarize(total, openHours * capacity),
+      units: units.map((unit) => ({
+        unitId: unit.id,
+        unitName: unit.unit_name,
+        ...summarize(
+          rows.find((row) => !row.is_total && row.unit_id === unit.id),
+          openHours,
+        ),
+      })),
+      // Share of capacity in use, averaged over each weekday in the range
+      heatmap: heatmapRows.map((cell) => ({
+        weekday: cell.weekday,
+        hour: cell.hour,
+        bookedHours: round(Number(cell.booked_hours)),
+        occupancy: ratio(
+          Number(cell.booked_hours),
+          weekdayCounts[cell.weekday] * capacity,
+        ),
+      })),
+      sessions: {
+        averageMinutes: avgSessionMinutes && round(avgSessionMinutes),
+        maxDurationMinutes: facility.max_duration_minutes,
+        shareOfMax:
+          avgSessionMinutes &&
+          ratio(avgSessionMinutes, facility.max_duration_minutes),
+      },
+      share: {
+        clubHours: round(clubHours),
+        individualHours: round(bookedHours - clubHours),
+        clubShare: ratio(clubHours, bookedHours),
+      },
+    };
+  },
+};
@@ -0,0 +1,186 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import { BOOKING_STATUS, BOOKING_EVENT } from "../config/appConfig.js";
+import { bookingService } from "./bookingService.js";
+import { bookingEventService } from "./bookingEventService.js";
+
+// Lock facility first, then the pending booking (same order as check-in)
+const lockPendingBooking = async (tx, bookingId) => {
+  const initialFetch = await tx.query(
+    "SELECT facility_id FROM bookings WHERE id = $1",
+    [bookingId],
+  );
+
+  const booking = initialFetch.rows[0];
+  if (!booking) throw { status: 404, message: "Booking record not found." };
+
+  const facilityRes = await tx.query(
+    "SELECT * FROM facilities WHERE id = $1 FOR UPDATE",
+    [booking.facility_id],
+  );
+
+  const lockedBookingRes = await tx.query(
+    "SELECT * FROM bookings WHERE id = $1 FOR UPDATE",
+    [bookingId],
+  );
+
+  const lockedBooking = lockedBookingRes.rows[0];
+
+  if (lockedBooking.status !== BOOKING_STATUS.PENDING_APPROVAL) {
+    throw {
+      status: 400,
+      message: `This request has already been decided. Current status is ${lockedBooking.status}.`,
+    };
+  }
+
+  return { facility: facilityRes.rows[0], booking: lockedBooking };
+};
+
+export const approvalService = {
+  // Undecided requests that can still be approved, soonest first
+  async getPendingQueue() {
+    const query = `
+      SELECT
+        b.id,
+        b.booked_by,
+        b.user_type,
+        b.club_name,
+        b.booking_type,
+        b.starts_at,
+        b.ends_at,
+        b.series_id,
+        b.created_at,
+        f.name as facility_name,
+        f.timezone,
+        f.category,
+        u.unit_name
+      FROM bookings b
+      INNER JOIN facilities f ON b.facility_id = f.id
+      LEFT JOIN facility_units u ON b.unit_id = u.id
+      WHERE b.status = $1
+      AND b.starts_at > NOW()
+      ORDER BY b.starts_at ASC;
+    `;
+
+    const { rows } = await pool.query(query, [BOOKING_STATUS.PENDING_APPROVAL]);
+    return rows;
+  },
+
+  /**
+   * Confirms a pending request. The tentative claim already blocked competing
+   * bookings, so the slot is guaranteed to still be free.
+   */
+  async approveBooking({ bookingId, approverName, reason }) {
+    return await runInTransaction(async (tx) => {
+      const { booking } = await lockPendingBooking(tx, bookingId);
+
+      if (new Date(booking.starts_at) <= new Date()) {
+        throw {
+          status: 400,
+          message:
+            "This request has already started and can no longer be approved.",
+        };
+      }
+
+      const updateQuery = await tx.query(
+        `UPDATE bookings
+         SET status = $1, decided_by = $2, decided_at = NOW(), decision_reason = $3
+         WHERE id = $4
+         RETURNING *`,
+        [BOOKING_STATUS.SCHEDULED, approverName, reason || null, bookingId],
+      );
+
+      await bookingEventService.record(tx, updateQuery.rows[0], {
+        type: BOOKING_EVENT.APPROVED,
+        actor: approverName,
+        previousStatus: booking.status,
+        reason: reason || null,
+      });
+
+      return updateQuery.rows[0];
+    });
+  },
+
+  /**
+   * Declines a pending request and offers the freed window to the waitlist.
+   * Returns the rejected `booking` and the waitlist bookings `promoted` into it.
+   */
+  async rejectBooking({ bookingId, approverName, reason }) {
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      throw { status: 400, message: "reason must be a string." };
+    }
+
+    if (!reason || !reason.trim()) {
+      throw {
+        status: 400,
+        message: "A reason is required to reject a request.",
+      };
+    }
+
+    return await runInTransaction(async (tx) => {
+      const { facility, booking } = await lockPendingBooking(tx, bookingId);
+
+      const updateQuery = await tx.query(
+        `UPDATE bookings
+         SET status = $1, decided_by = $2, decided_at = NOW(), decision_reason = $3
+         WHERE id = $4
+         RETURNING *`,
+        [BOOKING_STATUS.REJECTED, approverName, reason.trim(), bookingId],
+      );
+
+      await bookingEventService.record(tx, updateQuery.rows[0], {
+        type: BOOKING_EVENT.REJECTED,
+        actor: approverName,
+        previousStatus: booking.status,
+        reason: reason.trim(),
+      });
+
+      const promoted = await bookingService.promoteWaitlist(
+        tx,
+        facility,
+        updateQuery.rows[0],
+      );
+
+      return { booking: updateQuery.rows[0], promoted };
+    });
+  },
+
+  // Rejects requests nobody decided on before their start time
+  async expireUndecidedRequests() {
+    const expiryReason = "Expired without a decision before the start time.";
+
+    return await runInTransaction(async (tx) => {
+      // Facilities first, as in every booking flow; recording each change bumps their live version
+      await tx.query(
+        `SELECT id FROM facilities
+         WHERE id IN (
+           SELECT facility_id FROM bookings WHERE status = $1 AND starts_at <= NOW()
+         )
+         ORDER BY id
+         FOR UPDATE`,
+        [BOOKING_STATUS.PENDING_APPROVAL],
+      );
+
+      const { rows } = await tx.query(
+        `UPDATE bookings
+         SET status = $1, decided_at = NOW(), decision_reason = $2
+         WHERE status = $3 AND starts_at <= NOW()
+         RETURNING *`,
+        [
+          BOOKING_STATUS.REJECTED,
+          expiryReason,
+          BOOKING_STATUS.PENDING_APPROVAL,
+        ],
+      );
+
+      for (const booking of rows) {
+        await bookingEventService.record(tx, booking, {
+          type: BOOKING_EVENT.REJECTED,
+          previousStatus: BOOKING_STATUS.PENDING_APPROVAL,
+          reason: expiryReason,
+        });
+      }
+
+      return rows;
+    });
+  },
+};
@@ -1,5 +1,9 @@
 import { pool } from "../db/connection.js";
+import { readFile } from "node:fs/promises";
 import { BOOKING_STATUS } from "../config/appConfig.js";
+import { importService } from "./importService.js";
+
+const DEMO_CATALOG_PATH = new URL("../db/demoCatalog.csv", import.meta.url);
 
 export const assetService = {
   // Single query that calculates:
@@ -8,13 +12,17 @@ export const assetService = {
   // - user's active booking (if any)
   // - currently active occupants
 
-  async getAllAssets(userName = null, userType = "individual") {
+  async getAllAssets(
+    userName = null,
+    userType = "individual",
+    facilityId = null,
+  ) {
     const query = `
   SELECT  
     f.*, 
     f.name AS display_name, 
     COALESCE(usage.active_count, 0) as current_usage, 
-    (f.total_capacity - COALESCE(usage.active_count, 0)) as available_capacity, 
+    (f.total_capacity - COALESCE(usage.active_count, 0) - COALESCE(maintenance.idle_count, 0)) as available_capacity, 
     ( 
       SELECT json_build_object( 
         'id', b.id, -- ADDED: Unique ID for identity filtering
@@ -45,7 +53,18 @@ export const assetService = {
       WHERE b.facility_id = f.id
       AND b.status IN ($2, $3)
       AND b.starts_at <= NOW() AND b.ends_at > NOW()
-    ) as active_occupants
+    ) as active_occupants,
+    (
+      SELECT COALESCE(json_agg(json_build_object(
+        'unit_name', u.unit_name,
+        'reason', m.reason,
+        'ends_at', m.ends_at
+      ) ORDER BY u.unit_name), '[]'::json)
+      FROM unit_maintenance m
+      INNER JOIN facility_units u ON m.unit_id = u.id
+      WHERE m.facility_id = f.id
+      AND m.starts_at <= NOW() AND m.ends_at > NOW()
+    ) as units_in_maintenance
   FROM facilities f
   LEFT JOIN ( 
     SELECT 
@@ -62,7 +81,22 @@ export const assetService = {
       AND b.ends_at > NOW()
     GROUP BY f2.id, f2.is_pooled
   ) usage ON f.id = usage.facility_id 
-  WHERE (f.category != 'Event Space' OR $4 = 'club') 
+  LEFT JOIN (
+    -- Units down for maintenance right now that no checked-in session is still using
+    SELECT m.facility_id, COUNT(DISTINCT m.unit_id) as idle_count
+    FROM unit_maintenance m
+    WHERE m.starts_at <= NOW() AND m.ends_at > NOW()
+    AND NOT EXISTS (
+      SELECT 1 FROM bookings b
+      WHERE b.unit_id = m.unit_id
+      AND b.status IN ($2, $3)
+      AND b.starts_at <= NOW() AND b.ends_at > NOW()
+    )
+    GROUP BY m.facility_id
+  ) maintenance ON f.id = maintenance.facility_id
+  WHERE f.archived_at IS NULL
+  AND (f.category != 'Event Space' OR $4 = 'club') 
+  AND ($5::int IS NULL OR f.id = $5)
   ORDER BY f.category ASC, f.name ASC;
 `;
 
@@ -71,6 +105,7 @@ export const assetService = {
       BOOKING_STATUS.SCHEDULED,
       BOOKING_STATUS.CHECKED_IN,
       userType,
+      facilityId,
     ];
 
     const { rows } = await pool.query(query, values);
@@ -88,6 +123,33 @@ export const assetService = {
     });
   },
 
+  /**
+   * One facility's row as every viewer sees it (no per-user fields), or null
+   * once it is archived. Used as the payload of live events.
+   */
+  async getFacilitySnapshot(facilityId) {
+    const [row] = await this.getAllAssets(null, "club", facilityId);
+    if (!row) return null;
+
+    const snapshot = { ...row };
+    delete snapshot.my_active_booking;
+    return snapshot;
+  },
+
+  /**
+   * Advances the facility's live event counter and returns the new value.
+   * Changes call it on their own transaction, so a facilities:sync that sees
+   * the change also sees its version. Kept in the database so it never goes
+   * backwards across restarts.
+   */
+  async bumpLiveVersion(facilityId, db = pool) {
+    const { rows } = await db.query(
+      "UPDATE facilities SET live_version = live_version + 1 WHERE id = $1 RETURNING live_version",
+      [facilityId],
+    );
+    return rows[0]?.live_version ?? null;
+  },
+
   async getFacilityUnits(facilityId) {
     const query = `
       SELECT id, unit_name, is_operational 
@@ -100,108 +162,19 @@ export const assetService = {
   },
 
   async seedDemoData() {
+    await pool.query("DELETE FROM notifications");
+    await pool.query("DELETE FROM webhook_deliveries");
+    await pool.query("DELETE FROM waitlist_entries");
     await pool.query("DELETE FROM bookings");
+    await pool.query("DELETE FROM booking_series");
+    await pool.query("DELETE FROM unit_maintenance");
+    await pool.query("DELETE FROM facility_closures");
+    await pool.query("DELETE FROM facility_hours");
     await pool.query("DELETE FROM facility_units");
     await pool.query("DELETE FROM facilities");
 
-    const facilities = [
-      [
-        "Main Library",
-        "Study Space",
-        100,
-        true,
-        30,
-        480,
-        "00:00:00",
-        "23:59:59",
-        "Asia/Kolkata",
-      ],
-      [
-        "Basketball Courts",
-        "Sports",
-        3,
-        false,
-        30,
-        120,
-        "07:00:00",
-        "23:59:59",
-        "Asia/Kolkata",
-      ],
-      [
-        "TT Tables",
-        "Sports",
-        15,
-        true,
-        30,
-        60,
-        "08:00:00",
-        "22:00:00",
-        "Asia/Kolkata",
-      ],
-      [
-        "Cricket Grounds",
-        "Sports",
-        2,
-        false,
-        60,
-        180,
-        "06:00:00",
-        "19:00:00",
-        "Asia/Kolkata",
-      ],
-      [
-        "Main Auditorium",
-        "Event Space",
-        1,
-        false,
-        30,
-        780,
-        "08:00:00",
-        "21:00:00",
-        "Asia/Kolkata",
-      ],
-    ];
-
-    for (const [
-      name,
-      cat,
-      cap,
-      pooled,
-      minD,
-      maxD,
-      open,
-      close,
-      tz,
-    ] of facilities) {
-      const res = await pool.query(
-        `INSERT INTO facilities 
-         (name, category, total_capacity, is_pooled, min_duration_minutes, max_duration_minutes, open_time, close_time, timezone)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
-        [name, cat, cap, pooled, minD, maxD, open, close, tz],
-      );
-
-      if (!pooled) {
-        const facilityId = res.rows[0].id;
-        for (let i = 1; i <= cap; i++) {
-          let specificUnitName;
-
-          if (name === "Basketball Courts") {
-            specificUnitName = `Court ${String.fromCharCode(64 + i)}`;
-          } else if (name === "Cricket Grounds") {
-            const groundNames = ["NTB Ground", "Sports Complex Ground"];
-            specificUnitName = groundNames[i - 1] || `Ground ${i}`;
-          } else if (name === "Main Auditorium") {
-            specificUnitName = "Auditorium Hall";
-          } else {
-            specificUnitName = `Unit ${i}`;
-          }
-
-          await pool.query(
-            "INSERT INTO facility_units (facility_id, unit_name) VALUES ($1, $2)",
-            [facilityId, specificUnitName],
-          );
-        }
-      }
-    }
+    // Facilities and units live in a CSV that goes through the admin importer
+    const catalog = await readFile(DEMO_CATALOG_PATH, "utf8");
+    await importService.importCatalog(catalog);
   },
 };
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { pool } from "../db/connection.js";
+import { AUTH_CONFIG, USER_TYPES } from "../config/appConfig.js";
+import { clubService } from "./clubService.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// Base64url helpers used for the compact token format: <payload>.<signature>
+const encodeSegment = (value) => Buffer.from(value).toString("base64url");
+const decodeSegment = (segment) =>
+  Buffer.from(segment, "base64url").toString("utf8");
+
+const getSessionSecret = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw {
+      status: 500,
+      message: "Authentication is not configured on this server.",
+    };
+  }
+  return secret;
+};
+
+const sign = (payloadSegment) =>
+  crypto
+    .createHmac("sha256", getSessionSecret())
+    .update(payloadSegment)
+    .digest("base64url");
+
+// JSON bodies can carry numbers, arrays or objects where strings are expected
+const assertCredentialTypes = (userName, password) => {
+  if (typeof userName !== "string" || typeof password !== "string") {
+    throw {
+      status: 400,
+      message: "userName and password must be strings.",
+    };
+  }
+};
+
+// Strip credentials before an account leaves the service layer
+const toPublicUser = (row) => ({
+  id: row.id,
+  userName: row.user_name,
+  userType: row.user_type,
+  clubName: row.club_name,
+  role: row.role,
+});
+
+export const authService = {
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt}:${derived.toString("hex")}`;
+  },
+
+  async verifyPassword(password, storedHash) {
+    const [salt, hash] = (storedHash || "").split(":");
+    if (!salt || !hash) return false;
+
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    const expected = Buffer.from(hash, "hex");
+
+    return (
+      expected.length === derived.length &&
+      crypto.timingSafeEqual(expected, derived)
+    );
+  },
+
+  // Issue a signed session token carrying the user id and expiry
+  issueToken(user) {
+    const expiresAt =
+      Date.now() + AUTH_CONFIG.SESSION_TTL_HOURS * 60 * 60 * 1000;
+
+    const payloadSegment = encodeSegment(
+      JSON.stringify({ sub: user.id, exp: expiresAt }),
+    );
+
+    return `${payloadSegment}.${sign(payloadSegment)}`;
+  },
+
+  // Returns the token payload, or null if the token is forged, malformed or expired
+  verifyToken(token) {
+    if (!token || typeof token !== "string") return null;
+
+    const [payloadSegment, signature] = token.split(".");
+    if (!payloadSegment || !signature) return null;
+
+    const expected = Buffer.from(sign(payloadSegment));
+    const received = Buffer.from(signature);
+
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(decodeSegment(payloadSegment));
+      if (!payload.sub || !payload.exp || payload.exp < Date.now()) return null;
+      return payload;
+    } catch {
+      return null;
+    }
+  },
+
+  async register({ userName, password, userType, clubName }) {
+    assertCredentialTypes(userName, password);
+    const normalizedName = userName.trim();
+
+    if (!normalizedName) {
+      throw { status: 400, message: "A user name is required." };
+    }
+
+    if (password.length < AUTH_CONFIG.MIN_PASSWORD_LENGTH) {
+      throw {
+        status: 400,
+        message: `Password must be at least ${AUTH_CONFIG.MIN_PASSWORD_LENGTH} characters long.`,
+      };
+    }
+
+    const accountType =
+      userType === USER_TYPES.CLUB ? USER_TYPES.CLUB : USER_TYPES.INDIVIDUAL;
+
+    if (accountType === USER_TYPES.CLUB) {
+      if (typeof clubName !== "string") {
+        throw { status: 400, message: "clubName must be a string." };
+      }
+      await clubService.assertActiveClub(pool, clubName);
+    }
+
+    const passwordHash = await this.hashPassword(password);
+
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO users (user_name, password_hash, user_type, club_name)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [
+          normalizedName,
+          passwordHash,
+          accountType,
+          accountType === USER_TYPES.CLUB ? clubName : null,
+        ],
+      );
+
+      const user = toPublicUser(rows[0]);
+      return { user, token: this.issueToken(user) };
+    } catch (err) {
+      if (err.code === "23505") {
+        throw { status: 409, message: "That user name is already taken." };
+      }
+      throw err;
+    }
+  },
+
+  async login({ userName, password }) {
+    assertCredentialTypes(userName, password);
+
+    const { rows } = await pool.query(
+      "SELECT * FROM users WHERE user_name = $1",
+      [userName.trim()],
+    );
+
+    const account = rows[0];
+    const isValid =
+      account && (await this.verifyPassword(password, account.password_hash));
+
+    if (!isValid) {
+      throw { status: 401, message: "Invalid user name or password." };
+    }
+
+    const user = toPublicUser(account);
+    return { user, token: this.issueToken(user) };
+  },
+
+  async getUserById(userId) {
+    const { rows } = await pool.query("SELECT * FROM users WHERE id = $1", [
+      userId,
+    ]);
+    return rows[0] ? toPublicUser(rows[0]) : null;
+  },
+};
@@ -0,0 +1,116 @@
+import { pool } from "../db/connection.js";
+import {
+  BOOKING_EVENT,
+  USER_ROLES,
+  USER_TYPES,
+  WEBHOOK_EVENT,
+} from "../config/appConfig.js";
+import { assetService } from "./assetService.js";
+import { clubService } from "./clubService.js";
+import { webhookService } from "./webhookService.js";
+
+// Staff who may read any booking's history
+const AUDIT_ROLES = [USER_ROLES.ADMIN, USER_ROLES.APPROVER];
+
+// Lifecycle changes that are also sent to webhook endpoints
+const WEBHOOK_EVENTS = {
+  [BOOKING_EVENT.CREATED]: WEBHOOK_EVENT.BOOKING_CREATED,
+  [BOOKING_EVENT.APPROVED]: WEBHOOK_EVENT.BOOKING_APPROVED,
+  [BOOKING_EVENT.REJECTED]: WEBHOOK_EVENT.BOOKING_REJECTED,
+  [BOOKING_EVENT.CANCELLED]: WEBHOOK_EVENT.BOOKING_CANCELLED,
+  [BOOKING_EVENT.CHECKED_IN]: WEBHOOK_EVENT.BOOKING_CHECKED_IN,
+  [BOOKING_EVENT.CHECKED_OUT]: WEBHOOK_EVENT.BOOKING_COMPLETED,
+  [BOOKING_EVENT.COMPLETED]: WEBHOOK_EVENT.BOOKING_COMPLETED,
+  [BOOKING_EVENT.NO_SHOW]: WEBHOOK_EVENT.BOOKING_RELEASED,
+  [BOOKING_EVENT.RELEASED]: WEBHOOK_EVENT.BOOKING_RELEASED,
+};
+
+// The booker, staff, or anyone on the roster of the club the booking is for
+const canViewHistory = async (booking, viewer) => {
+  if (booking.booked_by === viewer.userName) return true;
+  if (AUDIT_ROLES.includes(viewer.role)) return true;
+  if (booking.user_type !== USER_TYPES.CLUB) return false;
+  return await clubService.isMember(pool, booking.club_name, viewer.userName);
+};
+
+export const bookingEventService = {
+  /**
+   * Appends an entry to the booking's timeline. `booking` is the row after the
+   * change, so its status is the new one; pass previousStatus when it changed.
+   * Runs on the caller's transaction so the entry commits with the change,
+   * as do the webhook deliveries queued for lifecycle events and the facility's
+   * new live version, which is stamped on `booking` as facility_live_version
+   * for the live event sent after commit.
+   */
+  async record(
+    db,
+    booking,
+    {
+      type,
+      actor = null,
+      previousStatus = null,
+      reason = null,
+      details = null,
+    },
+  ) {
+    await db.query(
+      `INSERT INTO booking_events
+       (booking_id, event_type, actor, previous_status, new_status, reason, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        booking.id,
+        type,
+        actor,
+        previousStatus,
+        booking.status,
+        reason,
+        details,
+      ],
+    );
+
+    if (WEBHOOK_EVENTS[type]) {
+      await webhookService.enqueueBookingEvent(db, booking, {
+        type: WEBHOOK_EVENTS[type],
+        actor,
+        previousStatus,
+        reason,
+      });
+    }
+
+    booking.facility_live_version = await assetService.bumpLiveVersion(
+      booking.facility_id,
+      db,
+    );
+  },
+
+  // Every recorded change to a booking, oldest first
+  async getTimeline(bookingId, viewer) {
+    const { rows } = await pool.query(
+      `SELECT
+         b.id, b.booked_by, b.user_type, b.club_name, b.status, b.booking_type,
+         b.starts_at, b.ends_at, f.name AS facility_name, f.timezone, u.unit_name
+       FROM bookings b
+       INNER JOIN facilities f ON b.facility_id = f.id
+       LEFT JOIN facility_units u ON b.unit_id = u.id
+       WHERE b.id = $1`,
+      [bookingId],
+    );
+
+    const booking = rows[0];
+
+    // Other people's bookings read as missing rather than forbidden
+    if (!booking || !(await canViewHistory(booking, viewer))) {
+      throw { status: 404, message: "Booking not found." };
+    }
+
+    const events = await pool.query(
+      `SELECT id, event_type, actor, previous_status, new_status, reason, details, created_at
+       FROM booking_events
+       WHERE booking_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [bookingId],
+    );
+
+    return { booking, events: events.rows };
+  },
+};
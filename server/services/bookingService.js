@@ -1,348 +1,813 @@
 import { pool, runInTransaction } from "../db/connection.js";
 import {
   BOOKING_STATUS,
+  ACTIVE_BOOKING_STATUSES,
   BOOKING_POLICY,
-  VALID_CLUBS,
   USER_TYPES,
+  CANCEL_SCOPE,
+  WAITLIST_STATUS,
+  STRIKE_POLICY,
+  STRIKE_REASON,
+  BOOKING_EVENT,
+  CHECKIN_CODE_CONFIG,
 } from "../config/appConfig.js";
 import { policyService } from "./policyService.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+import { notificationService } from "./notificationService.js";
+import { checkinCodeService } from "./checkinCodeService.js";
+import { strikeService } from "./strikeService.js";
+import { quotaService } from "./quotaService.js";
+import { clubService } from "./clubService.js";
+import { bookingEventService } from "./bookingEventService.js";
+
+// Marks conflicts caused by the resource being occupied, which a waitlist can wait out
+const SLOT_TAKEN = "slot_taken";
+
+// A requester may withdraw a booking that is confirmed or still awaiting approval
+const CANCELLABLE_STATUSES = [
+  BOOKING_STATUS.SCHEDULED,
+  BOOKING_STATUS.PENDING_APPROVAL,
+];
+
+// Lock facility row so capacity checks stay consistent during booking
+const lockFacility = async (tx, facilityId) => {
+  const facilityQuery = await tx.query(
+    "SELECT * FROM facilities WHERE id = $1 FOR UPDATE",
+    [facilityId],
+  );
+
+  const facility = facilityQuery.rows[0];
+  if (!facility) throw { status: 404, message: "Target facility not found." };
+
+  return facility;
+};
 
-export const bookingService = {
-  async createBooking(bookingDetails) {
-    const {
-      facilityId,
-      unitId,
-      userName,
-      userType,
-      clubName,
-      startsAt,
-      endsAt,
-    } = bookingDetails;
-
-    const snappedStart = policyService.snapToSlot(startsAt);
-    const snappedEnd = policyService.snapToSlot(endsAt);
-
-    const safetyKey = policyService.generateIdempotencyKey(
-      userName,
-      snappedStart,
-    );
-
-    // Run entire booking flow inside a transaction to avoid race conditions
+// First maintenance window on the unit that overlaps [startsAt, endsAt), if any
+const findMaintenanceConflict = async (tx, unitId, startsAt, endsAt) => {
+  const { rows } = await tx.query(
+    `SELECT reason, starts_at, ends_at FROM unit_maintenance
+     WHERE unit_id = $1
+     AND starts_at < $3 AND ends_at > $2
+     ORDER BY starts_at ASC
+     LIMIT 1`,
+    [unitId, startsAt, endsAt],
+  );
+  return rows[0] || null;
+};
 
-    return await runInTransaction(async (tx) => {
-      const facilityQuery = await tx.query(
-        // Lock facility row so capacity checks stay consistent during booking
+// Unit names before and after a move, for the audit timeline; empty when it stayed put
+const describeUnitChange = async (tx, fromUnitId, toUnitId) => {
+  if (fromUnitId === toUnitId) return {};
 
-        "SELECT * FROM facilities WHERE id = $1 FOR UPDATE",
-        [facilityId],
-      );
+  const { rows } = await tx.query(
+    "SELECT id, unit_name FROM facility_units WHERE id = ANY($1)",
+    [[fromUnitId, toUnitId]],
+  );
+  const nameOf = (unitId) =>
+    rows.find((row) => row.id === unitId)?.unit_name || null;
 
-      const facility = facilityQuery.rows[0];
-      if (!facility)
-        throw { status: 404, message: "Target facility not found." };
+  return { previousUnit: nameOf(fromUnitId), unit: nameOf(toUnitId) };
+};
 
-      const { bookingType } = policyService.validateBookingRequest(
-        facility,
-        snappedStart,
-        snappedEnd,
-        userType,
-      );
+// Past MAX_FAILED_ATTEMPTS wrong codes a booking can't be checked in until the lock lapses
+const lockoutError = (lockedUntil, now) => {
+  const minutes = Math.ceil((new Date(lockedUntil) - now) / 60000);
+  return {
+    status: 429,
+    message: `Too many wrong check-in codes for this booking. Try again in ${minutes} ${minutes === 1 ? "minute" : "minutes"}.`,
+  };
+};
 
-      // If this is NOT a full-day booking, ensure no full-day booking exists for that date
-      if (bookingType !== "full_day") {
-        const startOfDay = new Date(snappedStart);
-        startOfDay.setHours(0, 0, 0, 0);
+// The booker, or an officer of the club a club booking was made for
+const canActOnBooking = async (tx, booking, userName) => {
+  if (booking.booked_by === userName) return true;
+  if (booking.user_type !== USER_TYPES.CLUB) return false;
+  return await clubService.isOfficer(tx, booking.club_name, userName);
+};
 
-        const endOfDay = new Date(startOfDay);
-        endOfDay.setHours(23, 59, 59, 999);
+/**
+ * Validates a single slot against facility policy and every conflict rule, then inserts it.
+ * Expects the caller's transaction to already hold the facility row lock.
+ */
+const assertSlotAvailable = async (tx, facility, slot) => {
+  const { unitId, userName, userType } = slot;
+
+  // SERIAL ids start at 1, so 0 excludes nothing for brand-new bookings
+  const excludedId = slot.excludeBookingId || 0;
+
+  const snappedStart = policyService.snapToSlot(
+    slot.startsAt,
+    facility.timezone,
+  );
+  const snappedEnd = policyService.snapToSlot(slot.endsAt, facility.timezone);
+
+  const dayHours = await facilityCalendarService.getDayHours(
+    tx,
+    facility,
+    snappedStart,
+  );
+
+  const { bookingType } = policyService.validateBookingRequest(
+    facility,
+    snappedStart,
+    snappedEnd,
+    userType,
+    dayHours,
+    { enforceHorizon: !slot.skipBookerLimits },
+  );
+
+  const facilityId = facility.id;
+
+  if (facility.archived_at) {
+    throw { status: 404, message: "Target facility not found." };
+  }
+
+  // If this is NOT a full-day booking, ensure no full-day booking exists for that date
+  if (bookingType !== "full_day") {
+    // Day boundaries on the facility's clock
+    const { startOfDay, endOfDay } = facilityCalendarService.getDayBounds(
+      snappedStart,
+      facility.timezone,
+    );
 
-        const fullDayConflictQuery = `
+    const fullDayConflictQuery = `
   SELECT id
   FROM bookings
   WHERE facility_id = $1
   AND booking_type = 'full_day'
-  AND status IN ($2, $3)
-  AND starts_at < $5
-  AND ends_at > $4
+  AND status = ANY($2)
+  AND starts_at < $4
+  AND ends_at > $3
+  AND id <> $5
   LIMIT 1
 `;
 
-        const fullDayConflict = await tx.query(fullDayConflictQuery, [
-          facilityId,
-          BOOKING_STATUS.SCHEDULED,
-          BOOKING_STATUS.CHECKED_IN,
-          startOfDay,
-          endOfDay,
-        ]);
+    const fullDayConflict = await tx.query(fullDayConflictQuery, [
+      facilityId,
+      ACTIVE_BOOKING_STATUSES,
+      startOfDay,
+      endOfDay,
+      excludedId,
+    ]);
+
+    if (fullDayConflict.rows.length > 0) {
+      throw {
+        status: 409,
+        message:
+          "This facility is reserved for the entire day. No individual slots are available.",
+        conflictType: SLOT_TAKEN,
+      };
+    }
+  }
+
+  // Special handling: full-day bookings block the resource for the entire date
+  if (bookingType === "full_day") {
+    if (userType !== USER_TYPES.CLUB) {
+      throw {
+        status: 403,
+        message:
+          "Only registered clubs can reserve a facility for the entire day.",
+      };
+    }
+
+    // Day boundaries on the facility's clock
+    const { startOfDay, endOfDay } = facilityCalendarService.getDayBounds(
+      snappedStart,
+      facility.timezone,
+    );
 
-        if (fullDayConflict.rows.length > 0) {
-          throw {
-            status: 409,
-            message:
-              "This facility is reserved for the entire day. No individual slots are available.",
-          };
-        }
-      }
+    let conflictQuery;
+    let queryParams;
 
-      // Special handling: full-day bookings block the resource for the entire date
-      if (bookingType === "full_day") {
-        if (userType !== USER_TYPES.CLUB) {
-          throw {
-            status: 403,
-            message:
-              "Only registered clubs can reserve a facility for the entire day.",
-          };
-        }
+    if (facility.is_pooled) {
+      conflictQuery = `
+  SELECT booking_type, club_name, starts_at
+  FROM bookings
+  WHERE facility_id = $1
+  AND status = ANY($2)
+  AND starts_at < $4
+  AND ends_at > $3
+  AND id <> $5
+  LIMIT 1
+`;
+      queryParams = [
+        facilityId,
+        ACTIVE_BOOKING_STATUSES,
+        startOfDay,
+        endOfDay,
+        excludedId,
+      ];
+    } else {
+      conflictQuery = `
+  SELECT booking_type, club_name, starts_at
+  FROM bookings
+  WHERE unit_id = $1
+  AND status = ANY($2)
+  AND starts_at < $4
+  AND ends_at > $3
+  AND id <> $5
+  LIMIT 1
+`;
+      queryParams = [
+        unitId,
+        ACTIVE_BOOKING_STATUSES,
+        startOfDay,
+        endOfDay,
+        excludedId,
+      ];
+    }
+
+    const existingDayBookings = await tx.query(conflictQuery, queryParams);
+
+    if (existingDayBookings.rows.length > 0) {
+      const conflict = existingDayBookings.rows[0];
+
+      if (conflict.booking_type === "full_day") {
+        const formattedDate = new Date(conflict.starts_at).toLocaleDateString(
+          "en-IN",
+          {
+            day: "numeric",
+            month: "long",
+            year: "numeric",
+            timeZone: facility.timezone,
+          },
+        );
 
-        const startOfDay = new Date(snappedStart);
-        startOfDay.setHours(0, 0, 0, 0);
+        throw {
+          status: 409,
+          message: `This resource is already reserved for the entire day ${formattedDate} by ${conflict.club_name}.`,
+          conflictType: SLOT_TAKEN,
+        };
+      }
 
-        const endOfDay = new Date(startOfDay);
-        endOfDay.setHours(23, 59, 59, 999);
+      throw {
+        status: 409,
+        message:
+          "There are existing bookings on this day. You cannot reserve it for the entire day.",
+        conflictType: SLOT_TAKEN,
+      };
+    }
+  }
+
+  // Prevent user from having overlapping active bookings
+  const userOverlapQuery = await tx.query(
+    `SELECT id FROM bookings
+     WHERE booked_by = $1
+     AND status = ANY($2)
+     AND starts_at < $4 AND ends_at > $3
+     AND id <> $5
+     LIMIT 1`,
+    [userName, ACTIVE_BOOKING_STATUSES, snappedStart, snappedEnd, excludedId],
+  );
+
+  if (userOverlapQuery.rows.length > 0) {
+    throw {
+      status: 409,
+      message:
+        "You already have a reserved or active session during this window.",
+    };
+  }
+
+  // For pooled facilities, check if total active bookings exceed capacity
+  if (facility.is_pooled) {
+    const usageQuery = await tx.query(
+      `SELECT COUNT(*) as active_slots FROM bookings
+       WHERE facility_id = $1
+       AND status = ANY($2)
+       AND starts_at < $4 AND ends_at > $3
+       AND id <> $5`,
+      [
+        facilityId,
+        ACTIVE_BOOKING_STATUSES,
+        snappedStart,
+        snappedEnd,
+        excludedId,
+      ],
+    );
 
-        let conflictQuery;
-        let queryParams;
+    const activeCount = parseInt(usageQuery.rows[0].active_slots, 10);
+    if (activeCount >= facility.total_capacity) {
+      throw {
+        status: 409,
+        message: "No available space for this time slot.",
+        conflictType: SLOT_TAKEN,
+      };
+    }
+  } else {
+    if (!unitId)
+      throw { status: 400, message: "A specific unit ID is required." };
+
+    const unitIntegrityQuery = await tx.query(
+      "SELECT id, unit_name, is_operational FROM facility_units WHERE id = $1 AND facility_id = $2 FOR UPDATE",
+      [unitId, facilityId],
+    );
 
-        if (facility.is_pooled) {
-          conflictQuery = `
-      SELECT booking_type, club_name, starts_at
-      FROM bookings
-      WHERE facility_id = $1
-      AND status IN ($2, $3)
-      AND starts_at < $5
-      AND ends_at > $4
-      LIMIT 1
-    `;
-          queryParams = [
-            facilityId,
-            BOOKING_STATUS.SCHEDULED,
-            BOOKING_STATUS.CHECKED_IN,
-            startOfDay,
-            endOfDay,
-          ];
-        } else {
-          conflictQuery = `
-      SELECT booking_type, club_name, starts_at
-      FROM bookings
-      WHERE unit_id = $1
-      AND status IN ($2, $3)
-      AND starts_at < $5
-      AND ends_at > $4
-      LIMIT 1
-    `;
-          queryParams = [
-            unitId,
-            BOOKING_STATUS.SCHEDULED,
-            BOOKING_STATUS.CHECKED_IN,
-            startOfDay,
-            endOfDay,
-          ];
-        }
+    if (unitIntegrityQuery.rows.length === 0) {
+      throw {
+        status: 400,
+        message:
+          "Resource mismatch: The selected unit does not belong to this facility.",
+      };
+    }
+
+    if (!unitIntegrityQuery.rows[0].is_operational) {
+      throw {
+        status: 400,
+        message: `${unitIntegrityQuery.rows[0].unit_name} is currently out of service.`,
+      };
+    }
+
+    const maintenance = await findMaintenanceConflict(
+      tx,
+      unitId,
+      snappedStart,
+      snappedEnd,
+    );
 
-        const existingDayBookings = await tx.query(conflictQuery, queryParams);
+    if (maintenance) {
+      throw {
+        status: 409,
+        message: `${unitIntegrityQuery.rows[0].unit_name} is out of service during this window: ${maintenance.reason}`,
+      };
+    }
 
-        if (existingDayBookings.rows.length > 0) {
-          const conflict = existingDayBookings.rows[0];
+    // For unit-based facilities, ensure the selected unit is not already booked
+    const overlapQuery = await tx.query(
+      `SELECT booked_by, club_name, user_type, starts_at, ends_at
+   FROM bookings
+   WHERE unit_id = $1
+   AND status = ANY($2)
+   AND starts_at < $4 AND ends_at > $3
+   AND id <> $5
+   LIMIT 1`,
+      [unitId, ACTIVE_BOOKING_STATUSES, snappedStart, snappedEnd, excludedId],
+    );
 
-          if (conflict.booking_type === "full_day") {
-            const formattedDate = new Date(
-              conflict.starts_at,
-            ).toLocaleDateString("en-IN", {
-              day: "numeric",
-              month: "long",
-              year: "numeric",
-            });
+    if (overlapQuery.rows.length > 0) {
+      const conflict = overlapQuery.rows[0];
+      const isAuditorium = facility.category === "Event Space";
+
+      const message =
+        isAuditorium && conflict.user_type === "club"
+          ? `The auditorium is already booked by ${conflict.club_name}.`
+          : `This unit is already booked by ${conflict.booked_by}.`;
+
+      throw {
+        status: 409,
+        message,
+        conflictType: SLOT_TAKEN,
+        conflictDetails: {
+          bookedBy: conflict.booked_by,
+          clubName: conflict.club_name,
+          userType: conflict.user_type,
+          startsAt: conflict.starts_at,
+          endsAt: conflict.ends_at,
+        },
+      };
+    }
+  }
+
+  return { bookingType, snappedStart, snappedEnd };
+};
 
-            throw {
-              status: 409,
-              message: `This resource is already reserved for the entire day ${formattedDate} by ${conflict.club_name}.`,
-            };
-          }
+// Validates a slot and inserts it as a new booking (pending when the facility requires approval)
+const reserveSlot = async (tx, facility, slot) => {
+  const { unitId, userName, userType, clubName, seriesId } = slot;
+  const facilityId = facility.id;
 
-          throw {
-            status: 409,
-            message:
-              "There are existing bookings on this day. You cannot reserve it for the entire day.",
-          };
-        }
-      }
+  // Only members on the club's roster may book on its behalf
+  if (userType === USER_TYPES.CLUB) {
+    await clubService.assertMember(tx, clubName, userName);
+  }
 
-      if (userType === USER_TYPES.CLUB) {
-        if (!clubName || !VALID_CLUBS.includes(clubName)) {
-          throw {
-            status: 400,
-            message: `Invalid club: ${clubName || "None"}. Please select a registered campus club.`,
-          };
-        }
-      }
+  // Suspensions and strike penalties come before any slot conflict
+  if (!slot.skipBookerLimits) {
+    await strikeService.assertBookingAllowed(
+      tx,
+      userName,
+      slot.startsAt,
+      facility.timezone,
+    );
+  }
 
-      // Prevent user from having overlapping active bookings
-      const userOverlapQuery = await tx.query(
-        `SELECT id FROM bookings
-         WHERE booked_by = $1
-         AND status IN ($2, $3)
-         AND starts_at < $5 AND ends_at > $4
-         LIMIT 1`,
-        [
-          userName,
-          BOOKING_STATUS.SCHEDULED,
-          BOOKING_STATUS.CHECKED_IN,
-          snappedStart,
-          snappedEnd,
-        ],
-      );
+  const { bookingType, snappedStart, snappedEnd } = await assertSlotAvailable(
+    tx,
+    facility,
+    slot,
+  );
 
-      if (userOverlapQuery.rows.length > 0) {
-        throw {
-          status: 409,
-          message:
-            "You already have a reserved or active session during this window.",
-        };
-      }
+  if (!slot.skipBookerLimits) {
+    await quotaService.assertWithinQuota(tx, facility, {
+      userName,
+      userType,
+      clubName,
+      startsAt: snappedStart,
+      endsAt: snappedEnd,
+    });
+  }
+
+  const safetyKey = policyService.generateIdempotencyKey(
+    userName,
+    snappedStart,
+  );
+
+  let booking;
+  try {
+    // All validations passed then create the booking
+    const insertionQuery = await tx.query(
+      `INSERT INTO bookings
+       (facility_id, unit_id, booked_by, user_type, club_name, booking_type, starts_at, ends_at, status, idempotency_key, series_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        facilityId,
+        unitId || null,
+        userName,
+        userType,
+        clubName || null,
+        bookingType,
+        snappedStart,
+        snappedEnd,
+        facility.requires_approval
+          ? BOOKING_STATUS.PENDING_APPROVAL
+          : BOOKING_STATUS.SCHEDULED,
+        safetyKey,
+        seriesId || null,
+      ],
+    );
+    booking = insertionQuery.rows[0];
+  } catch (err) {
+    if (err.code === "23505") {
+      throw { status: 409, message: "Duplicate booking attempt detected." };
+    }
+    throw err;
+  }
+
+  await notificationService.scheduleBookingReminders(tx, booking);
+
+  // Imports and waitlist promotions pass `audit` to name who really made it
+  await bookingEventService.record(tx, booking, {
+    type: BOOKING_EVENT.CREATED,
+    actor: userName,
+    ...slot.audit,
+  });
+
+  return booking;
+};
 
-      // For pooled facilities, check if total active bookings exceed capacity
-      if (facility.is_pooled) {
-        const usageQuery = await tx.query(
-          `SELECT COUNT(*) as active_slots FROM bookings
-           WHERE facility_id = $1
-           AND status IN ($2, $3)
-           AND starts_at < $5 AND ends_at > $4`,
-          [
-            facilityId,
-            BOOKING_STATUS.SCHEDULED,
-            BOOKING_STATUS.CHECKED_IN,
-            snappedStart,
-            snappedEnd,
-          ],
-        );
+export const bookingService = {
+  async createBooking(bookingDetails) {
+    const { facilityId, recurrence } = bookingDetails;
 
-        const activeCount = parseInt(usageQuery.rows[0].active_slots, 10);
-        if (activeCount >= facility.total_capacity) {
-          throw {
-            status: 409,
-            message: "No available space for this time slot.",
-          };
-        }
-      } else {
-        if (!unitId)
-          throw { status: 400, message: "A specific unit ID is required." };
+    if (recurrence) {
+      return await this.createRecurringBooking(bookingDetails);
+    }
 
-        const unitIntegrityQuery = await tx.query(
-          "SELECT id FROM facility_units WHERE id = $1 AND facility_id = $2 FOR UPDATE",
-          [unitId, facilityId],
-        );
+    // Run entire booking flow inside a transaction to avoid race conditions
 
-        if (unitIntegrityQuery.rows.length === 0) {
-          throw {
-            status: 400,
-            message:
-              "Resource mismatch: The selected unit does not belong to this facility.",
-          };
-        }
+    return await runInTransaction(async (tx) => {
+      const facility = await lockFacility(tx, facilityId);
+      return await reserveSlot(tx, facility, bookingDetails);
+    });
+  },
 
-        // For unit-based facilities, ensure the selected unit is not already booked
-        const overlapQuery = await tx.query(
-          `SELECT booked_by, club_name, user_type, starts_at, ends_at
-   FROM bookings
-   WHERE unit_id = $1
-   AND status IN ($2, $3)
-   AND starts_at < $5 AND ends_at > $4
-   LIMIT 1`,
-          [
-            unitId,
-            BOOKING_STATUS.SCHEDULED,
-            BOOKING_STATUS.CHECKED_IN,
-            snappedStart,
-            snappedEnd,
-          ],
-        );
+  /**
+   * Creates every occurrence of a recurrence rule as one linked series.
+   * Occurrences that fail validation are reported instead of aborting the series.
+   */
+  async createRecurringBooking(bookingDetails) {
+    const { facilityId, unitId, userName, startsAt, endsAt, recurrence } =
+      bookingDetails;
 
-        if (overlapQuery.rows.length > 0) {
-          const conflict = overlapQuery.rows[0];
-          const isAuditorium = facility.category === "Event Space";
+    return await runInTransaction(async (tx) => {
+      const facility = await lockFacility(tx, facilityId);
 
-          const message =
-            isAuditorium && conflict.user_type === "club"
-              ? `The auditorium is already booked by ${conflict.club_name}.`
-              : `This unit is already booked by ${conflict.booked_by}.`;
+      const occurrences = policyService.expandRecurrence(
+        policyService.snapToSlot(startsAt, facility.timezone),
+        policyService.snapToSlot(endsAt, facility.timezone),
+        recurrence,
+        facility.timezone,
+      );
 
-          throw {
-            status: 409,
-            message,
-            conflictDetails: {
-              bookedBy: conflict.booked_by,
-              clubName: conflict.club_name,
-              userType: conflict.user_type,
-              startsAt: conflict.starts_at,
-              endsAt: conflict.ends_at,
-            },
-          };
+      const seriesQuery = await tx.query(
+        `INSERT INTO booking_series
+         (facility_id, unit_id, booked_by, frequency, interval_count, until_date, occurrence_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          facilityId,
+          unitId || null,
+          userName,
+          recurrence.frequency,
+          parseInt(recurrence.interval, 10) || 1,
+          recurrence.until || null,
+          occurrences.length,
+        ],
+      );
+
+      const series = seriesQuery.rows[0];
+      const bookings = [];
+      const conflicts = [];
+
+      for (const occurrence of occurrences) {
+        // Savepoint keeps one rejected occurrence from aborting the whole transaction
+        await tx.query("SAVEPOINT occurrence");
+
+        try {
+          const booking = await reserveSlot(tx, facility, {
+            ...bookingDetails,
+            startsAt: occurrence.startsAt,
+            endsAt: occurrence.endsAt,
+            seriesId: series.id,
+          });
+
+          await tx.query("RELEASE SAVEPOINT occurrence");
+          bookings.push(booking);
+        } catch (err) {
+          await tx.query("ROLLBACK TO SAVEPOINT occurrence");
+          if (!err.status) throw err;
+
+          conflicts.push({
+            startsAt: occurrence.startsAt,
+            endsAt: occurrence.endsAt,
+            status: err.status,
+            message: err.message,
+          });
         }
       }
 
-      try {
-        // All validations passed then create the booking
-        const insertionQuery = await tx.query(
-          `INSERT INTO bookings
-           (facility_id, unit_id, booked_by, user_type, club_name, booking_type, starts_at, ends_at, status, idempotency_key)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-           RETURNING *`,
-          [
-            facilityId,
-            unitId || null,
-            userName,
-            userType,
-            clubName || null,
-            bookingType,
-            snappedStart,
-            snappedEnd,
-            BOOKING_STATUS.SCHEDULED,
-            safetyKey,
-          ],
-        );
-        return insertionQuery.rows[0];
-      } catch (err) {
-        if (err.code === "23505") {
-          throw { status: 409, message: "Duplicate booking attempt detected." };
-        }
-        throw err;
+      if (bookings.length === 0) {
+        throw {
+          status: 409,
+          message: "None of the requested occurrences could be booked.",
+          occurrenceConflicts: conflicts,
+        };
       }
+
+      return { series, bookings, conflicts };
     });
   },
 
-  async cancelBooking({ bookingId, userName }) {
+  /**
+   * Releases a booking, or part of its series. Returns `{ booking }` for a
+   * single cancellation and `{ seriesId, bookings }` for a series scope, plus
+   * the waitlist bookings `promoted` into the freed windows.
+   */
+  async cancelBooking({ bookingId, userName, scope = CANCEL_SCOPE.SINGLE }) {
+    if (!Object.values(CANCEL_SCOPE).includes(scope)) {
+      throw {
+        status: 400,
+        message: "Cancellation scope must be single, following or series.",
+      };
+    }
+
     // Use transaction to safely update booking status
 
     return await runInTransaction(async (tx) => {
+      const initialFetch = await tx.query(
+        "SELECT facility_id FROM bookings WHERE id = $1",
+        [bookingId],
+      );
+
+      if (!initialFetch.rows[0])
+        throw { status: 404, message: "Booking not found." };
+
+      // Lock facility before the booking row (same order as check-in) so waitlist promotion can reuse it
+      const facility = await lockFacility(tx, initialFetch.rows[0].facility_id);
+
       const bookingRes = await tx.query(
-        "SELECT facility_id, booked_by, status FROM bookings WHERE id = $1 FOR UPDATE",
+        "SELECT id, facility_id, booked_by, user_type, club_name, status, starts_at, series_id FROM bookings WHERE id = $1 FOR UPDATE",
         [bookingId],
       );
 
       const booking = bookingRes.rows[0];
-      if (!booking) throw { status: 404, message: "Booking not found." };
 
-      if (booking.booked_by !== userName) {
+      // Strikes for a late cancellation still go to whoever made the booking
+      if (!(await canActOnBooking(tx, booking, userName))) {
         throw { status: 403, message: "Unauthorized cancellation." };
       }
 
-      if (booking.status !== BOOKING_STATUS.SCHEDULED) {
+      if (!CANCELLABLE_STATUSES.includes(booking.status)) {
         throw {
           status: 400,
-          message: "Only scheduled bookings can be cancelled.",
+          message: "Only scheduled or pending bookings can be cancelled.",
         };
       }
 
+      if (scope === CANCEL_SCOPE.SINGLE) {
+        const isLate = strikeService.isLateCancellation(booking);
+        if (isLate) {
+          await strikeService.recordStrike(
+            tx,
+            booking,
+            STRIKE_REASON.LATE_CANCELLATION,
+          );
+        }
+
+        const update = await tx.query(
+          "UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *",
+          [BOOKING_STATUS.RELEASED, bookingId],
+        );
+
+        await bookingEventService.record(tx, update.rows[0], {
+          type: BOOKING_EVENT.CANCELLED,
+          actor: userName,
+          previousStatus: booking.status,
+          reason: isLate ? "Late cancellation; a strike was recorded." : null,
+        });
+
+        const promoted = await this.promoteWaitlist(
+          tx,
+          facility,
+          update.rows[0],
+        );
+
+        return { booking: update.rows[0], promoted };
+      }
+
+      if (!booking.series_id) {
+        throw {
+          status: 400,
+          message: "This booking is not part of a recurring series.",
+        };
+      }
+
+      // "Following" keeps earlier occurrences; "series" releases every remaining one
+      const fromTime =
+        scope === CANCEL_SCOPE.FOLLOWING ? booking.starts_at : new Date(0);
+
+      // Confirmed occurrences about to start count as late cancellations
+      const lateOccurrences = await tx.query(
+        `SELECT id, booked_by FROM bookings
+         WHERE series_id = $1
+         AND status = $2
+         AND starts_at >= $3
+         AND starts_at < NOW() + make_interval(mins => $4)`,
+        [
+          booking.series_id,
+          BOOKING_STATUS.SCHEDULED,
+          fromTime,
+          STRIKE_POLICY.LATE_CANCELLATION_MINUTES,
+        ],
+      );
+
+      for (const occurrence of lateOccurrences.rows) {
+        await strikeService.recordStrike(
+          tx,
+          occurrence,
+          STRIKE_REASON.LATE_CANCELLATION,
+        );
+      }
+
+      // Occurrences may be confirmed or still pending, so note each one's status first
+      const previous = await tx.query(
+        `SELECT id, status FROM bookings
+         WHERE series_id = $1
+         AND status = ANY($2)
+         AND starts_at >= $3`,
+        [booking.series_id, CANCELLABLE_STATUSES, fromTime],
+      );
+      const previousStatuses = new Map(
+        previous.rows.map((row) => [row.id, row.status]),
+      );
+
       const update = await tx.query(
-        "UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *",
-        [BOOKING_STATUS.RELEASED, bookingId],
+        `UPDATE bookings SET status = $1
+         WHERE series_id = $2
+         AND status = ANY($3)
+         AND starts_at >= $4
+         RETURNING *`,
+        [
+          BOOKING_STATUS.RELEASED,
+          booking.series_id,
+          CANCELLABLE_STATUSES,
+          fromTime,
+        ],
       );
 
-      return update.rows[0];
+      const promoted = [];
+      for (const released of update.rows) {
+        await bookingEventService.record(tx, released, {
+          type: BOOKING_EVENT.CANCELLED,
+          actor: userName,
+          previousStatus: previousStatuses.get(released.id),
+          reason:
+            scope === CANCEL_SCOPE.FOLLOWING
+              ? "This and the following occurrences were cancelled."
+              : "The whole series was cancelled.",
+        });
+        promoted.push(...(await this.promoteWaitlist(tx, facility, released)));
+      }
+
+      return { seriesId: booking.series_id, bookings: update.rows, promoted };
     });
   },
 
-  async getBookingsByUser(userName) {
+  /**
+   * Offers a released window to the waitlist. Waiting entries are tried oldest
+   * first and every one that still fits and passes the booking rules is
+   * auto-booked, so a freed pooled seat range or a long released booking can
+   * serve several requests. Runs inside the releasing transaction, which must
+   * already hold the facility row lock. Returns the bookings it created.
+   */
+  async promoteWaitlist(tx, facility, releasedBooking) {
+    const candidates = await tx.query(
+      `SELECT * FROM waitlist_entries
+       WHERE facility_id = $1
+       AND unit_id IS NOT DISTINCT FROM $2
+       AND status = $3
+       AND starts_at < $5 AND ends_at > $4
+       ORDER BY created_at ASC
+       FOR UPDATE`,
+      [
+        facility.id,
+        releasedBooking.unit_id,
+        WAITLIST_STATUS.WAITING,
+        releasedBooking.starts_at,
+        releasedBooking.ends_at,
+      ],
+    );
+
+    const now = new Date();
+    const promoted = [];
+
+    for (const entry of candidates.rows) {
+      if (new Date(entry.starts_at) <= now) {
+        await tx.query(
+          "UPDATE waitlist_entries SET status = $1 WHERE id = $2",
+          [WAITLIST_STATUS.EXPIRED, entry.id],
+        );
+        continue;
+      }
+
+      // Savepoint per entry: one that no longer fits fails without aborting the release or earlier promotions
+      await tx.query("SAVEPOINT waitlist_promotion");
+
+      try {
+        const booking = await reserveSlot(tx, facility, {
+          unitId: entry.unit_id,
+          userName: entry.user_name,
+          userType: entry.user_type,
+          clubName: entry.club_name,
+          startsAt: entry.starts_at,
+          endsAt: entry.ends_at,
+          audit: { actor: null, reason: "Promoted from the waitlist." },
+        });
+
+        await tx.query("RELEASE SAVEPOINT waitlist_promotion");
+
+        await tx.query(
+          "UPDATE waitlist_entries SET status = $1, booking_id = $2 WHERE id = $3",
+          [WAITLIST_STATUS.FULFILLED, booking.id, entry.id],
+        );
+
+        promoted.push(booking);
+      } catch (err) {
+        await tx.query("ROLLBACK TO SAVEPOINT waitlist_promotion");
+        if (!err.status) throw err;
+      }
+    }
+
+    return promoted;
+  },
+
+  /**
+   * createBooking inside the caller's transaction (bulk imports), taking the
+   * facility lock first. With `slot.skipBookerLimits` only the schedule and
+   * conflict checks apply: no booking horizon, quota or strike suspension.
+   */
+  async reserveInTransaction(tx, facilityId, slot) {
+    const facility = await lockFacility(tx, facilityId);
+    return await reserveSlot(tx, facility, slot);
+  },
+
+  /**
+   * Dry-runs a reservation inside a savepoint and reports whether it failed only
+   * because the slot is occupied. Policy and per-user violations are rethrown.
+   */
+  async isSlotTaken(tx, facility, slot) {
+    await tx.query("SAVEPOINT slot_probe");
+
+    try {
+      await reserveSlot(tx, facility, slot);
+      return false;
+    } catch (err) {
+      if (err.conflictType === SLOT_TAKEN) return true;
+      throw err;
+    } finally {
+      await tx.query("ROLLBACK TO SAVEPOINT slot_probe");
+    }
+  },
+
+  /**
+   * Upcoming bookings for the user's dashboard. The calendar feed widens this
+   * with `includeClosed` (every release, so calendars can drop the event, and
+   * completed sessions) and `pastDays` (bookings that ended recently).
+   */
+  async getBookingsByUser(
+    userName,
+    { includeClosed = false, pastDays = 0 } = {},
+  ) {
     const query = `
       SELECT
         b.id,
@@ -352,30 +817,99 @@ export const bookingService = {
         b.booking_type,
         b.user_type,
         b.club_name,
+        b.series_id,
+        b.decision_reason,
+        b.status_note,
+        b.facility_id,
+        b.unit_id,
+        f.is_pooled,
         f.name as facility_name,
+        f.timezone,
         f.category,
         u.unit_name
       FROM bookings b
       INNER JOIN facilities f ON b.facility_id = f.id
       LEFT JOIN facility_units u ON b.unit_id = u.id
       WHERE b.booked_by = $1
-      AND b.status IN ($2, $3)
-      AND b.ends_at > NOW()
+      AND (
+        b.status = ANY($2)
+        OR b.status = $3
+        OR (b.status = $4 AND ($5 OR b.status_note IS NOT NULL))
+        OR (b.status = $7 AND $5)
+      )
+      AND b.ends_at > NOW() - make_interval(days => $6)
       ORDER BY b.starts_at ASC;
     `;
 
+    // Upcoming rejections and system releases stay visible so the booker can read why
     const values = [
       userName,
-      BOOKING_STATUS.SCHEDULED,
-      BOOKING_STATUS.CHECKED_IN,
+      ACTIVE_BOOKING_STATUSES,
+      BOOKING_STATUS.REJECTED,
+      BOOKING_STATUS.RELEASED,
+      includeClosed,
+      pastDays,
+      BOOKING_STATUS.COMPLETED,
     ];
 
     const { rows } = await pool.query(query, values);
     return rows;
   },
 
-  async checkIn({ bookingId, userName }) {
-    return await runInTransaction(async (tx) => {
+  /**
+   * Bookings made on behalf of a club. "upcoming" lists active bookings that have
+   * not ended, soonest first; "past" lists everything else, most recent first.
+   */
+  async getBookingsByClub(clubName, scope = "upcoming") {
+    if (!["upcoming", "past"].includes(scope)) {
+      throw { status: 400, message: "Scope must be upcoming or past." };
+    }
+
+    const isCurrent = "b.status = ANY($2) AND b.ends_at > NOW()";
+    const query = `
+      SELECT
+        b.id,
+        b.status,
+        b.starts_at,
+        b.ends_at,
+        b.booked_by,
+        b.booking_type,
+        b.series_id,
+        b.decision_reason,
+        b.status_note,
+        b.facility_id,
+        b.unit_id,
+        f.is_pooled,
+        f.name as facility_name,
+        f.timezone,
+        f.category,
+        u.unit_name
+      FROM bookings b
+      INNER JOIN facilities f ON b.facility_id = f.id
+      LEFT JOIN facility_units u ON b.unit_id = u.id
+      WHERE b.user_type = 'club' AND b.club_name = $1
+      ${
+        scope === "upcoming"
+          ? `AND ${isCurrent} ORDER BY b.starts_at ASC`
+          : `AND NOT (${isCurrent}) ORDER BY b.starts_at DESC LIMIT $3`
+      };
+    `;
+
+    const values = [clubName, ACTIVE_BOOKING_STATUSES];
+    if (scope === "past") values.push(BOOKING_POLICY.CLUB_HISTORY_LIMIT);
+
+    const { rows } = await pool.query(query, values);
+    return rows;
+  },
+
+  /**
+   * Checks a booking in. `code` must be the check-in code currently shown at
+   * the booked unit (or at the desk of a pooled facility), which proves presence.
+   * Wrong codes are counted per booking; after MAX_FAILED_ATTEMPTS check-in is
+   * locked for LOCKOUT_MINUTES so the code can't be guessed within the grace period.
+   */
+  async checkIn({ bookingId, userName, code }) {
+    const outcome = await runInTransaction(async (tx) => {
       // Lock facility to prevent concurrent state changes during check-in
 
       const bookingData = await tx.query(
@@ -397,7 +931,7 @@ export const bookingService = {
 
       const lockedBooking = lockedBookingRes.rows[0];
 
-      if (lockedBooking.booked_by !== userName) {
+      if (!(await canActOnBooking(tx, lockedBooking, userName))) {
         throw { status: 403, message: "Identity mismatch: Access denied." };
       }
 
@@ -432,13 +966,64 @@ export const bookingService = {
         };
       }
 
+      const lockedUntil = lockedBooking.checkin_locked_until;
+      if (lockedUntil && new Date(lockedUntil) > currentTime) {
+        throw lockoutError(lockedUntil, currentTime);
+      }
+
+      if (
+        !checkinCodeService.isValidCode(
+          lockedBooking.facility_id,
+          lockedBooking.unit_id,
+          code,
+        )
+      ) {
+        // Returned rather than thrown so the failure count commits
+        const { rows } = await tx.query(
+          `UPDATE bookings
+           SET checkin_failures = CASE WHEN checkin_failures + 1 >= $2 THEN 0 ELSE checkin_failures + 1 END,
+               checkin_locked_until = CASE WHEN checkin_failures + 1 >= $2
+                 THEN NOW() + make_interval(mins => $3) ELSE checkin_locked_until END
+           WHERE id = $1
+           RETURNING checkin_failures, checkin_locked_until`,
+          [
+            bookingId,
+            CHECKIN_CODE_CONFIG.MAX_FAILED_ATTEMPTS,
+            CHECKIN_CODE_CONFIG.LOCKOUT_MINUTES,
+          ],
+        );
+
+        // The count starts over when this failure reached the limit
+        if (rows[0].checkin_failures === 0) {
+          return {
+            error: lockoutError(rows[0].checkin_locked_until, currentTime),
+          };
+        }
+        return {
+          error: {
+            status: 403,
+            message:
+              "That check-in code is not valid for this booking or has expired. Scan the current code at the facility.",
+          },
+        };
+      }
+
       const updateQuery = await tx.query(
         `UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *`,
         [BOOKING_STATUS.CHECKED_IN, bookingId],
       );
 
-      return updateQuery.rows[0];
+      await bookingEventService.record(tx, updateQuery.rows[0], {
+        type: BOOKING_EVENT.CHECKED_IN,
+        actor: userName,
+        previousStatus: lockedBooking.status,
+      });
+
+      return { booking: updateQuery.rows[0] };
     });
+
+    if (outcome.error) throw outcome.error;
+    return outcome.booking;
   },
 
   async checkOut({ bookingId, userName }) {
@@ -475,15 +1060,346 @@ export const bookingService = {
         };
       }
 
+      const facilityQuery = await tx.query(
+        "SELECT timezone FROM facilities WHERE id = $1",
+        [lockedBooking.facility_id],
+      );
+
       // Align checkout time to next slot boundary for consistency
-      const alignedEndTime = policyService.snapToNextBoundary(new Date());
+      const alignedEndTime = policyService.snapToNextBoundary(
+        new Date(),
+        facilityQuery.rows[0].timezone,
+      );
 
       const finalQuery = await tx.query(
         `UPDATE bookings SET status = $1, ends_at = $2 WHERE id = $3 RETURNING *`,
         [BOOKING_STATUS.COMPLETED, alignedEndTime, bookingId],
       );
 
+      await bookingEventService.record(tx, finalQuery.rows[0], {
+        type: BOOKING_EVENT.CHECKED_OUT,
+        actor: userName,
+        previousStatus: lockedBooking.status,
+        details: {
+          previousEndsAt: lockedBooking.ends_at,
+          endsAt: finalQuery.rows[0].ends_at,
+        },
+      });
+
       return finalQuery.rows[0];
     });
   },
+  /**
+   * Moves ends_at forward on a checked-in session when the following slots are free.
+   * Uses the same facility-then-booking lock order as check-in.
+   */
+  async extendBooking({ bookingId, userName, extraMinutes }) {
+    const minutes =
+      parseInt(extraMinutes, 10) || BOOKING_POLICY.SLOT_SIZE_MINUTES;
+
+    if (minutes <= 0 || minutes % BOOKING_POLICY.SLOT_SIZE_MINUTES !== 0) {
+      throw {
+        status: 400,
+        message: `Extensions must be in ${BOOKING_POLICY.SLOT_SIZE_MINUTES}-minute steps.`,
+      };
+    }
+
+    return await runInTransaction(async (tx) => {
+      const initialFetch = await tx.query(
+        "SELECT facility_id FROM bookings WHERE id = $1",
+        [bookingId],
+      );
+
+      const booking = initialFetch.rows[0];
+      if (!booking) throw { status: 404, message: "Booking record not found." };
+
+      const facility = await lockFacility(tx, booking.facility_id);
+
+      const lockedBookingRes = await tx.query(
+        "SELECT * FROM bookings WHERE id = $1 FOR UPDATE",
+        [bookingId],
+      );
+
+      const lockedBooking = lockedBookingRes.rows[0];
+
+      if (lockedBooking.booked_by !== userName) {
+        throw { status: 403, message: "Identity mismatch: Access denied." };
+      }
+
+      if (lockedBooking.status !== BOOKING_STATUS.CHECKED_IN) {
+        throw {
+          status: 400,
+          message: `Extension invalid. Current status is ${lockedBooking.status}.`,
+        };
+      }
+
+      const currentEnd = new Date(lockedBooking.ends_at);
+      const newEnd = new Date(currentEnd.getTime() + minutes * 60000);
+
+      const dayHours = await facilityCalendarService.getDayHours(
+        tx,
+        facility,
+        lockedBooking.starts_at,
+      );
+
+      policyService.validateExtension(
+        facility,
+        lockedBooking,
+        newEnd,
+        dayHours,
+      );
+
+      // Only the added window needs checking; the session already owns everything before it
+      const fullDayConflict = await tx.query(
+        `SELECT id FROM bookings
+         WHERE facility_id = $1
+         AND booking_type = 'full_day'
+         AND status = ANY($2)
+         AND starts_at < $4 AND ends_at > $3
+         LIMIT 1`,
+        [facility.id, ACTIVE_BOOKING_STATUSES, currentEnd, newEnd],
+      );
+
+      if (fullDayConflict.rows.length > 0) {
+        throw {
+          status: 409,
+          message:
+            "The facility is reserved for the entire day after your session.",
+        };
+      }
+
+      const userOverlapQuery = await tx.query(
+        `SELECT id FROM bookings
+         WHERE booked_by = $1
+         AND id <> $2
+         AND status = ANY($3)
+         AND starts_at < $5 AND ends_at > $4
+         LIMIT 1`,
+        [userName, bookingId, ACTIVE_BOOKING_STATUSES, currentEnd, newEnd],
+      );
+
+      if (userOverlapQuery.rows.length > 0) {
+        throw {
+          status: 409,
+          message: "You have another session right after this one.",
+        };
+      }
+
+      if (facility.is_pooled) {
+        const usageQuery = await tx.query(
+          `SELECT COUNT(*) as active_slots FROM bookings
+           WHERE facility_id = $1
+           AND status = ANY($2)
+           AND starts_at < $4 AND ends_at > $3`,
+          [facility.id, ACTIVE_BOOKING_STATUSES, currentEnd, newEnd],
+        );
+
+        const activeCount = parseInt(usageQuery.rows[0].active_slots, 10);
+        if (activeCount >= facility.total_capacity) {
+          throw {
+            status: 409,
+            message: "No space is free right after your session.",
+          };
+        }
+      } else {
+        const overlapQuery = await tx.query(
+          `SELECT booked_by, club_name, user_type FROM bookings
+           WHERE unit_id = $1
+           AND status = ANY($2)
+           AND starts_at < $4 AND ends_at > $3
+           LIMIT 1`,
+          [lockedBooking.unit_id, ACTIVE_BOOKING_STATUSES, currentEnd, newEnd],
+        );
+
+        if (overlapQuery.rows.length > 0) {
+          const conflict = overlapQuery.rows[0];
+          const nextHolder =
+            conflict.user_type === "club"
+              ? conflict.club_name
+              : conflict.booked_by;
+
+          throw {
+            status: 409,
+            message: `Cannot extend. ${nextHolder} has this unit right after you.`,
+          };
+        }
+
+        const maintenance = await findMaintenanceConflict(
+          tx,
+          lockedBooking.unit_id,
+          currentEnd,
+          newEnd,
+        );
+
+        if (maintenance) {
+          throw {
+            status: 409,
+            message: `Cannot extend. This unit is going out of service: ${maintenance.reason}`,
+          };
+        }
+      }
+
+      // The longer session counts against the same fair-use allowance
+      await quotaService.assertWithinQuota(tx, facility, {
+        userName,
+        userType: lockedBooking.user_type,
+        clubName: lockedBooking.club_name,
+        startsAt: lockedBooking.starts_at,
+        endsAt: newEnd,
+        excludedId: lockedBooking.id,
+      });
+
+      const updateQuery = await tx.query(
+        "UPDATE bookings SET ends_at = $1 WHERE id = $2 RETURNING *",
+        [newEnd, bookingId],
+      );
+
+      await bookingEventService.record(tx, updateQuery.rows[0], {
+        type: BOOKING_EVENT.EXTENDED,
+        actor: userName,
+        details: { previousEndsAt: lockedBooking.ends_at, endsAt: newEnd },
+      });
+
+      return updateQuery.rows[0];
+    });
+  },
+  /**
+   * Reschedules a scheduled booking (new times and/or unit) in one transaction.
+   * The booking keeps its id; nothing changes unless every check passes.
+   * Returns the moved `booking` and the waitlist bookings `promoted` into the
+   * window it vacated.
+   */
+  async modifyBooking({ bookingId, userName, unitId, startsAt, endsAt }) {
+    return await runInTransaction(async (tx) => {
+      const initialFetch = await tx.query(
+        "SELECT facility_id FROM bookings WHERE id = $1",
+        [bookingId],
+      );
+
+      const booking = initialFetch.rows[0];
+      if (!booking) throw { status: 404, message: "Booking record not found." };
+
+      const facility = await lockFacility(tx, booking.facility_id);
+
+      const lockedBookingRes = await tx.query(
+        "SELECT * FROM bookings WHERE id = $1 FOR UPDATE",
+        [bookingId],
+      );
+
+      const original = lockedBookingRes.rows[0];
+
+      if (original.booked_by !== userName) {
+        throw { status: 403, message: "Identity mismatch: Access denied." };
+      }
+
+      if (original.status !== BOOKING_STATUS.SCHEDULED) {
+        throw {
+          status: 400,
+          message: "Only scheduled bookings can be rescheduled.",
+        };
+      }
+
+      // The same booker checks a new booking gets: roster, then standing
+      if (original.user_type === USER_TYPES.CLUB) {
+        await clubService.assertMember(tx, original.club_name, userName);
+      }
+
+      await strikeService.assertBookingAllowed(
+        tx,
+        userName,
+        startsAt,
+        facility.timezone,
+        { excludedId: original.id },
+      );
+
+      const targetUnitId = facility.is_pooled
+        ? null
+        : unitId || original.unit_id;
+
+      const { bookingType, snappedStart, snappedEnd } =
+        await assertSlotAvailable(tx, facility, {
+          unitId: targetUnitId,
+          userName,
+          userType: original.user_type,
+          startsAt,
+          endsAt,
+          excludeBookingId: original.id,
+        });
+
+      await quotaService.assertWithinQuota(tx, facility, {
+        userName,
+        userType: original.user_type,
+        clubName: original.club_name,
+        startsAt: snappedStart,
+        endsAt: snappedEnd,
+        excludedId: original.id,
+      });
+
+      // Key is derived from the start time, so it must follow the new slot
+      const safetyKey = policyService.generateIdempotencyKey(
+        userName,
+        snappedStart,
+      );
+
+      // An approved event-space slot cannot move without a fresh decision
+      const nextStatus = facility.requires_approval
+        ? BOOKING_STATUS.PENDING_APPROVAL
+        : BOOKING_STATUS.SCHEDULED;
+
+      let updated;
+      try {
+        const updateQuery = await tx.query(
+          `UPDATE bookings
+           SET unit_id = $1, starts_at = $2, ends_at = $3, booking_type = $4, idempotency_key = $5, status = $6
+           WHERE id = $7
+           RETURNING *`,
+          [
+            targetUnitId,
+            snappedStart,
+            snappedEnd,
+            bookingType,
+            safetyKey,
+            nextStatus,
+            original.id,
+          ],
+        );
+        updated = updateQuery.rows[0];
+      } catch (err) {
+        if (err.code === "23505") {
+          throw {
+            status: 409,
+            message: "You already have a booking starting at that time.",
+          };
+        }
+        throw err;
+      }
+
+      await bookingEventService.record(tx, updated, {
+        type: BOOKING_EVENT.RESCHEDULED,
+        actor: userName,
+        previousStatus:
+          updated.status !== original.status ? original.status : null,
+        details: {
+          previousStartsAt: original.starts_at,
+          previousEndsAt: original.ends_at,
+          startsAt: updated.starts_at,
+          endsAt: updated.ends_at,
+          ...(await describeUnitChange(tx, original.unit_id, updated.unit_id)),
+        },
+      });
+
+      // Notices planned for the old start time are skipped when they come due
+      if (
+        new Date(updated.starts_at).getTime() !==
+        new Date(original.starts_at).getTime()
+      ) {
+        await notificationService.scheduleBookingReminders(tx, updated);
+      }
+
+      // The vacated window may now satisfy someone on the waitlist
+      const promoted = await this.promoteWaitlist(tx, facility, original);
+
+      return { booking: updated, promoted };
+    });
+  },
 };
@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import { pool } from "../db/connection.js";
+import {
+  BOOKING_POLICY,
+  BOOKING_STATUS,
+  CALENDAR_FEED_CONFIG,
+} from "../config/appConfig.js";
+import { bookingService } from "./bookingService.js";
+import { facilityScheduleService } from "./facilityScheduleService.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+
+// Released and rejected bookings stay in the feed so subscribed calendars remove them
+const EVENT_STATUS = {
+  [BOOKING_STATUS.PENDING_APPROVAL]: "TENTATIVE",
+  [BOOKING_STATUS.SCHEDULED]: "CONFIRMED",
+  [BOOKING_STATUS.CHECKED_IN]: "CONFIRMED",
+  [BOOKING_STATUS.COMPLETED]: "CONFIRMED",
+  [BOOKING_STATUS.REJECTED]: "CANCELLED",
+  [BOOKING_STATUS.RELEASED]: "CANCELLED",
+};
+
+// 20261021T033000Z
+const formatIcsDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// RFC 5545 caps lines at 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+const buildCalendar = (name, events) => {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_FEED_CONFIG.PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${CALENDAR_FEED_CONFIG.REFRESH_MINUTES}M`,
+    `X-PUBLISHED-TTL:PT${CALENDAR_FEED_CONFIG.REFRESH_MINUTES}M`,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:booking-${event.id}@${CALENDAR_FEED_CONFIG.UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(event.startsAt)}`,
+      `DTEND:${formatIcsDate(event.endsAt)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `LOCATION:${escapeText(event.location)}`,
+      `STATUS:${EVENT_STATUS[event.status] || "CONFIRMED"}`,
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// A booking from getBookingsByUser, as the booker sees it
+const toPersonalEvent = (booking) => {
+  const where = booking.unit_name
+    ? `${booking.facility_name} · ${booking.unit_name}`
+    : booking.facility_name;
+
+  const notes = [`Status: ${booking.status.replace("_", " ")}`];
+  if (booking.club_name) notes.push(`Booked for ${booking.club_name}`);
+  if (booking.status_note) notes.push(booking.status_note);
+  if (booking.decision_reason) {
+    notes.push(`Approver's note: ${booking.decision_reason}`);
+  }
+
+  return {
+    id: booking.id,
+    startsAt: booking.starts_at,
+    endsAt: booking.ends_at,
+    status: booking.status,
+    summary: where,
+    location: booking.facility_name,
+    description: notes.join("\n"),
+  };
+};
+
+const findUserByToken = async (token) => {
+  const { rows } = await pool.query(
+    "SELECT user_name FROM calendar_feed_tokens WHERE token = $1",
+    [token],
+  );
+  if (!rows[0]) throw { status: 404, message: "Calendar feed not found." };
+  return rows[0].user_name;
+};
+
+const newToken = () => crypto.randomBytes(24).toString("hex");
+
+export const calendarFeedService = {
+  /**
+   * Feed paths (relative to the API root) for the user, creating their token on
+   * first use. The same token also opens the facility feeds, which exist for
+   * unit-based facilities (pooled ones have no per-unit schedule).
+   */
+  async getFeedLinks(userName) {
+    await pool.query(
+      `INSERT INTO calendar_feed_tokens (user_name, token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_name) DO NOTHING`,
+      [userName, newToken()],
+    );
+
+    const tokenQuery = await pool.query(
+      "SELECT token FROM calendar_feed_tokens WHERE user_name = $1",
+      [userName],
+    );
+    const { token } = tokenQuery.rows[0];
+
+    const { rows: facilities } = await pool.query(
+      `SELECT id, name FROM facilities
+       WHERE archived_at IS NULL AND NOT is_pooled
+       ORDER BY name ASC`,
+    );
+
+    return {
+      bookings: `/calendar/${token}/bookings.ics`,
+      facilities: facilities.map((facility) => ({
+        id: facility.id,
+        name: facility.name,
+        path: `/calendar/${token}/facilities/${facility.id}.ics`,
+      })),
+    };
+  },
+
+  // Replaces the user's token; links handed out before stop working
+  async resetToken(userName) {
+    await pool.query(
+      `INSERT INTO calendar_feed_tokens (user_name, token)
+       VALUES ($1, $2)
+       ON CONFLICT (user_name) DO UPDATE SET token = EXCLUDED.token, created_at = NOW()`,
+      [userName, newToken()],
+    );
+    return await this.getFeedLinks(userName);
+  },
+
+  // Personal feed: upcoming bookings, recent history and cancellations
+  async getUserFeed(token) {
+    const userName = await findUserByToken(token);
+    const bookings = await bookingService.getBookingsByUser(userName, {
+      includeClosed: true,
+      pastDays: CALENDAR_FEED_CONFIG.PAST_DAYS,
+    });
+
+    return buildCalendar(
+      `CampusSpot · ${userName}`,
+      bookings.map(toPersonalEvent),
+    );
+  },
+
+  /**
+   * Facility feed: every booking on the schedule across the booking horizon,
+   * plus the ones released or rejected in that window so subscribed calendars
+   * drop them, as the personal feed does.
+   */
+  async getFacilityFeed(token, facilityId) {
+    await findUserByToken(token);
+
+    const facilityQuery = await pool.query(
+      "SELECT id, name, timezone, is_pooled FROM facilities WHERE id = $1 AND archived_at IS NULL",
+      [facilityId],
+    );
+    const facility = facilityQuery.rows[0];
+    if (!facility) throw { status: 404, message: "Facility not found." };
+    if (facility.is_pooled) {
+      throw {
+        status: 400,
+        message: `${facility.name} is shared space and has no schedule feed.`,
+      };
+    }
+
+    const today = facilityCalendarService.toDateKey(
+      new Date(),
+      facility.timezone,
+    );
+
+    // A booking crossing midnight shows up on both days' schedules
+    const bookings = new Map();
+    for (let day = 0; day < BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS; day++) {
+      const schedule = await facilityScheduleService.getScheduleForDate(
+        facility.id,
+        facilityCalendarService.addDaysToDateKey(today, day),
+      );
+      for (const unit of schedule.units) {
+        for (const booking of unit.bookings) bookings.set(booking.id, booking);
+      }
+    }
+
+    const { rows: closed } = await pool.query(
+      `SELECT b.id, b.booked_by, b.club_name, b.starts_at, b.ends_at, b.status, u.unit_name
+       FROM bookings b
+       LEFT JOIN facility_units u ON b.unit_id = u.id
+       WHERE b.facility_id = $1
+       AND b.status = ANY($2)
+       AND b.starts_at < $4 AND b.ends_at > $3`,
+      [
+        facility.id,
+        [BOOKING_STATUS.RELEASED, BOOKING_STATUS.REJECTED],
+        facilityCalendarService.zonedTimeToUtc(
+          today,
+          "00:00",
+          facility.timezone,
+        ),
+        facilityCalendarService.zonedTimeToUtc(
+          facilityCalendarService.addDaysToDateKey(
+            today,
+            BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS,
+          ),
+          "00:00",
+          facility.timezone,
+        ),
+      ],
+    );
+    for (const booking of closed) bookings.set(booking.id, booking);
+
+    const events = [...bookings.values()].map((booking) => ({
+      id: booking.id,
+      startsAt: booking.starts_at,
+      endsAt: booking.ends_at,
+      status: booking.status,
+      summary: `${booking.unit_name || facility.name}: ${booking.club_name || booking.booked_by}`,
+      location: facility.name,
+    }));
+
+    return buildCalendar(`CampusSpot · ${facility.name}`, events);
+  },
+
+  // One booking as a standalone .ics file, for "Add to calendar"
+  async getBookingFile(bookingId, userName) {
+    const bookings = await bookingService.getBookingsByUser(userName, {
+      includeClosed: true,
+      pastDays: CALENDAR_FEED_CONFIG.PAST_DAYS,
+    });
+
+    const booking = bookings.find((item) => item.id === Number(bookingId));
+    if (!booking) throw { status: 404, message: "Booking not found." };
+
+    return buildCalendar(booking.facility_name, [toPersonalEvent(booking)]);
+  },
+};
@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { pool } from "../db/connection.js";
+import { CHECKIN_CODE_CONFIG } from "../config/appConfig.js";
+
+const getCodeSecret = () => {
+  const secret = process.env.CHECKIN_CODE_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw {
+      status: 500,
+      message: "Check-in codes are not configured on this server.",
+    };
+  }
+  return secret;
+};
+
+const getTimeWindow = (now = Date.now()) =>
+  Math.floor(now / (CHECKIN_CODE_CONFIG.ROTATION_SECONDS * 1000));
+
+// Numeric code for one location and time window (HOTP-style truncation of an HMAC)
+const computeCode = (facilityId, unitId, timeWindow) => {
+  const digest = crypto
+    .createHmac("sha256", getCodeSecret())
+    .update(`checkin:${facilityId}:${unitId || 0}:${timeWindow}`)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** CHECKIN_CODE_CONFIG.CODE_DIGITS).padStart(
+    CHECKIN_CODE_CONFIG.CODE_DIGITS,
+    "0",
+  );
+};
+
+export const checkinCodeService = {
+  /**
+   * The code a kiosk should show right now. Unit-based facilities have one
+   * code per unit; pooled facilities share one code at the desk.
+   */
+  async getDisplayCode(facilityId, unitId = null) {
+    const facilityQuery = await pool.query(
+      "SELECT id, name, is_pooled FROM facilities WHERE id = $1 AND archived_at IS NULL",
+      [facilityId],
+    );
+    const facility = facilityQuery.rows[0];
+    if (!facility) throw { status: 404, message: "Facility not found." };
+
+    let unit = null;
+    if (!facility.is_pooled) {
+      if (!unitId) {
+        throw {
+          status: 400,
+          message: "Choose a unit. Each unit has its own check-in code.",
+        };
+      }
+
+      const unitQuery = await pool.query(
+        "SELECT id, unit_name FROM facility_units WHERE id = $1 AND facility_id = $2 AND archived_at IS NULL",
+        [unitId, facility.id],
+      );
+      unit = unitQuery.rows[0];
+      if (!unit) throw { status: 404, message: "Unit not found." };
+    }
+
+    const timeWindow = getTimeWindow();
+    const code = computeCode(facility.id, unit?.id, timeWindow);
+
+    // The location lets the scanner reject a QR from the wrong court before calling the API
+    const payload = `campusspot:checkin:${facility.id}:${unit?.id || 0}:${code}`;
+
+    return {
+      facilityId: facility.id,
+      facilityName: facility.name,
+      unitId: unit?.id || null,
+      unitName: unit?.unit_name || null,
+      code,
+      payload,
+      qrSvg: await QRCode.toString(payload, { type: "svg", margin: 1 }),
+      expiresAt: new Date(
+        (timeWindow + 1) * CHECKIN_CODE_CONFIG.ROTATION_SECONDS * 1000,
+      ).toISOString(),
+    };
+  },
+
+  // True when the code is the one shown at this location now or a moment ago
+  isValidCode(facilityId, unitId, code) {
+    if (typeof code !== "string" || !/^\d+$/.test(code)) return false;
+
+    const timeWindow = getTimeWindow();
+    for (let age = 0; age <= CHECKIN_CODE_CONFIG.ACCEPTED_PAST_WINDOWS; age++) {
+      const expected = computeCode(facilityId, unitId, timeWindow - age);
+      if (
+        expected.length === code.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))
+      ) {
+        return true;
+      }
+    }
+    return false;
+  },
+};
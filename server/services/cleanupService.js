@@ -3,8 +3,20 @@ import {
   BOOKING_STATUS,
   SCHEDULER_CONFIG,
   BOOKING_POLICY,
+  LIVE_EVENTS,
+  STRIKE_REASON,
+  BOOKING_EVENT,
 } from "../config/appConfig.js";
-import { broadcastAssetsUpdate } from "../sockets/socket.js";
+import {
+  publishBookingEvents,
+  publishFacilityEvent,
+} from "../sockets/socket.js";
+import { bookingService } from "./bookingService.js";
+import { waitlistService } from "./waitlistService.js";
+import { approvalService } from "./approvalService.js";
+import { notificationService } from "./notificationService.js";
+import { strikeService } from "./strikeService.js";
+import { bookingEventService } from "./bookingEventService.js";
 
 export const cleanupService = {
   /**
@@ -13,7 +25,6 @@ export const cleanupService = {
    */
   async runCleanupCycle() {
     const connection = await pool.connect();
-    let stateChanged = false;
 
     try {
       // Try to acquire advisory lock to prevent multiple workers running cleanup
@@ -25,38 +36,37 @@ export const cleanupService = {
       // Exit if another instance already holds the lock
       if (!lockAttempt.rows[0].pg_try_advisory_lock) return;
 
-      const releasedCount = await this.processNoShows();
-      const completedCount = await this.completeFinishedBookings();
-
-      if (releasedCount > 0 || completedCount > 0) {
-        stateChanged = true;
-      }
+      const { released, promoted } = await this.processNoShows();
+      const completed = await this.completeFinishedBookings();
+      const expiredRequests = await approvalService.expireUndecidedRequests();
+      await waitlistService.expireStaleEntries();
 
-      // Detect bookings that just became active to trigger UI refresh
+      // Facilities with bookings that just became active, so occupancy updates live
       const justStarted = await connection.query(
         `
-      SELECT 1
+      SELECT DISTINCT facility_id
       FROM bookings
       WHERE status = $1
       AND starts_at <= NOW()
       AND starts_at > NOW() - INTERVAL '1 minute'
-      LIMIT 1
       `,
         [BOOKING_STATUS.SCHEDULED],
       );
 
-      if (justStarted.rows.length > 0) {
-        stateChanged = true;
-      }
-
       // Release advisory lock immediately to allow other instances to run their cycles without waiting for the broadcast
       await connection.query("SELECT pg_advisory_unlock($1)", [
         SCHEDULER_CONFIG.CLEANUP_LOCK_ID,
       ]);
 
-      // Notify clients only if something changed
-      if (stateChanged) {
-        broadcastAssetsUpdate();
+      // Notify only the rooms affected by each change
+      await publishBookingEvents(LIVE_EVENTS.BOOKING_RELEASED, [
+        ...released,
+        ...expiredRequests,
+      ]);
+      await publishBookingEvents(LIVE_EVENTS.BOOKING_CREATED, promoted);
+      await publishBookingEvents(LIVE_EVENTS.BOOKING_COMPLETED, completed);
+      for (const { facility_id } of justStarted.rows) {
+        await publishFacilityEvent(LIVE_EVENTS.FACILITY_UPDATED, facility_id);
       }
     } catch (err) {
       console.error("CRITICAL: Maintenance Cycle Failure", err);
@@ -66,8 +76,9 @@ export const cleanupService = {
   },
 
   /**
-   * Releases bookings where users missed the check-in window
+   * Releases bookings where users missed the check-in window, records a strike and offers the freed time to the waitlist
    * Locking facility first, then booking, to avoid deadlocks
+   * Returns the `released` bookings and the waitlist bookings `promoted` into them
    */
   async processNoShows() {
     const graceWindow = BOOKING_POLICY.NO_SHOW_GRACE_MINUTES;
@@ -80,14 +91,16 @@ export const cleanupService = {
       [BOOKING_STATUS.SCHEDULED],
     );
 
-    let processedCount = 0;
+    const releasedBookings = [];
+    const promotedBookings = [];
     for (const record of staleReservations.rows) {
-      const wasUpdated = await runInTransaction(async (tx) => {
+      const outcome = await runInTransaction(async (tx) => {
         // Locking facility first
 
-        await tx.query("SELECT id FROM facilities WHERE id = $1 FOR UPDATE", [
-          record.facility_id,
-        ]);
+        const facilityRes = await tx.query(
+          "SELECT * FROM facilities WHERE id = $1 FOR UPDATE",
+          [record.facility_id],
+        );
 
         // Then locking booking row
         const lockCheck = await tx.query(
@@ -95,18 +108,40 @@ export const cleanupService = {
           [record.id, BOOKING_STATUS.SCHEDULED],
         );
 
-        if (lockCheck.rows.length === 0) return false;
+        if (lockCheck.rows.length === 0) return null;
 
-        await tx.query(`UPDATE bookings SET status = $1 WHERE id = $2`, [
-          BOOKING_STATUS.RELEASED,
-          record.id,
-        ]);
-        return true;
+        const released = await tx.query(
+          `UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *`,
+          [BOOKING_STATUS.RELEASED, record.id],
+        );
+
+        await notificationService.queueReleaseNotice(tx, released.rows[0]);
+        await strikeService.recordStrike(
+          tx,
+          released.rows[0],
+          STRIKE_REASON.NO_SHOW,
+        );
+        await bookingEventService.record(tx, released.rows[0], {
+          type: BOOKING_EVENT.NO_SHOW,
+          previousStatus: BOOKING_STATUS.SCHEDULED,
+          reason: `Nobody checked in within ${graceWindow} minutes of the start.`,
+        });
+
+        // After the release is recorded, so promotions get the later live versions
+        const promoted = await bookingService.promoteWaitlist(
+          tx,
+          facilityRes.rows[0],
+          released.rows[0],
+        );
+        return { released: released.rows[0], promoted };
       });
 
-      if (wasUpdated) processedCount++;
+      if (outcome) {
+        releasedBookings.push(outcome.released);
+        promotedBookings.push(...outcome.promoted);
+      }
     }
-    return processedCount;
+    return { released: releasedBookings, promoted: promotedBookings };
   },
 
   /**
@@ -124,9 +159,9 @@ export const cleanupService = {
       [BOOKING_STATUS.CHECKED_IN],
     );
 
-    let processedCount = 0;
+    const completedBookings = [];
     for (const session of activeSessions.rows) {
-      const wasUpdated = await runInTransaction(async (tx) => {
+      const completedBooking = await runInTransaction(async (tx) => {
         // Lock facility first
         await tx.query("SELECT id FROM facilities WHERE id = $1 FOR UPDATE", [
           session.facility_id,
@@ -138,17 +173,21 @@ export const cleanupService = {
           [session.id, BOOKING_STATUS.CHECKED_IN],
         );
 
-        if (lockCheck.rows.length === 0) return false;
+        if (lockCheck.rows.length === 0) return null;
 
-        await tx.query(`UPDATE bookings SET status = $1 WHERE id = $2`, [
-          BOOKING_STATUS.COMPLETED,
-          session.id,
-        ]);
-        return true;
+        const completed = await tx.query(
+          `UPDATE bookings SET status = $1 WHERE id = $2 RETURNING *`,
+          [BOOKING_STATUS.COMPLETED, session.id],
+        );
+        await bookingEventService.record(tx, completed.rows[0], {
+          type: BOOKING_EVENT.COMPLETED,
+          previousStatus: BOOKING_STATUS.CHECKED_IN,
+        });
+        return completed.rows[0];
       });
 
-      if (wasUpdated) processedCount++;
+      if (completedBooking) completedBookings.push(completedBooking);
     }
-    return processedCount;
+    return completedBookings;
   },
 };
@@ -0,0 +1,335 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import {
+  CLUB_ROLES,
+  CLUB_OFFICER_ROLES,
+  USER_ROLES,
+} from "../config/appConfig.js";
+
+const assertValidRole = (role) => {
+  if (!Object.values(CLUB_ROLES).includes(role)) {
+    throw {
+      status: 400,
+      message: "Club role must be president, coordinator or member.",
+    };
+  }
+};
+
+// Lock the club row so roster changes (and the last-president rule) serialise
+const lockClub = async (tx, clubId) => {
+  const { rows } = await tx.query(
+    "SELECT * FROM clubs WHERE id = $1 FOR UPDATE",
+    [clubId],
+  );
+  if (!rows[0]) throw { status: 404, message: "Club not found." };
+  return rows[0];
+};
+
+const findMembership = async (db, clubId, userName) => {
+  const { rows } = await db.query(
+    "SELECT * FROM club_members WHERE club_id = $1 AND user_name = $2",
+    [clubId, userName],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Admins manage any roster. Otherwise the actor must be an officer of the club,
+ * and only a president may grant, change or remove an officer role.
+ */
+const assertCanManage = async (tx, club, actor, affectedRoles) => {
+  if (actor.role === USER_ROLES.ADMIN) return;
+
+  const membership = await findMembership(tx, club.id, actor.userName);
+  if (!membership || !CLUB_OFFICER_ROLES.includes(membership.role)) {
+    throw {
+      status: 403,
+      message: `Only officers of ${club.name} can manage its members.`,
+    };
+  }
+
+  const touchesOfficer = affectedRoles.some((role) =>
+    CLUB_OFFICER_ROLES.includes(role),
+  );
+  if (touchesOfficer && membership.role !== CLUB_ROLES.PRESIDENT) {
+    throw {
+      status: 403,
+      message: `Only the president of ${club.name} can change officer roles.`,
+    };
+  }
+};
+
+// Admins may leave a club without a president; officers cannot remove the last one
+const assertKeepsPresident = async (tx, club, member, actor) => {
+  if (actor.role === USER_ROLES.ADMIN) return;
+  if (member.role !== CLUB_ROLES.PRESIDENT) return;
+
+  const { rows } = await tx.query(
+    "SELECT COUNT(*) AS presidents FROM club_members WHERE club_id = $1 AND role = $2",
+    [club.id, CLUB_ROLES.PRESIDENT],
+  );
+
+  if (parseInt(rows[0].presidents, 10) <= 1) {
+    throw {
+      status: 409,
+      message: `${club.name} needs a president. Appoint another one first.`,
+    };
+  }
+};
+
+export const clubService = {
+  // Active clubs for registration and browsing
+  async listClubs() {
+    const { rows } = await pool.query(
+      `SELECT c.id, c.name, c.description, COUNT(m.user_name)::int AS member_count
+       FROM clubs c
+       LEFT JOIN club_members m ON m.club_id = c.id
+       WHERE c.is_active
+       GROUP BY c.id
+       ORDER BY c.name ASC`,
+    );
+    return rows;
+  },
+
+  // Clubs the user belongs to, with their role in each
+  async listClubsForUser(userName) {
+    const { rows } = await pool.query(
+      `SELECT c.id, c.name, c.description, c.is_active, m.role, m.joined_at
+       FROM club_members m
+       INNER JOIN clubs c ON m.club_id = c.id
+       WHERE m.user_name = $1
+       ORDER BY c.name ASC`,
+      [userName],
+    );
+    return rows;
+  },
+
+  // Roster of a club; visible to its members and to admins
+  async listMembers(clubId, actor) {
+    if (actor.role !== USER_ROLES.ADMIN) {
+      const membership = await findMembership(pool, clubId, actor.userName);
+      if (!membership) {
+        throw {
+          status: 403,
+          message: "Only members can see the club's roster.",
+        };
+      }
+    }
+
+    const { rows } = await pool.query(
+      `SELECT m.user_name, m.role, m.added_by, m.joined_at, u.user_type
+       FROM club_members m
+       INNER JOIN users u ON m.user_name = u.user_name
+       WHERE m.club_id = $1
+       ORDER BY
+         CASE m.role WHEN 'president' THEN 0 WHEN 'coordinator' THEN 1 ELSE 2 END,
+         m.user_name ASC`,
+      [clubId],
+    );
+    return rows;
+  },
+
+  async createClub({ name, description }) {
+    const clubName = (name || "").trim();
+    if (!clubName) throw { status: 400, message: "A club name is required." };
+
+    try {
+      const { rows } = await pool.query(
+        "INSERT INTO clubs (name, description) VALUES ($1, $2) RETURNING *",
+        [clubName, description || null],
+      );
+      return rows[0];
+    } catch (err) {
+      if (err.code === "23505") {
+        throw { status: 409, message: `${clubName} is already registered.` };
+      }
+      throw err;
+    }
+  },
+
+  // Admin edits; deactivating hides the club and stops its bookings
+  async updateClub(clubId, { description, isActive }) {
+    const { rows } = await pool.query(
+      `UPDATE clubs
+       SET description = COALESCE($1, description),
+           is_active = COALESCE($2, is_active)
+       WHERE id = $3
+       RETURNING *`,
+      [description ?? null, isActive ?? null, clubId],
+    );
+    if (!rows[0]) throw { status: 404, message: "Club not found." };
+    return rows[0];
+  },
+
+  async addMember(clubId, { userName, role = CLUB_ROLES.MEMBER }, actor) {
+    assertValidRole(role);
+
+    return await runInTransaction(async (tx) => {
+      const club = await lockClub(tx, clubId);
+      await assertCanManage(tx, club, actor, [role]);
+
+      const userQuery = await tx.query(
+        "SELECT user_name FROM users WHERE user_name = $1",
+        [userName],
+      );
+      if (!userQuery.rows[0]) {
+        throw { status: 404, message: `No account is named ${userName}.` };
+      }
+
+      if (await findMembership(tx, club.id, userName)) {
+        throw {
+          status: 409,
+          message: `${userName} is already a member of ${club.name}.`,
+        };
+      }
+
+      const { rows } = await tx.query(
+        `INSERT INTO club_members (club_id, user_name, role, added_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [club.id, userName, role, actor.userName],
+      );
+      return rows[0];
+    });
+  },
+
+  async updateMemberRole(clubId, userName, role, actor) {
+    assertValidRole(role);
+
+    return await runInTransaction(async (tx) => {
+      const club = await lockClub(tx, clubId);
+      const member = await findMembership(tx, club.id, userName);
+      if (!member) {
+        throw {
+          status: 404,
+          message: `${userName} is not a member of ${club.name}.`,
+        };
+      }
+
+      await assertCanManage(tx, club, actor, [member.role, role]);
+      if (role !== CLUB_ROLES.PRESIDENT) {
+        await assertKeepsPresident(tx, club, member, actor);
+      }
+
+      const { rows } = await tx.query(
+        `UPDATE club_members SET role = $1
+         WHERE club_id = $2 AND user_name = $3
+         RETURNING *`,
+        [role, club.id, userName],
+      );
+      return rows[0];
+    });
+  },
+
+  // Officers remove members; anyone may leave a club on their own
+  async removeMember(clubId, userName, actor) {
+    return await runInTransaction(async (tx) => {
+      const club = await lockClub(tx, clubId);
+      const member = await findMembership(tx, club.id, userName);
+      if (!member) {
+        throw {
+          status: 404,
+          message: `${userName} is not a member of ${club.name}.`,
+        };
+      }
+
+      if (userName !== actor.userName) {
+        await assertCanManage(tx, club, actor, [member.role]);
+      }
+      await assertKeepsPresident(tx, club, member, actor);
+
+      const { rows } = await tx.query(
+        "DELETE FROM club_members WHERE club_id = $1 AND user_name = $2 RETURNING *",
+        [club.id, userName],
+      );
+      return rows[0];
+    });
+  },
+
+  /**
+   * Resolves what the actor may do with a club's bookings: members and admins
+   * see them, officers also act on them. Everyone else gets 403.
+   */
+  async getClubAccess(clubId, actor) {
+    const { rows } = await pool.query("SELECT * FROM clubs WHERE id = $1", [
+      clubId,
+    ]);
+    const club = rows[0];
+    if (!club) throw { status: 404, message: "Club not found." };
+
+    const membership = await findMembership(pool, club.id, actor.userName);
+    const isAdmin = actor.role === USER_ROLES.ADMIN;
+
+    if (!membership && !isAdmin) {
+      throw {
+        status: 403,
+        message: `Only members of ${club.name} can see its bookings.`,
+      };
+    }
+
+    return {
+      club,
+      role: membership?.role || null,
+      isOfficer: CLUB_OFFICER_ROLES.includes(membership?.role),
+    };
+  },
+
+  // Whether the user is on the named club's roster, in any role
+  async isMember(db, clubName, userName) {
+    const { rows } = await db.query(
+      `SELECT 1 FROM club_members m
+       INNER JOIN clubs c ON m.club_id = c.id
+       WHERE c.name = $1 AND m.user_name = $2`,
+      [clubName, userName],
+    );
+    return rows.length > 0;
+  },
+
+  // Whether the user is a president or coordinator of the named club
+  async isOfficer(db, clubName, userName) {
+    const { rows } = await db.query(
+      `SELECT 1 FROM club_members m
+       INNER JOIN clubs c ON m.club_id = c.id
+       WHERE c.name = $1 AND m.user_name = $2 AND m.role = ANY($3)`,
+      [clubName, userName, CLUB_OFFICER_ROLES],
+    );
+    return rows.length > 0;
+  },
+
+  // Registration only accepts clubs in the registry that are still active
+  async assertActiveClub(db, clubName) {
+    const { rows } = await db.query(
+      "SELECT id FROM clubs WHERE name = $1 AND is_active",
+      [clubName || null],
+    );
+    if (!rows[0]) {
+      throw {
+        status: 400,
+        message: `Invalid club: ${clubName || "None"}. Please select a registered campus club.`,
+      };
+    }
+  },
+
+  /**
+   * Rejects a club booking unless the user is on the club's roster. `db` may be
+   * the pool or the booking transaction.
+   */
+  async assertMember(db, clubName, userName) {
+    await this.assertActiveClub(db, clubName);
+
+    const { rows } = await db.query(
+      `SELECT m.role FROM club_members m
+       INNER JOIN clubs c ON m.club_id = c.id
+       WHERE c.name = $1 AND m.user_name = $2`,
+      [clubName, userName],
+    );
+
+    if (!rows[0]) {
+      throw {
+        status: 403,
+        message: `You are not a member of ${clubName}. Ask one of its officers to add you.`,
+      };
+    }
+
+    return rows[0];
+  },
+};
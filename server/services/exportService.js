@@ -0,0 +1,183 @@
+import { pool } from "../db/connection.js";
+import { BOOKING_STATUS, EXPORT_CONFIG } from "../config/appConfig.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+// Column order of the export; timestamps are written on the facility's clock
+const EXPORT_QUERY = `
+  SELECT
+    b.id,
+    f.name AS facility,
+    u.unit_name AS unit,
+    b.booked_by,
+    b.user_type,
+    b.club_name,
+    b.status,
+    b.booking_type,
+    to_char(b.starts_at AT TIME ZONE f.timezone, 'YYYY-MM-DD"T"HH24:MI:SS') AS starts_at,
+    to_char(b.ends_at AT TIME ZONE f.timezone, 'YYYY-MM-DD"T"HH24:MI:SS') AS ends_at,
+    f.timezone,
+    b.series_id,
+    b.decided_by,
+    b.decision_reason,
+    b.status_note,
+    to_char(b.created_at AT TIME ZONE f.timezone, 'YYYY-MM-DD"T"HH24:MI:SS') AS created_at
+  FROM bookings b
+  INNER JOIN facilities f ON b.facility_id = f.id
+  LEFT JOIN facility_units u ON b.unit_id = u.id
+`;
+
+const CSV_COLUMNS = [
+  "id",
+  "facility",
+  "unit",
+  "booked_by",
+  "user_type",
+  "club_name",
+  "status",
+  "booking_type",
+  "starts_at",
+  "ends_at",
+  "timezone",
+  "series_id",
+  "decided_by",
+  "decision_reason",
+  "status_note",
+  "created_at",
+];
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+
+  // Spreadsheets evaluate cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (fields) => fields.map(toCsvField).join(",") + "\r\n";
+
+const SERIALIZERS = {
+  csv: (row) => toCsvLine(CSV_COLUMNS.map((column) => row[column])),
+  ndjson: (row) => JSON.stringify(row) + "\n",
+};
+
+export const exportService = {
+  /**
+   * Validates the export filters and builds the query, so bad input is
+   * rejected before any of the response is streamed. Dates are inclusive and
+   * read on each booking's facility clock; `status` may list several, comma-separated.
+   */
+  prepareBookingExport({
+    format = "csv",
+    from,
+    to,
+    facilityId,
+    status,
+    userName,
+    clubName,
+  }) {
+    if (!FORMATS[format]) {
+      throw { status: 400, message: "Export format must be csv or ndjson." };
+    }
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      throw { status: 400, message: "Dates must use YYYY-MM-DD format." };
+    }
+    if (from && to && from > to) {
+      throw {
+        status: 400,
+        message: "The start date must not be after the end date.",
+      };
+    }
+
+    const conditions = [];
+    const values = [];
+    const addCondition = (clause, value) => {
+      values.push(value);
+      conditions.push(clause.replace("?", `$${values.length}`));
+    };
+
+    if (from) {
+      addCondition("b.starts_at AT TIME ZONE f.timezone >= ?::date", from);
+    }
+    if (to) {
+      addCondition(
+        "b.starts_at AT TIME ZONE f.timezone < ?::date + INTERVAL '1 day'",
+        to,
+      );
+    }
+
+    if (facilityId) {
+      if (!/^\d+$/.test(String(facilityId))) {
+        throw { status: 400, message: "facilityId must be a number." };
+      }
+      addCondition("b.facility_id = ?", Number(facilityId));
+    }
+
+    if (status) {
+      const statuses = String(status).split(",");
+      const validStatuses = Object.values(BOOKING_STATUS);
+      const unknown = statuses.find((item) => !validStatuses.includes(item));
+      if (unknown) {
+        throw { status: 400, message: `Unknown booking status: ${unknown}.` };
+      }
+      addCondition("b.status = ANY(?)", statuses);
+    }
+
+    if (userName) addCondition("b.booked_by = ?", userName);
+    if (clubName) addCondition("b.club_name = ?", clubName);
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+    return {
+      format,
+      contentType: FORMATS[format].contentType,
+      fileName: `bookings${from ? `-${from}` : ""}${to ? `-to-${to}` : ""}.${FORMATS[format].extension}`,
+      query: {
+        text: `${EXPORT_QUERY} ${where} ORDER BY b.starts_at ASC, b.id ASC`,
+        values,
+      },
+    };
+  },
+
+  /**
+   * Yields the export in chunks, one per batch fetched from a server-side
+   * cursor, so only BATCH_SIZE rows are in memory at a time. The read-only
+   * transaction gives the whole export one consistent snapshot. Stopping early
+   * (the client went away) closes the cursor and frees the connection.
+   */
+  async *streamBookings({ format, query }) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+      await client.query(
+        `DECLARE booking_export NO SCROLL CURSOR FOR ${query.text}`,
+        query.values,
+      );
+
+      if (format === "csv") yield toCsvLine(CSV_COLUMNS);
+
+      while (true) {
+        const { rows } = await client.query(
+          `FETCH ${EXPORT_CONFIG.BATCH_SIZE} FROM booking_export`,
+        );
+        if (rows.length === 0) break;
+        yield rows.map(SERIALIZERS[format]).join("");
+      }
+    } finally {
+      // Nothing was written, so rolling back just ends the snapshot
+      try {
+        await client.query("ROLLBACK");
+      } finally {
+        client.release();
+      }
+    }
+  },
+};
@@ -0,0 +1,363 @@
+import { pool, runInTransaction } from "../db/connection.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAY_NAMES = [
+  "Sundays",
+  "Mondays",
+  "Tuesdays",
+  "Wednesdays",
+  "Thursdays",
+  "Fridays",
+  "Saturdays",
+];
+
+const WEEKDAY_INDEX = {
+  Sun: 0,
+  Mon: 1,
+  Tue: 2,
+  Wed: 3,
+  Thu: 4,
+  Fri: 5,
+  Sat: 6,
+};
+
+// Intl formatters are expensive to build, so keep one per zone
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Wall-clock reading of an instant in the given zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getZoneFormatter(
+    timeZone || "UTC",
+  ).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    timeKey: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const getZoneOffset = (date, timeZone) => {
+  const { dateKey, minutes, seconds } = getZonedParts(date, timeZone);
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, 0, minutes, seconds);
+  return wallAsUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+// Instant at which the zone's clock reads `timeStr` on `dateKey`
+const zonedTimeToUtc = (dateKey, timeStr, timeZone) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hours, minutes, seconds = 0] = timeStr.split(":").map(Number);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // Second pass corrects the guess when it lands across a DST change
+  const guess = wallAsUtc - getZoneOffset(new Date(wallAsUtc), timeZone);
+  return new Date(wallAsUtc - getZoneOffset(new Date(guess), timeZone));
+};
+
+const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .split("T")[0];
+};
+
+// The same wall-clock time `days` calendar days later on the zone's clock, across DST changes
+const addDaysOnClock = (date, days, timeZone) => {
+  const { dateKey, timeKey, seconds } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(
+    addDaysToDateKey(dateKey, days),
+    `${timeKey}:${String(seconds).padStart(2, "0")}`,
+    timeZone,
+  );
+};
+
+// Calendar date (YYYY-MM-DD) of a timestamp on the zone's clock; date keys pass through
+const toDateKey = (date, timeZone) =>
+  typeof date === "string" && DATE_PATTERN.test(date)
+    ? date
+    : getZonedParts(date, timeZone).dateKey;
+
+// First and last instant of the zone's calendar day containing `date`
+const getDayBounds = (date, timeZone) => {
+  const dateKey = toDateKey(date, timeZone);
+  const nextDateKey = addDaysToDateKey(dateKey, 1);
+
+  return {
+    startOfDay: zonedTimeToUtc(dateKey, "00:00", timeZone),
+    endOfDay: new Date(
+      zonedTimeToUtc(nextDateKey, "00:00", timeZone).getTime() - 1,
+    ),
+  };
+};
+
+// "YYYY-MM-DDTHH:MM" on the zone's clock, so clients can render it verbatim
+const toLocalTimestamp = (date, timeZone) => {
+  const { dateKey, timeKey } = getZonedParts(date, timeZone);
+  return `${dateKey}T${timeKey}`;
+};
+
+const assertHoursPair = (openTime, closeTime) => {
+  if (!TIME_PATTERN.test(openTime) || !TIME_PATTERN.test(closeTime)) {
+    throw { status: 400, message: "Operating hours must use HH:MM format." };
+  }
+  if (openTime >= closeTime) {
+    throw { status: 400, message: "Opening time must be before closing time." };
+  }
+};
+
+export const facilityCalendarService = {
+  getZonedParts,
+  zonedTimeToUtc,
+  addDaysToDateKey,
+  addDaysOnClock,
+  toDateKey,
+  getDayBounds,
+  toLocalTimestamp,
+
+  /**
+   * Resolves the effective hours for one facility on one calendar date.
+   * Precedence: full closures, then special-hours closures (facility-specific
+   * before campus-wide), then the weekday row, then the facility defaults.
+   * `date` is read on the facility's clock. `db` may be the pool or an open transaction.
+   */
+  async getDayHours(db, facility, date) {
+    const dateKey = toDateKey(date, facility.timezone);
+
+    const closures = await db.query(
+      `SELECT * FROM facility_closures
+       WHERE (facility_id = $1 OR facility_id IS NULL)
+       AND starts_on <= $2::date AND ends_on >= $2::date
+       ORDER BY (open_time IS NULL) DESC, (facility_id IS NULL) ASC, created_at DESC`,
+      [facility.id, dateKey],
+    );
+
+    const closure = closures.rows[0];
+    if (closure) {
+      return closure.open_time
+        ? {
+            isClosed: false,
+            openTime: closure.open_time,
+            closeTime: closure.close_time,
+            reason: closure.reason,
+          }
+        : {
+            isClosed: true,
+            openTime: null,
+            closeTime: null,
+            reason: closure.reason,
+          };
+    }
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const weekly = await db.query(
+      "SELECT * FROM facility_hours WHERE facility_id = $1 AND weekday = $2",
+      [facility.id, weekday],
+    );
+
+    const row = weekly.rows[0];
+    if (row) {
+      return row.is_closed
+        ? {
+            isClosed: true,
+            openTime: null,
+            closeTime: null,
+            reason: `Regular closing day (${WEEKDAY_NAMES[weekday]})`,
+          }
+        : {
+            isClosed: false,
+            openTime: row.open_time,
+            closeTime: row.close_time,
+            reason: null,
+          };
+    }
+
+    return {
+      isClosed: false,
+      openTime: facility.open_time,
+      closeTime: facility.close_time,
+      reason: null,
+    };
+  },
+
+  async getWeeklyHours(facilityId) {
+    const { rows } = await pool.query(
+      "SELECT weekday, open_time, close_time, is_closed FROM facility_hours WHERE facility_id = $1 ORDER BY weekday ASC",
+      [facilityId],
+    );
+    return rows;
+  },
+
+  /**
+   * Replaces the weekly hours table for a facility. Weekdays left out fall back
+   * to the facility's default open/close time.
+   */
+  async setWeeklyHours(facilityId, days) {
+    if (!Array.isArray(days)) {
+      throw { status: 400, message: "days must be a list of weekday hours." };
+    }
+
+    for (const day of days) {
+      if (
+        !Number.isInteger(day.weekday) ||
+        day.weekday < 0 ||
+        day.weekday > 6
+      ) {
+        throw { status: 400, message: "weekday must be between 0 and 6." };
+      }
+      if (!day.isClosed) assertHoursPair(day.openTime, day.closeTime);
+    }
+
+    return await runInTransaction(async (tx) => {
+      const facility = await tx.query(
+        "SELECT id FROM facilities WHERE id = $1 AND archived_at IS NULL FOR UPDATE",
+        [facilityId],
+      );
+      if (!facility.rows[0])
+        throw { status: 404, message: "Facility not found." };
+
+      await tx.query("DELETE FROM facility_hours WHERE facility_id = $1", [
+        facilityId,
+      ]);
+
+      for (const day of days) {
+        await tx.query(
+          `INSERT INTO facility_hours (facility_id, weekday, open_time, close_time, is_closed)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            facilityId,
+            day.weekday,
+            day.isClosed ? null : day.openTime,
+            day.isClosed ? null : day.closeTime,
+            Boolean(day.isClosed),
+          ],
+        );
+      }
+
+      const { rows } = await tx.query(
+        "SELECT weekday, open_time, close_time, is_closed FROM facility_hours WHERE facility_id = $1 ORDER BY weekday ASC",
+        [facilityId],
+      );
+      return rows;
+    });
+  },
+
+  // Upcoming closures for a facility, including campus-wide ones
+  async listClosures(facilityId = null) {
+    const { rows } = await pool.query(
+      `SELECT
+         c.id,
+         c.facility_id,
+         to_char(c.starts_on, 'YYYY-MM-DD') as starts_on,
+         to_char(c.ends_on, 'YYYY-MM-DD') as ends_on,
+         c.open_time,
+         c.close_time,
+         c.reason,
+         c.created_by,
+         f.name as facility_name
+       FROM facility_closures c
+       LEFT JOIN facilities f ON c.facility_id = f.id
+       WHERE c.ends_on >= CURRENT_DATE
+       AND ($1::int IS NULL OR c.facility_id = $1 OR c.facility_id IS NULL)
+       ORDER BY c.starts_on ASC`,
+      [facilityId],
+    );
+    return rows;
+  },
+
+  /**
+   * Adds a closure. Without open/close times the facility (or the whole campus
+   * when facilityId is empty) is closed on those dates; with them, the dates use
+   * those special hours instead.
+   */
+  async addClosure({
+    facilityId,
+    startsOn,
+    endsOn,
+    openTime,
+    closeTime,
+    reason,
+    createdBy,
+  }) {
+    if (!reason || !reason.trim()) {
+      throw { status: 400, message: "A closure reason is required." };
+    }
+
+    const lastDay = endsOn || startsOn;
+    if (!DATE_PATTERN.test(startsOn || "") || !DATE_PATTERN.test(lastDay)) {
+      throw { status: 400, message: "Closure dates must use YYYY-MM-DD." };
+    }
+    if (lastDay < startsOn) {
+      throw {
+        status: 400,
+        message: "A closure cannot end before it starts.",
+      };
+    }
+
+    const hasSpecialHours = Boolean(openTime || closeTime);
+    if (hasSpecialHours) assertHoursPair(openTime, closeTime);
+
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO facility_closures
+         (facility_id, starts_on, ends_on, open_time, close_time, reason, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          facilityId || null,
+          startsOn,
+          lastDay,
+          hasSpecialHours ? openTime : null,
+          hasSpecialHours ? closeTime : null,
+          reason.trim(),
+          createdBy,
+        ],
+      );
+      return rows[0];
+    } catch (err) {
+      if (err.code === "23503") {
+        throw { status: 404, message: "Facility not found." };
+      }
+      throw err;
+    }
+  },
+
+  async removeClosure(closureId) {
+    const { rows } = await pool.query(
+      "DELETE FROM facility_closures WHERE id = $1 RETURNING *",
+      [closureId],
+    );
+    if (rows.length === 0) {
+      throw { status: 404, message: "Closure not found." };
+    }
+    return rows[0];
+  },
+};
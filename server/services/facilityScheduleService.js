@@ -1,24 +1,55 @@
 import { pool } from "../db/connection.js";
-import { BOOKING_STATUS } from "../config/appConfig.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_POLICY,
+} from "../config/appConfig.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
 
 export const facilityScheduleService = {
   /**
-   * Returns the structured schedule for a facility on a given date.
-   * Units with no bookings are still included.
+   * Returns the structured schedule for a facility on a given date (YYYY-MM-DD
+   * on the facility's clock). Units with no bookings are still included, and
+   * every timestamp also comes as a local wall-clock string for display.
    */
   async getScheduleForDate(facilityId, date) {
-    const baseDate = new Date(date);
+    const facilityQuery = await pool.query(
+      "SELECT id, open_time, close_time, timezone FROM facilities WHERE id = $1",
+      [facilityId],
+    );
 
-    if (isNaN(baseDate.getTime())) {
-      throw new Error("Invalid date supplied to schedule service.");
+    const facility = facilityQuery.rows[0];
+    if (!facility) {
+      throw { status: 404, message: "Facility not found." };
     }
 
-    // Normalize to full-day window
-    const startOfDay = new Date(baseDate);
-    startOfDay.setHours(0, 0, 0, 0);
+    const today = facilityCalendarService.toDateKey(
+      new Date(),
+      facility.timezone,
+    );
+    const lastDay = facilityCalendarService.addDaysToDateKey(
+      today,
+      BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS - 1,
+    );
 
-    const endOfDay = new Date(baseDate);
-    endOfDay.setHours(23, 59, 59, 999);
+    if (date < today || date > lastDay) {
+      throw {
+        status: 403,
+        message: `Date must be within the next ${BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS} days.`,
+      };
+    }
+
+    // Full-day window on the facility's clock
+    const { startOfDay, endOfDay } = facilityCalendarService.getDayBounds(
+      date,
+      facility.timezone,
+    );
+
+    // Effective hours for this date (closures and weekday overrides applied)
+    const hours = await facilityCalendarService.getDayHours(
+      pool,
+      facility,
+      date,
+    );
 
     // Fetch bookings overlapping this day
     const bookingsQuery = `
@@ -36,16 +67,15 @@ export const facilityScheduleService = {
       FROM bookings b
       LEFT JOIN facility_units u ON b.unit_id = u.id
       WHERE b.facility_id = $1
-      AND b.status IN ($2, $3)
-      AND b.starts_at < $5
-      AND b.ends_at > $4
+      AND b.status = ANY($2)
+      AND b.starts_at < $4
+      AND b.ends_at > $3
       ORDER BY b.starts_at ASC;
     `;
 
     const { rows: bookings } = await pool.query(bookingsQuery, [
       facilityId,
-      BOOKING_STATUS.SCHEDULED,
-      BOOKING_STATUS.CHECKED_IN,
+      ACTIVE_BOOKING_STATUSES,
       startOfDay,
       endOfDay,
     ]);
@@ -61,6 +91,17 @@ export const facilityScheduleService = {
 
     const { rows: units } = await pool.query(unitsQuery, [facilityId]);
 
+    // Maintenance windows overlapping this day, shown in place of bookable slots
+    const { rows: maintenance } = await pool.query(
+      `SELECT unit_id, starts_at, ends_at, reason
+       FROM unit_maintenance
+       WHERE facility_id = $1
+       AND starts_at < $3
+       AND ends_at > $2
+       ORDER BY starts_at ASC`,
+      [facilityId, startOfDay, endOfDay],
+    );
+
     // Group bookings by unit once (avoids repeated filtering)
     const bookingMap = new Map();
 
@@ -71,14 +112,32 @@ export const facilityScheduleService = {
       bookingMap.get(booking.unit_id).push(booking);
     }
 
+    const withLocalTimes = (row) => ({
+      ...row,
+      local_starts_at: facilityCalendarService.toLocalTimestamp(
+        row.starts_at,
+        facility.timezone,
+      ),
+      local_ends_at: facilityCalendarService.toLocalTimestamp(
+        row.ends_at,
+        facility.timezone,
+      ),
+    });
+
     const schedule = units.map((unit) => ({
       unitId: unit.id,
       unitName: unit.unit_name,
-      bookings: bookingMap.get(unit.id) || [],
+      bookings: (bookingMap.get(unit.id) || []).map(withLocalTimes),
+      maintenance: maintenance
+        .filter((downtime) => downtime.unit_id === unit.id)
+        .map(withLocalTimes),
     }));
 
     return {
-      date: startOfDay.toISOString().split("T")[0],
+      date,
+      timezone: facility.timezone,
+      today,
+      hours,
       units: schedule,
     };
   },
@@ -0,0 +1,403 @@
+import { pool } from "../db/connection.js";
+import { IMPORT_CONFIG, USER_TYPES } from "../config/appConfig.js";
+import { adminService } from "./adminService.js";
+import { assetService } from "./assetService.js";
+import { bookingService } from "./bookingService.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+
+// Every column an import may use; each row type reads only its own
+const COLUMNS = [
+  "type",
+  "facility",
+  "unit",
+  "category",
+  "description",
+  "capacity",
+  "pooled",
+  "min_duration_minutes",
+  "max_duration_minutes",
+  "open_time",
+  "close_time",
+  "timezone",
+  "requires_approval",
+  "starts_at",
+  "ends_at",
+  "booked_by",
+  "club_name",
+];
+
+// Wall-clock time on the facility's clock, or an instant with an explicit offset
+const LOCAL_TIMESTAMP = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})$/;
+const OFFSET_TIMESTAMP =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Splits RFC 4180 CSV into records, each tagged with the line it starts on.
+ * Quoted fields may contain commas, doubled quotes and line breaks.
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Blank lines carry no data
+    if (fields.length > 1 || fields[0].trim()) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  const source = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw {
+      status: 400,
+      message: `Unclosed quote in the record starting on line ${recordLine}.`,
+    };
+  }
+  if (field || fields.length) endRecord();
+
+  return records;
+};
+
+// Maps each record onto the header; blank cells read as undefined so defaults apply
+const toRows = (records) => {
+  if (records.length === 0) {
+    throw { status: 400, message: "The CSV file is empty." };
+  }
+
+  const [header, ...data] = records;
+  const columns = header.fields.map((name) => name.trim().toLowerCase());
+
+  const unknown = columns.find((column) => !COLUMNS.includes(column));
+  if (unknown !== undefined) {
+    throw { status: 400, message: `Unknown column: ${unknown || "(blank)"}.` };
+  }
+  if (!columns.includes("type")) {
+    throw { status: 400, message: "The CSV needs a type column." };
+  }
+
+  if (data.length > IMPORT_CONFIG.MAX_ROWS) {
+    throw {
+      status: 400,
+      message: `An import can have at most ${IMPORT_CONFIG.MAX_ROWS} rows.`,
+    };
+  }
+
+  return data.map(({ line, fields }) => {
+    const row = { line };
+    columns.forEach((column, index) => {
+      const value = (fields[index] ?? "").trim();
+      row[column] = value === "" ? undefined : value;
+    });
+    return row;
+  });
+};
+
+const parseBoolean = (value, column) => {
+  if (value === undefined) return undefined;
+
+  const normalized = value.toLowerCase();
+  if (["true", "yes", "y", "1"].includes(normalized)) return true;
+  if (["false", "no", "n", "0"].includes(normalized)) return false;
+
+  throw { status: 400, message: `${column} must be yes or no.` };
+};
+
+const parseTimestamp = (value, column, timeZone) => {
+  const local = LOCAL_TIMESTAMP.exec(value || "");
+  if (local) {
+    return facilityCalendarService.zonedTimeToUtc(local[1], local[2], timeZone);
+  }
+
+  if (value && OFFSET_TIMESTAMP.test(value)) return new Date(value);
+
+  throw {
+    status: 400,
+    message: `${column} must be a local date and time such as 2026-11-02 18:00.`,
+  };
+};
+
+const requireColumn = (row, column) => {
+  if (!row[column]) throw { status: 400, message: `${column} is required.` };
+  return row[column];
+};
+
+// Active facility by name, including ones created earlier in this import
+const findFacility = async (tx, name) => {
+  const { rows } = await tx.query(
+    "SELECT * FROM facilities WHERE name = $1 AND archived_at IS NULL",
+    [name],
+  );
+
+  if (rows.length === 0) {
+    throw { status: 404, message: `Facility not found: ${name}.` };
+  }
+  if (rows.length > 1) {
+    throw {
+      status: 409,
+      message: `More than one active facility is named ${name}.`,
+    };
+  }
+  return rows[0];
+};
+
+const findUnit = async (tx, facility, unitName) => {
+  const { rows } = await tx.query(
+    `SELECT * FROM facility_units
+     WHERE facility_id = $1 AND unit_name = $2 AND archived_at IS NULL`,
+    [facility.id, unitName],
+  );
+  return rows[0] || null;
+};
+
+const describeRow = (row) =>
+  [row.facility, row.unit, row.starts_at].filter(Boolean).join(" · ");
+
+/**
+ * One handler per row type. Each applies the same rules as the matching admin
+ * or booking endpoint and returns what it created.
+ */
+const IMPORTERS = {
+  async facility(tx, row) {
+    const name = requireColumn(row, "facility");
+
+    const { rows } = await tx.query(
+      "SELECT id FROM facilities WHERE name = $1 AND archived_at IS NULL",
+      [name],
+    );
+    if (rows[0]) {
+      throw {
+        status: 409,
+        message: `A facility named ${name} already exists.`,
+      };
+    }
+
+    const facility = await adminService.insertFacility(tx, {
+      name,
+      category: row.category,
+      description: row.description,
+      totalCapacity: row.capacity,
+      isPooled: parseBoolean(row.pooled, "pooled"),
+      minDurationMinutes: row.min_duration_minutes,
+      maxDurationMinutes: row.max_duration_minutes,
+      openTime: row.open_time,
+      closeTime: row.close_time,
+      timezone: row.timezone,
+      requiresApproval: parseBoolean(
+        row.requires_approval,
+        "requires_approval",
+      ),
+    });
+
+    return { facilityId: facility.id };
+  },
+
+  async unit(tx, row) {
+    const facility = await findFacility(tx, requireColumn(row, "facility"));
+    const unitName = requireColumn(row, "unit");
+
+    if (await findUnit(tx, facility, unitName)) {
+      throw {
+        status: 409,
+        message: `${facility.name} already has a unit named ${unitName}.`,
+      };
+    }
+
+    await adminService.insertUnit(tx, facility.id, { unitName });
+    return { facilityId: facility.id };
+  },
+
+  /**
+   * Times are read on the facility's clock. The booking is made for `booked_by`
+   * (the importing admin when blank), on behalf of `club_name` when given.
+   * Fixed events are placed by an admin, so the booker's horizon, quota and
+   * strikes don't apply; hours, closures and conflicts still do.
+   */
+  async booking(tx, row, importedBy) {
+    const facility = await findFacility(tx, requireColumn(row, "facility"));
+
+    let unitId = null;
+    if (facility.is_pooled) {
+      if (row.unit) {
+        throw {
+          status: 400,
+          message: `${facility.name} is pooled and has no units.`,
+        };
+      }
+    } else {
+      const unitName = requireColumn(row, "unit");
+      const unit = await findUnit(tx, facility, unitName);
+      if (!unit) {
+        throw {
+          status: 404,
+          message: `${facility.name} has no unit named ${unitName}.`,
+        };
+      }
+      unitId = unit.id;
+    }
+
+    const userName = row.booked_by || importedBy;
+    const { rows } = await tx.query(
+      "SELECT user_name FROM users WHERE user_name = $1",
+      [userName],
+    );
+    if (!rows[0]) throw { status: 404, message: `Unknown user: ${userName}.` };
+
+    const booking = await bookingService.reserveInTransaction(tx, facility.id, {
+      unitId,
+      userName,
+      userType: row.club_name ? USER_TYPES.CLUB : USER_TYPES.INDIVIDUAL,
+      clubName: row.club_name,
+      startsAt: parseTimestamp(row.starts_at, "starts_at", facility.timezone),
+      endsAt: parseTimestamp(row.ends_at, "ends_at", facility.timezone),
+      skipBookerLimits: true,
+      audit: { actor: importedBy, reason: "Imported from CSV." },
+    });
+
+    return { facilityId: facility.id, booking };
+  },
+};
+
+export const importService = {
+  /**
+   * Imports facilities, units and bookings from CSV in file order, so later rows
+   * can refer to facilities and units created above them. Every row runs in its
+   * own savepoint so one bad row is reported without hiding the rest. The whole
+   * import commits only when every row passed and `dryRun` is off; otherwise
+   * nothing is written and the per-row report says what would happen.
+   */
+  async importCatalog(csvText, { dryRun = false, importedBy } = {}) {
+    const rows = toRows(parseCsv(String(csvText || "")));
+
+    const report = [];
+    const bookings = [];
+    const facilityIds = new Set();
+    const liveVersions = [];
+    let committed = false;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      for (const row of rows) {
+        const entry = {
+          line: row.line,
+          type: row.type,
+          label: describeRow(row),
+        };
+        const importer = Object.hasOwn(IMPORTERS, row.type)
+          ? IMPORTERS[row.type]
+          : null;
+
+        if (!importer) {
+          report.push({
+            ...entry,
+            ok: false,
+            error: "type must be facility, unit or booking.",
+          });
+          continue;
+        }
+
+        await client.query("SAVEPOINT import_row");
+
+        try {
+          const result = await importer(client, row, importedBy);
+          await client.query("RELEASE SAVEPOINT import_row");
+
+          facilityIds.add(result.facilityId);
+          if (result.booking) {
+            bookings.push(result.booking);
+            entry.status = result.booking.status;
+          }
+          report.push({ ...entry, ok: true });
+        } catch (err) {
+          await client.query("ROLLBACK TO SAVEPOINT import_row");
+          if (!err.status) throw err;
+
+          report.push({ ...entry, ok: false, error: err.message });
+        }
+      }
+
+      const failed = report.filter((entry) => !entry.ok).length;
+
+      if (!dryRun && failed > 0) {
+        throw {
+          status: 400,
+          message: `${failed} row(s) failed validation, so nothing was imported.`,
+          importReport: report,
+        };
+      }
+
+      if (!dryRun) {
+        // One version per touched facility, committed with the import for its live events
+        for (const facilityId of facilityIds) {
+          liveVersions.push({
+            facilityId,
+            version: await assetService.bumpLiveVersion(facilityId, client),
+          });
+        }
+        await client.query("COMMIT");
+        committed = true;
+      }
+    } finally {
+      try {
+        if (!committed) await client.query("ROLLBACK");
+      } finally {
+        client.release();
+      }
+    }
+
+    const countOf = (type) =>
+      report.filter((entry) => entry.ok && entry.type === type).length;
+
+    return {
+      dryRun,
+      committed,
+      summary: {
+        facilities: countOf("facility"),
+        units: countOf("unit"),
+        bookings: countOf("booking"),
+        failed: report.filter((entry) => !entry.ok).length,
+      },
+      rows: report,
+      // Only a committed import has anything to announce
+      liveVersions,
+      bookings: committed ? bookings : [],
+    };
+  },
+};
@@ -0,0 +1,232 @@
+import { runInTransaction } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_STATUS,
+  BOOKING_EVENT,
+  NOTIFICATION_KIND,
+} from "../config/appConfig.js";
+import { assetService } from "./assetService.js";
+import { policyService } from "./policyService.js";
+import { bookingEventService } from "./bookingEventService.js";
+import { notificationService } from "./notificationService.js";
+
+// Bookings that have not started their session can still be moved or released
+const DISPLACEABLE_STATUSES = [
+  BOOKING_STATUS.SCHEDULED,
+  BOOKING_STATUS.PENDING_APPROVAL,
+];
+
+// Another operational unit of the same facility that is free and in service for the whole booking
+const findReplacementUnit = async (tx, booking) => {
+  const { rows } = await tx.query(
+    `SELECT u.id, u.unit_name FROM facility_units u
+     WHERE u.facility_id = $1
+     AND u.id <> $2
+     AND u.is_operational = true
+     AND u.archived_at IS NULL
+     AND NOT EXISTS (
+       SELECT 1 FROM bookings b
+       WHERE b.unit_id = u.id
+       AND b.status = ANY($3)
+       AND b.starts_at < $5 AND b.ends_at > $4
+     )
+     AND NOT EXISTS (
+       SELECT 1 FROM unit_maintenance m
+       WHERE m.unit_id = u.id
+       AND m.starts_at < $5 AND m.ends_at > $4
+     )
+     ORDER BY u.unit_name ASC
+     LIMIT 1
+     FOR UPDATE OF u`,
+    [
+      booking.facility_id,
+      booking.unit_id,
+      ACTIVE_BOOKING_STATUSES,
+      booking.starts_at,
+      booking.ends_at,
+    ],
+  );
+  return rows[0] || null;
+};
+
+export const maintenanceService = {
+  /**
+   * Takes a unit out of service for [startsAt, endsAt). Upcoming bookings on the
+   * unit are moved to a free sibling unit when possible and released otherwise,
+   * with a status note explaining what happened, and each booker is notified.
+   * Runs as one transaction.
+   */
+  async scheduleMaintenance({ unitId, startsAt, endsAt, reason, createdBy }) {
+    if (!reason || !reason.trim()) {
+      throw { status: 400, message: "A maintenance reason is required." };
+    }
+
+    if (isNaN(new Date(startsAt)) || isNaN(new Date(endsAt))) {
+      throw { status: 400, message: "Invalid maintenance window." };
+    }
+
+    return await runInTransaction(async (tx) => {
+      const unitFetch = await tx.query(
+        `SELECT u.facility_id, f.timezone FROM facility_units u
+         INNER JOIN facilities f ON u.facility_id = f.id
+         WHERE u.id = $1 AND u.archived_at IS NULL`,
+        [unitId],
+      );
+
+      if (!unitFetch.rows[0]) throw { status: 404, message: "Unit not found." };
+
+      // Slot boundaries on the facility's clock
+      const { timezone } = unitFetch.rows[0];
+      const windowStart = policyService.snapToSlot(startsAt, timezone);
+      const windowEnd = policyService.snapToSlot(endsAt, timezone);
+
+      if (windowEnd <= windowStart) {
+        throw {
+          status: 400,
+          message: "The maintenance window must end after it starts.",
+        };
+      }
+
+      if (windowEnd <= new Date()) {
+        throw {
+          status: 400,
+          message: "The maintenance window has already ended.",
+        };
+      }
+
+      // Facility first, then unit, then bookings (same order as booking flows)
+      await tx.query("SELECT id FROM facilities WHERE id = $1 FOR UPDATE", [
+        unitFetch.rows[0].facility_id,
+      ]);
+
+      const unitQuery = await tx.query(
+        "SELECT * FROM facility_units WHERE id = $1 FOR UPDATE",
+        [unitId],
+      );
+      const unit = unitQuery.rows[0];
+
+      const windowInsert = await tx.query(
+        `INSERT INTO unit_maintenance (unit_id, facility_id, starts_at, ends_at, reason, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [
+          unit.id,
+          unit.facility_id,
+          windowStart,
+          windowEnd,
+          reason.trim(),
+          createdBy,
+        ],
+      );
+
+      const affected = await tx.query(
+        `SELECT * FROM bookings
+         WHERE unit_id = $1
+         AND status = ANY($2)
+         AND starts_at < $4 AND ends_at > $3
+         ORDER BY starts_at ASC
+         FOR UPDATE`,
+        [unit.id, DISPLACEABLE_STATUSES, windowStart, windowEnd],
+      );
+
+      const relocated = [];
+      const released = [];
+
+      for (const booking of affected.rows) {
+        const replacement = await findReplacementUnit(tx, booking);
+
+        if (replacement) {
+          const moved = await tx.query(
+            "UPDATE bookings SET unit_id = $1, status_note = $2 WHERE id = $3 RETURNING *",
+            [
+              replacement.id,
+              `Moved from ${unit.unit_name} to ${replacement.unit_name}: ${reason.trim()}`,
+              booking.id,
+            ],
+          );
+          await bookingEventService.record(tx, moved.rows[0], {
+            type: BOOKING_EVENT.RELOCATED,
+            actor: createdBy,
+            reason: reason.trim(),
+            details: {
+              previousUnit: unit.unit_name,
+              unit: replacement.unit_name,
+            },
+          });
+          await notificationService.queueMaintenanceNotice(
+            tx,
+            moved.rows[0],
+            NOTIFICATION_KIND.MAINTENANCE_MOVED,
+          );
+          relocated.push(moved.rows[0]);
+          continue;
+        }
+
+        const releasedRow = await tx.query(
+          "UPDATE bookings SET status = $1, status_note = $2 WHERE id = $3 RETURNING *",
+          [
+            BOOKING_STATUS.RELEASED,
+            `Cancelled because ${unit.unit_name} is out of service and no other unit was free: ${reason.trim()}`,
+            booking.id,
+          ],
+        );
+        await bookingEventService.record(tx, releasedRow.rows[0], {
+          type: BOOKING_EVENT.RELEASED,
+          actor: createdBy,
+          previousStatus: booking.status,
+          reason: releasedRow.rows[0].status_note,
+        });
+        await notificationService.queueMaintenanceNotice(
+          tx,
+          releasedRow.rows[0],
+          NOTIFICATION_KIND.MAINTENANCE_RELEASED,
+        );
+        released.push(releasedRow.rows[0]);
+      }
+
+      const maintenance = {
+        ...windowInsert.rows[0],
+        facility_live_version: await assetService.bumpLiveVersion(
+          unit.facility_id,
+          tx,
+        ),
+      };
+
+      return { maintenance, relocated, released };
+    });
+  },
+
+  // Ends a window early (or drops it entirely if it has not started yet)
+  async endMaintenance(maintenanceId) {
+    return await runInTransaction(async (tx) => {
+      const dropped = await tx.query(
+        "DELETE FROM unit_maintenance WHERE id = $1 AND starts_at > NOW() RETURNING *",
+        [maintenanceId],
+      );
+
+      let window = dropped.rows[0];
+
+      if (!window) {
+        const { rows } = await tx.query(
+          `UPDATE unit_maintenance SET ends_at = NOW()
+           WHERE id = $1 AND ends_at > NOW()
+           RETURNING *`,
+          [maintenanceId],
+        );
+        window = rows[0];
+      }
+
+      if (!window) {
+        throw { status: 404, message: "No active maintenance window found." };
+      }
+
+      return {
+        ...window,
+        facility_live_version: await assetService.bumpLiveVersion(
+          window.facility_id,
+          tx,
+        ),
+      };
+    });
+  },
+};
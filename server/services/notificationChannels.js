@@ -0,0 +1,123 @@
+import nodemailer from "nodemailer";
+import webpush from "web-push";
+import { pool } from "../db/connection.js";
+import { publishNotification } from "../sockets/socket.js";
+
+// Built on first use, after dotenv has loaded, so a missing SMTP setup only disables email
+let mailTransport = null;
+
+const getMailTransport = () => {
+  if (!process.env.SMTP_HOST) return null;
+
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailTransport;
+};
+
+let pushConfigured = false;
+
+const configurePush = () => {
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+    return false;
+  }
+
+  if (!pushConfigured) {
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || "mailto:admin@campusspot.local",
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY,
+    );
+    pushConfigured = true;
+  }
+  return true;
+};
+
+/**
+ * Delivery channels, tried in order for every notification. A channel is used
+ * when the server has it configured and the user's preferences enable it.
+ * send() throws when delivery failed and should be retried.
+ */
+export const notificationChannels = [
+  {
+    name: "in_app",
+    isAvailable: () => true,
+    isEnabled: (preferences) => preferences.in_app_enabled,
+
+    // Stored rows are the user's inbox, so an offline user still gets it on next load
+    async send(notification) {
+      publishNotification(notification.user_name, {
+        id: notification.id,
+        kind: notification.kind,
+        booking_id: notification.booking_id,
+        title: notification.title,
+        body: notification.body,
+        sent_at: new Date().toISOString(),
+        read_at: null,
+      });
+    },
+  },
+  {
+    name: "email",
+    isAvailable: () => Boolean(process.env.SMTP_HOST),
+    isEnabled: (preferences) =>
+      preferences.email_enabled && Boolean(preferences.email_address),
+
+    async send(notification, preferences) {
+      await getMailTransport().sendMail({
+        from: process.env.SMTP_FROM || "CampusSpot <no-reply@campusspot.local>",
+        to: preferences.email_address,
+        subject: notification.title,
+        text: notification.body,
+      });
+    },
+  },
+  {
+    name: "push",
+    isAvailable: configurePush,
+    isEnabled: (preferences) => preferences.push_enabled,
+
+    async send(notification) {
+      const { rows: subscriptions } = await pool.query(
+        "SELECT * FROM push_subscriptions WHERE user_name = $1",
+        [notification.user_name],
+      );
+
+      const payload = JSON.stringify({
+        title: notification.title,
+        body: notification.body,
+      });
+
+      let lastError = null;
+      for (const subscription of subscriptions) {
+        try {
+          await webpush.sendNotification(
+            {
+              endpoint: subscription.endpoint,
+              keys: { p256dh: subscription.p256dh, auth: subscription.auth },
+            },
+            payload,
+          );
+        } catch (err) {
+          // The browser dropped this subscription; forget it instead of retrying
+          if (err.statusCode === 404 || err.statusCode === 410) {
+            await pool.query("DELETE FROM push_subscriptions WHERE id = $1", [
+              subscription.id,
+            ]);
+          } else {
+            lastError = err;
+          }
+        }
+      }
+
+      if (lastError) throw lastError;
+    },
+  },
+];
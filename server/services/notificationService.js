@@ -0,0 +1,447 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_POLICY,
+  BOOKING_STATUS,
+  NOTIFICATION_CONFIG,
+  NOTIFICATION_KIND,
+  NOTIFICATION_STATUS,
+} from "../config/appConfig.js";
+import { notificationChannels } from "./notificationChannels.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_PREFERENCES = {
+  in_app_enabled: true,
+  email_enabled: false,
+  email_address: null,
+  push_enabled: false,
+  reminder_minutes: NOTIFICATION_CONFIG.DEFAULT_REMINDER_MINUTES,
+};
+
+const getPreferencesFor = async (db, userName) => {
+  const { rows } = await db.query(
+    "SELECT * FROM notification_preferences WHERE user_name = $1",
+    [userName],
+  );
+  return rows[0] || { ...DEFAULT_PREFERENCES, user_name: userName };
+};
+
+// Whether the notice still applies to the booking as it stands when it comes due
+const isStillRelevant = (notification, booking) => {
+  if (!booking) return false;
+
+  if (
+    notification.kind === NOTIFICATION_KIND.RELEASED ||
+    notification.kind === NOTIFICATION_KIND.MAINTENANCE_RELEASED
+  ) {
+    return booking.status === BOOKING_STATUS.RELEASED;
+  }
+
+  // Approval may still be pending, so the booking needn't be scheduled yet
+  if (notification.kind === NOTIFICATION_KIND.MAINTENANCE_MOVED) {
+    return ACTIVE_BOOKING_STATUSES.includes(booking.status);
+  }
+
+  return (
+    booking.status === BOOKING_STATUS.SCHEDULED &&
+    new Date(booking.starts_at).getTime() ===
+      new Date(notification.booking_starts_at).getTime()
+  );
+};
+
+// Status notes end with the admin's free-text reason, which may or may not be punctuated
+const withPeriod = (text) => (/[.!?]$/.test(text) ? text : `${text}.`);
+
+// Title and body, written on the facility's clock
+const composeMessage = (notification, booking) => {
+  const startTime = new Date(booking.starts_at).toLocaleTimeString("en-IN", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: booking.timezone,
+  });
+  const place = booking.unit_name
+    ? `${booking.facility_name} (${booking.unit_name})`
+    : booking.facility_name;
+  const grace = BOOKING_POLICY.NO_SHOW_GRACE_MINUTES;
+
+  // Maintenance can reach bookings days ahead, so those notices name the date
+  const startDay = new Date(booking.starts_at).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: booking.timezone,
+  });
+
+  switch (notification.kind) {
+    case NOTIFICATION_KIND.CHECKIN_REMINDER:
+      return {
+        title: `Coming up: ${place}`,
+        body: `Your booking starts at ${startTime}. Check in within ${grace} minutes of the start or it will be released.`,
+      };
+    case NOTIFICATION_KIND.CHECKIN_DUE:
+      return {
+        title: `Check in now: ${place}`,
+        body: `Your booking started at ${startTime}. Check in within ${grace} minutes or it will be released.`,
+      };
+    case NOTIFICATION_KIND.MAINTENANCE_MOVED:
+      return {
+        title: `Moved for maintenance: ${place}`,
+        body: `Your booking on ${startDay} at ${startTime} now uses ${booking.unit_name}. ${withPeriod(booking.status_note)}`,
+      };
+    case NOTIFICATION_KIND.MAINTENANCE_RELEASED:
+      return {
+        title: `Cancelled for maintenance: ${place}`,
+        body: `Your booking on ${startDay} at ${startTime} was cancelled. ${withPeriod(booking.status_note)}`,
+      };
+    default:
+      return {
+        title: `Released: ${place}`,
+        body: `Your ${startTime} booking was released because nobody checked in within ${grace} minutes.`,
+      };
+  }
+};
+
+const insertNotification = (db, booking, kind, sendAt) =>
+  db.query(
+    `INSERT INTO notifications (user_name, booking_id, kind, booking_starts_at, send_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [booking.booked_by, booking.id, kind, booking.starts_at, sendAt],
+  );
+
+export const notificationService = {
+  /**
+   * Plans the reminder and the "check in now" alert for a new or moved booking.
+   * Called inside the transaction that writes the booking, so they commit together.
+   * Notices planned for an earlier start time are skipped when they come due.
+   */
+  async scheduleBookingReminders(db, booking) {
+    const preferences = await getPreferencesFor(db, booking.booked_by);
+    const startsAt = new Date(booking.starts_at);
+
+    if (preferences.reminder_minutes > 0) {
+      const remindAt = new Date(
+        startsAt.getTime() - preferences.reminder_minutes * 60 * 1000,
+      );
+      if (remindAt > new Date()) {
+        await insertNotification(
+          db,
+          booking,
+          NOTIFICATION_KIND.CHECKIN_REMINDER,
+          remindAt,
+        );
+      }
+    }
+
+    await insertNotification(
+      db,
+      booking,
+      NOTIFICATION_KIND.CHECKIN_DUE,
+      startsAt,
+    );
+  },
+
+  // Queues the "you were released" notice for a no-show, due immediately
+  async queueReleaseNotice(db, booking) {
+    await insertNotification(
+      db,
+      booking,
+      NOTIFICATION_KIND.RELEASED,
+      new Date(),
+    );
+  },
+
+  /**
+   * Tells the booker that maintenance moved (`NOTIFICATION_KIND.MAINTENANCE_MOVED`)
+   * or cancelled (`MAINTENANCE_RELEASED`) their booking, due immediately.
+   */
+  async queueMaintenanceNotice(db, booking, kind) {
+    await insertNotification(db, booking, kind, new Date());
+  },
+
+  /**
+   * Sends every due notification. Rows are claimed with SKIP LOCKED so parallel
+   * dispatchers never send the same one; a claim left by a crashed dispatcher
+   * is picked up again after CLAIM_TIMEOUT_MINUTES.
+   */
+  async dispatchDueNotifications() {
+    const { rows: claimed } = await pool.query(
+      `UPDATE notifications
+       SET status = $1, claimed_at = NOW(), attempts = attempts + 1
+       WHERE id IN (
+         SELECT id FROM notifications
+         WHERE (status = $2 AND send_at <= NOW())
+         OR (status = $1 AND claimed_at < NOW() - INTERVAL '${NOTIFICATION_CONFIG.CLAIM_TIMEOUT_MINUTES} minutes')
+         ORDER BY send_at ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [
+        NOTIFICATION_STATUS.SENDING,
+        NOTIFICATION_STATUS.PENDING,
+        NOTIFICATION_CONFIG.DISPATCH_BATCH_SIZE,
+      ],
+    );
+
+    for (const notification of claimed) {
+      await this.deliver(notification);
+    }
+    return claimed.length;
+  },
+
+  /**
+   * Sends one claimed notification on every enabled channel it has not reached yet.
+   * Failed channels are retried later; channels that succeeded are not repeated.
+   */
+  async deliver(notification) {
+    const bookingQuery = await pool.query(
+      `SELECT b.*, f.name as facility_name, f.timezone, u.unit_name
+       FROM bookings b
+       INNER JOIN facilities f ON b.facility_id = f.id
+       LEFT JOIN facility_units u ON b.unit_id = u.id
+       WHERE b.id = $1`,
+      [notification.booking_id],
+    );
+    const booking = bookingQuery.rows[0];
+
+    if (!isStillRelevant(notification, booking)) {
+      await pool.query("UPDATE notifications SET status = $1 WHERE id = $2", [
+        NOTIFICATION_STATUS.SKIPPED,
+        notification.id,
+      ]);
+      return;
+    }
+
+    const message = composeMessage(notification, booking);
+    const preferences = await getPreferencesFor(pool, notification.user_name);
+    const delivered = [...notification.delivered_channels];
+    const errors = [];
+
+    for (const channel of notificationChannels) {
+      if (
+        delivered.includes(channel.name) ||
+        !channel.isAvailable() ||
+        !channel.isEnabled(preferences)
+      ) {
+        continue;
+      }
+
+      try {
+        await channel.send({ ...notification, ...message }, preferences);
+        delivered.push(channel.name);
+      } catch (err) {
+        errors.push(`${channel.name}: ${err.message}`);
+      }
+    }
+
+    if (errors.length === 0) {
+      await pool.query(
+        `UPDATE notifications
+         SET status = $1, title = $2, body = $3, delivered_channels = $4, sent_at = NOW(), last_error = NULL
+         WHERE id = $5`,
+        [
+          NOTIFICATION_STATUS.SENT,
+          message.title,
+          message.body,
+          delivered,
+          notification.id,
+        ],
+      );
+      return;
+    }
+
+    const givesUp = notification.attempts >= NOTIFICATION_CONFIG.MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE notifications
+       SET status = $1, title = $2, body = $3, delivered_channels = $4, last_error = $5,
+           send_at = NOW() + INTERVAL '${NOTIFICATION_CONFIG.RETRY_DELAY_MINUTES} minutes'
+       WHERE id = $6`,
+      [
+        givesUp ? NOTIFICATION_STATUS.FAILED : NOTIFICATION_STATUS.PENDING,
+        message.title,
+        message.body,
+        delivered,
+        errors.join("; "),
+        notification.id,
+      ],
+    );
+    console.error(
+      `Notification ${notification.id} delivery failed:`,
+      errors.join("; "),
+    );
+  },
+
+  // The user's notification center: in-app notifications, newest first
+  async listForUser(userName) {
+    // Another channel may still be retrying, so sent_at can be empty
+    const { rows } = await pool.query(
+      `SELECT id, kind, booking_id, title, body, COALESCE(sent_at, claimed_at) as sent_at, read_at
+       FROM notifications
+       WHERE user_name = $1
+       AND 'in_app' = ANY(delivered_channels)
+       ORDER BY COALESCE(sent_at, claimed_at) DESC
+       LIMIT $2`,
+      [userName, NOTIFICATION_CONFIG.INBOX_LIMIT],
+    );
+    return rows;
+  },
+
+  async markRead(userName, notificationId) {
+    const { rows } = await pool.query(
+      `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_name = $2
+       RETURNING id, read_at`,
+      [notificationId, userName],
+    );
+    if (rows.length === 0) {
+      throw { status: 404, message: "Notification not found." };
+    }
+    return rows[0];
+  },
+
+  async markAllRead(userName) {
+    await pool.query(
+      "UPDATE notifications SET read_at = NOW() WHERE user_name = $1 AND read_at IS NULL",
+      [userName],
+    );
+  },
+
+  /**
+   * Preferences plus which channels the server can deliver on, so the client
+   * only offers those.
+   */
+  async getPreferences(userName) {
+    const preferences = await getPreferencesFor(pool, userName);
+    return {
+      inAppEnabled: preferences.in_app_enabled,
+      emailEnabled: preferences.email_enabled,
+      emailAddress: preferences.email_address,
+      pushEnabled: preferences.push_enabled,
+      reminderMinutes: preferences.reminder_minutes,
+      availableChannels: notificationChannels
+        .filter((channel) => channel.isAvailable())
+        .map((channel) => channel.name),
+      pushPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+    };
+  },
+
+  /**
+   * Saves preferences and re-plans the reminders of upcoming bookings for the
+   * new lead time.
+   */
+  async updatePreferences(userName, updates) {
+    const current = await getPreferencesFor(pool, userName);
+    const next = {
+      in_app_enabled: updates.inAppEnabled ?? current.in_app_enabled,
+      email_enabled: updates.emailEnabled ?? current.email_enabled,
+      email_address:
+        updates.emailAddress !== undefined
+          ? updates.emailAddress?.trim() || null
+          : current.email_address,
+      push_enabled: updates.pushEnabled ?? current.push_enabled,
+      reminder_minutes: updates.reminderMinutes ?? current.reminder_minutes,
+    };
+
+    if (
+      !Number.isInteger(next.reminder_minutes) ||
+      next.reminder_minutes < 0 ||
+      next.reminder_minutes > 1440
+    ) {
+      throw {
+        status: 400,
+        message: "Reminder time must be between 0 and 1440 minutes.",
+      };
+    }
+    if (next.email_address && !EMAIL_PATTERN.test(next.email_address)) {
+      throw { status: 400, message: "Enter a valid email address." };
+    }
+    if (next.email_enabled && !next.email_address) {
+      throw {
+        status: 400,
+        message: "Add an email address to turn on email notifications.",
+      };
+    }
+
+    await runInTransaction(async (tx) => {
+      await tx.query(
+        `INSERT INTO notification_preferences
+         (user_name, in_app_enabled, email_enabled, email_address, push_enabled, reminder_minutes, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (user_name) DO UPDATE SET
+           in_app_enabled = EXCLUDED.in_app_enabled,
+           email_enabled = EXCLUDED.email_enabled,
+           email_address = EXCLUDED.email_address,
+           push_enabled = EXCLUDED.push_enabled,
+           reminder_minutes = EXCLUDED.reminder_minutes,
+           updated_at = NOW()`,
+        [
+          userName,
+          next.in_app_enabled,
+          next.email_enabled,
+          next.email_address,
+          next.push_enabled,
+          next.reminder_minutes,
+        ],
+      );
+
+      if (next.reminder_minutes === current.reminder_minutes) return;
+
+      await tx.query(
+        `UPDATE notifications SET status = $1
+         WHERE user_name = $2 AND kind = $3 AND status = $4`,
+        [
+          NOTIFICATION_STATUS.SKIPPED,
+          userName,
+          NOTIFICATION_KIND.CHECKIN_REMINDER,
+          NOTIFICATION_STATUS.PENDING,
+        ],
+      );
+
+      if (next.reminder_minutes === 0) return;
+
+      await tx.query(
+        `INSERT INTO notifications (user_name, booking_id, kind, booking_starts_at, send_at)
+         SELECT booked_by, id, $1, starts_at, starts_at - make_interval(mins => $2::int)
+         FROM bookings
+         WHERE booked_by = $3
+         AND status IN ($4, $5)
+         AND starts_at - make_interval(mins => $2::int) > NOW()`,
+        [
+          NOTIFICATION_KIND.CHECKIN_REMINDER,
+          next.reminder_minutes,
+          userName,
+          BOOKING_STATUS.PENDING_APPROVAL,
+          BOOKING_STATUS.SCHEDULED,
+        ],
+      );
+    });
+
+    return await this.getPreferences(userName);
+  },
+
+  // Registers (or re-assigns) a browser push subscription for the user
+  async savePushSubscription(userName, subscription) {
+    const { endpoint, keys } = subscription || {};
+    if (!endpoint || !keys?.p256dh || !keys?.auth) {
+      throw { status: 400, message: "Invalid push subscription." };
+    }
+
+    await pool.query(
+      `INSERT INTO push_subscriptions (user_name, endpoint, p256dh, auth)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (endpoint) DO UPDATE SET
+         user_name = EXCLUDED.user_name,
+         p256dh = EXCLUDED.p256dh,
+         auth = EXCLUDED.auth`,
+      [userName, endpoint, keys.p256dh, keys.auth],
+    );
+  },
+
+  async removePushSubscription(userName, endpoint) {
+    await pool.query(
+      "DELETE FROM push_subscriptions WHERE user_name = $1 AND endpoint = $2",
+      [userName, endpoint],
+    );
+  },
+};
@@ -1,4 +1,5 @@
-import { BOOKING_POLICY } from "../config/appConfig.js";
+import { BOOKING_POLICY, RECURRENCE_FREQUENCY } from "../config/appConfig.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
 
 // Convert "HH:MM[:SS]" to minutes since midnight
 const timeStringToMinutes = (timeStr) => {
@@ -7,6 +8,18 @@ const timeStringToMinutes = (timeStr) => {
   return hours * 60 + (minutes || 0);
 };
 
+// Milliseconds since the last slot boundary on the zone's clock
+const msIntoSlot = (date, timeZone) => {
+  const { minutes, seconds } = facilityCalendarService.getZonedParts(
+    date,
+    timeZone,
+  );
+  return (
+    ((minutes % BOOKING_POLICY.SLOT_SIZE_MINUTES) * 60 + seconds) * 1000 +
+    date.getUTCMilliseconds()
+  );
+};
+
 // Format 24h time string into 12h display format.
 const formatTime = (timeStr) => {
   if (!timeStr) return "";
@@ -18,17 +31,31 @@ const formatTime = (timeStr) => {
 };
 
 export const policyService = {
-  snapToSlot(dateStr) {
+  // Round to the nearest slot boundary on the facility's clock
+  snapToSlot(dateStr, timeZone) {
     const date = new Date(dateStr);
-    const minutes = date.getMinutes();
-    const snappedMinutes = Math.round(minutes / 30) * 30;
-    date.setMinutes(snappedMinutes);
-    date.setSeconds(0);
-    date.setMilliseconds(0);
-    return date;
+    if (isNaN(date.getTime())) return date;
+
+    const intoSlot = msIntoSlot(date, timeZone);
+    const slotMs = BOOKING_POLICY.SLOT_SIZE_MINUTES * 60000;
+    return new Date(
+      date.getTime() - intoSlot + (intoSlot * 2 >= slotMs ? slotMs : 0),
+    );
   },
 
-  validateBookingRequest(facility, startsAt, endsAt, userType) {
+  /**
+   * `dayHours` is the resolved calendar for the booking date (see
+   * facilityCalendarService.getDayHours); without it the facility defaults apply.
+   * `enforceHorizon: false` skips the advance-booking window (admin imports).
+   */
+  validateBookingRequest(
+    facility,
+    startsAt,
+    endsAt,
+    userType,
+    dayHours,
+    { enforceHorizon = true } = {},
+  ) {
     const start = new Date(startsAt);
     const end = new Date(endsAt);
     const now = new Date();
@@ -47,10 +74,14 @@ export const policyService = {
         ? BOOKING_POLICY.CLUB_BOOKING_HORIZON_DAYS
         : BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS;
 
-    const horizonLimit = new Date();
-    horizonLimit.setDate(now.getDate() + (horizonDays || 7));
+    // Counted in days on the facility's clock, not the server's
+    const horizonLimit = facilityCalendarService.addDaysOnClock(
+      now,
+      horizonDays || 7,
+      facility.timezone,
+    );
 
-    if (start > horizonLimit) {
+    if (enforceHorizon && start > horizonLimit) {
       throw {
         status: 403,
         message: `Advance booking limit exceeded. Max lead time for ${
@@ -71,20 +102,43 @@ export const policyService = {
 
     const isFullDay = durationMinutes >= 480;
 
+    const hours = dayHours || {
+      isClosed: false,
+      openTime: facility.open_time,
+      closeTime: facility.close_time,
+    };
+
+    // Closed days reject every booking, full-day ones included
+    if (hours.isClosed) {
+      throw {
+        status: 400,
+        message: `${facility.name} is closed on this date${
+          hours.reason ? `: ${hours.reason}` : ""
+        }.`,
+      };
+    }
+
     // Ensure booking falls within facility operating hours
-    if (facility.open_time && facility.close_time) {
-      const openMins = timeStringToMinutes(facility.open_time);
-      const closeMins = timeStringToMinutes(facility.close_time);
+    if (hours.openTime && hours.closeTime) {
+      const openMins = timeStringToMinutes(hours.openTime);
+      const closeMins = timeStringToMinutes(hours.closeTime);
 
-      const startMins = start.getHours() * 60 + start.getMinutes();
-      const endMins = end.getHours() * 60 + end.getMinutes();
+      // Compare on the facility's clock, not the server's
+      const startMins = facilityCalendarService.getZonedParts(
+        start,
+        facility.timezone,
+      ).minutes;
+      const endMins = facilityCalendarService.getZonedParts(
+        end,
+        facility.timezone,
+      ).minutes;
 
       if (!isFullDay && (startMins < openMins || endMins > closeMins)) {
         throw {
           status: 400,
           message: `The facility is closed at your selected time. Operating hours: ${formatTime(
-            facility.open_time,
-          )} - ${formatTime(facility.close_time)}.`,
+            hours.openTime,
+          )} - ${formatTime(hours.closeTime)}.`,
         };
       }
     }
@@ -120,19 +174,167 @@ export const policyService = {
     return { bookingType: "time_based" };
   },
 
+  // Ensure an in-place extension stays within the duration limit and closing time
+  validateExtension(facility, booking, newEndsAt, dayHours) {
+    if (booking.booking_type === "full_day") {
+      throw {
+        status: 400,
+        message: "Full-day bookings already cover the whole day.",
+      };
+    }
+
+    const start = new Date(booking.starts_at);
+    const end = new Date(newEndsAt);
+
+    const durationMinutes = (end - start) / (1000 * 60);
+
+    if (durationMinutes > facility.max_duration_minutes) {
+      throw {
+        status: 400,
+        message: `Cannot extend. Maximum duration for ${facility.name} is ${
+          facility.max_duration_minutes / 60
+        } hours.`,
+      };
+    }
+
+    const closeTime = dayHours ? dayHours.closeTime : facility.close_time;
+
+    if (closeTime) {
+      const closeMins = timeStringToMinutes(closeTime);
+      const endParts = facilityCalendarService.getZonedParts(
+        end,
+        facility.timezone,
+      );
+      const endMins = endParts.minutes;
+      const crossesMidnight =
+        endParts.dateKey !==
+        facilityCalendarService.toDateKey(start, facility.timezone);
+
+      if (crossesMidnight || endMins > closeMins) {
+        throw {
+          status: 400,
+          message: `Cannot extend past closing time. ${facility.name} closes at ${formatTime(
+            closeTime,
+          )}.`,
+        };
+      }
+    }
+  },
+
+  /**
+   * Expands a recurrence rule into concrete occurrence windows.
+   * The first occurrence is always the requested slot itself. Occurrences keep
+   * the same wall-clock times in `timeZone`, even across DST changes.
+   */
+  expandRecurrence(startsAt, endsAt, recurrence, timeZone) {
+    const { frequency, interval = 1, until, count } = recurrence;
+
+    if (!Object.values(RECURRENCE_FREQUENCY).includes(frequency)) {
+      throw {
+        status: 400,
+        message: "Recurrence frequency must be either daily or weekly.",
+      };
+    }
+
+    const step = parseInt(interval, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw {
+        status: 400,
+        message: "Recurrence interval must be a positive whole number.",
+      };
+    }
+
+    if (!until && !count) {
+      throw {
+        status: 400,
+        message: "A recurring booking needs either an end date or a count.",
+      };
+    }
+
+    const maxOccurrences = BOOKING_POLICY.MAX_RECURRENCE_OCCURRENCES;
+    const requestedCount = count ? parseInt(count, 10) : maxOccurrences;
+
+    if (!Number.isInteger(requestedCount) || requestedCount < 1) {
+      throw {
+        status: 400,
+        message: "Recurrence count must be a positive whole number.",
+      };
+    }
+
+    if (requestedCount > maxOccurrences) {
+      throw {
+        status: 400,
+        message: `A recurring booking can have at most ${maxOccurrences} occurrences.`,
+      };
+    }
+
+    let untilDate = until ? new Date(until) : null;
+    if (untilDate && isNaN(untilDate.getTime())) {
+      throw { status: 400, message: "Invalid recurrence end date." };
+    }
+
+    // Treat a date-only end as inclusive of that whole day on the facility's clock
+    if (untilDate && /^\d{4}-\d{2}-\d{2}$/.test(until)) {
+      untilDate = facilityCalendarService.getDayBounds(
+        until,
+        timeZone,
+      ).endOfDay;
+    }
+
+    const dayStep = frequency === RECURRENCE_FREQUENCY.WEEKLY ? step * 7 : step;
+    const occurrences = [];
+
+    const startParts = facilityCalendarService.getZonedParts(
+      startsAt,
+      timeZone,
+    );
+    const endParts = facilityCalendarService.getZonedParts(endsAt, timeZone);
+
+    // Same wall-clock time, `days` calendar days later
+    const shiftDays = (parts, days) =>
+      facilityCalendarService.zonedTimeToUtc(
+        facilityCalendarService.addDaysToDateKey(parts.dateKey, days),
+        parts.timeKey,
+        timeZone,
+      );
+
+    for (let i = 0; i < requestedCount; i++) {
+      const start = shiftDays(startParts, i * dayStep);
+      const end = shiftDays(endParts, i * dayStep);
+
+      if (untilDate && start > untilDate) break;
+
+      occurrences.push({ startsAt: start, endsAt: end });
+    }
+
+    // An end date that reaches past the cap would silently drop occurrences
+    if (!count && occurrences.length === maxOccurrences) {
+      const overflow = shiftDays(startParts, maxOccurrences * dayStep);
+
+      if (overflow <= untilDate) {
+        throw {
+          status: 400,
+          message: `A recurring booking can have at most ${maxOccurrences} occurrences.`,
+        };
+      }
+    }
+
+    return occurrences;
+  },
+
   // Create deterministic key to prevent duplicate submissions
   generateIdempotencyKey(userName, startsAt) {
     const timeCode = new Date(startsAt).getTime();
     return `${userName}_${timeCode}`;
   },
 
-  // Round time up to the next 30-minute boundary
-  snapToNextBoundary(date) {
-    const snapped = new Date(date);
-    const minutes = snapped.getMinutes();
-    snapped.setMinutes(Math.ceil((minutes + 1) / 30) * 30);
-    snapped.setSeconds(0);
-    snapped.setMilliseconds(0);
-    return snapped;
+  // The slot boundary after the current minute, on the facility's clock
+  snapToNextBoundary(date, timeZone) {
+    const instant = new Date(date);
+    return new Date(
+      instant.getTime() -
+        msIntoSlot(instant, timeZone) +
+        BOOKING_POLICY.SLOT_SIZE_MINUTES * 60000,
+    );
   },
 };
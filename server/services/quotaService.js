@@ -0,0 +1,245 @@
+import { pool } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  QUOTA_POLICY,
+  USER_TYPES,
+} from "../config/appConfig.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatHours = (hours) => {
+  const rounded = Math.max(0, Math.round(hours * 10) / 10);
+  return `${rounded} hour${rounded === 1 ? "" : "s"}`;
+};
+
+const formatDateKey = (dateKey) =>
+  new Date(`${dateKey}T00:00:00Z`).toLocaleDateString("en-IN", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+
+const getLimits = (userType) =>
+  QUOTA_POLICY.LIMITS[userType] || QUOTA_POLICY.LIMITS[USER_TYPES.INDIVIDUAL];
+
+// A club shares one allowance across its accounts; anyone else has their own
+const getOwner = ({ userName, userType, clubName }) =>
+  userType === USER_TYPES.CLUB
+    ? {
+        key: `club:${clubName}`,
+        clause: "b.user_type = 'club' AND b.club_name = $1",
+        value: clubName,
+        label: clubName,
+      }
+    : {
+        key: `user:${userName}`,
+        clause: "b.user_type <> 'club' AND b.booked_by = $1",
+        value: userName,
+        label: null,
+      };
+
+/**
+ * Calendar day and Monday-to-Sunday week containing `date` on the facility's
+ * clock. `date` may be an instant or a YYYY-MM-DD date key.
+ */
+const getPeriods = (date, timeZone) => {
+  const { addDaysToDateKey, toDateKey, getZonedParts, zonedTimeToUtc } =
+    facilityCalendarService;
+
+  const dateKey = toDateKey(date, timeZone);
+  const weekday = getZonedParts(
+    zonedTimeToUtc(dateKey, "12:00", timeZone),
+    timeZone,
+  ).weekday;
+  const weekStartKey = addDaysToDateKey(dateKey, -((weekday + 6) % 7));
+
+  return {
+    dateKey,
+    weekStartKey,
+    dayStart: zonedTimeToUtc(dateKey, "00:00", timeZone),
+    dayEnd: zonedTimeToUtc(addDaysToDateKey(dateKey, 1), "00:00", timeZone),
+    weekStart: zonedTimeToUtc(weekStartKey, "00:00", timeZone),
+    weekEnd: zonedTimeToUtc(
+      addDaysToDateKey(weekStartKey, 7),
+      "00:00",
+      timeZone,
+    ),
+  };
+};
+
+// Whether [startsAt, endsAt) overlaps the peak window of its start date
+const isPeakBooking = (startsAt, endsAt, timeZone) => {
+  const dateKey = facilityCalendarService.toDateKey(startsAt, timeZone);
+  const peakStart = facilityCalendarService.zonedTimeToUtc(
+    dateKey,
+    QUOTA_POLICY.PEAK_START,
+    timeZone,
+  );
+  const peakEnd = facilityCalendarService.zonedTimeToUtc(
+    dateKey,
+    QUOTA_POLICY.PEAK_END,
+    timeZone,
+  );
+  return new Date(startsAt) < peakEnd && new Date(endsAt) > peakStart;
+};
+
+/**
+ * Active bookings already counted against the owner. A booking's hours count
+ * toward the day and week it starts in, and only within the facility's category.
+ */
+const measureUsage = async (db, facility, owner, periods, excludedId) => {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE b.ends_at > NOW()) AS upcoming,
+       COALESCE(SUM(EXTRACT(EPOCH FROM b.ends_at - b.starts_at))
+         FILTER (WHERE f.category = $3 AND b.starts_at >= $4 AND b.starts_at < $5), 0) / 3600 AS day_hours,
+       COALESCE(SUM(EXTRACT(EPOCH FROM b.ends_at - b.starts_at))
+         FILTER (WHERE f.category = $3 AND b.starts_at >= $6 AND b.starts_at < $7), 0) / 3600 AS week_hours,
+       COUNT(*) FILTER (
+         WHERE b.starts_at >= $6 AND b.starts_at < $7
+         AND (b.starts_at AT TIME ZONE f.timezone) < date_trunc('day', b.starts_at AT TIME ZONE f.timezone) + $9::time
+         AND (b.ends_at AT TIME ZONE f.timezone) > date_trunc('day', b.starts_at AT TIME ZONE f.timezone) + $8::time
+       ) AS week_peak
+     FROM bookings b
+     INNER JOIN facilities f ON b.facility_id = f.id
+     WHERE ${owner.clause}
+     AND b.status = ANY($2)
+     AND b.id <> $10`,
+    [
+      owner.value,
+      ACTIVE_BOOKING_STATUSES,
+      facility.category,
+      periods.dayStart,
+      periods.dayEnd,
+      periods.weekStart,
+      periods.weekEnd,
+      QUOTA_POLICY.PEAK_START,
+      QUOTA_POLICY.PEAK_END,
+      excludedId,
+    ],
+  );
+
+  return {
+    upcoming: parseInt(rows[0].upcoming, 10),
+    dayHours: Number(rows[0].day_hours),
+    weekHours: Number(rows[0].week_hours),
+    weekPeak: parseInt(rows[0].week_peak, 10),
+  };
+};
+
+export const quotaService = {
+  /**
+   * Rejects a booking that would take the individual or club past a fair-use
+   * limit. Runs inside the booking transaction; the advisory lock keeps two
+   * bookings by the same owner (on different facilities) from both squeezing in.
+   * `excludedId` is the booking being moved or extended, which is re-counted as new.
+   */
+  async assertWithinQuota(
+    tx,
+    facility,
+    { userName, userType, clubName, startsAt, endsAt, excludedId = 0 },
+  ) {
+    const limits = getLimits(userType);
+    const owner = getOwner({ userName, userType, clubName });
+
+    await tx.query("SELECT pg_advisory_xact_lock($1, hashtext($2))", [
+      QUOTA_POLICY.LOCK_NAMESPACE,
+      owner.key,
+    ]);
+
+    const periods = getPeriods(startsAt, facility.timezone);
+    const usage = await measureUsage(tx, facility, owner, periods, excludedId);
+    const bookingHours = (new Date(endsAt) - new Date(startsAt)) / HOUR_MS;
+    const prefix = owner.label
+      ? `Fair-use limit for ${owner.label}`
+      : "Fair-use limit";
+
+    if (usage.upcoming >= limits.maxUpcomingBookings) {
+      throw {
+        status: 403,
+        message: `${prefix}: ${limits.maxUpcomingBookings} upcoming bookings at a time (0 left). Cancel one to book another.`,
+      };
+    }
+
+    const maxDayHours = limits.maxHoursPerDay[facility.category];
+    if (maxDayHours && usage.dayHours + bookingHours > maxDayHours) {
+      throw {
+        status: 403,
+        message: `${prefix}: ${formatHours(maxDayHours)} of ${facility.category} per day. ${formatHours(maxDayHours - usage.dayHours)} left on ${formatDateKey(periods.dateKey)}; this booking needs ${formatHours(bookingHours)}.`,
+      };
+    }
+
+    const maxWeekHours = limits.maxHoursPerWeek[facility.category];
+    if (maxWeekHours && usage.weekHours + bookingHours > maxWeekHours) {
+      throw {
+        status: 403,
+        message: `${prefix}: ${formatHours(maxWeekHours)} of ${facility.category} per week. ${formatHours(maxWeekHours - usage.weekHours)} left for the week of ${formatDateKey(periods.weekStartKey)}; this booking needs ${formatHours(bookingHours)}.`,
+      };
+    }
+
+    if (
+      isPeakBooking(startsAt, endsAt, facility.timezone) &&
+      usage.weekPeak >= limits.maxPeakBookingsPerWeek
+    ) {
+      throw {
+        status: 403,
+        message: `${prefix}: ${limits.maxPeakBookingsPerWeek} peak-hour bookings (${QUOTA_POLICY.PEAK_START}–${QUOTA_POLICY.PEAK_END}) per week (0 left for the week of ${formatDateKey(periods.weekStartKey)}). Try an earlier slot.`,
+      };
+    }
+  },
+
+  /**
+   * Allowance used and left for the facility's category on `date` (a
+   * YYYY-MM-DD date on the facility's clock, today when omitted).
+   */
+  async getQuotaSummary(user, facilityId, date) {
+    const facilityQuery = await pool.query(
+      "SELECT * FROM facilities WHERE id = $1 AND archived_at IS NULL",
+      [facilityId],
+    );
+
+    const facility = facilityQuery.rows[0];
+    if (!facility) throw { status: 404, message: "Facility not found." };
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw { status: 400, message: "Dates must use YYYY-MM-DD format." };
+    }
+
+    const limits = getLimits(user.userType);
+    const owner = getOwner(user);
+    const periods = getPeriods(date || new Date(), facility.timezone);
+    const usage = await measureUsage(pool, facility, owner, periods, 0);
+
+    const allowance = (used, limit) => ({
+      used,
+      limit: limit || null,
+      remaining: limit ? Math.max(0, limit - used) : null,
+    });
+
+    return {
+      sharedWith: owner.label,
+      category: facility.category,
+      date: periods.dateKey,
+      weekOf: periods.weekStartKey,
+      peakWindow: {
+        start: QUOTA_POLICY.PEAK_START,
+        end: QUOTA_POLICY.PEAK_END,
+      },
+      upcomingBookings: allowance(usage.upcoming, limits.maxUpcomingBookings),
+      dayHours: allowance(
+        usage.dayHours,
+        limits.maxHoursPerDay[facility.category],
+      ),
+      weekHours: allowance(
+        usage.weekHours,
+        limits.maxHoursPerWeek[facility.category],
+      ),
+      weekPeakBookings: allowance(
+        usage.weekPeak,
+        limits.maxPeakBookingsPerWeek,
+      ),
+    };
+  },
+};
@@ -0,0 +1,311 @@
+import { pool } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_POLICY,
+  SLOT_SEARCH_CONFIG,
+  USER_TYPES,
+} from "../config/appConfig.js";
+import { facilityCalendarService } from "./facilityCalendarService.js";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// policyService treats 8 hours or more as a club-only full-day booking
+const FULL_DAY_MINUTES = 480;
+
+const toMinutes = (timeStr) => {
+  const [hours, minutes] = timeStr.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTimeKey = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const overlaps = (row, startsAt, endsAt) =>
+  new Date(row.starts_at) < endsAt && new Date(row.ends_at) > startsAt;
+
+// Validates the query once, before any facility is searched
+const parseCriteria = ({
+  category,
+  durationMinutes,
+  from,
+  to,
+  windowStart,
+  windowEnd,
+}) => {
+  const slot = BOOKING_POLICY.SLOT_SIZE_MINUTES;
+  const duration = parseInt(durationMinutes, 10);
+
+  if (!Number.isInteger(duration) || duration < slot || duration % slot) {
+    throw {
+      status: 400,
+      message: `Duration must be a positive multiple of ${slot} minutes.`,
+    };
+  }
+  if (duration >= FULL_DAY_MINUTES) {
+    throw {
+      status: 400,
+      message:
+        "Search covers timed bookings. Book full days from the facility schedule.",
+    };
+  }
+
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw { status: 400, message: "Dates must use YYYY-MM-DD format." };
+  }
+  if (from && to && from > to) {
+    throw {
+      status: 400,
+      message: "The start date must not be after the end date.",
+    };
+  }
+
+  if (
+    (windowStart && !TIME_PATTERN.test(windowStart)) ||
+    (windowEnd && !TIME_PATTERN.test(windowEnd))
+  ) {
+    throw { status: 400, message: "Time windows must use HH:MM format." };
+  }
+  if (windowStart && windowEnd && windowStart >= windowEnd) {
+    throw {
+      status: 400,
+      message: "The time window must start before it ends.",
+    };
+  }
+
+  return {
+    category: category ? String(category).trim() : null,
+    duration,
+    from: from || null,
+    to: to || null,
+    windowStart: windowStart ? toMinutes(windowStart) : 0,
+    windowEnd: windowEnd ? toMinutes(windowEnd) : 24 * 60,
+  };
+};
+
+// Dates to search on the facility's clock; each facility starts from its own today
+const resolveDateKeys = (criteria, timeZone) => {
+  const { addDaysToDateKey, toDateKey } = facilityCalendarService;
+
+  const fromKey = criteria.from || toDateKey(new Date(), timeZone);
+  const toKey =
+    criteria.to ||
+    addDaysToDateKey(fromKey, SLOT_SEARCH_CONFIG.DEFAULT_RANGE_DAYS - 1);
+
+  const dateKeys = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToDateKey(key, 1)) {
+    dateKeys.push(key);
+    if (dateKeys.length > SLOT_SEARCH_CONFIG.MAX_RANGE_DAYS) {
+      throw {
+        status: 400,
+        message: `Search at most ${SLOT_SEARCH_CONFIG.MAX_RANGE_DAYS} days at a time.`,
+      };
+    }
+  }
+  return dateKeys;
+};
+
+/**
+ * Free slots at one facility, one per start time. Mirrors the booking checks:
+ * duration limits, the day's hours, full-day blocks, pooled capacity or a free
+ * operational unit outside maintenance, and the user's own overlaps.
+ */
+const searchFacility = async (facility, criteria, context) => {
+  const { duration } = criteria;
+  if (
+    duration < facility.min_duration_minutes ||
+    duration > facility.max_duration_minutes
+  ) {
+    return [];
+  }
+
+  const { zonedTimeToUtc, addDaysToDateKey, getDayBounds, toLocalTimestamp } =
+    facilityCalendarService;
+  const timeZone = facility.timezone;
+  const dateKeys = resolveDateKeys(criteria, timeZone);
+
+  const rangeStart = zonedTimeToUtc(dateKeys[0], "00:00", timeZone);
+  const rangeEnd = zonedTimeToUtc(
+    addDaysToDateKey(dateKeys[dateKeys.length - 1], 1),
+    "00:00",
+    timeZone,
+  );
+
+  const { rows: bookings } = await pool.query(
+    `SELECT unit_id, booking_type, starts_at, ends_at FROM bookings
+     WHERE facility_id = $1
+     AND status = ANY($2)
+     AND starts_at < $4 AND ends_at > $3`,
+    [facility.id, ACTIVE_BOOKING_STATUSES, rangeStart, rangeEnd],
+  );
+
+  const { rows: units } = facility.is_pooled
+    ? { rows: [] }
+    : await pool.query(
+        `SELECT id, unit_name FROM facility_units
+         WHERE facility_id = $1 AND is_operational AND archived_at IS NULL
+         ORDER BY unit_name ASC`,
+        [facility.id],
+      );
+
+  const { rows: maintenance } = await pool.query(
+    `SELECT unit_id, starts_at, ends_at FROM unit_maintenance
+     WHERE facility_id = $1
+     AND starts_at < $3 AND ends_at > $2`,
+    [facility.id, rangeStart, rangeEnd],
+  );
+
+  // Same advance-booking window as policyService.validateBookingRequest
+  const horizonLimit = facilityCalendarService.addDaysOnClock(
+    context.now,
+    context.horizonDays,
+    timeZone,
+  );
+
+  const slot = BOOKING_POLICY.SLOT_SIZE_MINUTES;
+  const results = [];
+
+  for (const dateKey of dateKeys) {
+    const hours = await facilityCalendarService.getDayHours(
+      pool,
+      facility,
+      dateKey,
+    );
+    if (hours.isClosed) continue;
+
+    const { startOfDay, endOfDay } = getDayBounds(dateKey, timeZone);
+    const isBlockedAllDay = bookings.some(
+      (booking) =>
+        booking.booking_type === "full_day" &&
+        overlaps(booking, startOfDay, endOfDay),
+    );
+    if (isBlockedAllDay) continue;
+
+    const opensAt = Math.max(toMinutes(hours.openTime), criteria.windowStart);
+    const closesAt = Math.min(toMinutes(hours.closeTime), criteria.windowEnd);
+
+    for (
+      let minutes = Math.ceil(opensAt / slot) * slot;
+      minutes + duration <= closesAt;
+      minutes += slot
+    ) {
+      const startsAt = zonedTimeToUtc(dateKey, toTimeKey(minutes), timeZone);
+      const endsAt = zonedTimeToUtc(
+        dateKey,
+        toTimeKey(minutes + duration),
+        timeZone,
+      );
+
+      if (startsAt < context.now) continue;
+      if (startsAt > horizonLimit) break;
+
+      if (context.ownBookings.some((own) => overlaps(own, startsAt, endsAt))) {
+        continue;
+      }
+
+      const overlapping = bookings.filter((booking) =>
+        overlaps(booking, startsAt, endsAt),
+      );
+
+      let availability;
+      if (facility.is_pooled) {
+        const freeSpots = facility.total_capacity - overlapping.length;
+        if (freeSpots <= 0) continue;
+        availability = {
+          unitId: null,
+          unitName: null,
+          free: freeSpots,
+          freeShare: freeSpots / facility.total_capacity,
+        };
+      } else {
+        const freeUnits = units.filter(
+          (unit) =>
+            !overlapping.some((booking) => booking.unit_id === unit.id) &&
+            !maintenance.some(
+              (window) =>
+                window.unit_id === unit.id &&
+                overlaps(window, startsAt, endsAt),
+            ),
+        );
+        if (freeUnits.length === 0) continue;
+        availability = {
+          unitId: freeUnits[0].id,
+          unitName: freeUnits[0].unit_name,
+          free: freeUnits.length,
+          freeShare: freeUnits.length / units.length,
+        };
+      }
+
+      results.push({
+        facilityId: facility.id,
+        facilityName: facility.name,
+        category: facility.category,
+        isPooled: facility.is_pooled,
+        requiresApproval: facility.requires_approval,
+        timezone: timeZone,
+        startsAt,
+        endsAt,
+        localStartsAt: toLocalTimestamp(startsAt, timeZone),
+        localEndsAt: toLocalTimestamp(endsAt, timeZone),
+        ...availability,
+      });
+    }
+  }
+
+  return results;
+};
+
+export const slotSearchService = {
+  /**
+   * Free slots of `durationMinutes` across every facility in the category,
+   * between the `from` and `to` dates and inside the optional HH:MM window
+   * (both read on each facility's clock). Ranked soonest first; at the same
+   * start, the facility with more of its capacity free comes first.
+   */
+  async findFreeSlots(user, query) {
+    const criteria = parseCriteria(query);
+
+    // Event spaces are listed for clubs only, as in assetService.getAllAssets
+    const { rows: facilities } = await pool.query(
+      `SELECT * FROM facilities
+       WHERE archived_at IS NULL
+       AND (category != 'Event Space' OR $2 = 'club')
+       AND ($1::text IS NULL OR category = $1)
+       ORDER BY name ASC`,
+      [criteria.category, user.userType],
+    );
+
+    const horizonDays =
+      (user.userType === USER_TYPES.CLUB
+        ? BOOKING_POLICY.CLUB_BOOKING_HORIZON_DAYS
+        : BOOKING_POLICY.MAX_BOOKING_HORIZON_DAYS) || 7;
+
+    const { rows: ownBookings } = await pool.query(
+      `SELECT starts_at, ends_at FROM bookings
+       WHERE booked_by = $1
+       AND status = ANY($2)
+       AND ends_at > NOW()`,
+      [user.userName, ACTIVE_BOOKING_STATUSES],
+    );
+
+    const context = { now: new Date(), horizonDays, ownBookings };
+    const slots = [];
+    for (const facility of facilities) {
+      slots.push(...(await searchFacility(facility, criteria, context)));
+    }
+
+    slots.sort(
+      (a, b) =>
+        a.startsAt - b.startsAt ||
+        b.freeShare - a.freeShare ||
+        a.facilityName.localeCompare(b.facilityName),
+    );
+
+    return {
+      durationMinutes: criteria.duration,
+      slots: slots
+        .slice(0, SLOT_SEARCH_CONFIG.MAX_RESULTS)
+        .map(({ freeShare, ...result }) => result),
+    };
+  },
+};
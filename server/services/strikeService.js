@@ -0,0 +1,245 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import {
+  ACTIVE_BOOKING_STATUSES,
+  BOOKING_STATUS,
+  STANDING_STATUS,
+  STRIKE_POLICY,
+} from "../config/appConfig.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read on the clock of the facility being booked
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone,
+  });
+
+// Unforgiven strikes inside the rolling window, oldest first
+const getCountedStrikes = async (db, userName) => {
+  const { rows } = await db.query(
+    `SELECT id, reason, issued_at FROM user_strikes
+     WHERE user_name = $1
+     AND forgiven_at IS NULL
+     AND issued_at > NOW() - make_interval(days => $2)
+     ORDER BY issued_at ASC`,
+    [userName, STRIKE_POLICY.ROLLING_WINDOW_DAYS],
+  );
+  return rows;
+};
+
+/**
+ * Derives the penalties in force from the counted strikes. The highest tier
+ * reached applies; a suspension runs from the strike that reached that tier.
+ */
+const computeStanding = (strikes) => {
+  const tier = STRIKE_POLICY.PENALTY_TIERS.filter(
+    (candidate) => strikes.length >= candidate.minStrikes,
+  ).pop();
+
+  if (!tier) {
+    return {
+      status: STANDING_STATUS.GOOD,
+      strikeCount: strikes.length,
+      windowDays: STRIKE_POLICY.ROLLING_WINDOW_DAYS,
+      horizonDays: null,
+      maxUpcomingBookings: null,
+      suspendedUntil: null,
+    };
+  }
+
+  let suspendedUntil = null;
+  if (tier.suspensionDays) {
+    const triggeredAt = new Date(strikes[tier.minStrikes - 1].issued_at);
+    const endsAt = new Date(
+      triggeredAt.getTime() + tier.suspensionDays * DAY_MS,
+    );
+    if (endsAt > new Date()) suspendedUntil = endsAt;
+  }
+
+  return {
+    status: suspendedUntil
+      ? STANDING_STATUS.SUSPENDED
+      : STANDING_STATUS.RESTRICTED,
+    strikeCount: strikes.length,
+    windowDays: STRIKE_POLICY.ROLLING_WINDOW_DAYS,
+    horizonDays: tier.horizonDays || null,
+    maxUpcomingBookings: tier.maxUpcomingBookings || null,
+    suspendedUntil,
+  };
+};
+
+export const strikeService = {
+  /**
+   * Records a strike against the booker. Runs inside the transaction that
+   * released the booking; a booking never earns more than one strike.
+   */
+  async recordStrike(db, booking, reason) {
+    await db.query(
+      `INSERT INTO user_strikes (user_name, booking_id, reason)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (booking_id) DO NOTHING`,
+      [booking.booked_by, booking.id, reason],
+    );
+  },
+
+  // A cancellation is late when the booking was confirmed and starts soon (or already has)
+  isLateCancellation(booking, now = new Date()) {
+    if (booking.status !== BOOKING_STATUS.SCHEDULED) return false;
+
+    const minutesToStart = (new Date(booking.starts_at) - now) / (60 * 1000);
+    return minutesToStart < STRIKE_POLICY.LATE_CANCELLATION_MINUTES;
+  },
+
+  async getStanding(db, userName) {
+    return computeStanding(await getCountedStrikes(db, userName));
+  },
+
+  /**
+   * Rejects a new booking that the user's standing does not allow: any booking
+   * while suspended, one beyond the shortened horizon, or one past the cap on
+   * upcoming bookings. Dates in the messages are shown in `timeZone`. A
+   * reschedule passes its own booking as `excludedId` so it is not counted
+   * against the cap it is moving within.
+   */
+  async assertBookingAllowed(
+    tx,
+    userName,
+    startsAt,
+    timeZone,
+    { excludedId = null } = {},
+  ) {
+    const standing = await this.getStanding(tx, userName);
+    if (standing.status === STANDING_STATUS.GOOD) return;
+
+    const strikeSummary = `${standing.strikeCount} strikes in the last ${standing.windowDays} days`;
+
+    if (standing.suspendedUntil) {
+      throw {
+        status: 403,
+        message: `Your booking privileges are suspended until ${formatDate(standing.suspendedUntil, timeZone)} (${strikeSummary}).`,
+      };
+    }
+
+    if (standing.horizonDays) {
+      const horizonLimit = new Date(Date.now() + standing.horizonDays * DAY_MS);
+      if (new Date(startsAt) > horizonLimit) {
+        throw {
+          status: 403,
+          message: `With ${strikeSummary}, you can book at most ${standing.horizonDays} days ahead.`,
+        };
+      }
+    }
+
+    if (standing.maxUpcomingBookings) {
+      const { rows } = await tx.query(
+        `SELECT COUNT(*) AS upcoming FROM bookings
+         WHERE booked_by = $1
+         AND status = ANY($2)
+         AND ends_at > NOW()
+         AND id IS DISTINCT FROM $3`,
+        [userName, ACTIVE_BOOKING_STATUSES, excludedId],
+      );
+
+      if (parseInt(rows[0].upcoming, 10) >= standing.maxUpcomingBookings) {
+        throw {
+          status: 403,
+          message: `With ${strikeSummary}, you can hold at most ${standing.maxUpcomingBookings} upcoming bookings.`,
+        };
+      }
+    }
+  },
+
+  /**
+   * Standing plus the full strike history, forgiven strikes included, for the
+   * user's own dashboard. The late-cancellation cutoff lets the client warn first.
+   */
+  async getStandingForUser(userName) {
+    const standing = await this.getStanding(pool, userName);
+
+    const { rows } = await pool.query(
+      `SELECT
+         s.id,
+         s.reason,
+         s.issued_at,
+         s.forgiven_at,
+         s.forgive_reason,
+         s.issued_at > NOW() - make_interval(days => $2) AS in_window,
+         b.starts_at,
+         f.name AS facility_name,
+         f.timezone,
+         u.unit_name
+       FROM user_strikes s
+       INNER JOIN bookings b ON s.booking_id = b.id
+       INNER JOIN facilities f ON b.facility_id = f.id
+       LEFT JOIN facility_units u ON b.unit_id = u.id
+       WHERE s.user_name = $1
+       ORDER BY s.issued_at DESC`,
+      [userName, STRIKE_POLICY.ROLLING_WINDOW_DAYS],
+    );
+
+    return {
+      ...standing,
+      lateCancellationMinutes: STRIKE_POLICY.LATE_CANCELLATION_MINUTES,
+      strikes: rows,
+    };
+  },
+
+  // Admin view: strikes still counting against someone, newest first
+  async listActiveStrikes() {
+    const { rows } = await pool.query(
+      `SELECT
+         s.id,
+         s.user_name,
+         s.reason,
+         s.issued_at,
+         b.starts_at,
+         f.name AS facility_name,
+         f.timezone,
+         u.unit_name
+       FROM user_strikes s
+       INNER JOIN bookings b ON s.booking_id = b.id
+       INNER JOIN facilities f ON b.facility_id = f.id
+       LEFT JOIN facility_units u ON b.unit_id = u.id
+       WHERE s.forgiven_at IS NULL
+       AND s.issued_at > NOW() - make_interval(days => $1)
+       ORDER BY s.issued_at DESC`,
+      [STRIKE_POLICY.ROLLING_WINDOW_DAYS],
+    );
+    return rows;
+  },
+
+  async forgiveStrike(strikeId, { forgivenBy, reason }) {
+    if (!reason || !reason.trim()) {
+      throw {
+        status: 400,
+        message: "Give a reason for forgiving the strike.",
+      };
+    }
+
+    return await runInTransaction(async (tx) => {
+      const { rows } = await tx.query(
+        "SELECT * FROM user_strikes WHERE id = $1 FOR UPDATE",
+        [strikeId],
+      );
+
+      const strike = rows[0];
+      if (!strike) throw { status: 404, message: "Strike not found." };
+
+      if (strike.forgiven_at) {
+        throw { status: 409, message: "This strike was already forgiven." };
+      }
+
+      const update = await tx.query(
+        `UPDATE user_strikes
+         SET forgiven_at = NOW(), forgiven_by = $1, forgive_reason = $2
+         WHERE id = $3
+         RETURNING *`,
+        [forgivenBy, reason.trim(), strikeId],
+      );
+      return update.rows[0];
+    });
+  },
+};
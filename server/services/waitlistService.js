@@ -0,0 +1,156 @@
+import { pool, runInTransaction } from "../db/connection.js";
+import { WAITLIST_STATUS } from "../config/appConfig.js";
+import { bookingService } from "./bookingService.js";
+import { policyService } from "./policyService.js";
+
+export const waitlistService = {
+  /**
+   * Queues the user for a slot that is currently taken.
+   * The request must pass every booking rule except the occupancy check itself.
+   */
+  async joinWaitlist(entryDetails) {
+    const { facilityId, unitId, userName, userType, clubName } = entryDetails;
+
+    return await runInTransaction(async (tx) => {
+      const facilityQuery = await tx.query(
+        "SELECT * FROM facilities WHERE id = $1 FOR UPDATE",
+        [facilityId],
+      );
+
+      const facility = facilityQuery.rows[0];
+      if (!facility)
+        throw { status: 404, message: "Target facility not found." };
+
+      const snappedStart = policyService.snapToSlot(
+        entryDetails.startsAt,
+        facility.timezone,
+      );
+      const snappedEnd = policyService.snapToSlot(
+        entryDetails.endsAt,
+        facility.timezone,
+      );
+
+      const isTaken = await bookingService.isSlotTaken(tx, facility, {
+        unitId,
+        userName,
+        userType,
+        clubName,
+        startsAt: snappedStart,
+        endsAt: snappedEnd,
+      });
+
+      if (!isTaken) {
+        throw {
+          status: 400,
+          message: "This slot is still available. Book it directly instead.",
+        };
+      }
+
+      try {
+        const insertion = await tx.query(
+          `INSERT INTO waitlist_entries
+           (facility_id, unit_id, user_name, user_type, club_name, starts_at, ends_at, status)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [
+            facilityId,
+            facility.is_pooled ? null : unitId,
+            userName,
+            userType,
+            clubName || null,
+            snappedStart,
+            snappedEnd,
+            WAITLIST_STATUS.WAITING,
+          ],
+        );
+
+        const position = await tx.query(
+          `SELECT COUNT(*) AS ahead FROM waitlist_entries
+           WHERE facility_id = $1
+           AND unit_id IS NOT DISTINCT FROM $2
+           AND status = $3
+           AND starts_at < $5 AND ends_at > $4
+           AND created_at < $6`,
+          [
+            facilityId,
+            insertion.rows[0].unit_id,
+            WAITLIST_STATUS.WAITING,
+            snappedStart,
+            snappedEnd,
+            insertion.rows[0].created_at,
+          ],
+        );
+
+        return {
+          ...insertion.rows[0],
+          position: parseInt(position.rows[0].ahead, 10) + 1,
+        };
+      } catch (err) {
+        if (err.code === "23505") {
+          throw {
+            status: 409,
+            message: "You are already on the waitlist for this slot.",
+          };
+        }
+        throw err;
+      }
+    });
+  },
+
+  async getWaitlistByUser(userName) {
+    const query = `
+      SELECT
+        w.id,
+        w.status,
+        w.starts_at,
+        w.ends_at,
+        w.user_type,
+        w.club_name,
+        f.name as facility_name,
+        f.timezone,
+        f.category,
+        u.unit_name
+      FROM waitlist_entries w
+      INNER JOIN facilities f ON w.facility_id = f.id
+      LEFT JOIN facility_units u ON w.unit_id = u.id
+      WHERE w.user_name = $1
+      AND w.status = $2
+      AND w.starts_at > NOW()
+      ORDER BY w.starts_at ASC;
+    `;
+
+    const { rows } = await pool.query(query, [
+      userName,
+      WAITLIST_STATUS.WAITING,
+    ]);
+    return rows;
+  },
+
+  async leaveWaitlist({ entryId, userName }) {
+    const { rows } = await pool.query(
+      `UPDATE waitlist_entries SET status = $1
+       WHERE id = $2 AND user_name = $3 AND status = $4
+       RETURNING *`,
+      [WAITLIST_STATUS.CANCELLED, entryId, userName, WAITLIST_STATUS.WAITING],
+    );
+
+    if (rows.length === 0) {
+      throw {
+        status: 404,
+        message: "No active waitlist entry found for this request.",
+      };
+    }
+
+    return rows[0];
+  },
+
+  // Expires waiting entries whose slot has already started
+  async expireStaleEntries() {
+    const { rowCount } = await pool.query(
+      `UPDATE waitlist_entries SET status = $1
+       WHERE status = $2 AND starts_at <= NOW()`,
+      [WAITLIST_STATUS.EXPIRED, WAITLIST_STATUS.WAITING],
+    );
+    return rowCount;
+  },
+};
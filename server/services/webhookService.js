@@ -0,0 +1,636 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { pool, runInTransaction } from "../db/connection.js";
+import {
+  CLUB_OFFICER_ROLES,
+  USER_ROLES,
+  USER_TYPES,
+  WEBHOOK_CONFIG,
+  WEBHOOK_DELIVERY_STATUS,
+  WEBHOOK_EVENT,
+} from "../config/appConfig.js";
+import { clubService } from "./clubService.js";
+
+const ALL_EVENT_TYPES = Object.values(WEBHOOK_EVENT);
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+// Receivers recompute this over "<t>.<raw body>" with their copy of the secret
+const sign = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+// The secret is only ever shown when it is created or rotated
+const toPublicEndpoint = ({ secret, ...endpoint }) => endpoint;
+
+// Loopback, private, link-local and other non-routable ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(prefix, bits, "ipv6");
+}
+
+// BlockList also matches IPv4-mapped IPv6 (::ffff:10.0.0.1) against the IPv4 ranges
+const isPrivateAddress = (address) =>
+  PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Local receivers are for development only; everywhere else they are refused
+const allowsPrivateTargets = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const privateTargetError = (hostname) =>
+  Object.assign(
+    new Error(`${hostname} resolves to a private or local address.`),
+    { code: "EPRIVATETARGET" },
+  );
+
+/**
+ * dns.lookup for outgoing deliveries that refuses private addresses. The check
+ * runs on the address the socket actually connects to, so a hostname repointed
+ * after registration can't reach the campus network either.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (
+      !allowsPrivateTargets() &&
+      addresses.some(({ address }) => isPrivateAddress(address))
+    ) {
+      return callback(privateTargetError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// URL.hostname keeps the brackets around IPv6 literals
+const bareHostname = (parsed) => parsed.hostname.replace(/^\[|\]$/g, "");
+
+const parseUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || "").trim());
+  } catch {
+    throw { status: 400, message: "Enter the full URL of the endpoint." };
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw { status: 400, message: "Webhook URLs must use http or https." };
+  }
+
+  if (!allowsPrivateTargets()) {
+    const hostname = bareHostname(parsed);
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw { status: 400, message: `Could not resolve ${hostname}.` };
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw {
+        status: 400,
+        message:
+          "Webhook URLs must point to a public address, not a private or local network.",
+      };
+    }
+  }
+  return parsed.toString();
+};
+
+const parseEventTypes = (eventTypes) => {
+  if (eventTypes === undefined) return ALL_EVENT_TYPES;
+
+  if (
+    !Array.isArray(eventTypes) ||
+    eventTypes.length === 0 ||
+    eventTypes.some((type) => !ALL_EVENT_TYPES.includes(type))
+  ) {
+    throw {
+      status: 400,
+      message: `eventTypes must list one or more of: ${ALL_EVENT_TYPES.join(", ")}.`,
+    };
+  }
+  return [...new Set(eventTypes)];
+};
+
+/**
+ * Admins manage every endpoint; club officers manage their own club's. Only
+ * admins manage global endpoints, which receive every booking on campus.
+ */
+const assertCanManage = async (db, club, actor) => {
+  if (actor.role === USER_ROLES.ADMIN) return;
+
+  if (!club) {
+    throw {
+      status: 403,
+      message: "Only admins can manage campus-wide webhooks.",
+    };
+  }
+  if (!(await clubService.isOfficer(db, club.name, actor.userName))) {
+    throw {
+      status: 403,
+      message: `Only officers of ${club.name} can manage its webhooks.`,
+    };
+  }
+};
+
+// Endpoints the actor cannot manage read as missing rather than forbidden
+const loadEndpoint = async (db, endpointId, actor) => {
+  const { rows } = await db.query(
+    `SELECT e.*, c.name AS club_name
+     FROM webhook_endpoints e
+     LEFT JOIN clubs c ON e.club_id = c.id
+     WHERE e.id = $1`,
+    [endpointId],
+  );
+  const endpoint = rows[0];
+  if (!endpoint) throw { status: 404, message: "Webhook not found." };
+
+  try {
+    await assertCanManage(
+      db,
+      endpoint.club_id ? { name: endpoint.club_name } : null,
+      actor,
+    );
+  } catch {
+    throw { status: 404, message: "Webhook not found." };
+  }
+  return endpoint;
+};
+
+const retryDelaySeconds = (attempts) =>
+  Math.min(
+    WEBHOOK_CONFIG.RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    WEBHOOK_CONFIG.RETRY_MAX_SECONDS,
+  );
+
+/**
+ * POSTs `body` and resolves with the status code. Redirects are not followed,
+ * and the response body is discarded so nothing from the receiver is echoed
+ * back through the delivery log.
+ */
+const postToEndpoint = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = bareHostname(target);
+
+    // Literal IPs never go through the lookup, so check them here
+    if (
+      net.isIP(hostname) &&
+      !allowsPrivateTargets() &&
+      isPrivateAddress(hostname)
+    ) {
+      reject(privateTargetError(hostname));
+      return;
+    }
+
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicOnlyLookup,
+        timeout: WEBHOOK_CONFIG.REQUEST_TIMEOUT_MS,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      },
+    );
+
+    request.on("timeout", () =>
+      request.destroy(
+        Object.assign(new Error("Request timed out."), {
+          name: "TimeoutError",
+        }),
+      ),
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * POSTs one claimed delivery and logs the attempt. A 2xx answer delivers it;
+ * anything else, including a redirect or a timeout, is retried with
+ * exponential backoff until MAX_ATTEMPTS.
+ */
+const attemptDelivery = async (delivery, endpoint) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    responseStatus = await postToEndpoint(
+      endpoint.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "CampusSpot-Webhooks/1.0",
+        "X-CampusSpot-Event": delivery.event_type,
+        "X-CampusSpot-Delivery": String(delivery.id),
+        "X-CampusSpot-Signature": `t=${timestamp},v1=${sign(endpoint.secret, timestamp, body)}`,
+      },
+      body,
+    );
+
+    if (responseStatus < 200 || responseStatus >= 300) {
+      error = `HTTP ${responseStatus}`;
+    }
+  } catch (err) {
+    error =
+      err.name === "TimeoutError"
+        ? `No response within ${WEBHOOK_CONFIG.REQUEST_TIMEOUT_MS / 1000} seconds.`
+        : err.message;
+  }
+
+  const durationMs = Date.now() - startedAt;
+
+  const isLogged = await runInTransaction(async (tx) => {
+    // Deleting the endpoint mid-send removes the delivery; there is nothing left to log
+    const { rows: current } = await tx.query(
+      "SELECT id FROM webhook_deliveries WHERE id = $1 FOR UPDATE",
+      [delivery.id],
+    );
+    if (current.length === 0) return false;
+
+    await tx.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [delivery.id, delivery.attempts, responseStatus, error, durationMs],
+    );
+
+    if (!error) {
+      await tx.query(
+        `UPDATE webhook_deliveries
+         SET status = $1, last_response_status = $2, last_error = NULL, delivered_at = NOW()
+         WHERE id = $3`,
+        [WEBHOOK_DELIVERY_STATUS.DELIVERED, responseStatus, delivery.id],
+      );
+      return true;
+    }
+
+    const givesUp = delivery.attempts >= WEBHOOK_CONFIG.MAX_ATTEMPTS;
+    await tx.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, last_response_status = $2, last_error = $3,
+           next_attempt_at = NOW() + make_interval(secs => $4)
+       WHERE id = $5`,
+      [
+        givesUp
+          ? WEBHOOK_DELIVERY_STATUS.FAILED
+          : WEBHOOK_DELIVERY_STATUS.PENDING,
+        responseStatus,
+        error,
+        retryDelaySeconds(delivery.attempts),
+        delivery.id,
+      ],
+    );
+    return true;
+  });
+
+  if (isLogged && error) {
+    console.error(`Webhook delivery ${delivery.id} failed:`, error);
+  }
+};
+
+export const webhookService = {
+  /**
+   * Queues `type` for every active endpoint subscribed to it: global endpoints
+   * always, a club's endpoints when the booking was made for that club. Called
+   * from bookingEventService.record, inside the transaction that changed the
+   * booking, so the outbox rows commit or roll back with the change.
+   */
+  async enqueueBookingEvent(
+    db,
+    booking,
+    { type, actor = null, previousStatus = null, reason = null },
+  ) {
+    const isClubBooking = booking.user_type === USER_TYPES.CLUB;
+
+    const { rows: endpoints } = await db.query(
+      `SELECT e.id FROM webhook_endpoints e
+       LEFT JOIN clubs c ON e.club_id = c.id
+       WHERE e.is_active
+       AND $1 = ANY(e.event_types)
+       AND (e.club_id IS NULL OR ($2 AND c.name = $3))`,
+      [type, isClubBooking, booking.club_name],
+    );
+    if (endpoints.length === 0) return;
+
+    const { rows } = await db.query(
+      `SELECT f.name AS facility_name, f.timezone, u.unit_name
+       FROM facilities f
+       LEFT JOIN facility_units u ON u.id = $2
+       WHERE f.id = $1`,
+      [booking.facility_id, booking.unit_id],
+    );
+    const place = rows[0] || {};
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type,
+      createdAt: new Date().toISOString(),
+      data: {
+        booking: {
+          id: booking.id,
+          facilityId: booking.facility_id,
+          facilityName: place.facility_name,
+          unitId: booking.unit_id,
+          unitName: place.unit_name || null,
+          timezone: place.timezone,
+          bookedBy: booking.booked_by,
+          userType: booking.user_type,
+          clubName: isClubBooking ? booking.club_name : null,
+          bookingType: booking.booking_type,
+          status: booking.status,
+          previousStatus,
+          startsAt: new Date(booking.starts_at).toISOString(),
+          endsAt: new Date(booking.ends_at).toISOString(),
+        },
+        actor,
+        reason,
+      },
+    };
+
+    await db.query(
+      `INSERT INTO webhook_deliveries (endpoint_id, booking_id, event_id, event_type, payload)
+       SELECT unnest($1::int[]), $2, $3, $4, $5`,
+      [
+        endpoints.map((endpoint) => endpoint.id),
+        booking.id,
+        eventId,
+        type,
+        payload,
+      ],
+    );
+  },
+
+  /**
+   * Sends every due delivery to an active endpoint. Rows are claimed with SKIP
+   * LOCKED so parallel dispatchers never send the same one; a claim left by a
+   * crashed dispatcher is picked up again after CLAIM_TIMEOUT_MINUTES.
+   */
+  async dispatchDueDeliveries() {
+    const { rows: claimed } = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, claimed_at = NOW(), attempts = attempts + 1
+       WHERE id IN (
+         SELECT d.id FROM webhook_deliveries d
+         INNER JOIN webhook_endpoints e ON d.endpoint_id = e.id
+         WHERE e.is_active
+         AND ((d.status = $2 AND d.next_attempt_at <= NOW())
+           OR (d.status = $1 AND d.claimed_at < NOW() - INTERVAL '${WEBHOOK_CONFIG.CLAIM_TIMEOUT_MINUTES} minutes'))
+         ORDER BY d.next_attempt_at ASC
+         LIMIT $3
+         FOR UPDATE OF d SKIP LOCKED
+       )
+       RETURNING *`,
+      [
+        WEBHOOK_DELIVERY_STATUS.SENDING,
+        WEBHOOK_DELIVERY_STATUS.PENDING,
+        WEBHOOK_CONFIG.DISPATCH_BATCH_SIZE,
+      ],
+    );
+    if (claimed.length === 0) return 0;
+
+    const { rows: endpoints } = await pool.query(
+      "SELECT id, url, secret FROM webhook_endpoints WHERE id = ANY($1)",
+      [[...new Set(claimed.map((delivery) => delivery.endpoint_id))]],
+    );
+    const endpointsById = new Map(
+      endpoints.map((endpoint) => [endpoint.id, endpoint]),
+    );
+
+    // An endpoint deleted since the claim took its deliveries with it
+    const sendable = claimed.filter((delivery) =>
+      endpointsById.has(delivery.endpoint_id),
+    );
+
+    // Endpoints are independent, so one slow or failing receiver doesn't hold up the rest
+    const results = await Promise.allSettled(
+      sendable.map((delivery) =>
+        attemptDelivery(delivery, endpointsById.get(delivery.endpoint_id)),
+      ),
+    );
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        console.error(
+          `Webhook delivery ${sendable[index].id} could not be logged:`,
+          result.reason,
+        );
+      }
+    });
+    return sendable.length;
+  },
+
+  /**
+   * Endpoints the actor manages, with queued and failed delivery counts.
+   * Admins see every endpoint; officers see their clubs'. `clubId` narrows
+   * the list to one club.
+   */
+  async listEndpoints(actor, { clubId } = {}) {
+    const { rows } = await pool.query(
+      `SELECT
+         e.id, e.club_id, c.name AS club_name, e.url, e.description, e.event_types,
+         e.is_active, e.created_by, e.created_at, e.updated_at,
+         COUNT(d.id) FILTER (WHERE d.status IN ($4, $5))::int AS queued_count,
+         COUNT(d.id) FILTER (WHERE d.status = $6)::int AS failed_count,
+         MAX(d.delivered_at) AS last_delivered_at
+       FROM webhook_endpoints e
+       LEFT JOIN clubs c ON e.club_id = c.id
+       LEFT JOIN webhook_deliveries d ON d.endpoint_id = e.id
+       WHERE ($1 OR e.club_id IN (
+         SELECT club_id FROM club_members WHERE user_name = $2 AND role = ANY($3)
+       ))
+       AND ($7::int IS NULL OR e.club_id = $7)
+       GROUP BY e.id, c.name
+       ORDER BY c.name ASC NULLS FIRST, e.created_at ASC`,
+      [
+        actor.role === USER_ROLES.ADMIN,
+        actor.userName,
+        CLUB_OFFICER_ROLES,
+        WEBHOOK_DELIVERY_STATUS.PENDING,
+        WEBHOOK_DELIVERY_STATUS.SENDING,
+        WEBHOOK_DELIVERY_STATUS.FAILED,
+        clubId ? parseInt(clubId, 10) : null,
+      ],
+    );
+    return rows;
+  },
+
+  /**
+   * Registers an endpoint for a club (`clubId`) or, for admins, the whole
+   * campus. Subscribes to every event type unless `eventTypes` narrows it.
+   * The response is the only time the signing secret is returned.
+   */
+  async createEndpoint(actor, { url, clubId, eventTypes, description }) {
+    let club = null;
+    if (clubId) {
+      const { rows } = await pool.query("SELECT * FROM clubs WHERE id = $1", [
+        clubId,
+      ]);
+      club = rows[0];
+      if (!club) throw { status: 404, message: "Club not found." };
+    }
+
+    await assertCanManage(pool, club, actor);
+
+    const { rows } = await pool.query(
+      `INSERT INTO webhook_endpoints (club_id, url, description, secret, event_types, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        club?.id || null,
+        await parseUrl(url),
+        description?.trim() || null,
+        newSecret(),
+        parseEventTypes(eventTypes),
+        actor.userName,
+      ],
+    );
+
+    return { ...rows[0], club_name: club?.name || null };
+  },
+
+  // Changes the URL, description or subscribed events, or pauses and resumes delivery
+  async updateEndpoint(
+    actor,
+    endpointId,
+    { url, description, eventTypes, isActive },
+  ) {
+    await loadEndpoint(pool, endpointId, actor);
+
+    const { rows } = await pool.query(
+      `UPDATE webhook_endpoints
+       SET url = COALESCE($1, url),
+           description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+           event_types = COALESCE($4, event_types),
+           is_active = COALESCE($5, is_active),
+           updated_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [
+        url === undefined ? null : await parseUrl(url),
+        description !== undefined,
+        description?.trim() || null,
+        eventTypes === undefined ? null : parseEventTypes(eventTypes),
+        typeof isActive === "boolean" ? isActive : null,
+        endpointId,
+      ],
+    );
+
+    return toPublicEndpoint(rows[0]);
+  },
+
+  // Removes the endpoint together with its queued deliveries and log
+  async deleteEndpoint(actor, endpointId) {
+    await loadEndpoint(pool, endpointId, actor);
+    await pool.query("DELETE FROM webhook_endpoints WHERE id = $1", [
+      endpointId,
+    ]);
+  },
+
+  // Issues a new signing secret; queued deliveries are signed with it from now on
+  async rotateSecret(actor, endpointId) {
+    await loadEndpoint(pool, endpointId, actor);
+
+    const { rows } = await pool.query(
+      `UPDATE webhook_endpoints SET secret = $1, updated_at = NOW()
+       WHERE id = $2
+       RETURNING id, secret`,
+      [newSecret(), endpointId],
+    );
+    return rows[0];
+  },
+
+  // The endpoint's most recent deliveries, newest first, each with its attempts
+  async listDeliveries(actor, endpointId) {
+    await loadEndpoint(pool, endpointId, actor);
+
+    const { rows } = await pool.query(
+      `SELECT
+         d.id, d.event_id, d.event_type, d.booking_id, d.payload, d.status, d.attempts,
+         d.next_attempt_at, d.last_response_status, d.last_error, d.delivered_at, d.created_at,
+         COALESCE(
+           (SELECT json_agg(json_build_object(
+              'attempt', a.attempt,
+              'response_status', a.response_status,
+              'error', a.error,
+              'duration_ms', a.duration_ms,
+              'attempted_at', a.attempted_at
+            ) ORDER BY a.attempt)
+            FROM webhook_delivery_attempts a
+            WHERE a.delivery_id = d.id),
+           '[]'
+         ) AS attempt_log
+       FROM webhook_deliveries d
+       WHERE d.endpoint_id = $1
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT $2`,
+      [endpointId, WEBHOOK_CONFIG.DELIVERY_LOG_LIMIT],
+    );
+    return rows;
+  },
+
+  /**
+   * Queues a failed delivery for one more attempt on the next dispatch cycle.
+   * It keeps its attempt count, so another failure marks it failed again.
+   */
+  async retryDelivery(actor, deliveryId) {
+    const { rows } = await pool.query(
+      "SELECT * FROM webhook_deliveries WHERE id = $1",
+      [deliveryId],
+    );
+    const delivery = rows[0];
+    if (!delivery) throw { status: 404, message: "Delivery not found." };
+
+    try {
+      await loadEndpoint(pool, delivery.endpoint_id, actor);
+    } catch {
+      throw { status: 404, message: "Delivery not found." };
+    }
+
+    const { rows: updated } = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $1, next_attempt_at = NOW()
+       WHERE id = $2 AND status = $3
+       RETURNING id, status, next_attempt_at`,
+      [
+        WEBHOOK_DELIVERY_STATUS.PENDING,
+        deliveryId,
+        WEBHOOK_DELIVERY_STATUS.FAILED,
+      ],
+    );
+    if (!updated[0]) {
+      throw { status: 409, message: "Only failed deliveries can be retried." };
+    }
+    return updated[0];
+  },
+};
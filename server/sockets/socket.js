@@ -1,20 +1,191 @@
+import { authService } from "../services/authService.js";
+import { assetService } from "../services/assetService.js";
+import { LIVE_EVENTS } from "../config/appConfig.js";
+
 let ioInstance = null;
 
+const facilityRoom = (facilityId) => `facility:${facilityId}`;
+const userRoom = (userName) => `user:${userName}`;
+
+const joinFacilityRooms = (socket, facilityIds) => {
+  for (const room of socket.rooms) {
+    if (room.startsWith("facility:")) socket.leave(room);
+  }
+  for (const facilityId of facilityIds) {
+    socket.join(facilityRoom(facilityId));
+  }
+};
+
+// Only what every viewer of the facility may see
+const toPublicBooking = (booking) => ({
+  id: booking.id,
+  facility_id: booking.facility_id,
+  unit_id: booking.unit_id,
+  booking_type: booking.booking_type,
+  status: booking.status,
+  starts_at: booking.starts_at,
+  ends_at: booking.ends_at,
+});
+
 export const initializeSocket = (io) => {
   ioInstance = io;
 
+  // Sockets authenticate with the same session token as the REST API
+  io.use(async (socket, next) => {
+    try {
+      const payload = authService.verifyToken(socket.handshake.auth?.token);
+      const user = payload ? await authService.getUserById(payload.sub) : null;
+
+      if (!user) return next(new Error("Authentication required."));
+
+      socket.data.user = user;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  });
+
   io.on("connection", (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
+    socket.join(userRoom(socket.data.user.userName));
+
+    // Clients follow the facilities they are showing; replaces any earlier subscription
+    socket.on("facilities:subscribe", (facilityIds) => {
+      if (!Array.isArray(facilityIds)) return;
+      joinFacilityRooms(socket, facilityIds);
+    });
+
+    /**
+     * Catch-up after a reconnect or a missed event. The client sends the
+     * live_version it holds per facility; the reply holds only the facilities
+     * that changed or appeared since, plus the ids that went away. Also
+     * subscribes the socket to every facility the user can see.
+     */
+    socket.on("facilities:sync", async (knownVersions, ack) => {
+      if (typeof ack !== "function") return;
+
+      try {
+        const { userName, userType } = socket.data.user;
+        const known = knownVersions || {};
+        const facilities = await assetService.getAllAssets(userName, userType);
+
+        joinFacilityRooms(
+          socket,
+          facilities.map((facility) => facility.id),
+        );
+
+        const visibleIds = new Set(facilities.map((facility) => facility.id));
+        return ack({
+          facilities: facilities.filter(
+            (facility) => known[facility.id] !== facility.live_version,
+          ),
+          removed: Object.keys(known)
+            .map(Number)
+            .filter((facilityId) => !visibleIds.has(facilityId)),
+        });
+      } catch (err) {
+        console.error("Live Sync Error:", err);
+        return ack({ error: "Could not resync live data." });
+      }
+    });
+
     socket.on("disconnect", () => {
       console.log(`Client disconnected: ${socket.id}`);
     });
   });
 };
 
-export const broadcastAssetsUpdate = () => {
-  if (ioInstance) {
-    // Notify all clients to refresh asset data
-    ioInstance.emit("assets:updated");
+/**
+ * Sends a booking change to the facility's room with the facility's new public
+ * state, and to the booker's room with their personal view of it (including
+ * my_active_booking). Never throws: live updates are best effort.
+ */
+export const publishBookingEvent = async (type, booking) => {
+  if (!ioInstance || !booking) return;
+
+  try {
+    const facilityId = booking.facility_id;
+    // Stamped by bookingEventService.record inside the change's transaction
+    const version =
+      booking.facility_live_version ??
+      (await assetService.bumpLiveVersion(facilityId));
+
+    const base = { type, facilityId, version };
+
+    ioInstance
+      .to(facilityRoom(facilityId))
+      .except(userRoom(booking.booked_by))
+      .emit(type, {
+        ...base,
+        facility: await assetService.getFacilitySnapshot(facilityId),
+        booking: toPublicBooking(booking),
+      });
+
+    const [facility] = await assetService.getAllAssets(
+      booking.booked_by,
+      booking.user_type,
+      facilityId,
+    );
+
+    ioInstance.to(userRoom(booking.booked_by)).emit(type, {
+      ...base,
+      facility: facility || null,
+      booking,
+      personal: true,
+    });
+  } catch (err) {
+    console.error("Live Event Error:", err);
+  }
+};
+
+// In-app notification for one user, on every device they have connected
+export const publishNotification = (userName, notification) => {
+  if (!ioInstance) return;
+  ioInstance.to(userRoom(userName)).emit("notification", notification);
+};
+
+export const publishBookingEvents = async (type, bookings) => {
+  for (const booking of bookings) {
+    await publishBookingEvent(type, booking);
+  }
+};
+
+// A change that freed time, then the waitlist bookings it was handed to
+export const publishWithPromotions = async (type, bookings, promoted) => {
+  await publishBookingEvents(type, bookings);
+  await publishBookingEvents(LIVE_EVENTS.BOOKING_CREATED, promoted);
+};
+
+/**
+ * Sends a facility-level change (unit status, settings, sessions starting) with
+ * the facility's new public state. Pass the `version` the change committed;
+ * without one (nothing was written, e.g. sessions starting) a new one is taken.
+ * Settings changes go to every client, since a new or archived facility
+ * changes which rooms clients should be in.
+ */
+export const publishFacilityEvent = async (
+  type,
+  facilityId,
+  { version, ...details } = {},
+) => {
+  if (!ioInstance) return;
+
+  try {
+    const payload = {
+      type,
+      facilityId: Number(facilityId),
+      version: version ?? (await assetService.bumpLiveVersion(facilityId)),
+      facility: await assetService.getFacilitySnapshot(facilityId),
+      ...details,
+    };
+
+    if (type === LIVE_EVENTS.FACILITY_UPDATED) {
+      ioInstance.emit(type, payload);
+    } else {
+      ioInstance.to(facilityRoom(facilityId)).emit(type, payload);
+    }
+  } catch (err) {
+    console.error("Live Event Error:", err);
   }
 };
@@ -0,0 +1,170 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import {
+  LIBRARY,
+  BASKETBALL,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { adminService } from "../services/adminService.js";
+
+const SQUASH = {
+  name: "Squash Courts",
+  category: "Sports",
+  minDurationMinutes: 30,
+  maxDurationMinutes: 90,
+  openTime: "07:00",
+  closeTime: "22:00",
+  timezone: "Asia/Kolkata",
+  unitNames: ["Court 1", " Court 2 ", ""],
+};
+
+describe("facility and unit administration", { skip: requiresDatabase }, () => {
+  let asha;
+  let ben;
+
+  before(async () => {
+    await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+  });
+  after(closeDatabase);
+
+  let squash;
+
+  it("creates a unit-based facility with its units and their capacity", async () => {
+    squash = await adminService.createFacility(SQUASH);
+
+    assert.equal(squash.total_capacity, 2);
+    assert.equal(squash.open_time, "07:00:00");
+
+    const listed = (await adminService.listFacilities()).find(
+      (facility) => facility.id === squash.id,
+    );
+    assert.deepEqual(
+      listed.units.map((unit) => unit.unit_name),
+      ["Court 1", "Court 2"],
+    );
+  });
+
+  it("rejects facility settings that cannot be booked", async () => {
+    const invalid = [
+      [{ name: " " }, "Facility name and category are required."],
+      [
+        { minDurationMinutes: 45 },
+        "Durations must be positive multiples of 30 minutes.",
+      ],
+      [
+        { minDurationMinutes: 120 },
+        "Minimum duration cannot exceed the maximum duration.",
+      ],
+      [{ openTime: "7am" }, "Operating hours must use HH:MM format."],
+      [
+        { openTime: "22:00", closeTime: "07:00" },
+        "Opening time must be before closing time.",
+      ],
+      [{ timezone: "Mars/Olympus" }, "Unknown timezone: Mars/Olympus."],
+      [
+        { isPooled: true, totalCapacity: 0 },
+        "A pooled facility needs a capacity of at least 1.",
+      ],
+    ];
+
+    for (const [change, message] of invalid) {
+      await assert.rejects(
+        adminService.createFacility({ ...SQUASH, ...change }),
+        { status: 400, message },
+      );
+    }
+  });
+
+  it("refuses to shrink a pooled facility below its overlapping bookings", async () => {
+    await book(asha, LIBRARY, 1, "10:00", "12:00");
+    await book(ben, LIBRARY, 1, "11:00", "13:00");
+
+    await assert.rejects(
+      adminService.updateFacility(LIBRARY.facilityId, { totalCapacity: 1 }),
+      (err) => {
+        assert.equal(err.status, 409);
+        assert.deepEqual(err.conflictDetails, { peakConcurrentBookings: 2 });
+        return true;
+      },
+    );
+
+    const updated = await adminService.updateFacility(LIBRARY.facilityId, {
+      totalCapacity: 2,
+    });
+    assert.equal(updated.total_capacity, 2);
+  });
+
+  it("refuses to switch a facility with upcoming bookings to units", async () => {
+    await assert.rejects(
+      adminService.updateFacility(LIBRARY.facilityId, { isPooled: false }),
+      { status: 409 },
+    );
+  });
+
+  it("refuses to add units to a pooled facility", async () => {
+    await assert.rejects(
+      adminService.createUnit(LIBRARY.facilityId, { unitName: "Carrel 1" }),
+      { status: 400 },
+    );
+  });
+
+  it("keeps a unit with upcoming bookings in service", async () => {
+    await book(asha, BASKETBALL, 2, "10:00", "11:00");
+
+    await assert.rejects(
+      adminService.updateUnit(BASKETBALL.unitId, { isOperational: false }),
+      { status: 409 },
+    );
+    await assert.rejects(adminService.archiveUnit(BASKETBALL.unitId), {
+      status: 409,
+    });
+
+    const renamed = await adminService.updateUnit(BASKETBALL.unitId, {
+      unitName: "Court A (Indoor)",
+    });
+    assert.equal(renamed.unit_name, "Court A (Indoor)");
+    assert.equal(renamed.is_operational, true);
+  });
+
+  it("archives an unused unit and recounts the facility's capacity", async () => {
+    const [courtOne] = (await adminService.listFacilities()).find(
+      (facility) => facility.id === squash.id,
+    ).units;
+
+    await adminService.archiveUnit(courtOne.id);
+
+    const listed = (await adminService.listFacilities()).find(
+      (facility) => facility.id === squash.id,
+    );
+    assert.equal(listed.total_capacity, 1);
+    assert.deepEqual(
+      listed.units.map((unit) => unit.unit_name),
+      ["Court 2"],
+    );
+  });
+
+  it("archives a facility only once nothing upcoming depends on it", async () => {
+    await assert.rejects(adminService.archiveFacility(LIBRARY.facilityId), {
+      status: 409,
+    });
+
+    await adminService.archiveFacility(squash.id);
+    const facilities = await adminService.listFacilities();
+    assert.ok(!facilities.some((facility) => facility.id === squash.id));
+  });
+
+  it("answers an unknown facility or unit with 404", async () => {
+    await assert.rejects(adminService.updateFacility(999999, {}), {
+      status: 404,
+    });
+    await assert.rejects(adminService.archiveUnit(999999), { status: 404 });
+  });
+});
@@ -0,0 +1,183 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { analyticsService } from "../services/analyticsService.js";
+import { bookingService } from "../services/bookingService.js";
+import { facilityCalendarService } from "../services/facilityCalendarService.js";
+import { strikeService } from "../services/strikeService.js";
+
+const COURT_B = { ...BASKETBALL, unitId: 2 };
+const COURT_C = { ...BASKETBALL, unitId: 3 };
+
+// Tomorrow on the campus clock, which the courts open 10:00-18:00
+const REPORT_DAY = campusDateKey(1);
+const REPORT_RANGE = { from: REPORT_DAY, to: REPORT_DAY };
+
+describe("utilization reports", { skip: requiresDatabase }, () => {
+  let pool;
+
+  before(async () => {
+    pool = await resetDatabase();
+    const asha = await addIndividual("asha");
+    const ben = await addIndividual("ben");
+    const cara = await addIndividual("cara");
+    const vik = await addClubMember("vik", "Roobooru");
+
+    await facilityCalendarService.addClosure({
+      facilityId: BASKETBALL.facilityId,
+      startsOn: REPORT_DAY,
+      openTime: "10:00",
+      closeTime: "18:00",
+      reason: "Inter-college tournament",
+      createdBy: "asha",
+    });
+
+    // Asha plays two hours, Ben never turns up, Cara cancels and Roobooru plays an hour
+    const played = await book(asha, BASKETBALL, 1, "10:00", "12:00");
+    await pool.query("UPDATE bookings SET status = 'completed' WHERE id = $1", [
+      played.id,
+    ]);
+
+    const missed = await book(ben, COURT_B, 1, "10:00", "11:00");
+    const { rows } = await pool.query(
+      "UPDATE bookings SET status = 'released' WHERE id = $1 RETURNING *",
+      [missed.id],
+    );
+    await strikeService.recordStrike(pool, rows[0], "no_show");
+
+    const dropped = await book(cara, BASKETBALL, 1, "14:00", "15:00");
+    await bookingService.cancelBooking({
+      bookingId: dropped.id,
+      userName: "cara",
+    });
+
+    await book(vik, COURT_C, 1, "16:00", "17:00");
+  });
+  after(closeDatabase);
+
+  it("totals held hours against the day's open hours and every unit", async () => {
+    const report = await analyticsService.getFacilityReport(
+      BASKETBALL.facilityId,
+      REPORT_RANGE,
+    );
+
+    assert.equal(report.from, REPORT_DAY);
+    assert.equal(report.to, REPORT_DAY);
+    assert.equal(report.openHours, 8);
+    assert.equal(report.capacity, 3);
+    assert.deepEqual(report.totals, {
+      bookings: 3,
+      bookedHours: 4,
+      capacityHours: 24,
+      utilization: 0.167,
+      checkedIn: 1,
+      noShows: 1,
+      cancelled: 1,
+      checkInRate: 0.5,
+      noShowRate: 0.5,
+    });
+    assert.deepEqual(
+      report.units.map(({ unitName, bookings, bookedHours }) => ({
+        unitName,
+        bookings,
+        bookedHours,
+      })),
+      [
+        { unitName: "Court A", bookings: 1, bookedHours: 2 },
+        { unitName: "Court B", bookings: 1, bookedHours: 1 },
+        { unitName: "Court C", bookings: 1, bookedHours: 1 },
+      ],
+    );
+  });
+
+  it("maps held hours by weekday and hour and splits club from individual use", async () => {
+    const report = await analyticsService.getFacilityReport(
+      BASKETBALL.facilityId,
+      REPORT_RANGE,
+    );
+    const weekday = new Date(`${REPORT_DAY}T00:00:00Z`).getUTCDay() || 7;
+
+    assert.deepEqual(report.heatmap, [
+      { weekday, hour: 10, bookedHours: 2, occupancy: 0.667 },
+      { weekday, hour: 11, bookedHours: 1, occupancy: 0.333 },
+      { weekday, hour: 16, bookedHours: 1, occupancy: 0.333 },
+    ]);
+    assert.deepEqual(report.sessions, {
+      averageMinutes: 120,
+      maxDurationMinutes: 120,
+      shareOfMax: 1,
+    });
+    assert.deepEqual(report.share, {
+      clubHours: 1,
+      individualHours: 3,
+      clubShare: 0.25,
+    });
+  });
+
+  it("summarizes every facility over the same range", async () => {
+    const summary = await analyticsService.getUtilizationSummary(REPORT_RANGE);
+    const courts = summary.find(
+      (row) => row.facilityId === BASKETBALL.facilityId,
+    );
+    const library = summary.find((row) => row.facilityId === 1);
+
+    assert.equal(courts.bookedHours, 4);
+    assert.equal(courts.utilization, 0.167);
+    assert.equal(library.bookings, 0);
+    assert.equal(library.utilization, 0);
+    assert.equal(library.checkInRate, null);
+  });
+
+  it("defaults to the last thirty days up to today", async () => {
+    const report = await analyticsService.getFacilityReport(
+      BASKETBALL.facilityId,
+      {},
+    );
+
+    assert.equal(report.to, campusDateKey(0));
+    assert.equal(report.from, campusDateKey(-29));
+    assert.equal(report.totals.bookings, 0);
+  });
+
+  it("rejects malformed, reversed and overlong ranges", async () => {
+    await assert.rejects(
+      analyticsService.getUtilizationSummary({ from: "01/10/2026" }),
+      { status: 400, message: "Dates must use YYYY-MM-DD format." },
+    );
+    await assert.rejects(
+      analyticsService.getFacilityReport(BASKETBALL.facilityId, {
+        from: campusDateKey(2),
+        to: campusDateKey(1),
+      }),
+      {
+        status: 400,
+        message: "The start date must not be after the end date.",
+      },
+    );
+    await assert.rejects(
+      analyticsService.getFacilityReport(BASKETBALL.facilityId, {
+        from: campusDateKey(-92),
+        to: campusDateKey(0),
+      }),
+      { status: 400, message: "Reports cover at most 92 days." },
+    );
+  });
+
+  it("reports an unknown facility as not found", async () => {
+    await assert.rejects(
+      analyticsService.getFacilityReport(9999, REPORT_RANGE),
+      { status: 404, message: "Facility not found." },
+    );
+  });
+});
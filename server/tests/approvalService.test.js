@@ -0,0 +1,157 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import {
+  AUDITORIUM,
+  addClubMember,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { approvalService } from "../services/approvalService.js";
+import { waitlistService } from "../services/waitlistService.js";
+
+describe("event-space approvals", { skip: requiresDatabase }, () => {
+  let pool;
+  let riya;
+  let dev;
+
+  const loadEvents = async (bookingId) =>
+    (
+      await pool.query(
+        `SELECT event_type, actor, previous_status, new_status, reason
+         FROM booking_events WHERE booking_id = $1 ORDER BY id`,
+        [bookingId],
+      )
+    ).rows;
+
+  before(async () => {
+    pool = await resetDatabase();
+    riya = await addClubMember("riya", "E-Cell");
+    dev = await addClubMember("dev", "Vision");
+  });
+  after(closeDatabase);
+
+  let request;
+
+  it("holds an auditorium booking as a pending request in the queue", async () => {
+    request = await book(riya, AUDITORIUM, 3, "10:00", "12:00");
+    assert.equal(request.status, "pending_approval");
+
+    const queue = await approvalService.getPendingQueue();
+    assert.deepEqual(
+      queue.map((pending) => pending.id),
+      [request.id],
+    );
+  });
+
+  it("confirms a request and records who approved it", async () => {
+    const approved = await approvalService.approveBooking({
+      bookingId: request.id,
+      approverName: "dean",
+      reason: "Room is free",
+    });
+
+    assert.equal(approved.status, "scheduled");
+    assert.equal(approved.decided_by, "dean");
+    assert.deepEqual((await loadEvents(request.id)).at(-1), {
+      event_type: "approved",
+      actor: "dean",
+      previous_status: "pending_approval",
+      new_status: "scheduled",
+      reason: "Room is free",
+    });
+  });
+
+  it("refuses to decide a request twice", async () => {
+    await assert.rejects(
+      approvalService.approveBooking({
+        bookingId: request.id,
+        approverName: "dean",
+      }),
+      {
+        status: 400,
+        message:
+          "This request has already been decided. Current status is scheduled.",
+      },
+    );
+  });
+
+  it("answers an unknown request with 404", async () => {
+    await assert.rejects(
+      approvalService.approveBooking({
+        bookingId: 999999,
+        approverName: "dean",
+      }),
+      { status: 404 },
+    );
+  });
+
+  let contested;
+
+  it("requires a string reason to reject", async () => {
+    contested = await book(riya, AUDITORIUM, 4, "10:00", "12:00");
+
+    for (const reason of [undefined, "   "]) {
+      await assert.rejects(
+        approvalService.rejectBooking({
+          bookingId: contested.id,
+          approverName: "dean",
+          reason,
+        }),
+        { status: 400, message: "A reason is required to reject a request." },
+      );
+    }
+
+    await assert.rejects(
+      approvalService.rejectBooking({
+        bookingId: contested.id,
+        approverName: "dean",
+        reason: { text: "No" },
+      }),
+      { status: 400, message: "reason must be a string." },
+    );
+  });
+
+  it("rejects a request and hands its window to the waitlist", async () => {
+    await waitlistService.joinWaitlist({
+      ...AUDITORIUM,
+      ...dev,
+      ...campusSlot(4, "10:00", "12:00"),
+    });
+
+    const { booking, promoted } = await approvalService.rejectBooking({
+      bookingId: contested.id,
+      approverName: "dean",
+      reason: "  Exams that week  ",
+    });
+
+    assert.equal(booking.status, "rejected");
+    assert.equal(booking.decision_reason, "Exams that week");
+    assert.equal(promoted.length, 1);
+    assert.equal(promoted[0].club_name, "Vision");
+    assert.equal(promoted[0].status, "pending_approval");
+  });
+
+  it("rejects requests still undecided when they start", async () => {
+    const stale = await book(riya, AUDITORIUM, 5, "10:00", "12:00");
+    await pool.query(
+      `UPDATE bookings
+       SET starts_at = NOW() - INTERVAL '1 hour', ends_at = NOW() + INTERVAL '1 hour'
+       WHERE id = $1`,
+      [stale.id],
+    );
+
+    const expired = await approvalService.expireUndecidedRequests();
+
+    assert.deepEqual(
+      expired.map((booking) => booking.id),
+      [stale.id],
+    );
+    assert.equal(expired[0].status, "rejected");
+    assert.equal((await loadEvents(stale.id)).at(-1).actor, null);
+  });
+});
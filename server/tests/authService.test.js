@@ -0,0 +1,149 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { authService } from "../services/authService.js";
+
+describe("session tokens", () => {
+  it("verifies a token it issued", () => {
+    const token = authService.issueToken({ id: 42 });
+    const payload = authService.verifyToken(token);
+
+    assert.equal(payload.sub, 42);
+    assert.ok(payload.exp > Date.now());
+  });
+
+  it("rejects a token whose payload was altered", () => {
+    const [, signature] = authService.issueToken({ id: 42 }).split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ sub: 1, exp: Date.now() + 60000 }),
+    ).toString("base64url");
+
+    assert.equal(authService.verifyToken(`${forged}.${signature}`), null);
+  });
+
+  it("rejects an expired token", (t) => {
+    const token = authService.issueToken({ id: 42 });
+    t.mock.method(Date, "now", () => Number.MAX_SAFE_INTEGER);
+
+    assert.equal(authService.verifyToken(token), null);
+  });
+
+  it("rejects malformed tokens", () => {
+    for (const token of [undefined, "", "abc", "a.b.c", "not-base64.sig"]) {
+      assert.equal(authService.verifyToken(token), null);
+    }
+  });
+});
+
+describe("password hashing", () => {
+  it("accepts the right password and rejects a wrong one", async () => {
+    const stored = await authService.hashPassword("correct horse");
+
+    assert.equal(
+      await authService.verifyPassword("correct horse", stored),
+      true,
+    );
+    assert.equal(
+      await authService.verifyPassword("wrong horse", stored),
+      false,
+    );
+  });
+
+  it("salts every hash", async () => {
+    assert.notEqual(
+      await authService.hashPassword("same password"),
+      await authService.hashPassword("same password"),
+    );
+  });
+
+  it("treats a missing or malformed stored hash as a mismatch", async () => {
+    assert.equal(await authService.verifyPassword("anything", null), false);
+    assert.equal(await authService.verifyPassword("anything", "nosalt"), false);
+  });
+});
+
+describe("register and login", { skip: requiresDatabase }, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it("registers an account and signs it in", async () => {
+    const session = await authService.register({
+      userName: "  asha ",
+      password: "password1",
+    });
+
+    assert.equal(session.user.userName, "asha");
+    assert.equal(session.user.userType, "individual");
+    assert.equal(authService.verifyToken(session.token).sub, session.user.id);
+
+    const login = await authService.login({
+      userName: "asha",
+      password: "password1",
+    });
+    assert.equal(login.user.id, session.user.id);
+  });
+
+  it("never returns the password hash", async () => {
+    const { user } = await authService.login({
+      userName: "asha",
+      password: "password1",
+    });
+    assert.equal("password_hash" in user, false);
+    assert.equal("passwordHash" in user, false);
+  });
+
+  it("rejects a taken user name", async () => {
+    await assert.rejects(
+      authService.register({ userName: "asha", password: "password2" }),
+      { status: 409 },
+    );
+  });
+
+  it("rejects a short password", async () => {
+    await assert.rejects(
+      authService.register({ userName: "ben", password: "short" }),
+      { status: 400 },
+    );
+  });
+
+  it("rejects a wrong password or unknown user alike", async () => {
+    await assert.rejects(
+      authService.login({ userName: "asha", password: "password2" }),
+      { status: 401, message: "Invalid user name or password." },
+    );
+    await assert.rejects(
+      authService.login({ userName: "nobody", password: "password1" }),
+      { status: 401, message: "Invalid user name or password." },
+    );
+  });
+
+  it("answers non-string credentials with 400", async () => {
+    for (const credentials of [
+      { userName: 5, password: "password1" },
+      { userName: ["asha"], password: "password1" },
+      { userName: "asha", password: { length: 99 } },
+      { userName: { $ne: null }, password: "password1" },
+    ]) {
+      await assert.rejects(authService.register(credentials), {
+        status: 400,
+      });
+      await assert.rejects(authService.login(credentials), { status: 400 });
+    }
+  });
+
+  it("requires an active club for club accounts", async () => {
+    await assert.rejects(
+      authService.register({
+        userName: "clubber",
+        password: "password1",
+        userType: "club",
+        clubName: "No Such Club",
+      }),
+      { status: 400 },
+    );
+  });
+});
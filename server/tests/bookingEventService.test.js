@@ -0,0 +1,137 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusTime } from "./helpers/campusClock.js";
+import {
+  AUDITORIUM,
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingEventService } from "../services/bookingEventService.js";
+import { bookingService } from "../services/bookingService.js";
+import { USER_ROLES } from "../config/appConfig.js";
+
+const viewer = (userName, role = USER_ROLES.MEMBER) => ({ userName, role });
+
+describe("booking history", { skip: requiresDatabase }, () => {
+  let court;
+  let request;
+
+  before(async () => {
+    await resetDatabase();
+    const asha = await addIndividual("asha");
+    await addIndividual("ben");
+    const riya = await addClubMember("riya", "E-Cell");
+    await addClubMember("sam", "E-Cell");
+    await addClubMember("dev", "Vision");
+
+    court = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    await bookingService.modifyBooking({
+      bookingId: court.id,
+      userName: "asha",
+      ...campusSlot(1, "12:00", "13:00"),
+    });
+    await bookingService.cancelBooking({
+      bookingId: court.id,
+      userName: "asha",
+    });
+
+    request = await book(riya, AUDITORIUM, 3, "10:00", "12:00");
+  });
+  after(closeDatabase);
+
+  it("lists every change to the booker's own booking, oldest first", async () => {
+    const { booking, events } = await bookingEventService.getTimeline(
+      court.id,
+      viewer("asha"),
+    );
+
+    assert.equal(booking.status, "released");
+    assert.equal(booking.facility_name, "Basketball Courts");
+    assert.equal(booking.unit_name, "Court A");
+    assert.deepEqual(
+      events.map(({ event_type, actor, previous_status, new_status }) => ({
+        event_type,
+        actor,
+        previous_status,
+        new_status,
+      })),
+      [
+        {
+          event_type: "created",
+          actor: "asha",
+          previous_status: null,
+          new_status: "scheduled",
+        },
+        {
+          event_type: "rescheduled",
+          actor: "asha",
+          previous_status: null,
+          new_status: "scheduled",
+        },
+        {
+          event_type: "cancelled",
+          actor: "asha",
+          previous_status: "scheduled",
+          new_status: "released",
+        },
+      ],
+    );
+    assert.equal(
+      new Date(events[1].details.startsAt).getTime(),
+      campusTime(1, "12:00").getTime(),
+    );
+  });
+
+  it("shows any booking to admins and approvers", async () => {
+    for (const staff of [
+      viewer("warden", USER_ROLES.ADMIN),
+      viewer("dean", USER_ROLES.APPROVER),
+    ]) {
+      const { events } = await bookingEventService.getTimeline(court.id, staff);
+      assert.equal(events.length, 3);
+    }
+  });
+
+  it("shows a club booking to everyone on that club's roster", async () => {
+    const { booking, events } = await bookingEventService.getTimeline(
+      request.id,
+      viewer("sam"),
+    );
+
+    assert.equal(booking.club_name, "E-Cell");
+    assert.deepEqual(
+      events.map((event) => event.new_status),
+      ["pending_approval"],
+    );
+  });
+
+  it("reports other people's bookings as not found", async () => {
+    await assert.rejects(
+      bookingEventService.getTimeline(court.id, viewer("ben")),
+      { status: 404, message: "Booking not found." },
+    );
+    await assert.rejects(
+      bookingEventService.getTimeline(court.id, viewer("sam")),
+      { status: 404 },
+    );
+    await assert.rejects(
+      bookingEventService.getTimeline(request.id, viewer("dev")),
+      { status: 404 },
+    );
+    await assert.rejects(
+      bookingEventService.getTimeline(
+        999999,
+        viewer("warden", USER_ROLES.ADMIN),
+      ),
+      { status: 404 },
+    );
+  });
+});
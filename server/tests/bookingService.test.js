@@ -0,0 +1,373 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusTime } from "./helpers/campusClock.js";
+import {
+  LIBRARY,
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+  campusSlot,
+  countRows,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { waitlistService } from "../services/waitlistService.js";
+import { CANCEL_SCOPE } from "../config/appConfig.js";
+
+let pool;
+
+after(closeDatabase);
+
+describe("single bookings", { skip: requiresDatabase }, () => {
+  let asha;
+  let ben;
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+  });
+
+  it("rejects a slot in the past", async () => {
+    await assert.rejects(book(asha, BASKETBALL, -1, "10:00", "11:00"), {
+      status: 400,
+      message: "Invalid time. You cannot book a slot in the past.",
+    });
+  });
+
+  it("rejects a slot beyond the individual booking horizon", async () => {
+    await assert.rejects(book(asha, BASKETBALL, 8, "10:00", "11:00"), {
+      status: 403,
+    });
+  });
+
+  it("rejects a slot outside operating hours", async () => {
+    await assert.rejects(book(asha, BASKETBALL, 1, "03:00", "04:00"), {
+      status: 400,
+    });
+  });
+
+  it("rejects an overlapping booking on the same unit", async () => {
+    const booking = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    assert.equal(booking.status, "scheduled");
+
+    await assert.rejects(book(ben, BASKETBALL, 1, "10:30", "11:30"), (err) => {
+      assert.equal(err.status, 409);
+      assert.equal(err.conflictDetails.bookedBy, "asha");
+      return true;
+    });
+  });
+
+  it("rejects a second session for the same person at once", async () => {
+    await assert.rejects(
+      book(asha, { ...BASKETBALL, unitId: 2 }, 1, "10:30", "11:30"),
+      {
+        status: 409,
+        message:
+          "You already have a reserved or active session during this window.",
+      },
+    );
+  });
+
+  it("rejects a booking past a pooled facility's capacity", async () => {
+    await pool.query("UPDATE facilities SET total_capacity = 1 WHERE id = 1");
+
+    await book(asha, LIBRARY, 2, "10:00", "11:00");
+    await assert.rejects(book(ben, LIBRARY, 2, "10:00", "11:00"), {
+      status: 409,
+      message: "No available space for this time slot.",
+    });
+  });
+});
+
+describe("recurring series", { skip: requiresDatabase }, () => {
+  let riya;
+  let dev;
+
+  before(async () => {
+    pool = await resetDatabase();
+    riya = await addClubMember("riya", "E-Cell");
+    dev = await addClubMember("dev", "Vision");
+
+    // Dev already holds the court for the series' second week
+    await bookingService.createBooking({
+      ...BASKETBALL,
+      ...dev,
+      ...campusSlot(8, "10:00", "11:00"),
+    });
+  });
+
+  let created;
+
+  it("books every free occurrence and reports the taken one", async () => {
+    created = await bookingService.createBooking({
+      ...BASKETBALL,
+      ...riya,
+      ...campusSlot(1, "10:00", "11:00"),
+      recurrence: { frequency: "weekly", count: 4 },
+    });
+
+    assert.deepEqual(
+      created.bookings.map((booking) => booking.starts_at.getTime()),
+      [1, 15, 22].map((days) => campusTime(days, "10:00").getTime()),
+    );
+    for (const booking of created.bookings) {
+      assert.equal(booking.series_id, created.series.id);
+    }
+
+    assert.equal(created.conflicts.length, 1);
+    assert.equal(
+      created.conflicts[0].startsAt.getTime(),
+      campusTime(8, "10:00").getTime(),
+    );
+    assert.equal(created.conflicts[0].status, 409);
+  });
+
+  it("leaves nothing behind for the rolled-back occurrence", async () => {
+    assert.equal(
+      await countRows("SELECT COUNT(*) FROM bookings WHERE series_id = $1", [
+        created.series.id,
+      ]),
+      3,
+    );
+    assert.equal(
+      await countRows("SELECT COUNT(*) FROM bookings WHERE starts_at = $1", [
+        campusTime(8, "10:00"),
+      ]),
+      1,
+    );
+    assert.equal(
+      await countRows(
+        `SELECT COUNT(*) FROM booking_events e
+         INNER JOIN bookings b ON e.booking_id = b.id
+         WHERE b.booked_by = 'riya'`,
+      ),
+      3,
+    );
+  });
+
+  it("rejects a series with no free occurrence and keeps no series row", async () => {
+    const seriesBefore = await countRows("SELECT COUNT(*) FROM booking_series");
+
+    await assert.rejects(
+      bookingService.createBooking({
+        ...BASKETBALL,
+        ...dev,
+        ...campusSlot(15, "10:00", "11:00"),
+        recurrence: { frequency: "weekly", count: 2 },
+      }),
+      (err) => {
+        assert.equal(err.status, 409);
+        assert.equal(err.occurrenceConflicts.length, 2);
+        return true;
+      },
+    );
+
+    assert.equal(
+      await countRows("SELECT COUNT(*) FROM booking_series"),
+      seriesBefore,
+    );
+  });
+
+  it("cancels an occurrence and the ones after it", async () => {
+    const [first, second] = created.bookings;
+
+    await bookingService.cancelBooking({
+      bookingId: second.id,
+      userName: "riya",
+      scope: CANCEL_SCOPE.FOLLOWING,
+    });
+
+    const { rows } = await pool.query(
+      "SELECT id, status FROM bookings WHERE series_id = $1 ORDER BY starts_at",
+      [created.series.id],
+    );
+    assert.deepEqual(
+      rows.map((row) => row.status),
+      [first.status, "released", "released"],
+    );
+  });
+});
+
+describe("extensions", { skip: requiresDatabase }, () => {
+  let asha;
+  let ben;
+  let session;
+
+  const extend = (extraMinutes, userName = "asha") =>
+    bookingService.extendBooking({
+      bookingId: session.id,
+      userName,
+      extraMinutes,
+    });
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+
+    session = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    await book(ben, BASKETBALL, 1, "11:30", "12:30");
+  });
+
+  it("only extends a session that is checked in", async () => {
+    await assert.rejects(extend(30), {
+      status: 400,
+      message: "Extension invalid. Current status is scheduled.",
+    });
+
+    await pool.query(
+      "UPDATE bookings SET status = 'checked_in' WHERE id = $1",
+      [session.id],
+    );
+  });
+
+  it("rejects steps that are not whole slots", async () => {
+    await assert.rejects(extend(20), { status: 400 });
+  });
+
+  it("rejects an extension by someone other than the booker", async () => {
+    await assert.rejects(extend(30, "ben"), { status: 403 });
+  });
+
+  it("moves the end forward and records the previous end", async () => {
+    const extended = await extend(30);
+    assert.equal(extended.ends_at.getTime(), campusTime(1, "11:30").getTime());
+
+    const { rows } = await pool.query(
+      "SELECT details FROM booking_events WHERE booking_id = $1 AND event_type = 'extended'",
+      [session.id],
+    );
+    assert.equal(
+      new Date(rows[0].details.previousEndsAt).getTime(),
+      campusTime(1, "11:00").getTime(),
+    );
+  });
+
+  it("rejects an extension past the facility's maximum duration", async () => {
+    await assert.rejects(extend(90), (err) => {
+      assert.equal(err.status, 400);
+      assert.match(err.message, /Maximum duration/);
+      return true;
+    });
+  });
+
+  it("rejects an extension into the next booking on the unit", async () => {
+    await assert.rejects(extend(30), {
+      status: 409,
+      message: "Cannot extend. ben has this unit right after you.",
+    });
+  });
+});
+
+describe("reschedules", { skip: requiresDatabase }, () => {
+  let asha;
+  let ben;
+  let riya;
+  let original;
+
+  const reschedule = (booking, days, startTime, endTime, extra = {}) =>
+    bookingService.modifyBooking({
+      bookingId: booking.id,
+      userName: booking.booked_by,
+      ...campusSlot(days, startTime, endTime),
+      ...extra,
+    });
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+    riya = await addClubMember("riya", "E-Cell");
+
+    original = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    await book(ben, BASKETBALL, 1, "14:00", "15:00");
+  });
+
+  it("moves the booking in place and records where it was", async () => {
+    const { booking } = await reschedule(original, 1, "12:00", "13:00", {
+      unitId: 2,
+    });
+
+    assert.equal(booking.id, original.id);
+    assert.equal(booking.unit_id, 2);
+    assert.equal(booking.starts_at.getTime(), campusTime(1, "12:00").getTime());
+
+    const { rows } = await pool.query(
+      "SELECT details FROM booking_events WHERE booking_id = $1 AND event_type = 'rescheduled'",
+      [original.id],
+    );
+    assert.equal(rows[0].details.previousUnit, "Court A");
+    assert.equal(rows[0].details.unit, "Court B");
+    assert.equal(
+      new Date(rows[0].details.previousStartsAt).getTime(),
+      campusTime(1, "10:00").getTime(),
+    );
+  });
+
+  it("rejects a move by someone other than the booker", async () => {
+    await assert.rejects(
+      bookingService.modifyBooking({
+        bookingId: original.id,
+        userName: "ben",
+        ...campusSlot(1, "16:00", "17:00"),
+      }),
+      { status: 403 },
+    );
+  });
+
+  it("rejects a move onto a taken slot and leaves the booking as it was", async () => {
+    await assert.rejects(
+      reschedule(original, 1, "14:00", "15:00", { unitId: 1 }),
+      { status: 409 },
+    );
+
+    const { rows } = await pool.query(
+      "SELECT unit_id, starts_at FROM bookings WHERE id = $1",
+      [original.id],
+    );
+    assert.equal(rows[0].unit_id, 2);
+    assert.equal(rows[0].starts_at.getTime(), campusTime(1, "12:00").getTime());
+  });
+
+  it("hands the vacated window to the waitlist", async () => {
+    await waitlistService.joinWaitlist({
+      facilityId: 2,
+      unitId: 2,
+      ...ben,
+      ...campusSlot(1, "12:00", "13:00"),
+    });
+
+    const { promoted } = await reschedule(original, 1, "16:00", "17:00");
+
+    assert.equal(promoted.length, 1);
+    assert.equal(promoted[0].booked_by, "ben");
+    assert.equal(promoted[0].unit_id, 2);
+  });
+
+  it("rejects a club booking moved by someone no longer on the roster", async () => {
+    const clubBooking = await book(riya, BASKETBALL, 2, "10:00", "11:00");
+    await pool.query("DELETE FROM club_members WHERE user_name = 'riya'");
+
+    await assert.rejects(reschedule(clubBooking, 2, "12:00", "13:00"), {
+      status: 403,
+    });
+  });
+
+  it("only reschedules a scheduled booking", async () => {
+    await bookingService.cancelBooking({
+      bookingId: original.id,
+      userName: "asha",
+    });
+
+    await assert.rejects(reschedule(original, 2, "16:00", "17:00"), {
+      status: 400,
+      message: "Only scheduled bookings can be rescheduled.",
+    });
+  });
+});
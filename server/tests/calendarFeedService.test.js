@@ -0,0 +1,144 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusTime } from "./helpers/campusClock.js";
+import {
+  LIBRARY,
+  BASKETBALL,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { calendarFeedService } from "../services/calendarFeedService.js";
+
+// The token is the second path segment of every feed link
+const tokenOf = (links) => links.bookings.split("/")[2];
+
+// Each VEVENT of a calendar as a map of its (unfolded) properties
+const parseEvents = (calendar) =>
+  calendar
+    .replace(/\r\n /g, "")
+    .split("BEGIN:VEVENT\r\n")
+    .slice(1)
+    .map((block) =>
+      Object.fromEntries(
+        block
+          .split("\r\n")
+          .filter((line) => line && !line.startsWith("END:"))
+          .map((line) => [
+            line.slice(0, line.indexOf(":")),
+            line.slice(line.indexOf(":") + 1),
+          ]),
+      ),
+    );
+
+// 20261021T043000Z
+const icsTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+describe("calendar feeds", { skip: requiresDatabase }, () => {
+  let token;
+  let kept;
+  let cancelled;
+
+  before(async () => {
+    await resetDatabase();
+    const asha = await addIndividual("asha");
+    await addIndividual("ben");
+
+    kept = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    cancelled = await book(asha, BASKETBALL, 2, "10:00", "11:00");
+    await bookingService.cancelBooking({
+      bookingId: cancelled.id,
+      userName: "asha",
+    });
+  });
+  after(closeDatabase);
+
+  it("hands out one token and feeds only for unit-based facilities", async () => {
+    const links = await calendarFeedService.getFeedLinks("asha");
+    token = tokenOf(links);
+
+    assert.equal(
+      tokenOf(await calendarFeedService.getFeedLinks("asha")),
+      token,
+    );
+    assert.equal(links.bookings, `/calendar/${token}/bookings.ics`);
+    assert.ok(
+      links.facilities.some((feed) => feed.id === BASKETBALL.facilityId),
+    );
+    assert.ok(!links.facilities.some((feed) => feed.id === LIBRARY.facilityId));
+  });
+
+  it("lists the user's bookings in UTC and marks cancellations", async () => {
+    const calendar = await calendarFeedService.getUserFeed(token);
+    assert.ok(calendar.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+
+    const events = parseEvents(calendar);
+    const byId = (id) =>
+      events.find((event) => event.UID.startsWith(`booking-${id}@`));
+
+    assert.equal(byId(kept.id).DTSTART, icsTime(campusTime(1, "10:00")));
+    assert.equal(byId(kept.id).DTEND, icsTime(campusTime(1, "11:00")));
+    assert.equal(byId(kept.id).STATUS, "CONFIRMED");
+    assert.equal(byId(kept.id).SUMMARY, "Basketball Courts · Court A");
+    assert.equal(byId(cancelled.id).STATUS, "CANCELLED");
+  });
+
+  it("shows who holds each unit in the facility feed", async () => {
+    const events = parseEvents(
+      await calendarFeedService.getFacilityFeed(token, BASKETBALL.facilityId),
+    );
+
+    assert.deepEqual(
+      events
+        .map((event) => [event.SUMMARY, event.STATUS])
+        .sort(([, a], [, b]) => a.localeCompare(b)),
+      [
+        ["Court A: asha", "CANCELLED"],
+        ["Court A: asha", "CONFIRMED"],
+      ],
+    );
+  });
+
+  it("has no feed for shared space or unknown facilities", async () => {
+    await assert.rejects(
+      calendarFeedService.getFacilityFeed(token, LIBRARY.facilityId),
+      {
+        status: 400,
+        message: "Main Library is shared space and has no schedule feed.",
+      },
+    );
+    await assert.rejects(calendarFeedService.getFacilityFeed(token, 999999), {
+      status: 404,
+    });
+  });
+
+  it("serves a single booking only to its booker", async () => {
+    const file = await calendarFeedService.getBookingFile(kept.id, "asha");
+    assert.equal(parseEvents(file).length, 1);
+
+    await assert.rejects(calendarFeedService.getBookingFile(kept.id, "ben"), {
+      status: 404,
+    });
+  });
+
+  it("stops serving links from before a token reset", async () => {
+    const links = await calendarFeedService.resetToken("asha");
+    assert.notEqual(tokenOf(links), token);
+
+    await assert.rejects(calendarFeedService.getUserFeed(token), {
+      status: 404,
+      message: "Calendar feed not found.",
+    });
+    await calendarFeedService.getUserFeed(tokenOf(links));
+  });
+});
@@ -0,0 +1,111 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { BASKETBALL, addIndividual, book } from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { checkinCodeService } from "../services/checkinCodeService.js";
+import { CHECKIN_CODE_CONFIG } from "../config/appConfig.js";
+
+describe("check-in codes", { skip: requiresDatabase }, () => {
+  let pool;
+  let session;
+  let courtACode;
+  let courtBCode;
+
+  const checkIn = (code, userName = "asha") =>
+    bookingService.checkIn({ bookingId: session.id, userName, code });
+
+  before(async () => {
+    pool = await resetDatabase();
+    const asha = await addIndividual("asha");
+    await addIndividual("ben");
+
+    session = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    courtACode = (await checkinCodeService.getDisplayCode(2, 1)).code;
+    courtBCode = (await checkinCodeService.getDisplayCode(2, 2)).code;
+  });
+  after(closeDatabase);
+
+  it("shows one code per unit and needs the unit to show it", async () => {
+    const display = await checkinCodeService.getDisplayCode(2, 1);
+    assert.equal(display.unitName, "Court A");
+    assert.equal(display.payload, `campusspot:checkin:2:1:${display.code}`);
+    assert.match(display.code, /^\d{6}$/);
+    assert.notEqual(courtACode, courtBCode);
+
+    await assert.rejects(checkinCodeService.getDisplayCode(2), {
+      status: 400,
+    });
+    await assert.rejects(checkinCodeService.getDisplayCode(999999), {
+      status: 404,
+    });
+  });
+
+  it("accepts only the current numeric code for the location", () => {
+    assert.equal(checkinCodeService.isValidCode(2, 1, courtACode), true);
+    assert.equal(checkinCodeService.isValidCode(2, 2, courtACode), false);
+    assert.equal(
+      checkinCodeService.isValidCode(2, 1, Number(courtACode)),
+      false,
+    );
+  });
+
+  it("refuses to check in before the slot starts", async () => {
+    await assert.rejects(checkIn(courtACode), {
+      status: 403,
+      message:
+        "Too early. Check-in only becomes available at the start of your booked slot.",
+    });
+
+    await pool.query(
+      `UPDATE bookings
+       SET starts_at = NOW() - INTERVAL '5 minutes', ends_at = NOW() + INTERVAL '55 minutes'
+       WHERE id = $1`,
+      [session.id],
+    );
+  });
+
+  it("refuses someone else's booking", async () => {
+    await assert.rejects(checkIn(courtACode, "ben"), { status: 403 });
+  });
+
+  it("locks check-in after repeated wrong codes, even for the right one", async () => {
+    for (
+      let attempt = 1;
+      attempt < CHECKIN_CODE_CONFIG.MAX_FAILED_ATTEMPTS;
+      attempt++
+    ) {
+      await assert.rejects(checkIn(courtBCode), (err) => {
+        assert.equal(err.status, 403);
+        assert.match(err.message, /not valid for this booking/);
+        return true;
+      });
+    }
+
+    const lockedOut = {
+      status: 429,
+      message: `Too many wrong check-in codes for this booking. Try again in ${CHECKIN_CODE_CONFIG.LOCKOUT_MINUTES} minutes.`,
+    };
+    await assert.rejects(checkIn(courtBCode), lockedOut);
+    await assert.rejects(checkIn(courtACode), lockedOut);
+  });
+
+  it("checks in with the right code once the lock lapses", async () => {
+    await pool.query(
+      "UPDATE bookings SET checkin_locked_until = NOW() - INTERVAL '1 second' WHERE id = $1",
+      [session.id],
+    );
+
+    const checkedIn = await checkIn(courtACode);
+    assert.equal(checkedIn.status, "checked_in");
+
+    await assert.rejects(checkIn(courtACode), {
+      status: 400,
+      message: "Check-in invalid. Current status is checked_in.",
+    });
+  });
+});
@@ -0,0 +1,296 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import {
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { authService } from "../services/authService.js";
+import { bookingService } from "../services/bookingService.js";
+import { checkinCodeService } from "../services/checkinCodeService.js";
+import { clubService } from "../services/clubService.js";
+import { USER_ROLES } from "../config/appConfig.js";
+
+const ADMIN = { userName: "warden", role: USER_ROLES.ADMIN };
+
+// A signed-in campus user acting on a roster
+const actor = (userName) => ({ userName, role: USER_ROLES.MEMBER });
+
+after(closeDatabase);
+
+describe("club registry", { skip: requiresDatabase }, () => {
+  let chess;
+
+  before(async () => {
+    await resetDatabase();
+    for (const userName of ["priya", "karan", "meera", "sam"]) {
+      await addIndividual(userName);
+    }
+  });
+
+  it("registers a club once under a non-empty name", async () => {
+    chess = await clubService.createClub({
+      name: " Chess Club ",
+      description: "Weekly blitz",
+    });
+    assert.equal(chess.name, "Chess Club");
+
+    await assert.rejects(clubService.createClub({ name: "Chess Club" }), {
+      status: 409,
+      message: "Chess Club is already registered.",
+    });
+    await assert.rejects(clubService.createClub({ name: " " }), {
+      status: 400,
+    });
+  });
+
+  it("lets an admin appoint the first president", async () => {
+    const president = await clubService.addMember(
+      chess.id,
+      { userName: "priya", role: "president" },
+      ADMIN,
+    );
+    assert.equal(president.role, "president");
+    assert.equal(president.added_by, "warden");
+  });
+
+  it("lets only the president grant officer roles", async () => {
+    await clubService.addMember(
+      chess.id,
+      { userName: "karan", role: "coordinator" },
+      actor("priya"),
+    );
+    await clubService.addMember(
+      chess.id,
+      { userName: "meera" },
+      actor("karan"),
+    );
+
+    await assert.rejects(
+      clubService.updateMemberRole(
+        chess.id,
+        "meera",
+        "coordinator",
+        actor("karan"),
+      ),
+      {
+        status: 403,
+        message: "Only the president of Chess Club can change officer roles.",
+      },
+    );
+    await assert.rejects(
+      clubService.addMember(chess.id, { userName: "sam" }, actor("meera")),
+      {
+        status: 403,
+        message: "Only officers of Chess Club can manage its members.",
+      },
+    );
+  });
+
+  it("rejects unknown roles, accounts and repeat members", async () => {
+    await assert.rejects(
+      clubService.addMember(
+        chess.id,
+        { userName: "sam", role: "captain" },
+        ADMIN,
+      ),
+      { status: 400 },
+    );
+    await assert.rejects(
+      clubService.addMember(chess.id, { userName: "nobody" }, ADMIN),
+      { status: 404, message: "No account is named nobody." },
+    );
+    await assert.rejects(
+      clubService.addMember(chess.id, { userName: "meera" }, ADMIN),
+      { status: 409 },
+    );
+  });
+
+  it("shows the roster, officers first, to members only", async () => {
+    const roster = await clubService.listMembers(chess.id, actor("meera"));
+    assert.deepEqual(
+      roster.map(({ user_name, role }) => [user_name, role]),
+      [
+        ["priya", "president"],
+        ["karan", "coordinator"],
+        ["meera", "member"],
+      ],
+    );
+
+    await assert.rejects(clubService.listMembers(chess.id, actor("sam")), {
+      status: 403,
+    });
+  });
+
+  it("keeps a president unless an admin steps in", async () => {
+    await assert.rejects(
+      clubService.updateMemberRole(chess.id, "priya", "member", actor("priya")),
+      {
+        status: 409,
+        message: "Chess Club needs a president. Appoint another one first.",
+      },
+    );
+    await assert.rejects(
+      clubService.removeMember(chess.id, "priya", actor("priya")),
+      {
+        status: 409,
+      },
+    );
+
+    const demoted = await clubService.updateMemberRole(
+      chess.id,
+      "priya",
+      "member",
+      ADMIN,
+    );
+    assert.equal(demoted.role, "member");
+  });
+
+  it("lets anyone leave a club on their own", async () => {
+    const left = await clubService.removeMember(
+      chess.id,
+      "meera",
+      actor("meera"),
+    );
+    assert.equal(left.user_name, "meera");
+
+    assert.deepEqual(await clubService.listClubsForUser("meera"), []);
+  });
+
+  it("accepts registrations and bookings only for active clubs", async () => {
+    await assert.rejects(
+      authService.register({
+        userName: "zoe",
+        password: "password1",
+        userType: "club",
+        clubName: "Quiz Society",
+      }),
+      {
+        status: 400,
+        message:
+          "Invalid club: Quiz Society. Please select a registered campus club.",
+      },
+    );
+
+    const riya = await addClubMember("riya", "Vision");
+    const vision = (await clubService.listClubs()).find(
+      (club) => club.name === "Vision",
+    );
+    await clubService.updateClub(vision.id, { isActive: false });
+
+    assert.ok(
+      !(await clubService.listClubs()).some((club) => club.name === "Vision"),
+    );
+    await assert.rejects(book(riya, BASKETBALL, 1, "10:00", "11:00"), {
+      status: 400,
+    });
+  });
+});
+
+describe("club dashboard", { skip: requiresDatabase }, () => {
+  let pool;
+  let eCell;
+  let riya;
+  let memberBooking;
+
+  before(async () => {
+    pool = await resetDatabase();
+    riya = await addClubMember("riya", "E-Cell");
+    await addClubMember("arjun", "E-Cell", "president");
+    await addClubMember("dev", "E-Cell");
+    await addIndividual("sam");
+
+    eCell = (await clubService.listClubs()).find(
+      (club) => club.name === "E-Cell",
+    );
+    memberBooking = await book(riya, BASKETBALL, 1, "10:00", "11:00");
+    await book(riya, BASKETBALL, 2, "10:00", "11:00");
+  });
+
+  it("shows the club's bookings to members and lets only officers act", async () => {
+    const member = await clubService.getClubAccess(eCell.id, actor("dev"));
+    assert.equal(member.role, "member");
+    assert.equal(member.isOfficer, false);
+
+    const officer = await clubService.getClubAccess(eCell.id, actor("arjun"));
+    assert.equal(officer.isOfficer, true);
+
+    const admin = await clubService.getClubAccess(eCell.id, ADMIN);
+    assert.equal(admin.role, null);
+
+    await assert.rejects(clubService.getClubAccess(eCell.id, actor("sam")), {
+      status: 403,
+      message: "Only members of E-Cell can see its bookings.",
+    });
+    await assert.rejects(clubService.getClubAccess(999999, ADMIN), {
+      status: 404,
+    });
+  });
+
+  it("lists upcoming club bookings soonest first", async () => {
+    const upcoming = await bookingService.getBookingsByClub("E-Cell");
+    assert.deepEqual(
+      upcoming.map((booking) => booking.booked_by),
+      ["riya", "riya"],
+    );
+    assert.equal(upcoming[0].id, memberBooking.id);
+
+    await assert.rejects(bookingService.getBookingsByClub("E-Cell", "all"), {
+      status: 400,
+      message: "Scope must be upcoming or past.",
+    });
+  });
+
+  it("lets an officer, but not another member, check in a member's booking", async () => {
+    await pool.query(
+      `UPDATE bookings
+       SET starts_at = NOW() - INTERVAL '5 minutes', ends_at = NOW() + INTERVAL '55 minutes'
+       WHERE id = $1`,
+      [memberBooking.id],
+    );
+    const { code } = await checkinCodeService.getDisplayCode(2, 1);
+
+    await assert.rejects(
+      bookingService.checkIn({
+        bookingId: memberBooking.id,
+        userName: "dev",
+        code,
+      }),
+      { status: 403 },
+    );
+
+    const checkedIn = await bookingService.checkIn({
+      bookingId: memberBooking.id,
+      userName: "arjun",
+      code,
+    });
+    assert.equal(checkedIn.status, "checked_in");
+  });
+
+  it("lets an officer cancel a member's booking into the club's history", async () => {
+    const [, later] = await bookingService.getBookingsByClub("E-Cell");
+
+    await assert.rejects(
+      bookingService.cancelBooking({ bookingId: later.id, userName: "dev" }),
+      { status: 403, message: "Unauthorized cancellation." },
+    );
+
+    const { booking } = await bookingService.cancelBooking({
+      bookingId: later.id,
+      userName: "arjun",
+    });
+    assert.equal(booking.status, "released");
+
+    const past = await bookingService.getBookingsByClub("E-Cell", "past");
+    assert.deepEqual(
+      past.map((entry) => entry.id),
+      [later.id],
+    );
+  });
+});
@@ -0,0 +1,158 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  LIBRARY,
+  addClubMember,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { exportService } from "../services/exportService.js";
+import { EXPORT_CONFIG } from "../config/appConfig.js";
+
+// Every chunk the export yields, in order
+const collect = async (filters) => {
+  const chunks = [];
+  const bookingExport = exportService.prepareBookingExport(filters);
+  for await (const chunk of exportService.streamBookings(bookingExport)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+describe("booking export", { skip: requiresDatabase }, () => {
+  let pool;
+  let court;
+  let seat;
+  let club;
+
+  before(async () => {
+    pool = await resetDatabase();
+    const asha = await addIndividual("asha");
+    const ben = await addIndividual("ben");
+    const vik = await addClubMember("vik", "E-Cell");
+
+    court = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    seat = await book(ben, LIBRARY, 2, "09:00", "10:00");
+    club = await book(vik, BASKETBALL, 3, "18:00", "19:00");
+
+    await pool.query("UPDATE bookings SET status_note = $1 WHERE id = $2", [
+      '=HYPERLINK("http://example.test"), then "quoted"',
+      court.id,
+    ]);
+  });
+  after(closeDatabase);
+
+  it("writes CSV with a header row and times on the facility clock", async () => {
+    const lines = (await collect({})).join("").split("\r\n");
+
+    assert.equal(
+      lines[0],
+      "id,facility,unit,booked_by,user_type,club_name,status,booking_type,starts_at,ends_at,timezone,series_id,decided_by,decision_reason,status_note,created_at",
+    );
+    assert.equal(lines.length, 5);
+    assert.equal(lines[4], "");
+
+    const fields = lines[1].split(",");
+    assert.equal(fields[0], String(court.id));
+    assert.equal(fields[1], "Basketball Courts");
+    assert.equal(fields[2], "Court A");
+    assert.equal(fields[8], `${campusDateKey(1)}T10:00:00`);
+    assert.equal(fields[10], "Asia/Kolkata");
+  });
+
+  it("quotes fields and defuses spreadsheet formulas", async () => {
+    const [, row] = (await collect({ userName: "asha" }))
+      .join("")
+      .split("\r\n");
+
+    assert.ok(
+      row.includes(`"'=HYPERLINK(""http://example.test""), then ""quoted"""`),
+    );
+  });
+
+  it("writes one JSON object per line and applies every filter", async () => {
+    const [body] = await collect({
+      format: "ndjson",
+      from: campusDateKey(2),
+      to: campusDateKey(3),
+      status: "scheduled,checked_in",
+    });
+    const rows = body.trim().split("\n").map(JSON.parse);
+
+    assert.deepEqual(
+      rows.map((row) => row.id),
+      [seat.id, club.id],
+    );
+    assert.equal(rows[1].club_name, "E-Cell");
+    assert.equal(rows[1].starts_at, `${campusDateKey(3)}T18:00:00`);
+
+    const clubOnly = await collect({
+      format: "ndjson",
+      facilityId: String(BASKETBALL.facilityId),
+      clubName: "E-Cell",
+    });
+    assert.equal(JSON.parse(clubOnly.join("")).id, club.id);
+  });
+
+  it("fetches the rows in batches from one cursor", async () => {
+    const batchSize = EXPORT_CONFIG.BATCH_SIZE;
+    EXPORT_CONFIG.BATCH_SIZE = 2;
+    let chunks;
+    try {
+      chunks = await collect({ format: "ndjson" });
+    } finally {
+      EXPORT_CONFIG.BATCH_SIZE = batchSize;
+    }
+
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.trim().split("\n").length),
+      [2, 1],
+    );
+  });
+
+  it("frees its connection when the reader stops early", async () => {
+    const bookingExport = exportService.prepareBookingExport({});
+    for await (const chunk of exportService.streamBookings(bookingExport)) {
+      assert.match(chunk, /^id,/);
+      break;
+    }
+
+    assert.equal(pool.totalCount, pool.idleCount);
+    assert.equal((await collect({ format: "ndjson" })).length, 1);
+  });
+
+  it("names the file after the format and date range", () => {
+    const { contentType, fileName } = exportService.prepareBookingExport({
+      format: "ndjson",
+      from: "2026-01-01",
+      to: "2026-01-31",
+    });
+
+    assert.equal(contentType, "application/x-ndjson");
+    assert.equal(fileName, "bookings-2026-01-01-to-2026-01-31.ndjson");
+  });
+
+  it("rejects bad filters before streaming anything", () => {
+    const rejects = (filters, message) =>
+      assert.throws(() => exportService.prepareBookingExport(filters), {
+        status: 400,
+        message,
+      });
+
+    rejects({ format: "xlsx" }, "Export format must be csv or ndjson.");
+    rejects({ from: "2026-1-1" }, "Dates must use YYYY-MM-DD format.");
+    rejects(
+      { from: "2026-02-01", to: "2026-01-01" },
+      "The start date must not be after the end date.",
+    );
+    rejects({ facilityId: "courts" }, "facilityId must be a number.");
+    rejects({ status: "scheduled,lost" }, "Unknown booking status: lost.");
+  });
+});
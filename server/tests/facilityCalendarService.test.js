@@ -0,0 +1,239 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey, campusTime } from "./helpers/campusClock.js";
+import { BASKETBALL, addIndividual, book } from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { facilityCalendarService } from "../services/facilityCalendarService.js";
+import { policyService } from "../services/policyService.js";
+
+// Weekday index (0 = Sunday) of the campus date `days` from today
+const campusWeekday = (days) =>
+  new Date(`${campusDateKey(days)}T00:00:00Z`).getUTCDay();
+
+describe("facility clocks", () => {
+  const NEW_YORK = "America/New_York";
+
+  it("reads wall-clock times across a daylight-saving change", () => {
+    // Clocks in New York jump from 02:00 EST to 03:00 EDT on 2026-03-08
+    assert.equal(
+      facilityCalendarService
+        .zonedTimeToUtc("2026-03-07", "10:00", NEW_YORK)
+        .toISOString(),
+      "2026-03-07T15:00:00.000Z",
+    );
+    assert.equal(
+      facilityCalendarService
+        .zonedTimeToUtc("2026-03-08", "10:00", NEW_YORK)
+        .toISOString(),
+      "2026-03-08T14:00:00.000Z",
+    );
+  });
+
+  it("keeps the wall-clock time when stepping over a daylight-saving change", () => {
+    const next = facilityCalendarService.addDaysOnClock(
+      new Date("2026-03-07T15:00:00Z"),
+      1,
+      NEW_YORK,
+    );
+    assert.equal(next.toISOString(), "2026-03-08T14:00:00.000Z");
+  });
+
+  it("bounds a short daylight-saving day on the facility's clock", () => {
+    const { startOfDay, endOfDay } = facilityCalendarService.getDayBounds(
+      "2026-03-08",
+      NEW_YORK,
+    );
+    assert.equal(startOfDay.toISOString(), "2026-03-08T05:00:00.000Z");
+    assert.equal(endOfDay.toISOString(), "2026-03-09T03:59:59.999Z");
+  });
+
+  it("snaps to slot boundaries on the facility's clock, not UTC", () => {
+    // Kathmandu runs at UTC+05:45, so its half hours fall at :15 and :45 UTC
+    const snap = (instant) =>
+      policyService.snapToSlot(instant, "Asia/Kathmandu").toISOString();
+
+    assert.equal(snap("2026-10-20T04:25:00Z"), "2026-10-20T04:15:00.000Z");
+    assert.equal(snap("2026-10-20T04:35:00Z"), "2026-10-20T04:45:00.000Z");
+  });
+
+  it("reads the calendar date on the facility's clock", () => {
+    // 20:00 UTC is already the next day in Kolkata
+    const instant = new Date("2026-10-20T20:00:00Z");
+    assert.equal(
+      facilityCalendarService.toDateKey(instant, "UTC"),
+      "2026-10-20",
+    );
+    assert.equal(
+      facilityCalendarService.toDateKey(instant, "Asia/Kolkata"),
+      "2026-10-21",
+    );
+  });
+});
+
+describe("operating hours and closures", { skip: requiresDatabase }, () => {
+  let pool;
+  let basketball;
+  let asha;
+
+  const hoursOn = (days) =>
+    facilityCalendarService.getDayHours(
+      pool,
+      basketball,
+      campusTime(days, "12:00"),
+    );
+
+  before(async () => {
+    pool = await resetDatabase();
+    basketball = (
+      await pool.query("SELECT * FROM facilities WHERE id = $1", [
+        BASKETBALL.facilityId,
+      ])
+    ).rows[0];
+    asha = await addIndividual("asha");
+  });
+  after(closeDatabase);
+
+  it("falls back to the facility's own hours", async () => {
+    assert.deepEqual(await hoursOn(1), {
+      isClosed: false,
+      openTime: "07:00:00",
+      closeTime: "23:59:59",
+      reason: null,
+    });
+  });
+
+  it("applies weekly hours and regular closing days", async () => {
+    await facilityCalendarService.setWeeklyHours(BASKETBALL.facilityId, [
+      { weekday: campusWeekday(1), openTime: "09:00", closeTime: "12:00" },
+      { weekday: campusWeekday(2), isClosed: true },
+    ]);
+
+    assert.equal((await hoursOn(1)).closeTime, "12:00:00");
+    await assert.rejects(book(asha, BASKETBALL, 1, "12:00", "13:00"), {
+      status: 400,
+      message:
+        "The facility is closed at your selected time. Operating hours: 9:00 AM - 12:00 PM.",
+    });
+
+    assert.equal((await hoursOn(2)).isClosed, true);
+    await assert.rejects(book(asha, BASKETBALL, 2, "10:00", "11:00"), (err) => {
+      assert.equal(err.status, 400);
+      assert.match(
+        err.message,
+        /^Basketball Courts is closed on this date: Regular closing day/,
+      );
+      return true;
+    });
+  });
+
+  it("rejects weekly hours that are not a list of valid days", async () => {
+    const invalid = [
+      [{ weekday: 1 }, "days must be a list of weekday hours."],
+      [[{ weekday: 7, isClosed: true }], "weekday must be between 0 and 6."],
+      [
+        [{ weekday: 1, openTime: "18:00", closeTime: "09:00" }],
+        "Opening time must be before closing time.",
+      ],
+    ];
+
+    for (const [days, message] of invalid) {
+      await assert.rejects(
+        facilityCalendarService.setWeeklyHours(BASKETBALL.facilityId, days),
+        { status: 400, message },
+      );
+    }
+
+    await assert.rejects(facilityCalendarService.setWeeklyHours(999999, []), {
+      status: 404,
+    });
+  });
+
+  it("closes every facility on a campus-wide closure", async () => {
+    await facilityCalendarService.addClosure({
+      startsOn: campusDateKey(3),
+      endsOn: campusDateKey(4),
+      reason: "Convocation",
+      createdBy: "warden",
+    });
+
+    assert.deepEqual(await hoursOn(4), {
+      isClosed: true,
+      openTime: null,
+      closeTime: null,
+      reason: "Convocation",
+    });
+    await assert.rejects(book(asha, BASKETBALL, 3, "10:00", "11:00"), {
+      status: 400,
+      message: "Basketball Courts is closed on this date: Convocation.",
+    });
+
+    const listed = await facilityCalendarService.listClosures(
+      BASKETBALL.facilityId,
+    );
+    assert.deepEqual(
+      listed.map((closure) => [closure.starts_on, closure.facility_id]),
+      [[campusDateKey(3), null]],
+    );
+  });
+
+  it("prefers a facility's special hours over campus-wide ones", async () => {
+    await facilityCalendarService.addClosure({
+      startsOn: campusDateKey(5),
+      openTime: "08:00",
+      closeTime: "20:00",
+      reason: "Fest week",
+      createdBy: "warden",
+    });
+    const special = await facilityCalendarService.addClosure({
+      facilityId: BASKETBALL.facilityId,
+      startsOn: campusDateKey(5),
+      openTime: "10:00",
+      closeTime: "14:00",
+      reason: "Tournament",
+      createdBy: "warden",
+    });
+
+    assert.deepEqual(await hoursOn(5), {
+      isClosed: false,
+      openTime: "10:00:00",
+      closeTime: "14:00:00",
+      reason: "Tournament",
+    });
+
+    await facilityCalendarService.removeClosure(special.id);
+    assert.equal((await hoursOn(5)).reason, "Fest week");
+  });
+
+  it("rejects a closure without a reason or valid dates", async () => {
+    const closure = {
+      startsOn: campusDateKey(6),
+      reason: "Cleaning",
+      createdBy: "warden",
+    };
+    const invalid = [
+      [{ reason: " " }, "A closure reason is required."],
+      [{ startsOn: "next week" }, "Closure dates must use YYYY-MM-DD."],
+      [{ endsOn: campusDateKey(5) }, "A closure cannot end before it starts."],
+      [{ openTime: "10:00" }, "Operating hours must use HH:MM format."],
+    ];
+
+    for (const [change, message] of invalid) {
+      await assert.rejects(
+        facilityCalendarService.addClosure({ ...closure, ...change }),
+        { status: 400, message },
+      );
+    }
+
+    await assert.rejects(
+      facilityCalendarService.addClosure({ ...closure, facilityId: 999999 }),
+      { status: 404 },
+    );
+    await assert.rejects(facilityCalendarService.removeClosure(999999), {
+      status: 404,
+    });
+  });
+});
@@ -0,0 +1,19 @@
+import { facilityCalendarService } from "../../services/facilityCalendarService.js";
+
+// Every facility in the demo catalog runs on this clock
+export const CAMPUS_TIME_ZONE = "Asia/Kolkata";
+
+// The campus calendar date (YYYY-MM-DD) `days` after today
+export const campusDateKey = (days) =>
+  facilityCalendarService.addDaysToDateKey(
+    facilityCalendarService.toDateKey(new Date(), CAMPUS_TIME_ZONE),
+    days,
+  );
+
+// The instant `days` after today at `time` ("HH:MM") on the campus clock
+export const campusTime = (days, time) =>
+  facilityCalendarService.zonedTimeToUtc(
+    campusDateKey(days),
+    time,
+    CAMPUS_TIME_ZONE,
+  );
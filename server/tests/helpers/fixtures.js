@@ -0,0 +1,50 @@
+import { pool } from "../../db/connection.js";
+import { authService } from "../../services/authService.js";
+import { bookingService } from "../../services/bookingService.js";
+import { campusTime } from "./campusClock.js";
+
+// Seeded targets: the pooled library, Court A of the basketball courts and
+// the auditorium, whose requests wait for an approver
+export const LIBRARY = { facilityId: 1 };
+export const BASKETBALL = { facilityId: 2, unitId: 1 };
+export const AUDITORIUM = { facilityId: 5, unitId: 6 };
+
+// Registers an individual account; returns the booker fields a booking takes
+export const addIndividual = async (userName) => {
+  await authService.register({ userName, password: "password1" });
+  return { userName, userType: "individual" };
+};
+
+// Registers a club account and puts it on the club's roster with `role`
+export const addClubMember = async (userName, clubName, role = "member") => {
+  await authService.register({
+    userName,
+    password: "password1",
+    userType: "club",
+    clubName,
+  });
+  await pool.query(
+    `INSERT INTO club_members (club_id, user_name, role)
+     SELECT id, $2, $3 FROM clubs WHERE name = $1`,
+    [clubName, userName, role],
+  );
+  return { userName, userType: "club", clubName };
+};
+
+// The start and end of a slot `days` from today between two campus wall-clock times
+export const campusSlot = (days, startTime, endTime) => ({
+  startsAt: campusTime(days, startTime).toISOString(),
+  endsAt: campusTime(days, endTime).toISOString(),
+});
+
+// A single booking by `user` on `target` (facility, optional unit)
+export const book = (user, target, days, startTime, endTime) =>
+  bookingService.createBooking({
+    ...target,
+    ...user,
+    ...campusSlot(days, startTime, endTime),
+  });
+
+// The COUNT(*) of a query, as a number
+export const countRows = async (sql, params = []) =>
+  Number((await pool.query(sql, params)).rows[0].count);
@@ -0,0 +1,36 @@
+import { readFile } from "fs/promises";
+
+/**
+ * Import this before any service. Database tests drop and rebuild the public
+ * schema, so they only run against the dedicated TEST_DATABASE_URL and are
+ * skipped when it is not set. Services connect lazily, so tests that never
+ * query still run without a database.
+ */
+const testDatabaseUrl = process.env.TEST_DATABASE_URL;
+if (testDatabaseUrl) process.env.DATABASE_URL = testDatabaseUrl;
+
+process.env.SESSION_SECRET ||= "test-session-secret";
+
+// Pass as the `skip` option of a describe/it that needs the database
+export const requiresDatabase = testDatabaseUrl
+  ? false
+  : "TEST_DATABASE_URL is not set";
+
+const SCHEMA_PATH = new URL("../../db/schema.sql", import.meta.url);
+
+// Fresh schema plus the demo catalog (facilities 1-5, clubs, no users or bookings)
+export const resetDatabase = async () => {
+  const { pool } = await import("../../db/connection.js");
+  const { assetService } = await import("../../services/assetService.js");
+
+  await pool.query("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+  await pool.query(await readFile(SCHEMA_PATH, "utf8"));
+  await assetService.seedDemoData();
+  return pool;
+};
+
+// Lets the test process exit once its file is done
+export const closeDatabase = async () => {
+  const { pool } = await import("../../db/connection.js");
+  await pool.end();
+};
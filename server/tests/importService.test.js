@@ -0,0 +1,131 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey, campusTime } from "./helpers/campusClock.js";
+import { addIndividual, countRows } from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { importService } from "../services/importService.js";
+
+const HEADER =
+  "type,facility,unit,category,pooled,min_duration_minutes,max_duration_minutes,open_time,close_time,timezone,starts_at,ends_at,booked_by";
+
+// Three weeks out: past an individual's seven-day booking horizon
+const EVENT_DAY = campusDateKey(20);
+
+const CATALOG = [
+  HEADER,
+  "facility,Squash Courts,,Sports,no,30,120,07:00,22:00,Asia/Kolkata,,,",
+  "unit,Squash Courts,Court 1,,,,,,,,,,",
+  `booking,Squash Courts,Court 1,,,,,,,,${EVENT_DAY} 10:00,${EVENT_DAY} 11:00,ben`,
+];
+
+const toCsv = (...lines) => lines.join("\n");
+
+describe("catalog import", { skip: requiresDatabase }, () => {
+  let pool;
+
+  const countSquashCourts = () =>
+    countRows("SELECT COUNT(*) FROM facilities WHERE name = 'Squash Courts'");
+
+  before(async () => {
+    pool = await resetDatabase();
+    await addIndividual("warden");
+    await addIndividual("ben");
+  });
+  after(closeDatabase);
+
+  it("reports a dry run without writing anything", async () => {
+    const result = await importService.importCatalog(toCsv(...CATALOG), {
+      dryRun: true,
+      importedBy: "warden",
+    });
+
+    assert.equal(result.dryRun, true);
+    assert.equal(result.committed, false);
+    assert.deepEqual(result.summary, {
+      facilities: 1,
+      units: 1,
+      bookings: 1,
+      failed: 0,
+    });
+    assert.deepEqual(result.bookings, []);
+    assert.equal(result.rows[2].status, "scheduled");
+
+    assert.equal(await countSquashCourts(), 0);
+    assert.equal(await countRows("SELECT COUNT(*) FROM bookings"), 0);
+  });
+
+  it("reports every failing row on its line and keeps checking the rest", async () => {
+    const result = await importService.importCatalog(
+      toCsv(
+        ...CATALOG,
+        "room,Squash Courts,,,,,,,,,,,",
+        `booking,Squash Courts,Court 9,,,,,,,,${EVENT_DAY} 12:00,${EVENT_DAY} 13:00,ben`,
+      ),
+      { dryRun: true, importedBy: "warden" },
+    );
+
+    assert.equal(result.summary.bookings, 1);
+    assert.equal(result.summary.failed, 2);
+    assert.deepEqual(
+      result.rows
+        .filter((row) => !row.ok)
+        .map(({ line, error }) => ({ line, error })),
+      [
+        { line: 5, error: "type must be facility, unit or booking." },
+        { line: 6, error: "Squash Courts has no unit named Court 9." },
+      ],
+    );
+  });
+
+  it("imports nothing when a row fails outside a dry run", async () => {
+    await assert.rejects(
+      importService.importCatalog(
+        toCsv(...CATALOG, "unit,Nowhere Hall,Room 1,,,,,,,,,,"),
+        { importedBy: "warden" },
+      ),
+      (err) => {
+        assert.equal(err.status, 400);
+        assert.equal(err.importReport.length, 4);
+        return true;
+      },
+    );
+
+    assert.equal(await countSquashCourts(), 0);
+  });
+
+  it("commits a clean import and books past the booker's horizon", async () => {
+    const result = await importService.importCatalog(toCsv(...CATALOG), {
+      importedBy: "warden",
+    });
+
+    assert.equal(result.committed, true);
+    assert.equal(await countSquashCourts(), 1);
+
+    const [booking] = result.bookings;
+    assert.equal(booking.booked_by, "ben");
+    assert.equal(
+      booking.starts_at.getTime(),
+      campusTime(20, "10:00").getTime(),
+    );
+
+    const { rows } = await pool.query(
+      "SELECT actor FROM booking_events WHERE booking_id = $1",
+      [booking.id],
+    );
+    assert.deepEqual(rows, [{ actor: "warden" }]);
+  });
+
+  it("still rejects an imported booking that clashes with another", async () => {
+    const result = await importService.importCatalog(
+      toCsv(HEADER, CATALOG[3]),
+      { dryRun: true, importedBy: "warden" },
+    );
+
+    assert.equal(result.rows[0].ok, false);
+    assert.match(result.rows[0].error, /already/);
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import {
+  BASKETBALL,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { maintenanceService } from "../services/maintenanceService.js";
+
+const COURT_A = 1;
+const COURT_B = 2;
+const COURT_C = 3;
+
+describe("unit maintenance", { skip: requiresDatabase }, () => {
+  let pool;
+  const bookings = {};
+
+  const closeCourtA = (days, startTime, endTime, reason = "Resurfacing") =>
+    maintenanceService.scheduleMaintenance({
+      unitId: COURT_A,
+      ...campusSlot(days, startTime, endTime),
+      reason,
+      createdBy: "warden",
+    });
+
+  before(async () => {
+    pool = await resetDatabase();
+    const [asha, ben, cara, dev] = await Promise.all(
+      ["asha", "ben", "cara", "dev"].map(addIndividual),
+    );
+
+    // Every court is taken at 10:00; only Court A is taken at 12:00
+    bookings.asha = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    bookings.ben = await book(
+      ben,
+      { ...BASKETBALL, unitId: COURT_B },
+      1,
+      "10:00",
+      "11:00",
+    );
+    bookings.cara = await book(
+      cara,
+      { ...BASKETBALL, unitId: COURT_C },
+      1,
+      "10:00",
+      "11:00",
+    );
+    bookings.dev = await book(dev, BASKETBALL, 1, "12:00", "13:00");
+  });
+  after(closeDatabase);
+
+  it("rejects a window without a reason or that has already ended", async () => {
+    await assert.rejects(closeCourtA(1, "09:00", "14:00", " "), {
+      status: 400,
+      message: "A maintenance reason is required.",
+    });
+    await assert.rejects(closeCourtA(1, "14:00", "09:00"), {
+      status: 400,
+      message: "The maintenance window must end after it starts.",
+    });
+    await assert.rejects(closeCourtA(-1, "09:00", "14:00"), {
+      status: 400,
+      message: "The maintenance window has already ended.",
+    });
+  });
+
+  it("answers an unknown unit with 404", async () => {
+    await assert.rejects(
+      maintenanceService.scheduleMaintenance({
+        unitId: 999999,
+        ...campusSlot(1, "09:00", "14:00"),
+        reason: "Resurfacing",
+        createdBy: "warden",
+      }),
+      { status: 404 },
+    );
+  });
+
+  let window;
+
+  it("moves bookings to a free court and releases the ones with none left", async () => {
+    const outcome = await closeCourtA(1, "09:00", "14:00");
+    window = outcome.maintenance;
+
+    assert.deepEqual(
+      outcome.relocated.map((booking) => [booking.id, booking.unit_id]),
+      [[bookings.dev.id, COURT_B]],
+    );
+    assert.equal(
+      outcome.relocated[0].status_note,
+      "Moved from Court A to Court B: Resurfacing",
+    );
+
+    assert.deepEqual(
+      outcome.released.map((booking) => [booking.id, booking.status]),
+      [[bookings.asha.id, "released"]],
+    );
+  });
+
+  it("records the change and tells each booker", async () => {
+    const { rows: events } = await pool.query(
+      `SELECT booking_id, event_type, actor, details FROM booking_events
+       WHERE event_type IN ('relocated', 'released') ORDER BY booking_id`,
+    );
+    assert.deepEqual(events, [
+      {
+        booking_id: bookings.asha.id,
+        event_type: "released",
+        actor: "warden",
+        details: null,
+      },
+      {
+        booking_id: bookings.dev.id,
+        event_type: "relocated",
+        actor: "warden",
+        details: { previousUnit: "Court A", unit: "Court B" },
+      },
+    ]);
+
+    const { rows: notices } = await pool.query(
+      "SELECT user_name, kind FROM notifications WHERE kind LIKE 'maintenance%' ORDER BY user_name",
+    );
+    assert.deepEqual(notices, [
+      { user_name: "asha", kind: "maintenance_released" },
+      { user_name: "dev", kind: "maintenance_moved" },
+    ]);
+  });
+
+  it("refuses new bookings on the unit during the window", async () => {
+    const eve = await addIndividual("eve");
+
+    await assert.rejects(book(eve, BASKETBALL, 1, "13:00", "14:00"), {
+      status: 409,
+      message: "Court A is out of service during this window: Resurfacing",
+    });
+  });
+
+  it("drops a window that has not started and then finds nothing to end", async () => {
+    const dropped = await maintenanceService.endMaintenance(window.id);
+    assert.equal(dropped.id, window.id);
+
+    await assert.rejects(maintenanceService.endMaintenance(window.id), {
+      status: 404,
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusTime } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { notificationService } from "../services/notificationService.js";
+
+const MINUTE_MS = 60 * 1000;
+
+describe("booking notifications", { skip: requiresDatabase }, () => {
+  let pool;
+  let asha;
+  let booking;
+
+  const loadNotices = async (bookingId) =>
+    (
+      await pool.query(
+        `SELECT id, kind, status, send_at, title FROM notifications
+         WHERE booking_id = $1 ORDER BY id`,
+        [bookingId],
+      )
+    ).rows;
+
+  // Makes the booking's pending notices of `kind` due now
+  const makeDue = (bookingId, kind) =>
+    pool.query(
+      `UPDATE notifications SET send_at = NOW()
+       WHERE booking_id = $1 AND kind = $2 AND status = 'pending'`,
+      [bookingId, kind],
+    );
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+  });
+  after(closeDatabase);
+
+  it("plans a reminder and a check-in alert with the booking", async () => {
+    booking = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    const startsAt = campusTime(1, "10:00").getTime();
+
+    assert.deepEqual(
+      (await loadNotices(booking.id)).map(({ kind, status, send_at }) => [
+        kind,
+        status,
+        send_at.getTime(),
+      ]),
+      [
+        ["checkin_reminder", "pending", startsAt - 30 * MINUTE_MS],
+        ["checkin_due", "pending", startsAt],
+      ],
+    );
+  });
+
+  it("re-plans upcoming reminders when the lead time changes", async () => {
+    const preferences = await notificationService.updatePreferences("asha", {
+      reminderMinutes: 60,
+    });
+    assert.equal(preferences.reminderMinutes, 60);
+
+    const reminders = (await loadNotices(booking.id)).filter(
+      (notice) => notice.kind === "checkin_reminder",
+    );
+    assert.deepEqual(
+      reminders.map(({ status, send_at }) => [status, send_at.getTime()]),
+      [
+        ["skipped", campusTime(1, "09:30").getTime()],
+        ["pending", campusTime(1, "09:00").getTime()],
+      ],
+    );
+  });
+
+  it("rejects preferences it could not honour", async () => {
+    const invalid = [
+      [
+        { reminderMinutes: 1441 },
+        "Reminder time must be between 0 and 1440 minutes.",
+      ],
+      [{ emailAddress: "asha at campus" }, "Enter a valid email address."],
+      [
+        { emailEnabled: true },
+        "Add an email address to turn on email notifications.",
+      ],
+    ];
+
+    for (const [updates, message] of invalid) {
+      await assert.rejects(
+        notificationService.updatePreferences("asha", updates),
+        { status: 400, message },
+      );
+    }
+  });
+
+  it("delivers a due notice to the user's inbox on the facility's clock", async () => {
+    await makeDue(booking.id, "checkin_due");
+
+    assert.equal(await notificationService.dispatchDueNotifications(), 1);
+
+    const [notice] = await notificationService.listForUser("asha");
+    assert.equal(notice.kind, "checkin_due");
+    assert.equal(notice.title, "Check in now: Basketball Courts (Court A)");
+    assert.match(notice.body, /^Your booking started at 10:00 am\./i);
+    assert.equal(notice.read_at, null);
+
+    const read = await notificationService.markRead("asha", notice.id);
+    assert.ok(read.read_at);
+    await assert.rejects(notificationService.markRead("ben", notice.id), {
+      status: 404,
+    });
+  });
+
+  it("skips a reminder planned for a start time the booking no longer has", async () => {
+    const { rows } = await pool.query(
+      `SELECT id FROM notifications
+       WHERE booking_id = $1 AND kind = 'checkin_reminder' AND status = 'pending'`,
+      [booking.id],
+    );
+    const [staleId] = rows.map((row) => row.id);
+
+    await bookingService.modifyBooking({
+      bookingId: booking.id,
+      userName: "asha",
+      ...campusSlot(1, "12:00", "13:00"),
+    });
+    await pool.query("UPDATE notifications SET send_at = NOW() WHERE id = $1", [
+      staleId,
+    ]);
+
+    assert.equal(await notificationService.dispatchDueNotifications(), 1);
+
+    const stale = (await loadNotices(booking.id)).find(
+      (notice) => notice.id === staleId,
+    );
+    assert.equal(stale.status, "skipped");
+    assert.equal(stale.title, null);
+  });
+
+  it("rejects a push subscription without its keys", async () => {
+    await assert.rejects(
+      notificationService.savePushSubscription("asha", {
+        endpoint: "https://push.example/abc",
+      }),
+      { status: 400, message: "Invalid push subscription." },
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { quotaService } from "../services/quotaService.js";
+
+describe("fair-use quotas", { skip: requiresDatabase }, () => {
+  let asha;
+  let riya;
+  let dev;
+
+  before(async () => {
+    await resetDatabase();
+    asha = await addIndividual("asha");
+    riya = await addClubMember("riya", "E-Cell");
+    dev = await addClubMember("dev", "E-Cell");
+  });
+  after(closeDatabase);
+
+  it("enforces the daily hours quota", async () => {
+    await book(asha, BASKETBALL, 3, "10:00", "12:00");
+
+    await assert.rejects(book(asha, BASKETBALL, 3, "14:00", "15:00"), (err) => {
+      assert.equal(err.status, 403);
+      assert.match(
+        err.message,
+        /^Fair-use limit: 2 hours of Sports per day\. 0 hours left on .+; this booking needs 1 hour\.$/,
+      );
+      return true;
+    });
+  });
+
+  it("reports what is used and left for a facility and date", async () => {
+    const summary = await quotaService.getQuotaSummary(
+      asha,
+      BASKETBALL.facilityId,
+      campusDateKey(3),
+    );
+
+    assert.equal(summary.sharedWith, null);
+    assert.equal(summary.category, "Sports");
+    assert.deepEqual(summary.dayHours, { used: 2, limit: 2, remaining: 0 });
+    assert.deepEqual(summary.upcomingBookings, {
+      used: 1,
+      limit: 6,
+      remaining: 5,
+    });
+  });
+
+  it("shares one club allowance across the club's accounts", async () => {
+    await book(riya, BASKETBALL, 2, "08:00", "10:00");
+    await book(riya, BASKETBALL, 2, "10:00", "12:00");
+    await book(dev, BASKETBALL, 2, "12:00", "14:00");
+
+    await assert.rejects(book(dev, BASKETBALL, 2, "14:00", "15:00"), (err) => {
+      assert.equal(err.status, 403);
+      assert.match(
+        err.message,
+        /^Fair-use limit for E-Cell: 6 hours of Sports per day/,
+      );
+      return true;
+    });
+
+    const summary = await quotaService.getQuotaSummary(
+      dev,
+      BASKETBALL.facilityId,
+      campusDateKey(2),
+    );
+    assert.equal(summary.sharedWith, "E-Cell");
+    assert.equal(summary.dayHours.used, 6);
+  });
+
+  it("rejects a summary for a bad date or an unknown facility", async () => {
+    await assert.rejects(
+      quotaService.getQuotaSummary(asha, BASKETBALL.facilityId, "tomorrow"),
+      { status: 400, message: "Dates must use YYYY-MM-DD format." },
+    );
+    await assert.rejects(quotaService.getQuotaSummary(asha, 999999), {
+      status: 404,
+    });
+  });
+});
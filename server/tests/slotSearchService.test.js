@@ -0,0 +1,147 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { campusDateKey, campusTime } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  addClubMember,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { maintenanceService } from "../services/maintenanceService.js";
+import { slotSearchService } from "../services/slotSearchService.js";
+
+const COURT_B = 2;
+
+describe("free slot search", { skip: requiresDatabase }, () => {
+  let asha;
+  let ben;
+  let riya;
+
+  // Tomorrow's free 90-minute starts between 10:00 and 11:30 on the campus clock
+  const searchMorning = (user, query = {}) =>
+    slotSearchService.findFreeSlots(user, {
+      category: "Sports",
+      durationMinutes: "90",
+      from: campusDateKey(1),
+      to: campusDateKey(1),
+      windowStart: "10:00",
+      windowEnd: "11:30",
+      ...query,
+    });
+
+  const summarize = ({ slots }) =>
+    slots.map(({ facilityName, unitName, free }) => ({
+      facilityName,
+      unitName,
+      free,
+    }));
+
+  before(async () => {
+    await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+    riya = await addClubMember("riya", "E-Cell");
+
+    await book(ben, BASKETBALL, 1, "10:00", "11:00");
+  });
+  after(closeDatabase);
+
+  it("lists free starts that fit the duration, roomiest facility first", async () => {
+    const result = await searchMorning(asha);
+
+    assert.equal(result.durationMinutes, 90);
+    // TT Tables cap sessions at an hour, so only the grounds and courts fit
+    assert.deepEqual(summarize(result), [
+      { facilityName: "Cricket Grounds", unitName: "NTB Ground", free: 2 },
+      { facilityName: "Basketball Courts", unitName: "Court B", free: 2 },
+    ]);
+
+    const [slot] = result.slots;
+    assert.equal(slot.startsAt.getTime(), campusTime(1, "10:00").getTime());
+    assert.equal(slot.localStartsAt, `${campusDateKey(1)}T10:00`);
+    assert.equal(slot.localEndsAt, `${campusDateKey(1)}T11:30`);
+    assert.equal(slot.timezone, "Asia/Kolkata");
+  });
+
+  it("leaves out units under maintenance", async () => {
+    await maintenanceService.scheduleMaintenance({
+      unitId: COURT_B,
+      ...campusSlot(1, "09:00", "12:00"),
+      reason: "Resurfacing",
+      createdBy: "warden",
+    });
+
+    const courts = summarize(await searchMorning(asha)).find(
+      (slot) => slot.facilityName === "Basketball Courts",
+    );
+    assert.deepEqual(courts, {
+      facilityName: "Basketball Courts",
+      unitName: "Court C",
+      free: 1,
+    });
+  });
+
+  it("skips starts that overlap the searcher's own bookings", async () => {
+    assert.deepEqual((await searchMorning(ben)).slots, []);
+  });
+
+  it("shows event spaces to clubs only", async () => {
+    const query = { category: "Event Space", durationMinutes: "60" };
+
+    assert.deepEqual((await searchMorning(asha, query)).slots, []);
+
+    const { slots } = await searchMorning(riya, query);
+    assert.deepEqual(
+      slots.map((slot) => [slot.facilityName, slot.localStartsAt]),
+      [
+        ["Main Auditorium", `${campusDateKey(1)}T10:00`],
+        ["Main Auditorium", `${campusDateKey(1)}T10:30`],
+      ],
+    );
+    assert.ok(slots.every((slot) => slot.requiresApproval));
+  });
+
+  it("stops at the searcher's booking horizon", async () => {
+    const query = { from: campusDateKey(8), to: campusDateKey(8) };
+
+    assert.deepEqual((await searchMorning(asha, query)).slots, []);
+    assert.deepEqual(
+      (await searchMorning(riya, query)).slots.map((slot) => slot.facilityName),
+      ["Basketball Courts", "Cricket Grounds"],
+    );
+  });
+
+  it("rejects durations, dates and windows it cannot search", async () => {
+    const rejects = (query, message) =>
+      assert.rejects(searchMorning(asha, query), { status: 400, message });
+
+    await rejects(
+      { durationMinutes: "45" },
+      "Duration must be a positive multiple of 30 minutes.",
+    );
+    await rejects(
+      { durationMinutes: "480" },
+      "Search covers timed bookings. Book full days from the facility schedule.",
+    );
+    await rejects({ from: "tomorrow" }, "Dates must use YYYY-MM-DD format.");
+    await rejects(
+      { from: campusDateKey(2), to: campusDateKey(1) },
+      "The start date must not be after the end date.",
+    );
+    await rejects(
+      { windowStart: "9:00" },
+      "Time windows must use HH:MM format.",
+    );
+    await rejects(
+      { windowStart: "11:30", windowEnd: "10:00" },
+      "The time window must start before it ends.",
+    );
+    await rejects({ to: campusDateKey(9) }, "Search at most 7 days at a time.");
+  });
+});
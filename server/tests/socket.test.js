@@ -0,0 +1,236 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { BASKETBALL, addIndividual, book } from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { adminService } from "../services/adminService.js";
+import { assetService } from "../services/assetService.js";
+import { authService } from "../services/authService.js";
+import { bookingService } from "../services/bookingService.js";
+import { waitlistService } from "../services/waitlistService.js";
+import {
+  initializeSocket,
+  publishBookingEvent,
+  publishWithPromotions,
+} from "../sockets/socket.js";
+import { LIVE_EVENTS } from "../config/appConfig.js";
+
+/**
+ * Stands in for the socket.io server: records every emit with the rooms it
+ * targeted and keeps the middleware and connection handler it was given.
+ */
+const createRecordingServer = () => {
+  const server = { emitted: [], handlers: {} };
+
+  const target = (rooms, excluded) => ({
+    except: (room) => target(rooms, [...excluded, room]),
+    emit: (type, payload) =>
+      server.emitted.push({ rooms, excluded, type, payload }),
+  });
+
+  server.to = (room) => target([room], []);
+  server.emit = (type, payload) =>
+    server.emitted.push({ rooms: ["*"], excluded: [], type, payload });
+  server.use = (middleware) => (server.middleware = middleware);
+  server.on = (event, handler) => (server.handlers[event] = handler);
+  return server;
+};
+
+// Runs the handshake middleware and resolves with what it passed to next()
+const authenticate = (server, auth) =>
+  new Promise((resolve) => {
+    const socket = { handshake: { auth }, data: {} };
+    server.middleware(socket, (err) => resolve({ err, socket }));
+  });
+
+// Connects a socket for `user` and returns it with the handlers it registered
+const connect = (server, user) => {
+  const socket = {
+    data: { user },
+    rooms: new Set(),
+    handlers: {},
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    on: (event, handler) => (socket.handlers[event] = handler),
+  };
+  server.handlers.connection(socket);
+  return socket;
+};
+
+const sync = (socket, knownVersions) =>
+  new Promise((resolve) =>
+    socket.handlers["facilities:sync"](knownVersions, resolve),
+  );
+
+after(closeDatabase);
+
+describe("live booking events", { skip: requiresDatabase }, () => {
+  let server;
+  let asha;
+  let ben;
+
+  before(async () => {
+    await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+
+    server = createRecordingServer();
+    initializeSocket(server);
+  });
+
+  it("admits a socket only with a valid session token", async () => {
+    const refused = await authenticate(server, {});
+    assert.equal(refused.err.message, "Authentication required.");
+
+    const { token } = await authService.login({
+      userName: "asha",
+      password: "password1",
+    });
+    const admitted = await authenticate(server, { token });
+    assert.equal(admitted.err, undefined);
+    assert.equal(admitted.socket.data.user.userName, "asha");
+  });
+
+  it("shows the facility a public view and the booker their own", async () => {
+    const booking = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    server.emitted.length = 0;
+
+    await publishBookingEvent(LIVE_EVENTS.BOOKING_CREATED, booking);
+
+    const [room, personal] = server.emitted;
+    assert.deepEqual(room.rooms, ["facility:2"]);
+    assert.deepEqual(room.excluded, ["user:asha"]);
+    assert.equal(room.payload.booking.id, booking.id);
+    assert.equal(room.payload.booking.booked_by, undefined);
+    assert.equal(room.payload.personal, undefined);
+
+    assert.deepEqual(personal.rooms, ["user:asha"]);
+    assert.equal(personal.payload.personal, true);
+    assert.equal(personal.payload.booking.booked_by, "asha");
+    assert.equal(personal.payload.version, room.payload.version);
+  });
+
+  it("announces a waitlist promotion to its new owner as a created booking", async () => {
+    const held = await book(asha, BASKETBALL, 2, "10:00", "11:00");
+    await waitlistService.joinWaitlist({
+      ...BASKETBALL,
+      ...ben,
+      startsAt: held.starts_at.toISOString(),
+      endsAt: held.ends_at.toISOString(),
+    });
+
+    const { booking, promoted } = await bookingService.cancelBooking({
+      bookingId: held.id,
+      userName: "asha",
+    });
+    server.emitted.length = 0;
+
+    await publishWithPromotions(
+      LIVE_EVENTS.BOOKING_RELEASED,
+      [booking],
+      promoted,
+    );
+
+    assert.deepEqual(
+      server.emitted.map(({ rooms, excluded, type }) => [
+        ...rooms,
+        ...excluded.map((room) => `not ${room}`),
+        type,
+      ]),
+      [
+        ["facility:2", "not user:asha", "booking.released"],
+        ["user:asha", "booking.released"],
+        ["facility:2", "not user:ben", "booking.created"],
+        ["user:ben", "booking.created"],
+      ],
+    );
+    assert.equal(server.emitted[3].payload.booking.id, promoted[0].id);
+  });
+
+  it("publishes nothing without a booking", async () => {
+    server.emitted.length = 0;
+    await publishBookingEvent(LIVE_EVENTS.BOOKING_CREATED, null);
+    assert.deepEqual(server.emitted, []);
+  });
+});
+
+describe("live versions", { skip: requiresDatabase }, () => {
+  let pool;
+  let server;
+  let asha;
+
+  const committedVersion = async (facilityId) =>
+    Number(
+      (
+        await pool.query("SELECT live_version FROM facilities WHERE id = $1", [
+          facilityId,
+        ])
+      ).rows[0].live_version,
+    );
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+
+    server = createRecordingServer();
+    initializeSocket(server);
+  });
+
+  it("publishes the version a booking change committed", async () => {
+    const previous = await committedVersion(BASKETBALL.facilityId);
+    const booking = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+
+    assert.equal(Number(booking.facility_live_version), previous + 1);
+    assert.equal(await committedVersion(BASKETBALL.facilityId), previous + 1);
+
+    server.emitted.length = 0;
+    await publishBookingEvent(LIVE_EVENTS.BOOKING_CREATED, booking);
+    assert.equal(Number(server.emitted[0].payload.version), previous + 1);
+  });
+
+  it("leaves the version alone when the change rolls back", async () => {
+    const previous = await committedVersion(BASKETBALL.facilityId);
+
+    await assert.rejects(book(asha, BASKETBALL, 1, "10:30", "11:30"), {
+      status: 409,
+    });
+    assert.equal(await committedVersion(BASKETBALL.facilityId), previous);
+  });
+
+  it("returns the committed version with an admin change", async () => {
+    const updated = await adminService.updateFacility(BASKETBALL.facilityId, {
+      description: "Floodlit",
+    });
+    assert.equal(
+      Number(updated.live_version),
+      await committedVersion(BASKETBALL.facilityId),
+    );
+  });
+
+  it("resyncs only the facilities that changed or went away", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const socket = connect(server, {
+      userName: "asha",
+      userType: "individual",
+    });
+
+    const facilities = await assetService.getAllAssets("asha", "individual");
+    const known = Object.fromEntries(
+      facilities.map((facility) => [facility.id, facility.live_version]),
+    );
+    known[BASKETBALL.facilityId] -= 1;
+    known[999999] = 1;
+
+    const reply = await sync(socket, known);
+
+    assert.deepEqual(
+      reply.facilities.map((facility) => facility.id),
+      [BASKETBALL.facilityId],
+    );
+    assert.deepEqual(reply.removed, [999999]);
+    assert.ok(socket.rooms.has(`facility:${BASKETBALL.facilityId}`));
+  });
+});
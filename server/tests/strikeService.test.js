@@ -0,0 +1,212 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { CAMPUS_TIME_ZONE } from "./helpers/campusClock.js";
+import {
+  BASKETBALL,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { cleanupService } from "../services/cleanupService.js";
+import { strikeService } from "../services/strikeService.js";
+
+describe("strikes and penalties", { skip: requiresDatabase }, () => {
+  let pool;
+  let asha;
+  let ben;
+  let cara;
+
+  const reasonsFor = async (userName) =>
+    (
+      await pool.query(
+        "SELECT reason FROM user_strikes WHERE user_name = $1 ORDER BY id",
+        [userName],
+      )
+    ).rows.map((row) => row.reason);
+
+  // Moves a booking so it started `minutesAgo` minutes ago (negative: starts later)
+  const startedMinutesAgo = (booking, minutesAgo) =>
+    pool.query(
+      `UPDATE bookings
+       SET starts_at = NOW() - make_interval(mins => $2),
+           ends_at = NOW() - make_interval(mins => $2) + INTERVAL '1 hour'
+       WHERE id = $1`,
+      [booking.id, minutesAgo],
+    );
+
+  // Books the user on each of these days, then strikes every one of those bookings
+  const strikeBookings = async (user, days) => {
+    const bookings = [];
+    for (const day of days) {
+      bookings.push(await book(user, BASKETBALL, day, "10:00", "11:00"));
+    }
+    for (const booking of bookings) {
+      await strikeService.recordStrike(pool, booking, "no_show");
+    }
+    return bookings;
+  };
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+    cara = await addIndividual("cara");
+  });
+  after(closeDatabase);
+
+  it("counts a cancellation close to the start, but not an early one", async () => {
+    const early = await book(asha, BASKETBALL, 2, "10:00", "11:00");
+    await bookingService.cancelBooking({
+      bookingId: early.id,
+      userName: "asha",
+    });
+    assert.deepEqual(await reasonsFor("asha"), []);
+
+    const late = await book(asha, BASKETBALL, 1, "10:00", "11:00");
+    await startedMinutesAgo(late, -30);
+    await bookingService.cancelBooking({
+      bookingId: late.id,
+      userName: "asha",
+    });
+    assert.deepEqual(await reasonsFor("asha"), ["late_cancellation"]);
+  });
+
+  it("counts a no-show released by the cleanup job", async () => {
+    const missed = await book(asha, BASKETBALL, 3, "10:00", "11:00");
+    await startedMinutesAgo(missed, 20);
+
+    const { released } = await cleanupService.processNoShows();
+
+    assert.deepEqual(
+      released.map((booking) => booking.id),
+      [missed.id],
+    );
+    assert.deepEqual(await reasonsFor("asha"), [
+      "late_cancellation",
+      "no_show",
+    ]);
+  });
+
+  it("shortens the horizon and caps upcoming bookings at two strikes", async () => {
+    const [first, second] = await strikeBookings(ben, [4, 5]);
+    for (const booking of [first, second]) {
+      await bookingService.cancelBooking({
+        bookingId: booking.id,
+        userName: "ben",
+      });
+    }
+
+    await book(ben, BASKETBALL, 1, "10:00", "11:00");
+    await book(ben, BASKETBALL, 1, "12:00", "13:00");
+    await book(ben, BASKETBALL, 2, "10:00", "11:00");
+
+    await assert.rejects(book(ben, BASKETBALL, 5, "14:00", "15:00"), {
+      status: 403,
+      message:
+        "With 2 strikes in the last 30 days, you can book at most 3 days ahead.",
+    });
+    await assert.rejects(book(ben, BASKETBALL, 2, "14:00", "15:00"), {
+      status: 403,
+      message:
+        "With 2 strikes in the last 30 days, you can hold at most 3 upcoming bookings.",
+    });
+  });
+
+  it("lets a capped user move a booking they already hold", async () => {
+    const { rows } = await pool.query(
+      `SELECT id FROM bookings WHERE booked_by = 'ben' AND status = 'scheduled'
+       ORDER BY starts_at LIMIT 1`,
+    );
+
+    const { booking } = await bookingService.modifyBooking({
+      bookingId: rows[0].id,
+      userName: "ben",
+      ...campusSlot(2, "16:00", "17:00"),
+    });
+    assert.equal(booking.status, "scheduled");
+  });
+
+  let caraBookings;
+
+  it("suspends new bookings at three strikes, dated on the facility clock", async () => {
+    caraBookings = await strikeBookings(cara, [4, 5, 6]);
+
+    const standing = await strikeService.getStanding(pool, "cara");
+    assert.equal(standing.status, "suspended");
+    const until = standing.suspendedUntil.toLocaleDateString("en-IN", {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+      timeZone: CAMPUS_TIME_ZONE,
+    });
+
+    await assert.rejects(book(cara, BASKETBALL, 7, "10:00", "11:00"), {
+      status: 403,
+      message: `Your booking privileges are suspended until ${until} (3 strikes in the last 30 days).`,
+    });
+  });
+
+  it("blocks a suspended user from rescheduling a booking they hold", async () => {
+    await assert.rejects(
+      bookingService.modifyBooking({
+        bookingId: caraBookings[0].id,
+        userName: "cara",
+        ...campusSlot(4, "15:00", "16:00"),
+      }),
+      (err) => {
+        assert.equal(err.status, 403);
+        assert.match(err.message, /suspended until/);
+        return true;
+      },
+    );
+  });
+
+  it("stops counting a forgiven strike but keeps it in the history", async () => {
+    const [strike] = (await strikeService.listActiveStrikes()).filter(
+      (active) => active.user_name === "cara",
+    );
+
+    await assert.rejects(
+      strikeService.forgiveStrike(strike.id, {
+        forgivenBy: "warden",
+        reason: " ",
+      }),
+      { status: 400 },
+    );
+
+    await strikeService.forgiveStrike(strike.id, {
+      forgivenBy: "warden",
+      reason: "Court was flooded",
+    });
+
+    const standing = await strikeService.getStandingForUser("cara");
+    assert.equal(standing.status, "restricted");
+    assert.equal(standing.strikeCount, 2);
+    assert.equal(standing.strikes.length, 3);
+    assert.equal(
+      standing.strikes.find((entry) => entry.id === strike.id).forgive_reason,
+      "Court was flooded",
+    );
+
+    await assert.rejects(
+      strikeService.forgiveStrike(strike.id, {
+        forgivenBy: "warden",
+        reason: "Again",
+      }),
+      { status: 409 },
+    );
+    await assert.rejects(
+      strikeService.forgiveStrike(999999, {
+        forgivenBy: "warden",
+        reason: "x",
+      }),
+      { status: 404 },
+    );
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import {
+  BASKETBALL,
+  addIndividual,
+  book,
+  campusSlot,
+} from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { bookingService } from "../services/bookingService.js";
+import { waitlistService } from "../services/waitlistService.js";
+
+describe("waitlist", { skip: requiresDatabase }, () => {
+  let pool;
+  let asha;
+  let ben;
+  let cara;
+  let dev;
+
+  const join = (user, days, startTime, endTime) =>
+    waitlistService.joinWaitlist({
+      ...BASKETBALL,
+      ...user,
+      ...campusSlot(days, startTime, endTime),
+    });
+
+  const loadEntry = async (entryId) =>
+    (
+      await pool.query("SELECT * FROM waitlist_entries WHERE id = $1", [
+        entryId,
+      ])
+    ).rows[0];
+
+  before(async () => {
+    pool = await resetDatabase();
+    asha = await addIndividual("asha");
+    ben = await addIndividual("ben");
+    cara = await addIndividual("cara");
+    dev = await addIndividual("dev");
+  });
+  after(closeDatabase);
+
+  it("refuses to queue for a slot that can still be booked", async () => {
+    await assert.rejects(join(ben, 1, "10:00", "11:00"), {
+      status: 400,
+      message: "This slot is still available. Book it directly instead.",
+    });
+  });
+
+  let held;
+  let entries;
+
+  it("queues for a taken slot in the order people joined", async () => {
+    held = await book(asha, BASKETBALL, 1, "10:00", "12:00");
+
+    const first = await join(ben, 1, "10:00", "11:00");
+    const second = await join(cara, 1, "11:00", "12:00");
+    const third = await join(dev, 1, "10:00", "11:00");
+
+    assert.equal(first.position, 1);
+    assert.equal(second.position, 1);
+    assert.equal(third.position, 2);
+    entries = { ben: first, cara: second, dev: third };
+  });
+
+  it("refuses a second entry for the same slot", async () => {
+    await assert.rejects(join(ben, 1, "10:00", "11:00"), { status: 409 });
+  });
+
+  it("books every waiting entry that fits the released window, oldest first", async () => {
+    const { booking, promoted } = await bookingService.cancelBooking({
+      bookingId: held.id,
+      userName: "asha",
+    });
+
+    assert.equal(booking.status, "released");
+    assert.deepEqual(
+      promoted.map((promotion) => promotion.booked_by),
+      ["ben", "cara"],
+    );
+
+    const benEntry = await loadEntry(entries.ben.id);
+    assert.equal(benEntry.status, "fulfilled");
+    assert.equal(benEntry.booking_id, promoted[0].id);
+    assert.equal((await loadEntry(entries.cara.id)).status, "fulfilled");
+
+    // Ben's promotion took the hour Dev was queued behind him for
+    assert.equal((await loadEntry(entries.dev.id)).status, "waiting");
+  });
+
+  it("lets only the entry's owner leave the waitlist", async () => {
+    await assert.rejects(
+      waitlistService.leaveWaitlist({
+        entryId: entries.dev.id,
+        userName: "asha",
+      }),
+      { status: 404 },
+    );
+
+    const left = await waitlistService.leaveWaitlist({
+      entryId: entries.dev.id,
+      userName: "dev",
+    });
+    assert.equal(left.status, "cancelled");
+  });
+
+  it("expires waiting entries whose slot has started", async () => {
+    await book(asha, BASKETBALL, 2, "10:00", "11:00");
+    const entry = await join(dev, 2, "10:00", "11:00");
+    await pool.query(
+      `UPDATE waitlist_entries
+       SET starts_at = NOW() - INTERVAL '1 hour', ends_at = NOW()
+       WHERE id = $1`,
+      [entry.id],
+    );
+
+    assert.equal(await waitlistService.expireStaleEntries(), 1);
+    assert.equal((await loadEntry(entry.id)).status, "expired");
+  });
+});
@@ -0,0 +1,191 @@
+import {
+  requiresDatabase,
+  resetDatabase,
+  closeDatabase,
+} from "./helpers/testDatabase.js";
+import { BASKETBALL, addIndividual, book } from "./helpers/fixtures.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { webhookService } from "../services/webhookService.js";
+import {
+  USER_ROLES,
+  WEBHOOK_CONFIG,
+  WEBHOOK_EVENT,
+} from "../config/appConfig.js";
+
+const ADMIN = { userName: "warden", role: USER_ROLES.ADMIN };
+
+// The receiver below listens on loopback, which deliveries normally refuse
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+
+/**
+ * A local endpoint that records every request and answers with the queued
+ * status codes in turn, then 200.
+ */
+const startReceiver = async () => {
+  const receiver = { requests: [], statuses: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() ?? 200);
+      res.end("ok");
+    });
+  });
+
+  await new Promise((resolve) =>
+    receiver.server.listen(0, "127.0.0.1", resolve),
+  );
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+  return receiver;
+};
+
+describe("webhook deliveries", { skip: requiresDatabase }, () => {
+  let pool;
+  let receiver;
+  let endpoint;
+  let asha;
+  let nextDay = 1;
+
+  // A fresh booking (and so a fresh booking.created delivery) on its own day
+  const bookCourt = async () => {
+    const booking = await book(asha, BASKETBALL, nextDay++, "10:00", "11:00");
+
+    const { rows } = await pool.query(
+      "SELECT * FROM webhook_deliveries WHERE booking_id = $1",
+      [booking.id],
+    );
+    return rows[0];
+  };
+
+  const loadDelivery = async (deliveryId) =>
+    (
+      await pool.query("SELECT * FROM webhook_deliveries WHERE id = $1", [
+        deliveryId,
+      ])
+    ).rows[0];
+
+  before(async () => {
+    pool = await resetDatabase();
+    receiver = await startReceiver();
+    asha = await addIndividual("asha");
+
+    endpoint = await webhookService.createEndpoint(ADMIN, {
+      url: receiver.url,
+      eventTypes: [WEBHOOK_EVENT.BOOKING_CREATED],
+    });
+  });
+  after(async () => {
+    await new Promise((resolve) => receiver.server.close(resolve));
+    await closeDatabase();
+  });
+
+  it("signs the timestamp and raw body with the endpoint's secret", async () => {
+    const delivery = await bookCourt();
+
+    assert.equal(await webhookService.dispatchDueDeliveries(), 1);
+
+    const [request] = receiver.requests.splice(0);
+    assert.equal(request.headers["x-campusspot-event"], "booking.created");
+    assert.equal(request.headers["x-campusspot-delivery"], String(delivery.id));
+
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]+)$/.exec(
+      request.headers["x-campusspot-signature"],
+    );
+    const expected = crypto
+      .createHmac("sha256", endpoint.secret)
+      .update(`${timestamp}.${request.body}`)
+      .digest("hex");
+    assert.equal(signature, expected);
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.type, "booking.created");
+    assert.equal(payload.data.booking.id, delivery.booking_id);
+
+    const sent = await loadDelivery(delivery.id);
+    assert.equal(sent.status, "delivered");
+    assert.equal(sent.last_response_status, 200);
+  });
+
+  it("backs off after a failed attempt and succeeds on the retry", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const delivery = await bookCourt();
+    receiver.statuses.push(500);
+
+    await webhookService.dispatchDueDeliveries();
+
+    const failed = await loadDelivery(delivery.id);
+    assert.equal(failed.status, "pending");
+    assert.equal(failed.attempts, 1);
+    assert.equal(failed.last_error, "HTTP 500");
+    const waitSeconds = (failed.next_attempt_at - Date.now()) / 1000;
+    assert.ok(
+      waitSeconds > WEBHOOK_CONFIG.RETRY_BASE_SECONDS - 10 &&
+        waitSeconds <= WEBHOOK_CONFIG.RETRY_BASE_SECONDS,
+    );
+
+    // Not due yet
+    assert.equal(await webhookService.dispatchDueDeliveries(), 0);
+
+    await pool.query(
+      "UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1",
+      [delivery.id],
+    );
+    assert.equal(await webhookService.dispatchDueDeliveries(), 1);
+
+    const delivered = await loadDelivery(delivery.id);
+    assert.equal(delivered.status, "delivered");
+    assert.equal(delivered.attempts, 2);
+    assert.equal(delivered.last_error, null);
+
+    const { rows: attempts } = await pool.query(
+      `SELECT attempt, response_status, error FROM webhook_delivery_attempts
+       WHERE delivery_id = $1 ORDER BY attempt`,
+      [delivery.id],
+    );
+    assert.deepEqual(attempts, [
+      { attempt: 1, response_status: 500, error: "HTTP 500" },
+      { attempt: 2, response_status: 200, error: null },
+    ]);
+    receiver.requests.length = 0;
+  });
+
+  it("gives up after the last attempt until someone retries it", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const delivery = await bookCourt();
+    await pool.query(
+      "UPDATE webhook_deliveries SET attempts = $1 WHERE id = $2",
+      [WEBHOOK_CONFIG.MAX_ATTEMPTS - 1, delivery.id],
+    );
+    receiver.statuses.push(503);
+
+    await webhookService.dispatchDueDeliveries();
+    assert.equal((await loadDelivery(delivery.id)).status, "failed");
+
+    const retried = await webhookService.retryDelivery(ADMIN, delivery.id);
+    assert.equal(retried.status, "pending");
+    await assert.rejects(webhookService.retryDelivery(ADMIN, delivery.id), {
+      status: 409,
+    });
+
+    await webhookService.dispatchDueDeliveries();
+    assert.equal((await loadDelivery(delivery.id)).status, "delivered");
+    receiver.requests.length = 0;
+  });
+
+  it("refuses loopback URLs unless private targets are allowed", async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+    try {
+      await assert.rejects(
+        webhookService.createEndpoint(ADMIN, { url: receiver.url }),
+        { status: 400 },
+      );
+    } finally {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true";
+    }
+  });
+});